@@ -25,6 +25,7 @@ export type SegmentType = {
     "logout": true;
     "forced": true;
     "room": string;
+    "event": string;
     "rooms": string[];
     "settings": true;
     "create-room": true;
@@ -34,6 +35,10 @@ export type SegmentType = {
     "details": true;
     "members": true;
     "member": string;
+    "threads": true;
+    "thread": string;
+    "search": string;
+    "device-verification": string;
 };
 
 export function createNavigation(): Navigation<SegmentType> {
@@ -51,14 +56,16 @@ function allowsChild(parent: Segment<SegmentType> | undefined, child: Segment<Se
             // allowed root segments
             return type === "login" || type === "session" || type === "sso" || type === "logout";
         case "session":
-            return type === "room" || type === "rooms" || type === "settings" || type === "create-room" || type === "join-room";
+            return type === "room" || type === "rooms" || type === "settings" || type === "create-room" || type === "join-room" || type === "device-verification";
         case "rooms":
             // downside of the approach: both of these will control which tile is selected
             return type === "room" || type === "empty-grid-tile";
         case "room":
+            return type === "event" || type === "lightbox" || type === "right-panel";
+        case "event":
             return type === "lightbox" || type === "right-panel";
         case "right-panel":
-            return type === "details"|| type === "members" || type === "member";
+            return type === "details"|| type === "members" || type === "member" || type === "threads" || type === "thread" || type === "search";
         case "logout":
             return type === "forced";
         default:
@@ -91,6 +98,28 @@ export function removeRoomFromPath(path: Path<SegmentType>, roomId: string): Pat
     return newPath;
 }
 
+/**
+ * Returns the path with the event to show in the timeline of the room set,
+ * or removed if eventId is undefined, keeping the segments that follow it like the right panel.
+ */
+export function pathWithEvent(path: Path<SegmentType>, eventId?: string): Path<SegmentType> {
+    const segments = path.segments;
+    const roomIndex = segments.findIndex(segment => segment.type === "room");
+    if (roomIndex === -1) {
+        return path;
+    }
+    let newPath = path.until("room");
+    if (eventId) {
+        newPath = newPath.with(new Segment("event", eventId))!;
+    }
+    for (const segment of segments.slice(roomIndex + 1)) {
+        if (segment.type !== "event") {
+            newPath = newPath.with(segment)!;
+        }
+    }
+    return newPath;
+}
+
 function roomsSegmentWithRoom(rooms: Segment<SegmentType, "rooms">, roomId: string, path: Path<SegmentType>): Segment<SegmentType, "rooms"> {
     if(!rooms.value.includes(roomId)) {
         const emptyGridTile = path.get("empty-grid-tile");
@@ -174,13 +203,13 @@ export function parseUrlPath(urlPath: string, currentNavPath: Path<SegmentType>,
             if (sessionSegment) {
                 segments.push(sessionSegment);
             }
-        } else if (type === "details" || type === "members") {
+        } else if (type === "details" || type === "members" || type === "threads") {
             pushRightPanelSegment(segments, type);
-        } else if (type === "member") {
-            let userId = iterator.next().value;
-            if (!userId) { break; }
-            userId = decodeURIComponent(userId);
-            pushRightPanelSegment(segments, type, userId);
+        } else if (type === "member" || type === "thread" || type === "search") {
+            let id = iterator.next().value;
+            if (!id) { break; }
+            id = decodeURIComponent(id);
+            pushRightPanelSegment(segments, type, id);
         } else if (type.includes("loginToken")) {
             // Special case for SSO-login with query parameter loginToken=<token>
             const loginToken = type.split("=").pop();
@@ -413,6 +442,49 @@ export function tests() {
             assert.equal(segments[4].type, "member");
             assert.equal(segments[4].value, "foo");
         },
+        "parse thread segment in the right panel": assert => {
+            const nav: Navigation<SegmentType> = new Navigation(allowsChild);
+            const path = nav.pathFrom([new Segment("session", 1)]);
+            const segments = parseUrlPath("/session/1/room/a/thread/%24root", path);
+            assert.equal(segments.length, 4);
+            assert.equal(segments[2].type, "right-panel");
+            assert.equal(segments[3].type, "thread");
+            assert.equal(segments[3].value, "$root");
+            assert.equal(stringifyPath(nav.pathFrom(segments)), "/session/1/room/a/thread/%24root");
+        },
+        "parse search segment in the right panel": assert => {
+            const nav: Navigation<SegmentType> = new Navigation(allowsChild);
+            const path = nav.pathFrom([new Segment("session", 1)]);
+            const segments = parseUrlPath("/session/1/room/a/search/hello%20world", path);
+            assert.equal(segments.length, 4);
+            assert.equal(segments[3].type, "search");
+            assert.equal(segments[3].value, "hello world");
+        },
+        "parse event segment followed by the right panel": assert => {
+            const nav: Navigation<SegmentType> = new Navigation(allowsChild);
+            const path = nav.pathFrom([new Segment("session", 1)]);
+            const segments = parseUrlPath("/session/1/room/a/event/%24abc/search/hello", path);
+            assert.deepEqual(segments.map(s => s.type), ["session", "room", "event", "right-panel", "search"]);
+            assert.equal(segments[2].value, "$abc");
+            assert.equal(stringifyPath(nav.pathFrom(segments)), "/session/1/room/a/event/%24abc/search/hello");
+        },
+        "pathWithEvent keeps the right panel": assert => {
+            const nav: Navigation<SegmentType> = new Navigation(allowsChild);
+            const path = nav.pathFrom([
+                new Segment("session", 1),
+                new Segment("room", "a"),
+                new Segment("right-panel", true),
+                new Segment("search", "hello"),
+            ]);
+            const withEvent = pathWithEvent(path, "$abc");
+            assert.deepEqual(withEvent.segments.map(s => s.type), ["session", "room", "event", "right-panel", "search"]);
+            assert.equal(withEvent.get("event")!.value, "$abc");
+            const otherEvent = pathWithEvent(withEvent, "$def");
+            assert.equal(otherEvent.get("event")!.value, "$def");
+            assert.equal(otherEvent.segments.length, 5);
+            const withoutEvent = pathWithEvent(otherEvent);
+            assert.deepEqual(withoutEvent.segments.map(s => s.type), ["session", "room", "right-panel", "search"]);
+        },
         "parse open-room action setting a room in an empty tile": assert => {
             const nav: Navigation<SegmentType> = new Navigation(allowsChild);
             const path = nav.pathFrom([
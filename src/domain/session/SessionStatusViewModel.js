@@ -18,6 +18,7 @@ import {ViewModel} from "../ViewModel";
 import {createEnum} from "../../utils/enum";
 import {ConnectionStatus} from "../../matrix/net/Reconnector";
 import {SyncStatus} from "../../matrix/Sync.js";
+import {SASState} from "../../matrix/verification/SAS/SASVerification";
 
 const SessionStatus = createEnum(
     "Disconnected",
@@ -38,6 +39,8 @@ export class SessionStatusViewModel extends ViewModel {
         this._session = session;
         this._setupKeyBackupUrl = this.urlRouter.urlForSegment("settings");
         this._dismissSecretStorage = false;
+        this._incomingVerification = null;
+        this._dismissedVerifications = new Set();
     }
 
     start() {
@@ -47,14 +50,47 @@ export class SessionStatusViewModel extends ViewModel {
         this.track(this._session.needsKeyBackup.subscribe(() => {
             this.emitChange();
         }));
+        const transactions = this._session.deviceVerification?.transactions;
+        if (transactions) {
+            const updateVerification = () => this._updateIncomingVerification(transactions);
+            this.track(transactions.subscribe({
+                onAdd: updateVerification,
+                onUpdate: updateVerification,
+                onRemove: updateVerification,
+                onReset: updateVerification,
+            }));
+        }
+    }
+
+    _updateIncomingVerification(transactions) {
+        let incomingVerification = null;
+        for (const [txnId, verification] of transactions) {
+            if (verification.isIncoming && verification.state === SASState.Requested && !this._dismissedVerifications.has(txnId)) {
+                incomingVerification = verification;
+                break;
+            }
+        }
+        if (incomingVerification !== this._incomingVerification) {
+            this._incomingVerification = incomingVerification;
+            this.emitChange();
+        }
     }
 
     get setupKeyBackupUrl () {
         return this._setupKeyBackupUrl;
     }
 
+    get verificationUrl() {
+        if (this._incomingVerification) {
+            return this.urlRouter.urlForSegment("device-verification", this._incomingVerification.txnId);
+        }
+        return null;
+    }
+
     get isShown() {
-        return (this._session.needsKeyBackup.get() && !this._dismissSecretStorage) || this._status !== SessionStatus.Syncing;
+        return (this._session.needsKeyBackup.get() && !this._dismissSecretStorage) ||
+            !!this._incomingVerification ||
+            this._status !== SessionStatus.Syncing;
     }
 
     get statusLabel() {
@@ -70,6 +106,10 @@ export class SessionStatusViewModel extends ViewModel {
             case SessionStatus.SyncError:
                 return this.i18n`Sync failed because of ${this._sync.error}`;
         }
+        if (this._incomingVerification) {
+            const {otherUserId, otherDeviceId} = this._incomingVerification;
+            return this.i18n`${otherUserId} wants to verify their session ${otherDeviceId}.`;
+        }
         if (this._session.needsKeyBackup.get()) {
             return this.i18n`Set up session backup to decrypt older messages.`;
         }
@@ -133,17 +173,27 @@ export class SessionStatusViewModel extends ViewModel {
         return this._status === SessionStatus.Disconnected;
     }
 
+    get isVerificationShown() {
+        return this._status === SessionStatus.Syncing && !!this._incomingVerification;
+    }
+
     get isSecretStorageShown() {
         // TODO: we need a model here where we can have multiple messages queued up and their buttons don't bleed into each other.
-        return this._status === SessionStatus.Syncing && this._session.needsKeyBackup.get() && !this._dismissSecretStorage;
+        return this._status === SessionStatus.Syncing && !this._incomingVerification &&
+            this._session.needsKeyBackup.get() && !this._dismissSecretStorage;
     }
 
     get canDismiss() {
-        return this.isSecretStorageShown;
+        return this.isVerificationShown || this.isSecretStorageShown;
     }
 
     dismiss() {
-        if (this.isSecretStorageShown) {
+        if (this.isVerificationShown) {
+            this._dismissedVerifications.add(this._incomingVerification.txnId);
+            this._incomingVerification = null;
+            this._updateIncomingVerification(this._session.deviceVerification.transactions);
+            this.emitChange();
+        } else if (this.isSecretStorageShown) {
             this._dismissSecretStorage = true;
             this.emitChange();
         }
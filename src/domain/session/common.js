@@ -14,6 +14,8 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import {DeviceTrustPolicy} from "../../matrix/e2ee/DeviceTrustPolicy.js";
+
 export function imageToInfo(image) {
     return {
         w: image.width,
@@ -22,3 +24,12 @@ export function imageToInfo(image) {
         size: image.blob.size
     };
 }
+
+/** @return {Array<{value: DeviceTrustPolicy, label: string}>} the device trust policies to choose from */
+export function deviceTrustPolicyOptions(vm) {
+    return [
+        {value: DeviceTrustPolicy.AllDevices, label: vm.i18n`All sessions, except blacklisted ones`},
+        {value: DeviceTrustPolicy.WarnOnNewDevices, label: vm.i18n`All sessions, but warn about new unverified sessions first`},
+        {value: DeviceTrustPolicy.VerifiedOnly, label: vm.i18n`Verified sessions only`},
+    ];
+}
@@ -16,6 +16,7 @@ limitations under the License.
 
 import {ViewModel} from "../../ViewModel";
 import {RoomType} from "../../../matrix/room/common";
+import {TrustLevel} from "../../../matrix/e2ee/common.js";
 import {avatarInitials, getIdentifierColorNumber, getAvatarHttpUrl} from "../../avatar";
 
 export class MemberDetailsViewModel extends ViewModel {
@@ -27,8 +28,48 @@ export class MemberDetailsViewModel extends ViewModel {
         this._isEncrypted = options.isEncrypted;
         this._powerLevelsObservable = options.powerLevelsObservable;
         this._session = options.session;
+        this._trust = null;
+        this._error = null;
         this.track(this._powerLevelsObservable.subscribe(() => this._onPowerLevelsChange()));
         this.track(this._observableMember.subscribe( () => this._onMemberChange()));
+        if (this._isEncrypted) {
+            this._loadTrust();
+        }
+    }
+
+    async _loadTrust() {
+        try {
+            const trust = await this._session.getTrustForUser(this.userId);
+            if (!this.isDisposed) {
+                this._trust = trust;
+                this.emitChange("trust");
+            }
+        } catch (err) {
+            this._setError(err);
+        }
+    }
+
+    /** runs an action on the sessions or identity of the member, showing the error if it fails */
+    async _runTrustAction(action) {
+        this._error = null;
+        this.emitChange("error");
+        try {
+            await action();
+        } catch (err) {
+            this._setError(err);
+        }
+    }
+
+    _setError(err) {
+        console.error(err);
+        if (!this.isDisposed) {
+            this._error = err;
+            this.emitChange("error");
+        }
+    }
+
+    get error() {
+        return this._error?.message;
     }
 
     get name() { return this._member.name; }
@@ -94,4 +135,61 @@ export class MemberDetailsViewModel extends ViewModel {
         }
         this.navigation.push("room", roomId);
     }
+
+    /** @type {Array<{deviceId, name, isVerified, isBlacklisted, isNew}> | null} null while loading */
+    get devices() {
+        if (!this._trust) {
+            return null;
+        }
+        return this._trust.devices.map(({device, trustLevel}) => {
+            return {
+                deviceId: device.deviceId,
+                name: device.displayName || device.deviceId,
+                isVerified: trustLevel === TrustLevel.Verified,
+                isBlacklisted: !!device.isBlacklisted,
+                isNew: !!device.isNew,
+            };
+        });
+    }
+
+    get identityLabel() {
+        switch (this._trust?.trustLevel) {
+            case TrustLevel.Verified:
+                return this.i18n`You have verified this user.`;
+            case TrustLevel.TOFU:
+                return this.i18n`You haven't verified this user yet.`;
+            case TrustLevel.Changed:
+                return this.i18n`The identity of this user has changed! Verify their sessions again, or acknowledge the change if you expected it.`;
+            case TrustLevel.Unknown:
+                return this.i18n`This user hasn't set up cross-signing.`;
+            default:
+                // the error is shown instead if loading failed
+                return this._error ? "" : this.i18n`Loading…`;
+        }
+    }
+
+    get hasIdentityChanged() {
+        return this._trust?.trustLevel === TrustLevel.Changed;
+    }
+
+    acknowledgeIdentityChange() {
+        return this._runTrustAction(async () => {
+            await this._session.acknowledgeIdentityChange(this.userId);
+            await this._loadTrust();
+        });
+    }
+
+    setDeviceBlacklisted(deviceId, isBlacklisted) {
+        return this._runTrustAction(async () => {
+            await this._session.setDeviceBlacklisted(this.userId, deviceId, isBlacklisted);
+            await this._loadTrust();
+        });
+    }
+
+    verifyDevice(deviceId) {
+        return this._runTrustAction(async () => {
+            const verification = await this._session.requestDeviceVerification(this.userId, deviceId);
+            this.navigation.push("device-verification", verification.txnId);
+        });
+    }
 }
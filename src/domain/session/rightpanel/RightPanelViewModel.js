@@ -18,6 +18,9 @@ import {ViewModel} from "../../ViewModel";
 import {RoomDetailsViewModel} from "./RoomDetailsViewModel.js";
 import {MemberListViewModel} from "./MemberListViewModel.js";
 import {MemberDetailsViewModel} from "./MemberDetailsViewModel.js";
+import {ThreadListViewModel} from "./ThreadListViewModel.js";
+import {ThreadViewModel} from "./ThreadViewModel.js";
+import {SearchViewModel} from "./SearchViewModel.js";
 
 export class RightPanelViewModel extends ViewModel {
     constructor(options) {
@@ -59,7 +62,7 @@ export class RightPanelViewModel extends ViewModel {
     }
 
     _setupNavigation() {
-        this._hookUpdaterToSegment("details", RoomDetailsViewModel, () => { return {room: this._room}; });
+        this._hookUpdaterToSegment("details", RoomDetailsViewModel, () => { return {room: this._room, session: this._session}; });
         this._hookUpdaterToSegment("members", MemberListViewModel, () => this._getMemberListArguments());
         this._hookUpdaterToSegment("member", MemberDetailsViewModel, () => this._getMemberDetailsArguments(),
             () => {
@@ -68,6 +71,15 @@ export class RightPanelViewModel extends ViewModel {
                 this.urlRouter.pushUrl(url);
             }
         );
+        this._hookUpdaterToSegment("threads", ThreadListViewModel, () => { return {room: this._room}; });
+        this._hookUpdaterToSegment("thread", ThreadViewModel, () => {
+            const rootId = this.navigation.path.get("thread").value;
+            return {room: this._room, rootId};
+        });
+        this._hookUpdaterToSegment("search", SearchViewModel, () => {
+            const term = this.navigation.path.get("search").value;
+            return {room: this._room, session: this._session, term};
+        });
     }
 
     _hookUpdaterToSegment(segment, viewmodel, argCreator, failCallback) {
@@ -16,11 +16,13 @@ limitations under the License.
 
 import {ViewModel} from "../../ViewModel";
 import {avatarInitials, getIdentifierColorNumber, getAvatarHttpUrl} from "../../avatar";
+import {deviceTrustPolicyOptions} from "../common.js";
 
 export class RoomDetailsViewModel extends ViewModel {
     constructor(options) {
         super(options);
         this._room = options.room;
+        this._session = options.session;
         this._onRoomChange = this._onRoomChange.bind(this);
         this._room.on("change", this._onRoomChange);
     }
@@ -73,6 +75,21 @@ export class RoomDetailsViewModel extends ViewModel {
         return this.name;
     }
 
+    /** the device trust policy set for this room, or undefined if it follows the one of the session */
+    get deviceTrustPolicy() {
+        return this._session.getRoomDeviceTrustPolicy(this.roomId);
+    }
+
+    get deviceTrustPolicyOptions() {
+        const sessionPolicy = deviceTrustPolicyOptions(this).find(o => o.value === this._session.deviceTrustPolicy);
+        return [{value: undefined, label: this.i18n`Default (${sessionPolicy?.label})`}].concat(deviceTrustPolicyOptions(this));
+    }
+
+    async setDeviceTrustPolicy(policy) {
+        await this._session.setDeviceTrustPolicy(policy, this.roomId);
+        this.emitChange("deviceTrustPolicy");
+    }
+
     _onRoomChange() {
         this.emitChange();
     }
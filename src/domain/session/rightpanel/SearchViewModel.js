@@ -0,0 +1,188 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+import {tileClassForEntry as defaultTileClassForEntry} from "../room/timeline/tiles/index";
+import {pathWithEvent} from "../../navigation/index";
+
+export class SearchViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {session, room, term, tileClassForEntry} = options;
+        this._session = session;
+        this._room = room;
+        this._term = term;
+        this._tileClassForEntry = tileClassForEntry ?? defaultTileClassForEntry;
+        this._isGlobal = false;
+        this._results = null;
+        this._count = 0;
+        this._nextBatch = null;
+        this._isLoading = false;
+        this._error = null;
+        this._search();
+    }
+
+    get type() { return "search"; }
+
+    get shouldShowBackButton() { return false; }
+
+    get term() { return this._term; }
+
+    /** whether all rooms are searched rather than only the current one */
+    get isGlobal() { return this._isGlobal; }
+
+    /** null while the first page is loading */
+    get results() { return this._results; }
+
+    get count() { return this._count; }
+
+    get isLoading() { return this._isLoading; }
+
+    get canLoadMore() { return !!this._nextBatch && !this._isLoading; }
+
+    get error() { return this._error?.message; }
+
+    setGlobal(isGlobal) {
+        if (isGlobal === this._isGlobal) {
+            return;
+        }
+        this._isGlobal = isGlobal;
+        this._search();
+    }
+
+    loadMore() {
+        if (this.canLoadMore) {
+            this._loadPage();
+        }
+    }
+
+    _search() {
+        this._disposeResults();
+        this._results = null;
+        this._count = 0;
+        this._nextBatch = null;
+        this.emitChange("results");
+        this._loadPage();
+    }
+
+    async _loadPage() {
+        const isGlobal = this._isGlobal;
+        this._isLoading = true;
+        this._error = null;
+        this.emitChange("isLoading");
+        try {
+            const {count, nextBatch, results} = await this._session.search(this._term, {
+                roomId: isGlobal ? undefined : this._room.id,
+                nextBatch: this._nextBatch ?? undefined,
+            });
+            // the scope changed while searching
+            if (this.isDisposed || isGlobal !== this._isGlobal) {
+                return;
+            }
+            this._count = count;
+            this._nextBatch = nextBatch;
+            const resultVMs = results.map(result => {
+                // we can only show results from rooms we are in
+                const room = this._session.rooms.get(result.roomId);
+                if (room) {
+                    return new SearchResultViewModel(this.childOptions({
+                        result,
+                        room,
+                        ownUserId: this._session.userId,
+                        term: this._term,
+                        tileClassForEntry: this._tileClassForEntry,
+                    }));
+                }
+            }).filter(vm => !!vm);
+            this._results = (this._results ?? []).concat(resultVMs);
+        } catch (err) {
+            if (isGlobal !== this._isGlobal) {
+                return;
+            }
+            console.error(`session.search(): ${err.message}:\n${err.stack}`);
+            this._error = err;
+        }
+        this._isLoading = false;
+        this.emitChange("results");
+    }
+
+    _disposeResults() {
+        this._results?.forEach(vm => vm.dispose());
+    }
+
+    dispose() {
+        super.dispose();
+        this._disposeResults();
+    }
+}
+
+/**
+ * A search result with the messages around it, shown as non-interactive tiles.
+ * Takes the place of the RoomViewModel for the tiles, which are not part of a timeline.
+ */
+class SearchResultViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {result, room, ownUserId, term, tileClassForEntry} = options;
+        this._result = result;
+        this._room = room;
+        this._term = term;
+        const tileOptions = this.childOptions({
+            roomVM: this,
+            // tiles only need to know who we are to render,
+            // as they are not interactive there are no power levels needed
+            timeline: {me: {userId: ownUserId}, powerLevels: null},
+            tileClassForEntry,
+        });
+        const createTile = entry => {
+            const Tile = tileClassForEntry(entry);
+            return Tile ? this.track(new Tile(entry, tileOptions)) : null;
+        };
+        this._tiles = [
+            ...result.contextBefore.map(createTile),
+            createTile(result.entry),
+            ...result.contextAfter.map(createTile),
+        ].filter(tile => !!tile);
+        this._resultTile = this._tiles.find(tile => tile.eventId === result.entry.id);
+    }
+
+    get kind() { return "search"; }
+
+    get room() { return this._room; }
+
+    get roomName() { return this._room.name || this.i18n`Empty Room`; }
+
+    get tiles() { return this._tiles; }
+
+    isResult(tile) { return tile === this._resultTile; }
+
+    /** shows the result in the timeline of its room, while keeping the search results open */
+    open() {
+        this.jumpToEvent(this._result.entry.id);
+    }
+
+    jumpToEvent(eventId) {
+        let path = this.navigation.path.with(this.navigation.segment("room", this._room.id));
+        path = path.with(this.navigation.segment("right-panel", true));
+        path = path.with(this.navigation.segment("search", this._term));
+        this.navigation.applyPath(pathWithEvent(path, eventId));
+    }
+
+    // tiles are not interactive, so can't be replied to or edited
+    startReply() {}
+
+    startEdit() {}
+}
@@ -0,0 +1,85 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+
+export class ThreadListViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        this._room = options.room;
+        this._threads = null;
+        this._nextBatch = null;
+        this._isLoading = false;
+        this._error = null;
+        this.loadMore();
+    }
+
+    get type() { return "thread-list"; }
+
+    get shouldShowBackButton() { return true; }
+
+    get previousSegmentName() { return "details"; }
+
+    /** null while the first page is loading */
+    get threads() { return this._threads; }
+
+    get isLoading() { return this._isLoading; }
+
+    get canLoadMore() { return !!this._nextBatch && !this._isLoading; }
+
+    get error() { return this._error?.message; }
+
+    async loadMore() {
+        if (this._isLoading || (this._threads && !this._nextBatch)) {
+            return;
+        }
+        this._isLoading = true;
+        this._error = null;
+        this.emitChange("isLoading");
+        try {
+            const {entries, nextBatch} = await this._room.fetchThreads(this._nextBatch ?? undefined);
+            if (this.isDisposed) {
+                return;
+            }
+            this._nextBatch = nextBatch;
+            this._threads = (this._threads ?? []).concat(entries.map(entry => this._threadFromEntry(entry)));
+        } catch (err) {
+            this._error = err;
+            this._threads = this._threads ?? [];
+        }
+        this._isLoading = false;
+        this.emitChange("threads");
+    }
+
+    _threadFromEntry(entry) {
+        const latestEntry = entry.threadLatestEntry;
+        return {
+            id: entry.id,
+            sender: entry.displayName || entry.sender,
+            body: this._bodyOf(entry),
+            replyCount: entry.threadSummary?.count ?? 0,
+            latestReply: latestEntry ? `${latestEntry.displayName || latestEntry.sender}: ${this._bodyOf(latestEntry)}` : null,
+            link: `${this.urlRouter.urlUntilSegment("room")}/thread/${encodeURIComponent(entry.id)}`,
+        };
+    }
+
+    _bodyOf(entry) {
+        if (entry.eventType === "m.room.encrypted") {
+            return this.i18n`Encrypted message`;
+        }
+        return entry.content?.body ?? "";
+    }
+}
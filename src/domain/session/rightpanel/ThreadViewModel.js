@@ -0,0 +1,158 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+import {TimelineViewModel} from "../room/timeline/TimelineViewModel.js";
+import {ComposerViewModel} from "../room/ComposerViewModel.js";
+import {tileClassForEntry as defaultTileClassForEntry} from "../room/timeline/tiles/index";
+import {pathWithEvent} from "../../navigation/index";
+import {createThreadReply} from "../../../matrix/room/timeline/relations.js";
+import {markdownToHTML} from "../room/markdown.js";
+import {createMentions} from "../room/mentions.js";
+
+/**
+ * Shows the timeline of a thread, with a composer to reply in the thread.
+ * Takes the place of the RoomViewModel for the tiles and the composer of the thread.
+ */
+export class ThreadViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {room, rootId, tileClassForEntry} = options;
+        this._room = room;
+        this._rootId = rootId;
+        this._tileClassForEntry = tileClassForEntry ?? defaultTileClassForEntry;
+        this._timeline = null;
+        this._tileOptions = null;
+        this._timelineVM = null;
+        this._composerVM = null;
+        this._error = null;
+        this._load();
+    }
+
+    async _load() {
+        try {
+            const timeline = await this._room.openThreadTimeline(this._rootId);
+            if (this.isDisposed) {
+                timeline.dispose();
+                return;
+            }
+            this._timeline = timeline;
+            const rootId = this._rootId;
+            const tileClassForEntry = this._tileClassForEntry;
+            this._tileOptions = this.childOptions({
+                roomVM: this,
+                timeline,
+                // pending events of the room are in the thread timeline as well
+                tileClassForEntry: entry => {
+                    if (entry.id === rootId || (entry.isThreadReply && entry.relatedEventId === rootId)) {
+                        return tileClassForEntry(entry);
+                    }
+                    return undefined;
+                },
+            });
+            this._timelineVM = this.track(new TimelineViewModel(this.childOptions({
+                tileOptions: this._tileOptions,
+                timeline,
+            })));
+            if (!this._room.isArchived && timeline.powerLevels?.canSendType("m.room.message")) {
+                this._composerVM = this.track(new ComposerViewModel(this));
+            }
+            this.emitChange("timelineViewModel");
+        } catch (err) {
+            console.error(`room.openThreadTimeline(): ${err.message}:\n${err.stack}`);
+            this._error = err;
+            this.emitChange("error");
+        }
+    }
+
+    get type() { return "thread"; }
+
+    get kind() { return "thread"; }
+
+    get shouldShowBackButton() { return true; }
+
+    get previousSegmentName() { return "threads"; }
+
+    get timelineViewModel() { return this._timelineVM; }
+
+    get composerViewModel() { return this._composerVM; }
+
+    get error() { return this._error?.message; }
+
+    get room() { return this._room; }
+
+    get isEncrypted() { return this._room.isEncrypted; }
+
+    get canSendAttachments() { return false; }
+
+    _createTile(entry) {
+        if (this._tileOptions) {
+            const Tile = this._tileOptions.tileClassForEntry(entry);
+            if (Tile) {
+                return new Tile(entry, this._tileOptions);
+            }
+        }
+    }
+
+    startReply(entry) {
+        this._composerVM?.setReplyingTo(entry);
+    }
+
+    startEdit(entry) {
+        this._composerVM?.setEditing(entry);
+    }
+
+    /** shows the event in the timeline of the room, next to the thread */
+    jumpToEvent(eventId) {
+        this.navigation.applyPath(pathWithEvent(this.navigation.path, eventId));
+    }
+
+    async _sendMessage(message, replyingTo, editing, pills = []) {
+        if (!message) {
+            return false;
+        }
+        try {
+            const msgtype = "m.text";
+            const formattedBody = markdownToHTML(message, pills);
+            const replyToUserId = replyingTo && !replyingTo.isOwn ? replyingTo.sender : null;
+            const mentions = createMentions(message, pills, replyToUserId);
+            if (editing) {
+                await editing.edit(msgtype, message, formattedBody, mentions);
+            } else {
+                const remoteEntries = this._timeline.remoteEntries;
+                const latestEventId = remoteEntries[remoteEntries.length - 1]?.id ?? this._rootId;
+                const messageContent = {msgtype, body: message, "m.mentions": mentions};
+                if (formattedBody) {
+                    messageContent.format = "org.matrix.custom.html";
+                    messageContent.formatted_body = formattedBody;
+                }
+                const content = createThreadReply(this._rootId, latestEventId, messageContent);
+                if (replyingTo) {
+                    // a real reply within the thread, not the fallback for clients without thread support
+                    content["m.relates_to"]["is_falling_back"] = false;
+                    content["m.relates_to"]["m.in_reply_to"].event_id = replyingTo.eventId;
+                }
+                await this._room.sendEvent("m.room.message", content);
+            }
+        } catch (err) {
+            console.error(`room.sendEvent(): ${err.message}:\n${err.stack}`);
+            this._error = err;
+            this.emitChange("error");
+            return false;
+        }
+        return true;
+    }
+}
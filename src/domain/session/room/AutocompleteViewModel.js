@@ -0,0 +1,387 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+import {avatarInitials, getIdentifierColorNumber, getAvatarHttpUrl} from "../../avatar";
+import {findAutocompleteQuery, permalinkFor, ROOM_MENTION} from "./mentions.js";
+
+const MAX_CANDIDATES = 8;
+
+/**
+ * lower is better, null if there is no match
+ * @param {string} query lowercase
+ * @param {string} name
+ * @param {string} id the user id or alias, without sigil
+ */
+function matchScore(query, name, id) {
+    const lcName = name.toLowerCase();
+    if (lcName.startsWith(query)) {
+        return 0;
+    }
+    if (id.toLowerCase().startsWith(query)) {
+        return 1;
+    }
+    if (lcName.split(/\s+/).some(word => word.startsWith(query))) {
+        return 2;
+    }
+    return null;
+}
+
+function compareCandidates(a, b) {
+    return a.score - b.score || a.name.localeCompare(b.name);
+}
+
+/**
+ * Keeps the best candidates sorted in a short array,
+ * so we don't need to sort all members of a large room on every key press.
+ */
+function insertCandidate(candidates, candidate) {
+    if (candidates.length === MAX_CANDIDATES && compareCandidates(candidate, candidates[MAX_CANDIDATES - 1]) >= 0) {
+        return;
+    }
+    let index = candidates.findIndex(c => compareCandidates(candidate, c) < 0);
+    if (index === -1) {
+        index = candidates.length;
+    }
+    candidates.splice(index, 0, candidate);
+    if (candidates.length > MAX_CANDIDATES) {
+        candidates.pop();
+    }
+}
+
+export class AutocompleteViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {room, session} = options;
+        this._room = room;
+        this._session = session;
+        this._query = null;
+        this._candidates = [];
+        this._selectedIndex = 0;
+        this._memberList = null;
+        this._memberListPromise = null;
+        // how many joined members have a given name, to disambiguate them
+        this._nameCounts = null;
+        this._powerLevelsObservable = null;
+    }
+
+    get isOpen() {
+        return this._candidates.length !== 0;
+    }
+
+    get candidates() {
+        return this._candidates;
+    }
+
+    get selectedIndex() {
+        return this._selectedIndex;
+    }
+
+    /**
+     * Looks for a @user or #room being typed before the cursor, called on every change of the composer.
+     * The member list is only loaded once somebody is mentioned for the first time.
+     */
+    update(text, cursor) {
+        this._query = findAutocompleteQuery(text, cursor);
+        if (this._query?.trigger === "@" && !this._memberList) {
+            this._loadMembers();
+        }
+        this._search();
+    }
+
+    close() {
+        this._query = null;
+        this._search();
+    }
+
+    selectNext() {
+        this._select((this._selectedIndex + 1) % this._candidates.length);
+    }
+
+    selectPrevious() {
+        this._select((this._selectedIndex - 1 + this._candidates.length) % this._candidates.length);
+    }
+
+    _select(index) {
+        if (this.isOpen && index !== this._selectedIndex) {
+            this._selectedIndex = index;
+            this.emitChange("selectedIndex");
+        }
+    }
+
+    /**
+     * Replaces the query in the text with the picked candidate.
+     * @return {{text: string, cursor: number, pill: import("./mentions.js").Pill}?}
+     */
+    complete(text, index = this._selectedIndex) {
+        const candidate = this._candidates[index];
+        const query = this._query;
+        if (!candidate || !query) {
+            return null;
+        }
+        const {pill} = candidate;
+        const insertion = `${pill.text} `;
+        const rest = text.slice(query.end).replace(/^ /, "");
+        const completion = {
+            text: text.slice(0, query.start) + insertion + rest,
+            cursor: query.start + insertion.length,
+            pill,
+        };
+        this.close();
+        return completion;
+    }
+
+    async _loadMembers() {
+        if (this._memberListPromise) {
+            return;
+        }
+        this._memberListPromise = (async () => {
+            try {
+                const memberList = await this._room.loadMemberList();
+                if (this.isDisposed) {
+                    memberList.release();
+                    return;
+                }
+                this._memberList = memberList;
+                this.track(() => memberList.release());
+                const resetNameCounts = () => { this._nameCounts = null; };
+                this.track(memberList.members.subscribe({
+                    onReset: resetNameCounts,
+                    onAdd: resetNameCounts,
+                    onUpdate: resetNameCounts,
+                    onRemove: resetNameCounts,
+                }));
+                const powerLevelsObservable = await this._room.observePowerLevels();
+                if (this.isDisposed) {
+                    return;
+                }
+                // subscribing retains the power levels until we are disposed
+                this.track(powerLevelsObservable.subscribe(() => this._search()));
+                this._powerLevelsObservable = powerLevelsObservable;
+                this._search();
+            } catch (err) {
+                console.error(`could not load members for autocomplete: ${err.message}`);
+            } finally {
+                this._memberListPromise = null;
+            }
+        })();
+    }
+
+    _search() {
+        const query = this._query;
+        let candidates = [];
+        if (query?.trigger === "@") {
+            candidates = this._searchMembers(query.query.toLowerCase());
+        } else if (query?.trigger === "#") {
+            candidates = this._searchRooms(query.query.toLowerCase());
+        }
+        const hadCandidates = this._candidates.length !== 0;
+        this._candidates = candidates;
+        this._selectedIndex = 0;
+        if (hadCandidates || candidates.length !== 0) {
+            this.emitChange("candidates");
+        }
+    }
+
+    _getNameCounts() {
+        if (!this._nameCounts) {
+            this._nameCounts = new Map();
+            for (const member of this._memberList.members.values()) {
+                if (member.membership === "join") {
+                    this._nameCounts.set(member.name, (this._nameCounts.get(member.name) ?? 0) + 1);
+                }
+            }
+        }
+        return this._nameCounts;
+    }
+
+    _searchMembers(query) {
+        if (!this._memberList) {
+            return [];
+        }
+        const candidates = [];
+        if (this._powerLevelsObservable?.get().canMentionRoom && ROOM_MENTION.slice(1).startsWith(query)) {
+            candidates.push(this._createRoomMentionCandidate());
+        }
+        const nameCounts = this._getNameCounts();
+        const members = [];
+        for (const member of this._memberList.members.values()) {
+            if (member.membership !== "join") {
+                continue;
+            }
+            const score = matchScore(query, member.name, member.userId.slice(1));
+            if (score !== null) {
+                insertCandidate(members, {score, name: member.name, member});
+            }
+        }
+        for (const {member} of members) {
+            candidates.push(this._createMemberCandidate(member, nameCounts.get(member.name) > 1));
+        }
+        return candidates.slice(0, MAX_CANDIDATES);
+    }
+
+    _createMemberCandidate(member, isAmbiguous) {
+        const {userId} = member;
+        const mediaRepository = this._room.mediaRepository;
+        return {
+            name: isAmbiguous ? `${member.name} (${userId})` : member.name,
+            description: isAmbiguous || member.name === userId ? null : userId,
+            avatarLetter: avatarInitials(member.name),
+            avatarColorNumber: getIdentifierColorNumber(userId),
+            avatarUrl: size => getAvatarHttpUrl(member.avatarUrl, size, this.platform, mediaRepository),
+            avatarTitle: member.name,
+            // the name would be confusing in the message if others have the same name
+            pill: {text: isAmbiguous ? userId : member.name, href: permalinkFor(userId), userId},
+        };
+    }
+
+    _createRoomMentionCandidate() {
+        const room = this._room;
+        return {
+            name: ROOM_MENTION,
+            description: this.i18n`Notify everyone in the room`,
+            avatarLetter: "@",
+            avatarColorNumber: getIdentifierColorNumber(room.id),
+            avatarUrl: size => getAvatarHttpUrl(room.avatarUrl, size, this.platform, room.mediaRepository),
+            avatarTitle: room.name,
+            pill: {text: ROOM_MENTION, href: null, isRoomMention: true},
+        };
+    }
+
+    _searchRooms(query) {
+        const rooms = this._session?.rooms;
+        if (!rooms) {
+            return [];
+        }
+        const matches = [];
+        for (const room of rooms.values()) {
+            const alias = room.canonicalAlias;
+            if (!alias) {
+                continue;
+            }
+            const name = room.name || alias;
+            const score = matchScore(query, name, alias.slice(1));
+            if (score !== null) {
+                insertCandidate(matches, {score, name, room});
+            }
+        }
+        return matches.map(({name, room}) => {
+            const alias = room.canonicalAlias;
+            return {
+                name,
+                description: name !== alias ? alias : null,
+                avatarLetter: avatarInitials(name),
+                avatarColorNumber: getIdentifierColorNumber(room.id),
+                avatarUrl: size => getAvatarHttpUrl(room.avatarUrl, size, this.platform, room.mediaRepository),
+                avatarTitle: name,
+                pill: {text: alias, href: permalinkFor(alias)},
+            };
+        });
+    }
+}
+
+import {ObservableMap} from "../../../observable";
+import {RetainedObservableValue} from "../../../observable/ObservableValue";
+
+export function tests() {
+    function createMember(userId, name) {
+        return {userId, name: name ?? userId, membership: "join", avatarUrl: null};
+    }
+
+    function createViewModel(members, {canMentionRoom = false, rooms = [], onPowerLevelsReleased} = {}) {
+        const memberMap = new ObservableMap();
+        for (const member of members) {
+            memberMap.add(member.userId, member);
+        }
+        const room = {
+            id: "!room:hs.tld",
+            name: "Room",
+            mediaRepository: null,
+            loadMemberList: async () => ({members: memberMap, release() {}}),
+            observePowerLevels: async () => powerLevels,
+        };
+        const powerLevels = new RetainedObservableValue({canMentionRoom}, () => onPowerLevelsReleased?.());
+        const session = {rooms: new ObservableMap(rooms.map(r => [r.id, r]))};
+        return new AutocompleteViewModel({room, session, platform: {}});
+    }
+
+    async function updated(vm, text) {
+        vm.update(text, text.length);
+        await vm._memberListPromise;
+    }
+
+    return {
+        "members are matched on name and user id, names are disambiguated": async assert => {
+            const vm = createViewModel([
+                createMember("@bob:hs.tld", "Bob"),
+                createMember("@bob2:hs.tld", "Bob"),
+                createMember("@alice:hs.tld", "Alice Bobson"),
+                createMember("@robert:hs.tld", "Robert"),
+                {...createMember("@bobby:hs.tld", "Bobby"), membership: "leave"},
+            ]);
+            await updated(vm, "hi @bo");
+            assert.deepEqual(vm.candidates.map(c => c.name), ["Bob (@bob:hs.tld)", "Bob (@bob2:hs.tld)", "Alice Bobson"]);
+            await updated(vm, "hi @rob");
+            assert.deepEqual(vm.candidates.map(c => c.name), ["Robert"]);
+            assert.equal(vm.candidates[0].description, "@robert:hs.tld");
+        },
+        "only the best candidates are kept in large rooms": async assert => {
+            const members = [];
+            for (let i = 2000; i > 0; i -= 1) {
+                members.push(createMember(`@user${i}:hs.tld`, `User ${i}`));
+            }
+            const vm = createViewModel(members);
+            await updated(vm, "@user1");
+            assert.equal(vm.candidates.length, MAX_CANDIDATES);
+            assert.deepEqual(vm.candidates.slice(0, 3).map(c => c.name), ["User 1", "User 10", "User 100"]);
+        },
+        "completing replaces the query and returns the pill": async assert => {
+            const vm = createViewModel([createMember("@bob:hs.tld", "Bob"), createMember("@bea:hs.tld", "Bea")]);
+            await updated(vm, "hi @b");
+            vm.selectNext();
+            const completion = vm.complete("hi @b");
+            assert.equal(completion.text, "hi Bob ");
+            assert.equal(completion.cursor, 7);
+            assert.deepEqual(completion.pill, {text: "Bob", href: "https://matrix.to/#/@bob:hs.tld", userId: "@bob:hs.tld"});
+            assert.equal(vm.isOpen, false);
+        },
+        "@room is only offered with enough power": async assert => {
+            let vm = createViewModel([createMember("@rosa:hs.tld", "Rosa")], {canMentionRoom: true});
+            await updated(vm, "@ro");
+            assert.deepEqual(vm.candidates.map(c => c.name), ["@room", "Rosa"]);
+            vm = createViewModel([createMember("@rosa:hs.tld", "Rosa")]);
+            await updated(vm, "@ro");
+            assert.deepEqual(vm.candidates.map(c => c.name), ["Rosa"]);
+        },
+        "power levels are retained until disposed": async assert => {
+            let released = false;
+            const vm = createViewModel([createMember("@rosa:hs.tld", "Rosa")], {onPowerLevelsReleased: () => released = true});
+            await updated(vm, "@ro");
+            assert.equal(released, false);
+            vm.dispose();
+            assert.equal(released, true);
+        },
+        "rooms are matched on their alias": async assert => {
+            const vm = createViewModel([], {rooms: [
+                {id: "!a", name: "Hydrogen", canonicalAlias: "#hydrogen:hs.tld"},
+                {id: "!b", name: "Other", canonicalAlias: null},
+            ]});
+            await updated(vm, "#hyd");
+            assert.deepEqual(vm.candidates.map(c => c.pill.text), ["#hydrogen:hs.tld"]);
+            assert.equal(vm.complete("#hyd").text, "#hydrogen:hs.tld ");
+        },
+    };
+}
@@ -15,6 +15,14 @@ limitations under the License.
 */
 
 import {ViewModel} from "../../ViewModel";
+import {TypingNotifier} from "./TypingNotifier.js";
+import {CreatePollViewModel} from "./CreatePollViewModel.js";
+import {StickerPickerViewModel} from "./StickerPickerViewModel.js";
+import {AutocompleteViewModel} from "./AutocompleteViewModel.js";
+import {formatDuration} from "../../../utils/formatDuration";
+
+// how often the duration of a voice recording is updated
+const RECORDING_UPDATE_INTERVAL = 200;
 
 export class ComposerViewModel extends ViewModel {
     constructor(roomVM) {
@@ -22,6 +30,19 @@ export class ComposerViewModel extends ViewModel {
         this._roomVM = roomVM;
         this._isEmpty = true;
         this._replyVM = null;
+        this._editVM = null;
+        this._createPollVM = null;
+        this._stickerPickerVM = null;
+        this._recording = null;
+        this._isStartingRecording = false;
+        this._recordingInterval = null;
+        this._typingNotifier = this.track(new TypingNotifier(roomVM._room, this.clock));
+        this._autocompleteVM = this.track(new AutocompleteViewModel(this.childOptions({
+            room: roomVM._room,
+            session: this._options.client?.session,
+        })));
+        // mentions picked from the autocomplete, sent as pills if still in the message
+        this._pills = [];
     }
 
     setReplyingTo(entry) {
@@ -29,6 +50,7 @@ export class ComposerViewModel extends ViewModel {
         if (changed) {
             this._replyVM = this.disposeTracked(this._replyVM);
             if (entry) {
+                this.clearEditing();
                 this._replyVM = this.track(this._roomVM._createTile(entry));
                 this._replyVM.notifyVisible();
             }
@@ -45,20 +67,79 @@ export class ComposerViewModel extends ViewModel {
         return this._replyVM;
     }
 
+    setEditing(entry) {
+        const changed = !!entry !== !!this._editVM || (entry && !this._editVM.id.equals(entry.asEventKey()));
+        if (changed) {
+            this._editVM = this.disposeTracked(this._editVM);
+            if (entry) {
+                this.clearReplyingTo();
+                this._editVM = this.track(this._roomVM._createTile(entry));
+                this._editVM.notifyVisible();
+            }
+            const text = this._editVM?.editableBody ?? "";
+            this.setInput(text);
+            // let the view put the text of the edited message in the composer
+            this.emit("setInput", text);
+            this.emitChange("editViewModel");
+            this.emit("focus");
+        }
+    }
+
+    clearEditing() {
+        this.setEditing(null);
+    }
+
+    get editViewModel() {
+        return this._editVM;
+    }
+
     get isEncrypted() {
         return this._roomVM.isEncrypted;
     }
 
+    get autocompleteViewModel() {
+        return this._autocompleteVM;
+    }
+
+    /** called when the text or the cursor in the composer changes */
+    updateAutocomplete(text, cursor) {
+        this._autocompleteVM.update(text, cursor);
+    }
+
+    /**
+     * Puts the picked candidate of the autocomplete in the text
+     * @return {{text: string, cursor: number}?} the new text of the composer, and where to put the cursor
+     */
+    completeMention(text, index) {
+        const completion = this._autocompleteVM.complete(text, index);
+        if (!completion) {
+            return null;
+        }
+        const {pill} = completion;
+        this._pills = this._pills.filter(p => p.text !== pill.text);
+        this._pills.push(pill);
+        this.setInput(completion.text);
+        return completion;
+    }
+
     async sendMessage(message) {
-        const success = await this._roomVM._sendMessage(message, this._replyVM);
+        this._autocompleteVM.close();
+        const success = await this._roomVM._sendMessage(message, this._replyVM, this._editVM, this._pills);
         if (success) {
+            this._pills = [];
+            this._typingNotifier.stop();
             this._isEmpty = true;
             this.emitChange("canSend");
             this.clearReplyingTo();
+            this.clearEditing();
         }
         return success;
     }
 
+    get canSendAttachments() {
+        return this._roomVM.canSendAttachments;
+    }
+
     sendPicture() {
         this._roomVM._pickAndSendPicture();
     }
@@ -71,6 +152,111 @@ export class ComposerViewModel extends ViewModel {
         this._roomVM._pickAndSendVideo();
     }
 
+    openPollCreator() {
+        if (!this._createPollVM) {
+            this._createPollVM = this.track(new CreatePollViewModel(this.childOptions({
+                sendPoll: (question, answers, isUndisclosed) => this._roomVM._sendPoll(question, answers, isUndisclosed),
+                onClose: () => this.closePollCreator(),
+            })));
+            this.emitChange("createPollViewModel");
+        }
+    }
+
+    closePollCreator() {
+        if (this._createPollVM) {
+            this._createPollVM = this.disposeTracked(this._createPollVM);
+            this.emitChange("createPollViewModel");
+            this.emit("focus");
+        }
+    }
+
+    get createPollViewModel() {
+        return this._createPollVM;
+    }
+
+    openStickerPicker() {
+        if (!this._stickerPickerVM) {
+            this._stickerPickerVM = this.track(new StickerPickerViewModel(this.childOptions({
+                room: this._roomVM._room,
+                sendSticker: sticker => this._roomVM._sendSticker(sticker),
+                onClose: () => this.closeStickerPicker(),
+            })));
+            this.emitChange("stickerPickerViewModel");
+        }
+    }
+
+    closeStickerPicker() {
+        if (this._stickerPickerVM) {
+            this._stickerPickerVM = this.disposeTracked(this._stickerPickerVM);
+            this.emitChange("stickerPickerViewModel");
+            this.emit("focus");
+        }
+    }
+
+    get stickerPickerViewModel() {
+        return this._stickerPickerVM;
+    }
+
+    get canRecordVoice() {
+        return this.canSendAttachments && this.platform.canRecordAudio;
+    }
+
+    get isRecording() {
+        return !!this._recording;
+    }
+
+    get recordingDuration() {
+        return formatDuration(this._recording?.duration ?? 0);
+    }
+
+    /** between 0 and 1, to show the user the microphone is picking something up */
+    get recordingAmplitude() {
+        return this._recording?.amplitude ?? 0;
+    }
+
+    async startVoiceRecording() {
+        if (this._recording || this._isStartingRecording) {
+            return;
+        }
+        this._isStartingRecording = true;
+        const recording = await this._roomVM._startVoiceRecording();
+        this._isStartingRecording = false;
+        if (!recording) {
+            return;
+        }
+        if (this.isDisposed) {
+            recording.cancel();
+            return;
+        }
+        this._recording = recording;
+        this._recordingInterval = this.track(this.clock.createInterval(() => {
+            this.emitChange("recordingDuration");
+        }, RECORDING_UPDATE_INTERVAL));
+        this.emitChange("isRecording");
+    }
+
+    async sendVoiceRecording() {
+        const recording = this._endRecording();
+        if (recording) {
+            await this._roomVM._sendVoiceMessage(recording);
+        }
+    }
+
+    cancelVoiceRecording() {
+        this._endRecording()?.cancel();
+    }
+
+    _endRecording() {
+        const recording = this._recording;
+        if (recording) {
+            this._recording = null;
+            this._recordingInterval = this.disposeTracked(this._recordingInterval);
+            this.emitChange("isRecording");
+            this.emit("focus");
+        }
+        return recording;
+    }
+
     get canSend() {
         return !this._isEmpty;
     }
@@ -78,12 +264,23 @@ export class ComposerViewModel extends ViewModel {
     async setInput(text) {
         const wasEmpty = this._isEmpty;
         this._isEmpty = text.length === 0;
+        if (this._isEmpty) {
+            this._pills = [];
+        }
         if (wasEmpty && !this._isEmpty) {
             this._roomVM._room.ensureMessageKeyIsShared();
         }
         if (wasEmpty !== this._isEmpty) {
             this.emitChange("canSend");
         }
+        this._typingNotifier.onInput(this._isEmpty);
+    }
+
+    dispose() {
+        // stop using the microphone when leaving the room
+        this._recording?.cancel();
+        this._recording = null;
+        super.dispose();
     }
 
     get kind() {
@@ -0,0 +1,159 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+import {MAX_POLL_ANSWERS} from "../../../matrix/room/timeline/poll.js";
+
+const MIN_POLL_ANSWERS = 2;
+
+/** The dialog to create a poll, opened from the composer */
+export class CreatePollViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {sendPoll, onClose} = options;
+        this._sendPoll = sendPoll;
+        this._onClose = onClose;
+        this._question = "";
+        this._answers = new Array(MIN_POLL_ANSWERS).fill("");
+        this._isUndisclosed = false;
+        this._isCreating = false;
+        this._error = null;
+    }
+
+    get question() {
+        return this._question;
+    }
+
+    setQuestion(question) {
+        this._question = question;
+        this.emitChange("canCreate");
+    }
+
+    get answers() {
+        return this._answers;
+    }
+
+    setAnswer(idx, answer) {
+        this._answers[idx] = answer;
+        this.emitChange("canCreate");
+    }
+
+    get canAddAnswer() {
+        return this._answers.length < MAX_POLL_ANSWERS;
+    }
+
+    addAnswer() {
+        if (this.canAddAnswer) {
+            this._answers = this._answers.concat("");
+            this.emitChange("answers");
+        }
+    }
+
+    get canRemoveAnswer() {
+        return this._answers.length > MIN_POLL_ANSWERS;
+    }
+
+    removeAnswer(idx) {
+        if (this.canRemoveAnswer) {
+            this._answers = this._answers.filter((a, i) => i !== idx);
+            this.emitChange("answers");
+        }
+    }
+
+    /** whether the results are only shown once the poll has ended */
+    get isUndisclosed() {
+        return this._isUndisclosed;
+    }
+
+    setUndisclosed(isUndisclosed) {
+        this._isUndisclosed = isUndisclosed;
+        this.emitChange("isUndisclosed");
+    }
+
+    get _filledInAnswers() {
+        return this._answers.map(a => a.trim()).filter(a => a.length !== 0);
+    }
+
+    get canCreate() {
+        return !this._isCreating &&
+            this._question.trim().length !== 0 &&
+            this._filledInAnswers.length >= MIN_POLL_ANSWERS;
+    }
+
+    get error() {
+        return this._error?.message;
+    }
+
+    async create() {
+        if (!this.canCreate) {
+            return;
+        }
+        this._isCreating = true;
+        this._error = null;
+        this.emitChange("canCreate");
+        try {
+            await this._sendPoll(this._question.trim(), this._filledInAnswers, this._isUndisclosed);
+        } catch (err) {
+            this._error = err;
+            this._isCreating = false;
+            this.emitChange("error");
+            return;
+        }
+        this._onClose();
+    }
+
+    cancel() {
+        this._onClose();
+    }
+}
+
+export function tests() {
+    function createViewModel(sent) {
+        let closed = false;
+        const vm = new CreatePollViewModel({
+            sendPoll: async (question, answers, isUndisclosed) => { sent.push({question, answers, isUndisclosed}); },
+            onClose: () => { closed = true; },
+        });
+        return {vm, isClosed: () => closed};
+    }
+
+    return {
+        "a poll needs a question and two answers": async assert => {
+            const sent = [];
+            const {vm, isClosed} = createViewModel(sent);
+            vm.setQuestion("Lunch?");
+            vm.setAnswer(0, "Pizza");
+            vm.setAnswer(1, "  ");
+            assert.equal(vm.canCreate, false);
+            vm.addAnswer();
+            vm.setAnswer(2, " Pasta ");
+            assert.equal(vm.canCreate, true);
+            vm.setUndisclosed(true);
+            await vm.create();
+            assert.deepEqual(sent, [{question: "Lunch?", answers: ["Pizza", "Pasta"], isUndisclosed: true}]);
+            assert.equal(isClosed(), true);
+        },
+        "can't have less than two answers": assert => {
+            const {vm} = createViewModel([]);
+            vm.removeAnswer(0);
+            assert.equal(vm.answers.length, 2);
+            vm.addAnswer();
+            vm.setAnswer(2, "c");
+            vm.removeAnswer(0);
+            assert.deepEqual(vm.answers, ["", "c"]);
+        },
+    };
+}
@@ -24,6 +24,13 @@ import {imageToInfo} from "../common.js";
 // this is a breaking SDK change though to make this option mandatory
 import {tileClassForEntry as defaultTileClassForEntry} from "./timeline/tiles/index";
 import {joinRoom} from "../../../matrix/room/joinRoom";
+import {ReceiptType} from "../../../matrix/room/ReadReceipts.js";
+import {createPollStart} from "../../../matrix/room/timeline/poll.js";
+import {createVoiceMessage} from "../../../matrix/room/timeline/audio.js";
+import {STICKER_TYPE, createStickerContent} from "../../../matrix/room/stickers.js";
+import {pathWithEvent} from "../../navigation/index";
+import {markdownToHTML} from "./markdown.js";
+import {createMentions} from "./mentions.js";
 
 export class RoomViewModel extends ViewModel {
     constructor(options) {
@@ -44,28 +51,126 @@ export class RoomViewModel extends ViewModel {
         }
         this._clearUnreadTimout = null;
         this._closeUrl = this.urlRouter.urlUntilSegment("session");
+        this._isOpeningTimeline = false;
+        // the "new messages" divider stays where the fully read marker was when the room was opened
+        this._readMarkerEventId = room.fullyReadEventId;
     }
 
     async load() {
         this._room.on("change", this._onRoomChange);
+        // archived rooms don't have typing notifications
+        if (this._room.typingMembers) {
+            const emitTyping = () => this.emitChange("typingMessage");
+            this.track(this._room.typingMembers.subscribe({
+                onReset: emitTyping,
+                onAdd: emitTyping,
+                onUpdate: emitTyping,
+                onRemove: emitTyping,
+                onMove: emitTyping,
+            }));
+        }
+        const eventSegment = this.navigation.observe("event");
+        this.track(eventSegment.subscribe(eventId => {
+            if (eventId && this._isFocusedRoom) {
+                this._showEvent(eventId);
+            }
+        }));
+        const eventId = this._isFocusedRoom ? eventSegment.get() : undefined;
+        // fall back to the live end, e.g. if the event can't be found
+        if (!await this._openTimeline(eventId) && eventId && !this.isDisposed) {
+            await this._openTimeline();
+        }
+        this._clearUnreadAfterDelay();
+    }
+
+    // in the grid, the event segment only applies to the focused room
+    get _isFocusedRoom() {
+        return this.navigation.path.get("room")?.value === this._room.id;
+    }
+
+    /**
+     * Opens the timeline at the live end, or around the given event
+     * @return {Promise<boolean>} whether the timeline could be opened
+     */
+    async _openTimeline(eventId = undefined) {
+        this._isOpeningTimeline = true;
         try {
-            const timeline = await this._room.openTimeline();
+            const timeline = eventId ?
+                await this._room.openTimelineAtEvent(eventId) :
+                await this._room.openTimeline();
+            if (this.isDisposed) {
+                timeline.dispose();
+                return false;
+            }
             this._tileOptions = this.childOptions({
                 roomVM: this,
                 timeline,
-                tileClassForEntry: this._tileClassForEntry,
+                // thread replies are shown in the thread view, the root tile has a summary of them
+                tileClassForEntry: entry => entry.isThreadReply ? undefined : this._tileClassForEntry(entry),
             });
             this._timelineVM = this.track(new TimelineViewModel(this.childOptions({
                 tileOptions: this._tileOptions,
                 timeline,
+                readMarkerEventId: this._readMarkerEventId,
             })));
             this.emitChange("timelineViewModel");
+            return true;
         } catch (err) {
             console.error(`room.openTimeline(): ${err.message}:\n${err.stack}`);
             this._timelineError = err;
             this.emitChange("error");
+            return false;
+        } finally {
+            this._isOpeningTimeline = false;
+        }
+    }
+
+    /** Shows the event in the timeline, and puts it in the url */
+    jumpToEvent(eventId) {
+        const path = this.navigation.path;
+        if (path.get("event")?.value === eventId) {
+            // the segment doesn't change, so the subscription in load won't show the event
+            this._showEvent(eventId);
+        } else {
+            this.navigation.applyPath(pathWithEvent(path, eventId));
+        }
+    }
+
+    async _showEvent(eventId) {
+        if (this._isOpeningTimeline) {
+            return;
+        }
+        if (this._timelineVM?.hasEvent(eventId)) {
+            this._timelineVM.highlightEvent(eventId);
+            return;
+        }
+        this._timelineVM = this.disposeTracked(this._timelineVM);
+        this.emitChange("timelineViewModel");
+        if (!await this._openTimeline(eventId) && !this.isDisposed) {
+            await this._openTimeline();
+        }
+    }
+
+    /** Moves the fully read marker of the room, called when the user scrolled past it */
+    async setFullyRead(eventId) {
+        if (!this._room.isArchived) {
+            await this._room.setFullyRead(eventId);
+        }
+    }
+
+    /** Reopens the timeline at the live end if it was opened at an event */
+    async jumpToLatest() {
+        if (this._isOpeningTimeline) {
+            return;
+        }
+        if (this.navigation.path.get("event")) {
+            this.navigation.applyPath(pathWithEvent(this.navigation.path));
+        }
+        if (this._timelineVM?.isAnchored) {
+            this._timelineVM = this.disposeTracked(this._timelineVM);
+            this.emitChange("timelineViewModel");
+            await this._openTimeline();
         }
-        this._clearUnreadAfterDelay();
     }
 
     async _recreateComposerOnPowerLevelChange() {
@@ -99,7 +204,8 @@ export class RoomViewModel extends ViewModel {
         this._clearUnreadTimout = this.clock.createTimeout(2000);
         try {
             await this._clearUnreadTimout.elapsed();
-            await this._room.clearUnread();
+            const sendPrivateReceipt = await this.platform.settingsStorage.getBool("sendPrivateReadReceipts");
+            await this._room.clearUnread(sendPrivateReceipt ? ReceiptType.ReadPrivate : ReceiptType.Read);
             this._clearUnreadTimout = null;
         } catch (err) {
             if (err.name !== "AbortError") {
@@ -133,12 +239,30 @@ export class RoomViewModel extends ViewModel {
     }
 
     get kind() { return "room"; }
+
+    get canSendAttachments() { return true; }
+
     get closeUrl() { return this._closeUrl; }
     get name() { return this._room.name || this.i18n`Empty Room`; }
     get id() { return this._room.id; }
     get timelineViewModel() { return this._timelineVM; }
     get isEncrypted() { return this._room.isEncrypted; }
 
+    /** @return {string | null} who else is typing a message in the room */
+    get typingMessage() {
+        const names = Array.from(this._room.typingMembers ?? [], member => member.name);
+        switch (names.length) {
+            case 0:
+                return null;
+            case 1:
+                return this.i18n`${names[0]} is typing…`;
+            case 2:
+                return this.i18n`${names[0]} and ${names[1]} are typing…`;
+            default:
+                return this.i18n`${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+        }
+    }
+
     get error() {
         if (this._timelineError) {
             return `Something went wrong loading the timeline: ${this._timelineError.message}`;
@@ -210,8 +334,19 @@ export class RoomViewModel extends ViewModel {
         }
     } 
 
+    async _processCommandInvite(userId) {
+        try {
+            await this._room.inviteUser(userId);
+        } catch (err) {
+            this._sendError = err;
+            this._timelineError = null;
+            this.emitChange("error");
+        }
+    }
+
     async _processCommand (message) {
         let msgtype;
+        let isMarkdown = true;
         const [commandName, ...args] = message.substring(1).split(" ");
         switch (commandName) {
             case "me":
@@ -228,9 +363,20 @@ export class RoomViewModel extends ViewModel {
                     this.emitChange("error");
                 }
                 break;
+            case "invite":
+                if (args.length === 1) {
+                    await this._processCommandInvite(args[0]);
+                } else {
+                    this._sendError = new Error("invite syntax: /invite <user-id>");
+                    this._timelineError = null;
+                    this.emitChange("error");
+                }
+                break;
             case "shrug":
                 message = "¯\\_(ツ)_/¯ " + args.join(" ");
                 msgtype = "m.text";
+                // the backslash would be taken as an escape
+                isMarkdown = false;
                 break;
             case "tableflip":
                 message = "(╯°□°）╯︵ ┻━┻ " + args.join(" ");
@@ -250,12 +396,17 @@ export class RoomViewModel extends ViewModel {
                 this.emitChange("error");
                 message = undefined;
        }
-       return {type: msgtype, message: message};
+       return {type: msgtype, message: message, isMarkdown};
    }
     
-    async _sendMessage(message, replyingTo) {
+    /**
+     * @param {import("./mentions.js").Pill[]} pills the mentions picked from the autocomplete
+     */
+    async _sendMessage(message, replyingTo, editing, pills = []) {
         if (!this._room.isArchived && message) {
-            let messinfo = {type : "m.text", message : message};
+            // the message will only show up at the live end
+            this.jumpToLatest();
+            let messinfo = {type : "m.text", message : message, isMarkdown: true};
             if (message.startsWith("//")) {
                 messinfo.message = message.substring(1).trim();
             } else if (message.startsWith("/")) {
@@ -265,10 +416,20 @@ export class RoomViewModel extends ViewModel {
                 const msgtype = messinfo.type;
                 const message = messinfo.message;
                 if (msgtype && message) {
-                    if (replyingTo) {
-                        await replyingTo.reply(msgtype, message);
+                    const formattedBody = messinfo.isMarkdown ? markdownToHTML(message, pills) : null;
+                    const replyToUserId = replyingTo && !replyingTo.isOwn ? replyingTo.sender : null;
+                    const mentions = createMentions(message, pills, replyToUserId);
+                    if (editing) {
+                        await editing.edit(msgtype, message, formattedBody, mentions);
+                    } else if (replyingTo) {
+                        await replyingTo.reply(msgtype, message, formattedBody, mentions);
                     } else {
-                        await this._room.sendEvent("m.room.message", {msgtype, body: message});
+                        const content = {msgtype, body: message, "m.mentions": mentions};
+                        if (formattedBody) {
+                            content.format = "org.matrix.custom.html";
+                            content.formatted_body = formattedBody;
+                        }
+                        await this._room.sendEvent("m.room.message", content);
                     }
                 }
             } catch (err) {
@@ -283,6 +444,48 @@ export class RoomViewModel extends ViewModel {
         return false;
     }
 
+    async _sendPoll(question, answers, isUndisclosed) {
+        // the poll will only show up at the live end
+        this.jumpToLatest();
+        const {type, content} = createPollStart(question, answers, isUndisclosed);
+        await this._room.sendEvent(type, content);
+    }
+
+    async _sendSticker(sticker) {
+        // the sticker will only show up at the live end
+        this.jumpToLatest();
+        await this._room.sendEvent(STICKER_TYPE, createStickerContent(sticker));
+    }
+
+    async _startVoiceRecording() {
+        try {
+            return await this.platform.startAudioRecording();
+        } catch (err) {
+            this._sendError = err;
+            this._timelineError = null;
+            this.emitChange("error");
+            console.error(err.stack);
+            return null;
+        }
+    }
+
+    async _sendVoiceMessage(recording) {
+        try {
+            const {blob, duration, waveform} = await recording.stop();
+            // the voice message will only show up at the live end
+            this.jumpToLatest();
+            const content = createVoiceMessage(duration, waveform);
+            await this._room.sendEvent("m.room.message", content, {
+                "url": this._room.createAttachment(blob, "Voice message.ogg")
+            });
+        } catch (err) {
+            this._sendError = err;
+            this._timelineError = null;
+            this.emitChange("error");
+            console.error(err.stack);
+        }
+    }
+
     async _pickAndSendFile() {
         try {
             const file = await this.platform.openFile();
@@ -409,11 +612,29 @@ export class RoomViewModel extends ViewModel {
         this.navigation.applyPath(path);
     }
 
+    /** Shows the messages matching the term in the search panel */
+    search(term) {
+        term = term.trim();
+        if (!term) {
+            return;
+        }
+        let path = this.navigation.path.until("room");
+        path = path.with(this.navigation.segment("right-panel", true));
+        path = path.with(this.navigation.segment("search", term));
+        this.navigation.applyPath(path);
+    }
+
     startReply(entry) {
         if (!this._room.isArchived) {
             this._composerVM.setReplyingTo(entry);
         }
     }
+
+    startEdit(entry) {
+        if (!this._room.isArchived) {
+            this._composerVM.setEditing(entry);
+        }
+    }
     
     dismissError() {
         this._sendError = null;
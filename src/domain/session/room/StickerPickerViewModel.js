@@ -0,0 +1,113 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+
+const THUMBNAIL_SIZE = 128;
+
+/** Lists the stickers of the packs available in the room, opened from the composer */
+export class StickerPickerViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        const {room, sendSticker, onClose} = options;
+        this._room = room;
+        this._sendSticker = sendSticker;
+        this._onClose = onClose;
+        this._packs = null;
+        this._isSending = false;
+        this._error = null;
+        this._load();
+    }
+
+    async _load() {
+        try {
+            this._packs = await this._room.loadStickerPacks();
+        } catch (err) {
+            this._error = err;
+            this._packs = [];
+        }
+        this.emitChange("packs");
+    }
+
+    get isLoading() {
+        return !this._packs;
+    }
+
+    /** @return {Array<{name, stickers: Array<{label, thumbnailUrl}>}>} */
+    get packs() {
+        return (this._packs ?? []).map(pack => ({
+            name: pack.name,
+            stickers: pack.stickers.map(sticker => ({
+                label: sticker.body,
+                thumbnailUrl: this._room.mediaRepository.mxcUrlThumbnail(sticker.url, THUMBNAIL_SIZE, THUMBNAIL_SIZE, "scale"),
+            })),
+        }));
+    }
+
+    get error() {
+        return this._error?.message;
+    }
+
+    async sendSticker(packIndex, stickerIndex) {
+        const sticker = this._packs?.[packIndex]?.stickers[stickerIndex];
+        if (!sticker || this._isSending) {
+            return;
+        }
+        this._isSending = true;
+        try {
+            await this._sendSticker(sticker);
+        } catch (err) {
+            this._error = err;
+            this._isSending = false;
+            this.emitChange("error");
+            return;
+        }
+        this._onClose();
+    }
+
+    close() {
+        this._onClose();
+    }
+}
+
+export function tests() {
+    function createRoom(packs) {
+        return {
+            loadStickerPacks: async () => packs,
+            mediaRepository: {mxcUrlThumbnail: url => url.replace("mxc://", "https://hs/thumbnail/")},
+        };
+    }
+
+    return {
+        "picking a sticker sends it and closes": async assert => {
+            const sent = [];
+            let closed = false;
+            const sticker = {shortcode: "cat", url: "mxc://hs/cat", body: "A cat", info: {}};
+            const vm = new StickerPickerViewModel({
+                room: createRoom([{id: "p", name: "Cats", stickers: [sticker]}]),
+                sendSticker: async sticker => { sent.push(sticker); },
+                onClose: () => { closed = true; },
+            });
+            assert.equal(vm.isLoading, true);
+            await new Promise(resolve => vm.on("change", resolve));
+            assert.equal(vm.isLoading, false);
+            assert.deepEqual(vm.packs, [{name: "Cats", stickers: [{label: "A cat", thumbnailUrl: "https://hs/thumbnail/hs/cat"}]}]);
+            await vm.sendSticker(0, 0);
+            assert.deepEqual(sent, [sticker]);
+            assert.equal(closed, true);
+        },
+    };
+}
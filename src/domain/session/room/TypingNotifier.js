@@ -0,0 +1,135 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// how long the server shows us as typing after a notification
+const TYPING_TIMEOUT = 30000;
+// while typing, notify again before the server stops showing us as typing
+const TYPING_REFRESH_INTERVAL = 20000;
+// how long after the last input we stop typing
+const IDLE_TIMEOUT = 5000;
+
+/** Sends typing notifications for the input in the composer, without sending one for every keystroke */
+export class TypingNotifier {
+    constructor(room, clock) {
+        this._room = room;
+        this._clock = clock;
+        this._isTyping = false;
+        this._lastSentTimestamp = 0;
+        this._idleTimeout = null;
+    }
+
+    /** call this whenever the input of the composer changes */
+    onInput(isEmpty) {
+        if (isEmpty) {
+            this.stop();
+            return;
+        }
+        this._restartIdleTimeout();
+        const now = this._clock.now();
+        if (!this._isTyping || (now - this._lastSentTimestamp) >= TYPING_REFRESH_INTERVAL) {
+            this._isTyping = true;
+            this._lastSentTimestamp = now;
+            this._send(true);
+        }
+    }
+
+    stop() {
+        this._idleTimeout?.abort();
+        this._idleTimeout = null;
+        if (this._isTyping) {
+            this._isTyping = false;
+            this._send(false);
+        }
+    }
+
+    async _restartIdleTimeout() {
+        this._idleTimeout?.abort();
+        const timeout = this._clock.createTimeout(IDLE_TIMEOUT);
+        this._idleTimeout = timeout;
+        try {
+            await timeout.elapsed();
+        } catch (err) {
+            if (err.name === "AbortError") {
+                return;
+            }
+            throw err;
+        }
+        if (this._idleTimeout === timeout) {
+            this._idleTimeout = null;
+            this.stop();
+        }
+    }
+
+    async _send(isTyping) {
+        try {
+            await this._room.sendTyping(isTyping, TYPING_TIMEOUT);
+        } catch (err) {
+            // not worth bothering the user with
+            console.error(`Could not send typing notification: ${err.message}`);
+        }
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
+
+import {Clock as MockClock} from "../../../mocks/Clock.js";
+
+export function tests() {
+    function createRoom() {
+        const sent = [];
+        return {sent, sendTyping: async (isTyping, timeout) => { sent.push({isTyping, timeout}); }};
+    }
+
+    // let the timeout promises resolve
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    return {
+        "typing is only sent again after the refresh interval": async assert => {
+            const room = createRoom();
+            const clock = new MockClock();
+            const notifier = new TypingNotifier(room, clock);
+            notifier.onInput(false);
+            clock.elapse(1000);
+            notifier.onInput(false);
+            assert.deepEqual(room.sent, [{isTyping: true, timeout: TYPING_TIMEOUT}]);
+            // keep typing without becoming idle
+            for (let i = 0; i < 5; i += 1) {
+                clock.elapse(4000);
+                notifier.onInput(false);
+            }
+            assert.equal(room.sent.length, 2);
+            assert.equal(room.sent[1].isTyping, true);
+            notifier.dispose();
+        },
+        "stops typing when the input is cleared or after being idle": async assert => {
+            const room = createRoom();
+            const clock = new MockClock();
+            const notifier = new TypingNotifier(room, clock);
+            notifier.onInput(false);
+            notifier.onInput(true);
+            assert.deepEqual(room.sent.map(s => s.isTyping), [true, false]);
+            notifier.onInput(false);
+            clock.elapse(IDLE_TIMEOUT);
+            await flush();
+            assert.deepEqual(room.sent.map(s => s.isTyping), [true, false, true, false]);
+            // nothing left to stop
+            notifier.dispose();
+            assert.equal(room.sent.length, 4);
+        },
+    };
+}
@@ -0,0 +1,423 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/*
+A small markdown converter for messages typed in the composer. It is not CommonMark,
+it covers what people use in chat: **bold**, *italics*, ~~strikethrough~~, `code`,
+fenced code blocks, lists, quotes and links. The html only uses tags that
+deserialize.js accepts, so we render our own messages like we send them.
+*/
+
+import {pillAt, permalinkFor} from "./mentions.js";
+
+const ASCII_PUNCTUATION = "!\"#$%&'()*+,-./:;<=>?@[\\]^_`{|}~";
+// only schemas that deserialize.js considers safe
+const LINK_URL = "(?:https?|ftp):\\/\\/[^\\s()<>]*(?:\\([^\\s()<>]*\\)[^\\s()<>]*)*";
+const INLINE_LINK_DESTINATION = new RegExp(`^\\((${LINK_URL})\\)`, "i");
+const AUTOLINK = new RegExp(`^<(${LINK_URL})>`, "i");
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^ {0,3}>/;
+const QUOTE_PREFIX = /^ {0,3}> ?/;
+const UNORDERED_ITEM = /^( {0,3})([-*+])( +)(.*)$/;
+const ORDERED_ITEM = /^( {0,3})(\d{1,9})([.)])( +)(.*)$/;
+
+function escapeHTML(str) {
+    return str
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function isBlank(line) {
+    return line.trim().length === 0;
+}
+
+function isWordChar(c) {
+    return !!c && /[\p{L}\p{N}]/u.test(c);
+}
+
+function isSpace(c) {
+    return c === undefined || /\s/.test(c);
+}
+
+function indentation(line) {
+    return /^ */.exec(line)[0].length;
+}
+
+function parseListItem(line) {
+    let match = UNORDERED_ITEM.exec(line);
+    if (match) {
+        const [, indent, marker, spaces, text] = match;
+        return {ordered: false, marker, start: null, text, contentIndent: indent.length + marker.length + spaces.length};
+    }
+    match = ORDERED_ITEM.exec(line);
+    if (match) {
+        const [, indent, number, delimiter, spaces, text] = match;
+        return {
+            ordered: true,
+            marker: delimiter,
+            start: parseInt(number, 10),
+            text,
+            contentIndent: indent.length + number.length + delimiter.length + spaces.length
+        };
+    }
+    return null;
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || QUOTE.test(line) || !!parseListItem(line);
+}
+
+class MarkdownRenderer {
+    constructor(pills) {
+        // whether anything was converted, if not the message is sent without formatted_body
+        this.hasMarkup = false;
+        this._pills = pills;
+        // no pills inside the text of a link
+        this._linkDepth = 0;
+    }
+
+    /**
+     * @param {string[]} lines
+     * @param {boolean} tight whether paragraphs are put in <p> tags, not the case in list items
+     *                        or for a message that is just a single paragraph
+     */
+    renderBlocks(lines, tight) {
+        const blocks = [];
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                i += 1;
+                continue;
+            }
+            const fence = FENCE.exec(line);
+            if (fence) {
+                i = this._renderFencedCode(lines, i, fence, blocks);
+            } else if (QUOTE.test(line)) {
+                i = this._renderQuote(lines, i, blocks);
+            } else if (parseListItem(line)) {
+                i = this._renderList(lines, i, blocks);
+            } else {
+                const paragraph = [];
+                while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+                    paragraph.push(lines[i].trim());
+                    i += 1;
+                }
+                blocks.push({isParagraph: true, html: this.renderInline(paragraph.join("\n"))});
+            }
+        }
+        if (tight || (blocks.length === 1 && blocks[0].isParagraph)) {
+            return blocks.map(b => b.html).join(blocks.every(b => b.isParagraph) ? "<br />" : "");
+        }
+        return blocks.map(b => b.isParagraph ? `<p>${b.html}</p>` : b.html).join("");
+    }
+
+    _renderFencedCode(lines, i, fence, blocks) {
+        const [, openingFence, language] = fence;
+        const code = [];
+        i += 1;
+        while (i < lines.length) {
+            const closing = lines[i].trim();
+            if (closing[0] === openingFence[0] && closing.length >= openingFence.length &&
+                closing === closing[0].repeat(closing.length)) {
+                i += 1;
+                break;
+            }
+            code.push(lines[i]);
+            i += 1;
+        }
+        const classAttr = language ? ` class="language-${escapeHTML(language)}"` : "";
+        blocks.push({html: `<pre><code${classAttr}>${escapeHTML(code.join("\n"))}\n</code></pre>`});
+        this.hasMarkup = true;
+        return i;
+    }
+
+    _renderQuote(lines, i, blocks) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+            quoted.push(lines[i].replace(QUOTE_PREFIX, ""));
+            i += 1;
+        }
+        blocks.push({html: `<blockquote>${this.renderBlocks(quoted, false)}</blockquote>`});
+        this.hasMarkup = true;
+        return i;
+    }
+
+    _renderList(lines, i, blocks) {
+        const first = parseListItem(lines[i]);
+        const items = [];
+        let item = null;
+        while (i < lines.length) {
+            const line = lines[i];
+            const listItem = parseListItem(line);
+            if (listItem && listItem.ordered === first.ordered && listItem.marker === first.marker &&
+                (!item || indentation(line) < item.contentIndent)) {
+                item = {lines: [listItem.text], contentIndent: listItem.contentIndent};
+                items.push(item);
+            } else if (isBlank(line)) {
+                // the list continues after an empty line if the next line belongs to it
+                const next = lines[i + 1];
+                const nextItem = next !== undefined && parseListItem(next);
+                const continues = next !== undefined && !isBlank(next) && (
+                    indentation(next) >= item.contentIndent ||
+                    (nextItem && nextItem.ordered === first.ordered && nextItem.marker === first.marker)
+                );
+                if (!continues) {
+                    break;
+                }
+                item.lines.push("");
+            } else if (indentation(line) >= Math.min(item.contentIndent, 2)) {
+                item.lines.push(line.slice(Math.min(indentation(line), item.contentIndent)));
+            } else {
+                break;
+            }
+            i += 1;
+        }
+        const listItems = items.map(item => `<li>${this.renderBlocks(item.lines, true)}</li>`).join("");
+        if (first.ordered) {
+            const startAttr = first.start !== 1 ? ` start="${first.start}"` : "";
+            blocks.push({html: `<ol${startAttr}>${listItems}</ol>`});
+        } else {
+            blocks.push({html: `<ul>${listItems}</ul>`});
+        }
+        this.hasMarkup = true;
+        return i;
+    }
+
+    renderInline(text) {
+        let html = "";
+        let plain = "";
+        const flush = () => {
+            html += escapeHTML(plain).replace(/\n/g, "<br />");
+            plain = "";
+        };
+        let i = 0;
+        while (i < text.length) {
+            const c = text[i];
+            if (c === "\\" && i + 1 < text.length && ASCII_PUNCTUATION.includes(text[i + 1])) {
+                plain += text[i + 1];
+                i += 2;
+                this.hasMarkup = true;
+                continue;
+            }
+            const match = this._matchMarkup(text, i);
+            if (match) {
+                flush();
+                html += match.html;
+                i = match.end;
+                this.hasMarkup = true;
+            } else if (c === "`") {
+                // don't try to match the rest of an unclosed backtick run again
+                const run = /^`+/.exec(text.slice(i))[0];
+                plain += run;
+                i += run.length;
+            } else {
+                plain += c;
+                i += 1;
+            }
+        }
+        flush();
+        return html;
+    }
+
+    _matchMarkup(text, i) {
+        if (this._linkDepth === 0) {
+            const pill = this._matchPill(text, i);
+            if (pill) {
+                return pill;
+            }
+        }
+        switch (text[i]) {
+            case "`":
+                return this._matchCodeSpan(text, i);
+            case "[":
+                return this._matchLink(text, i);
+            case "<":
+                return this._matchAutolink(text, i);
+            case "*":
+            case "_":
+            case "~":
+                return this._matchEmphasis(text, i);
+        }
+        return null;
+    }
+
+    _matchCodeSpan(text, i) {
+        const run = /^`+/.exec(text.slice(i))[0];
+        let j = i + run.length;
+        while (j < text.length) {
+            const closingRun = /^`+/.exec(text.slice(j));
+            if (closingRun) {
+                if (closingRun[0].length === run.length) {
+                    let code = text.slice(i + run.length, j).replace(/\n/g, " ");
+                    // one space on both sides is stripped, so code can start or end with a backtick
+                    if (code.length > 2 && code.startsWith(" ") && code.endsWith(" ") && code.trim().length) {
+                        code = code.slice(1, -1);
+                    }
+                    return {html: `<code>${escapeHTML(code)}</code>`, end: j + run.length};
+                }
+                j += closingRun[0].length;
+            } else {
+                j += 1;
+            }
+        }
+        return null;
+    }
+
+    _matchLink(text, i) {
+        let depth = 0;
+        for (let j = i; j < text.length; j += 1) {
+            if (text[j] === "\\") {
+                j += 1;
+            } else if (text[j] === "[") {
+                depth += 1;
+            } else if (text[j] === "]") {
+                depth -= 1;
+                if (depth === 0) {
+                    const label = text.slice(i + 1, j);
+                    const destination = INLINE_LINK_DESTINATION.exec(text.slice(j + 1));
+                    if (!destination || !label.trim()) {
+                        return null;
+                    }
+                    const url = destination[1];
+                    this._linkDepth += 1;
+                    const labelHTML = this.renderInline(label);
+                    this._linkDepth -= 1;
+                    return {
+                        html: `<a href="${escapeHTML(url)}">${labelHTML}</a>`,
+                        end: j + 1 + destination[0].length
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    _matchPill(text, i) {
+        const pill = pillAt(text, i, this._pills);
+        if (!pill) {
+            return null;
+        }
+        return {html: `<a href="${escapeHTML(pill.href)}">${escapeHTML(pill.text)}</a>`, end: i + pill.text.length};
+    }
+
+    _matchAutolink(text, i) {
+        const autolink = AUTOLINK.exec(text.slice(i));
+        if (!autolink) {
+            return null;
+        }
+        const url = autolink[1];
+        return {html: `<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`, end: i + autolink[0].length};
+    }
+
+    _matchEmphasis(text, i) {
+        const c = text[i];
+        // intraword underscores, as in snake_case, aren't emphasis
+        if (c === "_" && isWordChar(text[i - 1])) {
+            return null;
+        }
+        const lengths = c === "~" ? [2] : [2, 1];
+        for (const length of lengths) {
+            const delimiter = c.repeat(length);
+            const start = i + length;
+            if (!text.startsWith(delimiter, i) || isSpace(text[start]) || text[start] === c) {
+                continue;
+            }
+            for (let j = start + 1; j < text.length; j += 1) {
+                if (text[j] === "\\") {
+                    j += 1;
+                    continue;
+                }
+                if (text.startsWith(delimiter, j) && !isSpace(text[j - 1]) && text[j + length] !== c &&
+                    !(c === "_" && isWordChar(text[j + length]))) {
+                    let tag = length === 2 ? "strong" : "em";
+                    if (c === "~") {
+                        tag = "del";
+                    }
+                    return {html: `<${tag}>${this.renderInline(text.slice(start, j))}</${tag}>`, end: j + length};
+                }
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Converts the markdown typed in the composer to html, for the formatted_body of a message.
+ * @param {string} markdown
+ * @param {import("./mentions.js").Pill[]} pills mentions to turn into links where their text appears
+ * @return {string | null} the html, or null if the text doesn't contain any markup or pills,
+ *                         so it can be sent as a plain body only.
+ */
+export function markdownToHTML(markdown, pills = []) {
+    const renderer = new MarkdownRenderer(pills.filter(pill => pill.href));
+    const html = renderer.renderBlocks(markdown.split(/\r?\n/), false);
+    return renderer.hasMarkup ? html : null;
+}
+
+export function tests() {
+    return {
+        "plain text has no formatted body": assert => {
+            assert.equal(markdownToHTML("hello world"), null);
+            assert.equal(markdownToHTML("2 * 3 * 4 = 24\nsnake_case_name <b>"), null);
+            assert.equal(markdownToHTML("first\n\nsecond"), null);
+        },
+        "inline formatting": assert => {
+            assert.equal(markdownToHTML("**bold**, *italics*, _also_ and ~~gone~~"),
+                "<strong>bold</strong>, <em>italics</em>, <em>also</em> and <del>gone</del>");
+            assert.equal(markdownToHTML("use `a <b> c` here"), "use <code>a &lt;b&gt; c</code> here");
+            assert.equal(markdownToHTML("``code with ` in it``"), "<code>code with ` in it</code>");
+            assert.equal(markdownToHTML("**bold with *italics* inside**"), "<strong>bold with <em>italics</em> inside</strong>");
+        },
+        "text is escaped and newlines kept": assert => {
+            assert.equal(markdownToHTML("*a* & <b>\nnext line"), "<em>a</em> &amp; &lt;b&gt;<br />next line");
+            assert.equal(markdownToHTML("\\*not italics\\*"), "*not italics*");
+        },
+        "links": assert => {
+            assert.equal(markdownToHTML("see [the *docs*](https://example.com/a_(b))"),
+                `see <a href="https://example.com/a_(b)">the <em>docs</em></a>`);
+            assert.equal(markdownToHTML("<https://example.com?a=1&b=2>"),
+                `<a href="https://example.com?a=1&amp;b=2">https://example.com?a=1&amp;b=2</a>`);
+            // unsafe schemas are left as they are
+            assert.equal(markdownToHTML("[click](javascript:alert(1))"), null);
+        },
+        "fenced code blocks": assert => {
+            assert.equal(markdownToHTML("look:\n```js\nif (a < b) {\n    *c*\n}\n```\ndone"),
+                `<p>look:</p><pre><code class="language-js">if (a &lt; b) {\n    *c*\n}\n</code></pre><p>done</p>`);
+        },
+        "lists": assert => {
+            assert.equal(markdownToHTML("- one\n- *two*\n  continued"),
+                "<ul><li>one</li><li><em>two</em><br />continued</li></ul>");
+            assert.equal(markdownToHTML("3. three\n4. four"), `<ol start="3"><li>three</li><li>four</li></ol>`);
+            assert.equal(markdownToHTML("1. outer\n   - inner"), "<ol><li>outer<ul><li>inner</li></ul></li></ol>");
+        },
+        "pills": assert => {
+            const pills = [{text: "Bob <3", href: permalinkFor("@bob:hs.tld")}, {text: "@room", href: null}];
+            assert.equal(markdownToHTML("hi Bob <3, *Bob <3* and @room", pills),
+                `hi <a href="https://matrix.to/#/@bob:hs.tld">Bob &lt;3</a>, ` +
+                `<em><a href="https://matrix.to/#/@bob:hs.tld">Bob &lt;3</a></em> and @room`);
+            assert.equal(markdownToHTML("`Bob <3` [Bob <3](https://example.com)", pills),
+                `<code>Bob &lt;3</code> <a href="https://example.com">Bob &lt;3</a>`);
+            assert.equal(markdownToHTML("hi @room", pills), null);
+        },
+        "quotes": assert => {
+            assert.equal(markdownToHTML("> quoted\n> **text**\n\nreply"),
+                "<blockquote>quoted<br /><strong>text</strong></blockquote><p>reply</p>");
+        },
+    };
+}
@@ -0,0 +1,134 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/**
+ * A mention picked from the autocomplete in the composer.
+ * When its text is still in the message on sending, it is sent as a link in the formatted body
+ * (if it has an href) and in the m.mentions of the message.
+ * @typedef {{text: string, href: string?, userId: string?, isRoomMention: boolean?}} Pill
+ */
+
+export const ROOM_MENTION = "@room";
+
+export function permalinkFor(id) {
+    return `https://matrix.to/#/${id}`;
+}
+
+function isWordChar(c) {
+    return !!c && /[\p{L}\p{N}_]/u.test(c);
+}
+
+function isPillAt(text, index, pill) {
+    return text.startsWith(pill.text, index) &&
+        !isWordChar(text[index - 1]) &&
+        !isWordChar(text[index + pill.text.length]);
+}
+
+/**
+ * @param {string} text
+ * @param {number} index
+ * @param {Pill[]} pills
+ * @return {Pill?} the pill with the longest text that is at the index in the text, as a word on its own
+ */
+export function pillAt(text, index, pills) {
+    let match = null;
+    for (const pill of pills) {
+        if (isPillAt(text, index, pill) && (!match || pill.text.length > match.text.length)) {
+            match = pill;
+        }
+    }
+    return match;
+}
+
+function containsPill(text, pill) {
+    let index = text.indexOf(pill.text);
+    while (index !== -1) {
+        if (isPillAt(text, index, pill)) {
+            return true;
+        }
+        index = text.indexOf(pill.text, index + 1);
+    }
+    return false;
+}
+
+/**
+ * Finds the @user or #room that is being typed right before the cursor.
+ * @return {{trigger: string, query: string, start: number, end: number}?}
+ */
+export function findAutocompleteQuery(text, cursor) {
+    const match = /(^|\s)([@#])([^\s@#]*)$/.exec(text.slice(0, cursor));
+    if (!match) {
+        return null;
+    }
+    const start = match.index + match[1].length;
+    return {trigger: match[2], query: match[3], start, end: cursor};
+}
+
+/**
+ * Creates the m.mentions of a message, see https://spec.matrix.org/v1.7/client-server-api/#user-and-room-mentions
+ * @param {string} message
+ * @param {Pill[]} pills the mentions picked while typing the message
+ * @param {string?} replyToUserId the sender of the message being replied to, if any
+ */
+export function createMentions(message, pills, replyToUserId = null) {
+    const userIds = new Set();
+    let room = false;
+    if (replyToUserId) {
+        userIds.add(replyToUserId);
+    }
+    for (const pill of pills) {
+        if (containsPill(message, pill)) {
+            if (pill.userId) {
+                userIds.add(pill.userId);
+            } else if (pill.isRoomMention) {
+                room = true;
+            }
+        }
+    }
+    const mentions = {};
+    if (userIds.size) {
+        mentions.user_ids = Array.from(userIds);
+    }
+    if (room) {
+        mentions.room = true;
+    }
+    return mentions;
+}
+
+export function tests() {
+    const bob = {text: "Bob", href: permalinkFor("@bob:hs.tld"), userId: "@bob:hs.tld"};
+    const bobby = {text: "Bob by", href: permalinkFor("@bobby:hs.tld"), userId: "@bobby:hs.tld"};
+    const everyone = {text: ROOM_MENTION, href: null, isRoomMention: true};
+    return {
+        "query before the cursor is found": assert => {
+            assert.deepEqual(findAutocompleteQuery("hi @bo", 6), {trigger: "@", query: "bo", start: 3, end: 6});
+            assert.deepEqual(findAutocompleteQuery("#", 1), {trigger: "#", query: "", start: 0, end: 1});
+            assert.deepEqual(findAutocompleteQuery("@bob: hi", 4), {trigger: "@", query: "bob", start: 0, end: 4});
+            assert.equal(findAutocompleteQuery("mail me@hs.tld", 14), null);
+            assert.equal(findAutocompleteQuery("@bob hi", 7), null);
+        },
+        "pills are only found as words": assert => {
+            assert.equal(pillAt("Bobby", 0, [bob]), null);
+            assert.equal(pillAt("hi Bob!", 3, [bob]), bob);
+            assert.equal(pillAt("Bob by the way", 0, [bob, bobby]), bobby);
+        },
+        "mentions of pills still in the message": assert => {
+            assert.deepEqual(createMentions("hi Bob, @room", [bob, bobby, everyone]), {user_ids: ["@bob:hs.tld"], room: true});
+            assert.deepEqual(createMentions("hi Bobby", [bob], "@alice:hs.tld"), {user_ids: ["@alice:hs.tld"]});
+            assert.deepEqual(createMentions("hi", []), {});
+        },
+    };
+}
@@ -0,0 +1,209 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {avatarInitials, getIdentifierColorNumber, getAvatarHttpUrl} from "../../../avatar";
+
+/**
+ * Puts the read receipts of the other members on the tiles of the timeline.
+ * A receipt is shown under the tile of the event it is for, or if that event
+ * doesn't have a tile (like a reaction), under the message tile before it.
+ */
+export class ReadReceiptsViewModel {
+    constructor({receipts, entries, tiles, ownUserId, platform, mediaRepository}) {
+        this._receipts = receipts;
+        this._entries = entries;
+        this._tiles = tiles;
+        this._ownUserId = ownUserId;
+        this._platform = platform;
+        this._mediaRepository = mediaRepository;
+        this._tilesWithReceipts = new Set();
+        this._placementScheduled = false;
+        const schedulePlacement = () => this._schedulePlacement();
+        this._receiptsSubscription = receipts.subscribe({
+            onReset: schedulePlacement,
+            onAdd: schedulePlacement,
+            onUpdate: schedulePlacement,
+            onRemove: schedulePlacement,
+        });
+        this._tilesSubscription = tiles.subscribe({
+            onReset: schedulePlacement,
+            onAdd: schedulePlacement,
+            onUpdate: (idx, tile, params) => {
+                // ignore our own updates, but a tile can also be replaced
+                if (params !== "readReceipts") {
+                    schedulePlacement();
+                }
+            },
+            onRemove: schedulePlacement,
+            onMove: schedulePlacement,
+        });
+        this._schedulePlacement();
+    }
+
+    _schedulePlacement() {
+        if (!this._placementScheduled) {
+            this._placementScheduled = true;
+            Promise.resolve().then(() => {
+                this._placementScheduled = false;
+                if (this._receiptsSubscription) {
+                    this._placeReceipts();
+                }
+            });
+        }
+    }
+
+    _placeReceipts() {
+        const entriesById = new Map();
+        for (const entry of this._entries) {
+            if (entry.id) {
+                entriesById.set(entry.id, entry);
+            }
+        }
+        const receiptsByTile = new Map();
+        for (const receipt of this._receipts.values()) {
+            if (receipt.userId === this._ownUserId) {
+                continue;
+            }
+            const entry = entriesById.get(receipt.eventId);
+            const tile = entry && this._tiles.findTileAtOrBefore(entry, tile => tile.showsReadReceipts);
+            if (tile) {
+                let tileReceipts = receiptsByTile.get(tile);
+                if (!tileReceipts) {
+                    tileReceipts = [];
+                    receiptsByTile.set(tile, tileReceipts);
+                }
+                tileReceipts.push(receipt);
+            }
+        }
+        for (const tile of this._tilesWithReceipts) {
+            if (!receiptsByTile.has(tile)) {
+                tile.setReadReceipts(null);
+            }
+        }
+        for (const [tile, receipts] of receiptsByTile.entries()) {
+            if (!this._isShowingReceipts(tile, receipts)) {
+                // most recent readers first
+                receipts.sort((a, b) => b.ts - a.ts);
+                tile.setReadReceipts(receipts.map(r => new ReadReceiptViewModel(r, this._platform, this._mediaRepository)));
+            }
+        }
+        this._tilesWithReceipts = new Set(receiptsByTile.keys());
+    }
+
+    _isShowingReceipts(tile, receipts) {
+        const shown = tile.readReceipts;
+        return shown?.length === receipts.length && receipts.every(r => shown.some(vm => vm._receipt === r));
+    }
+
+    dispose() {
+        this._receiptsSubscription = this._receiptsSubscription();
+        this._tilesSubscription = this._tilesSubscription();
+    }
+}
+
+class ReadReceiptViewModel {
+    constructor(receipt, platform, mediaRepository) {
+        this._receipt = receipt;
+        this._platform = platform;
+        this._mediaRepository = mediaRepository;
+    }
+
+    get userId() {
+        return this._receipt.userId;
+    }
+
+    get name() {
+        return this._receipt.member?.name ?? this._receipt.userId;
+    }
+
+    // Avatar view model contract
+    get avatarColorNumber() {
+        return getIdentifierColorNumber(this.userId);
+    }
+
+    avatarUrl(size) {
+        return getAvatarHttpUrl(this._receipt.member?.avatarUrl, size, this._platform, this._mediaRepository);
+    }
+
+    get avatarLetter() {
+        return avatarInitials(this.name);
+    }
+
+    get avatarTitle() {
+        return this.name;
+    }
+}
+
+import {ObservableMap} from "../../../../observable";
+import {ObservableArray} from "../../../../observable/list/ObservableArray";
+import {TilesCollection} from "./TilesCollection.js";
+
+export function tests() {
+    class TestTile {
+        constructor(entry) {
+            this.entry = entry;
+            this.readReceipts = null;
+            this.needsDateSeparator = false;
+        }
+        get showsReadReceipts() { return !this.entry.isReaction; }
+        setReadReceipts(readReceipts) { this.readReceipts = readReceipts; }
+        compareEntry(entry) { return this.entry.n - entry.n; }
+        setUpdateEmit() {}
+        tryIncludeEntry() { return false; }
+        updateNextSibling() {}
+        updatePreviousSibling() {}
+        dispose() {}
+    }
+
+    function setup(receipts) {
+        const entries = new ObservableArray([
+            {id: "$1", n: 1},
+            {id: "$2", n: 2},
+            {id: "$3", n: 3, isReaction: true},
+        ]);
+        const tiles = new TilesCollection(entries, {tileClassForEntry: () => TestTile});
+        const receiptMap = new ObservableMap(receipts.map(r => [r.userId, r]));
+        const vm = new ReadReceiptsViewModel({receipts: receiptMap, entries, tiles, ownUserId: "@me:hs.tld"});
+        const tileFor = id => Array.from(tiles).find(t => t.entry.id === id);
+        return {vm, receiptMap, tileFor};
+    }
+
+    return {
+        "receipts are placed on the tile of their event, or the one before": async assert => {
+            const {vm, tileFor} = setup([
+                {userId: "@alice:hs.tld", eventId: "$1", ts: 1},
+                {userId: "@bob:hs.tld", eventId: "$3", ts: 2},
+                {userId: "@charly:hs.tld", eventId: "$2", ts: 3},
+                {userId: "@me:hs.tld", eventId: "$2", ts: 4},
+                {userId: "@dave:hs.tld", eventId: "$unknown", ts: 5},
+            ]);
+            await Promise.resolve();
+            assert.deepEqual(tileFor("$1").readReceipts.map(r => r.userId), ["@alice:hs.tld"]);
+            assert.deepEqual(tileFor("$2").readReceipts.map(r => r.userId), ["@charly:hs.tld", "@bob:hs.tld"]);
+            assert.equal(tileFor("$3").readReceipts, null);
+            vm.dispose();
+        },
+        "moving a receipt removes it from the previous tile": async assert => {
+            const {vm, receiptMap, tileFor} = setup([{userId: "@alice:hs.tld", eventId: "$1", ts: 1}]);
+            await Promise.resolve();
+            receiptMap.set("@alice:hs.tld", {userId: "@alice:hs.tld", eventId: "$2", ts: 2});
+            await Promise.resolve();
+            assert.equal(tileFor("$1").readReceipts, null);
+            assert.equal(tileFor("$2").readReceipts.length, 1);
+            vm.dispose();
+        },
+    };
+}
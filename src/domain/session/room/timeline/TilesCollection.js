@@ -17,6 +17,7 @@ limitations under the License.
 import {BaseObservableList} from "../../../../observable/list/BaseObservableList";
 import {sortedIndex} from "../../../../utils/sortedIndex";
 import {TileShape} from "./tiles/ITile";
+import {ReadMarkerTile} from "./tiles/ReadMarkerTile";
 
 // maps 1..n entries to 0..1 tile. Entries are what is stored in the timeline, either an event or fragmentboundary
 // for now, tileClassForEntry should be stable in whether it returns a tile or not.
@@ -30,6 +31,8 @@ export class TilesCollection extends BaseObservableList {
         this._tiles = null;
         this._entrySubscription = null;
         this._tileOptions = tileOptions;
+        this._readMarkerEventId = null;
+        this._readMarkerTile = null;
         this._emitSpontanousUpdate = this._emitSpontanousUpdate.bind(this);
     }
 
@@ -46,6 +49,15 @@ export class TilesCollection extends BaseObservableList {
         this.emitUpdate(tileIdx, tile, params);
     }
 
+    /**
+     * Shows a "new messages" divider after the given event once it is loaded,
+     * if there are tiles after it at that point. The divider is only put in place once.
+     * @param {string} eventId
+     */
+    showReadMarkerAfter(eventId) {
+        this._readMarkerEventId = eventId;
+    }
+
     onSubscribeFirst() {
         this._entrySubscription = this._entries.subscribe(this);
         this._populateTiles();
@@ -55,7 +67,11 @@ export class TilesCollection extends BaseObservableList {
         this._silent = true;
         this._tiles = [];
         let currentTile = null;
+        let readMarkerEntry = null;
         for (let entry of this._entries) {
+            if (this._readMarkerEventId && entry.id === this._readMarkerEventId) {
+                readMarkerEntry = entry;
+            }
             if (!currentTile || !currentTile.tryIncludeEntry(entry)) {
                 currentTile = this._createTile(entry);
                 if (currentTile) {
@@ -74,6 +90,10 @@ export class TilesCollection extends BaseObservableList {
         if (prevTile) {
             prevTile.updateNextSibling(null);
         }
+        // before the date headers, so the divider comes before the date header of the next tile
+        if (readMarkerEntry) {
+            this._insertReadMarker(readMarkerEntry, true);
+        }
         // add date headers here
         for (let idx = 0; idx < this._tiles.length; idx += 1) {
             const tile = this._tiles[idx];
@@ -90,6 +110,19 @@ export class TilesCollection extends BaseObservableList {
         this._silent = false;
     }
 
+    _insertReadMarker(entry, silent = false) {
+        this._readMarkerEventId = null;
+        let tileIdx = this._findTileIdx(entry);
+        if (this._findTileAtIdx(entry, tileIdx)) {
+            tileIdx += 1;
+        }
+        // no divider if there is nothing new after it
+        if (tileIdx < this._tiles.length) {
+            this._readMarkerTile = new ReadMarkerTile(entry, this._tileOptions);
+            this._addTileAt(tileIdx, this._readMarkerTile, silent);
+        }
+    }
+
     _findTileIdx(entry) {
         return sortedIndex(this._tiles, entry, (entry, tile) => {
             // negate result because we're switching the order of the params
@@ -144,6 +177,9 @@ export class TilesCollection extends BaseObservableList {
             this._addTileAt(tileIdx, newTile);
             this._evaluateDateHeaderAtIdx(tileIdx);
         }
+        if (this._readMarkerEventId && entry.id === this._readMarkerEventId) {
+            this._insertReadMarker(entry);
+        }
         // find position by sort key
         // ask siblings to be included? both? yes, twice: a (insert c here) b, ask a(c), if yes ask b(a), else ask b(c)? if yes then b(a)?
     }
@@ -292,6 +328,32 @@ export class TilesCollection extends BaseObservableList {
         return this._tiles[0];
     }
 
+    /**
+     * @param {BaseEntry} entry
+     * @param {function(SimpleTile): boolean} predicate
+     * @return {SimpleTile | undefined} the last tile matching the predicate that is for the entry or comes before it
+     */
+    findTileAtOrBefore(entry, predicate) {
+        if (!this._tiles) {
+            return;
+        }
+        let idx = this._findTileIdx(entry);
+        if (!this._findTileAtIdx(entry, idx)) {
+            idx -= 1;
+        }
+        for (; idx >= 0; idx -= 1) {
+            const tile = this._tiles[idx];
+            if (predicate(tile)) {
+                return tile;
+            }
+        }
+    }
+
+    /** @return {number} the index of the "new messages" divider, or -1 if it isn't shown */
+    get readMarkerIndex() {
+        return this._readMarkerTile ? this._tiles.indexOf(this._readMarkerTile) : -1;
+    }
+
     getTileIndex(searchTile) {
         const idx = sortedIndex(this._tiles, searchTile, (searchTile, tile) => {
             return searchTile.compare(tile);
@@ -499,6 +561,48 @@ export function tests() {
             assert.equal(tilesArray[1].shape, TileShape.Message);
             assert.equal(tilesArray.length, 2);
             assert.equal(removals, 2);
+        },
+        "read marker is put after the fully read event once it is loaded": assert => {
+            const entry = (n, id) => ({n, id, compare(other) { return this.n - other.n; }});
+            const tileOptions = {tileClassForEntry: () => TestTile};
+            const shapes = tiles => Array.from(tiles).map(t => t.shape === TileShape.ReadMarker ? "marker" : t.entry.n);
+            const entries = new ObservableArray([entry(1, "$1"), entry(2, "$2"), entry(3, "$3")]);
+            const tiles = new TilesCollection(entries, tileOptions);
+            tiles.showReadMarkerAfter("$2");
+            tiles.subscribe({onAdd() {}});
+            assert.deepEqual(shapes(tiles), [1, 2, "marker", 3]);
+            assert.equal(tiles.readMarkerIndex, 2);
+            // the fully read event is loaded when back paginating
+            const laterEntries = new ObservableArray([entry(3, "$3")]);
+            const laterTiles = new TilesCollection(laterEntries, tileOptions);
+            laterTiles.showReadMarkerAfter("$1");
+            laterTiles.subscribe({onAdd() {}});
+            laterEntries.insert(0, entry(1, "$1"));
+            assert.deepEqual(shapes(laterTiles), [1, "marker", 3]);
+            // nothing new after the fully read event
+            const readEntries = new ObservableArray([entry(1, "$1")]);
+            const readTiles = new TilesCollection(readEntries, tileOptions);
+            readTiles.showReadMarkerAfter("$1");
+            readTiles.subscribe({onAdd() {}});
+            readEntries.append(entry(2, "$2"));
+            assert.deepEqual(shapes(readTiles), [1, 2]);
+            assert.equal(readTiles.readMarkerIndex, -1);
+        },
+        "find the tile for an entry, or the one before it": assert => {
+            const entries = new ObservableArray([{n: 5}, {n: 10}, {n: 15}]);
+            const tileOptions = {
+                // entries without a tile, like reactions
+                tileClassForEntry: entry => entry.n % 5 === 0 ? MessageNeedingDateHeaderTile : undefined,
+            };
+            const tiles = new TilesCollection(entries, tileOptions);
+            tiles.subscribe({});
+            const isMessage = tile => tile.shape === TileShape.Message;
+            assert.equal(tiles.findTileAtOrBefore({n: 10}, isMessage).entry.n, 10);
+            assert.equal(tiles.findTileAtOrBefore({n: 12}, isMessage).entry.n, 10);
+            assert.equal(tiles.findTileAtOrBefore({n: 16}, isMessage).entry.n, 15);
+            // sorts after the date header of the tile of 10, but should skip it
+            assert.equal(tiles.findTileAtOrBefore({n: 9.8}, isMessage).entry.n, 5);
+            assert.equal(tiles.findTileAtOrBefore({n: 4}, isMessage), undefined);
         }
     }
 }
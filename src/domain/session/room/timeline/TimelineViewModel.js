@@ -32,21 +32,45 @@ to the room timeline, which unload entries from memory.
 when loading, it just reads events from a sortkey backwards or forwards...
 */
 import {TilesCollection} from "./TilesCollection.js";
+import {ReadReceiptsViewModel} from "./ReadReceiptsViewModel.js";
 import {ViewModel} from "../../../ViewModel";
 
 export class TimelineViewModel extends ViewModel {
     constructor(options) {
         super(options);
-        const {timeline, tileOptions} = options;
+        const {timeline, tileOptions, readMarkerEventId} = options;
         this._timeline = this.track(timeline);
+        this._tileOptions = tileOptions;
         this._tiles = new TilesCollection(timeline.entries, tileOptions);
         this._startTile = null;
         this._endTile = null;
         this._topLoadingPromise = null;
+        this._bottomLoadingPromise = null;
+        this._highlightedEventId = timeline.anchorEventId;
         this._requestedStartTile = null;
         this._requestedEndTile = null;
         this._requestScheduled = false;
         this._showJumpDown = false;
+        // where the "new messages" divider goes, the fully read marker when the room was opened
+        this._readMarkerEventId = readMarkerEventId;
+        this._hasSeenReadMarker = !readMarkerEventId;
+        this._showJumpToUnread = false;
+        // the fully read marker we last moved the room to
+        this._fullyReadEventId = null;
+        this._isSettingFullyRead = false;
+        if (readMarkerEventId) {
+            this._tiles.showReadMarkerAfter(readMarkerEventId);
+        }
+        if (timeline.readReceipts) {
+            this.track(new ReadReceiptsViewModel({
+                receipts: timeline.readReceipts,
+                entries: timeline.entries,
+                tiles: this._tiles,
+                ownUserId: timeline.me.userId,
+                platform: this.platform,
+                mediaRepository: tileOptions.roomVM.room.mediaRepository,
+            }));
+        }
     }
 
     /** if this.tiles is empty, call this with undefined for both startTile and endTile */
@@ -66,6 +90,7 @@ export class TimelineViewModel extends ViewModel {
 
     _setVisibleTileRange(startTile, endTile) {
         let loadTop;
+        let loadBottom;
         if (startTile && endTile) {
             // old tiles could have been removed from tilescollection once we support unloading
             this._startTile = startTile;
@@ -76,10 +101,15 @@ export class TimelineViewModel extends ViewModel {
                 tile.notifyVisible();
             }
             loadTop = startIndex < 10;
+            // when opened at an event, the newer events are not all loaded
+            loadBottom = this.isAnchored && endIndex > (this._tiles.length - 10);
             this._setShowJumpDown(endIndex < (this._tiles.length - 1));
+            this._updateShowJumpToUnread(startIndex, endIndex);
+            this._moveFullyReadMarker(startIndex, endIndex);
         } else {
             // tiles collection is empty, load more at top
             loadTop = true;
+            loadBottom = this.isAnchored;
             this._setShowJumpDown(false);
         }
 
@@ -94,12 +124,133 @@ export class TimelineViewModel extends ViewModel {
                 }
             });
         }
+        if (loadBottom && !this._bottomLoadingPromise) {
+            this._bottomLoadingPromise = this._timeline.loadAtBottom(10).then(hasReachedEnd => {
+                this._bottomLoadingPromise = null;
+                if (!hasReachedEnd) {
+                    this.setVisibleTileRange(this._requestedStartTile, this._requestedEndTile);
+                }
+            });
+        }
+    }
+
+    /** whether the timeline was opened at an event rather than at the live end */
+    get isAnchored() {
+        return !!this._timeline.anchorEventId;
+    }
+
+    /** the event to scroll to and highlight, like the one the timeline was opened at */
+    get highlightedEventId() {
+        return this._highlightedEventId;
+    }
+
+    /** @return {boolean} whether the event is in the loaded part of the timeline */
+    hasEvent(eventId) {
+        return !!this._timeline.getByEventId(eventId);
+    }
+
+    highlightEvent(eventId) {
+        this._highlightedEventId = eventId;
+        this.emitChange("highlightedEventId");
+    }
+
+    /** reopens the timeline at the live end, if it was opened at an event */
+    jumpToLatest() {
+        this._tileOptions.roomVM.jumpToLatest();
     }
 
     get tiles() {
         return this._tiles;
     }
 
+    _updateShowJumpToUnread(startIndex, endIndex) {
+        if (this._hasSeenReadMarker) {
+            return;
+        }
+        const readMarkerIndex = this._tiles.readMarkerIndex;
+        if (readMarkerIndex !== -1) {
+            if (readMarkerIndex >= startIndex && readMarkerIndex <= endIndex) {
+                this._hasSeenReadMarker = true;
+                this._setShowJumpToUnread(false);
+            } else {
+                this._setShowJumpToUnread(readMarkerIndex < startIndex);
+            }
+        } else if (this.hasEvent(this._readMarkerEventId)) {
+            // no divider as there was nothing new after the fully read event
+            this._hasSeenReadMarker = true;
+            this._setShowJumpToUnread(false);
+        } else {
+            // the fully read event is further back than what is loaded
+            this._setShowJumpToUnread(!this.isAnchored);
+        }
+    }
+
+    /** moves the fully read marker of the room to the last visible event, if the user scrolled past it */
+    _moveFullyReadMarker(startIndex, endIndex) {
+        // the user hasn't read anything new yet if they haven't seen where the new messages start,
+        // e.g. when opening a room with more new messages than are loaded
+        if (!this._hasSeenReadMarker) {
+            return;
+        }
+        let lastVisibleEntry = null;
+        for (const tile of this._tiles.sliceIterator(startIndex, endIndex + 1)) {
+            if (tile.eventId && !tile.lowerEntry.isPending) {
+                lastVisibleEntry = tile.lowerEntry;
+            }
+        }
+        const fullyReadEventId = this._fullyReadEventId ?? this._tileOptions.roomVM.room.fullyReadEventId;
+        if (!lastVisibleEntry || lastVisibleEntry.id === fullyReadEventId) {
+            return;
+        }
+        const fullyReadEntry = fullyReadEventId && this._timeline.getByEventId(fullyReadEventId);
+        // if the fully read event is not loaded anymore, it is older than the live timeline we have loaded
+        const isAfterFullyRead = fullyReadEntry ?
+            lastVisibleEntry.compare(fullyReadEntry) > 0 :
+            !this.isAnchored;
+        if (isAfterFullyRead) {
+            this._setFullyRead(lastVisibleEntry.id);
+        }
+    }
+
+    async _setFullyRead(eventId) {
+        this._fullyReadEventId = eventId;
+        // only one request at a time, the newest marker is set once it is done
+        if (this._isSettingFullyRead) {
+            return;
+        }
+        this._isSettingFullyRead = true;
+        try {
+            let sentEventId;
+            while (sentEventId !== this._fullyReadEventId && !this.isDisposed) {
+                sentEventId = this._fullyReadEventId;
+                await this._tileOptions.roomVM.setFullyRead(sentEventId);
+            }
+        } catch (err) {
+            console.error(`Could not move the fully read marker: ${err.message}`);
+        } finally {
+            this._isSettingFullyRead = false;
+        }
+    }
+
+    _setShowJumpToUnread(show) {
+        if (this._showJumpToUnread !== show) {
+            this._showJumpToUnread = show;
+            this.emitChange("showJumpToUnread");
+        }
+    }
+
+    /** whether the first unread message is above what the user can see */
+    get showJumpToUnread() {
+        return this._showJumpToUnread;
+    }
+
+    /** shows the first unread message, loading the timeline around it if needed */
+    jumpToUnread() {
+        this._hasSeenReadMarker = true;
+        this._setShowJumpToUnread(false);
+        this._tileOptions.roomVM.jumpToEvent(this._readMarkerEventId);
+    }
+
     _setShowJumpDown(show) {
         if (this._showJumpDown !== show) {
             this._showJumpDown = show;
@@ -111,3 +262,71 @@ export class TimelineViewModel extends ViewModel {
         return this._showJumpDown;
     }
 }
+
+import {ObservableArray} from "../../../../observable/list/ObservableArray";
+
+export function tests() {
+    class TestTile {
+        constructor(entry) {
+            this.entry = entry;
+        }
+        get eventId() { return this.entry.id; }
+        get upperEntry() { return this.entry; }
+        get lowerEntry() { return this.entry; }
+        get needsDateSeparator() { return false; }
+        compare(tile) { return this.entry.compare(tile.upperEntry); }
+        compareEntry(entry) { return this.entry.compare(entry); }
+        tryIncludeEntry() { return false; }
+        setUpdateEmit() {}
+        updateNextSibling() {}
+        updatePreviousSibling() {}
+        notifyVisible() {}
+        dispose() {}
+    }
+
+    const entry = (n, id) => ({n, id, isPending: false, compare(other) { return this.n - other.n; }});
+
+    function createViewModel(entries, fullyReadEventId, fullyReadCalls) {
+        const timeline = {
+            entries,
+            anchorEventId: undefined,
+            getByEventId: id => entries.array.find(e => e.id === id),
+            loadAtTop: async () => true,
+            loadAtBottom: async () => true,
+            dispose() {},
+        };
+        const roomVM = {
+            room: {fullyReadEventId},
+            setFullyRead: async eventId => { fullyReadCalls.push(eventId); },
+        };
+        const vm = new TimelineViewModel({
+            timeline,
+            readMarkerEventId: fullyReadEventId,
+            tileOptions: {roomVM, tileClassForEntry: () => TestTile},
+        });
+        vm.tiles.subscribe({onAdd() {}, onUpdate() {}, onRemove() {}});
+        return vm;
+    }
+
+    function showAllTiles(vm) {
+        const tiles = Array.from(vm.tiles);
+        vm._setVisibleTileRange(tiles[0], tiles[tiles.length - 1]);
+    }
+
+    return {
+        "fully read marker is only moved once the new messages divider was seen": assert => {
+            const fullyReadCalls = [];
+            const entries = new ObservableArray([entry(5, "$5"), entry(6, "$6"), entry(7, "$7")]);
+            // the fully read event is further back than what is loaded when opening the room
+            const vm = createViewModel(entries, "$1", fullyReadCalls);
+            showAllTiles(vm);
+            assert.deepEqual(fullyReadCalls, []);
+            assert.equal(vm.showJumpToUnread, true);
+            // back paginating loads the fully read event, and the divider scrolls into view
+            entries.insert(0, entry(1, "$1"));
+            showAllTiles(vm);
+            assert.equal(vm.showJumpToUnread, false);
+            assert.deepEqual(fullyReadCalls, ["$7"]);
+        },
+    };
+}
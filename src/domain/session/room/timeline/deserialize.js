@@ -507,6 +507,23 @@ export async function tests() {
                 new TextPart('!'),
             ];
             assert.deepEqual(parseHTMLBody(platform, null, input), new MessageBody(input, output));
+        },
+        "Markdown sent from the composer is parsed": async assert => {
+            const {markdownToHTML} = await import("../markdown.js");
+            const input = markdownToHTML("**Hi** [there](https://example.com) & welcome\n- one\n- *two*");
+            const output = [
+                new FormatPart("p", [
+                    new FormatPart("strong", [new TextPart("Hi")]),
+                    new TextPart(" "),
+                    new LinkPart("https://example.com", [new TextPart("there")]),
+                    new TextPart(" & welcome"),
+                ]),
+                new ListBlock(null, [
+                    [new TextPart("one")],
+                    [new FormatPart("em", [new TextPart("two")])]
+                ])
+            ];
+            test(assert, input, output);
         }
         /* Doesnt work: HTML library doesn't handle <pre><code> properly.
         "Text with code block": assert => {
@@ -0,0 +1,65 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const linkPrefix = "https://matrix.to/#/";
+
+/**
+ * Parses a matrix.to link to an event.
+ * @param {string} url
+ * @return {{roomId?: string, roomAlias?: string, eventId: string} | null} null if this is not a link to an event
+ */
+export function parseEventPermalink(url) {
+    if (!url?.startsWith(linkPrefix)) {
+        return null;
+    }
+    // strip the via parameters
+    const [path] = url.substring(linkPrefix.length).split("?");
+    let roomIdOrAlias;
+    let eventId;
+    try {
+        [roomIdOrAlias, eventId] = path.split("/").map(part => decodeURIComponent(part));
+    } catch (err) {
+        // malformed escape sequence
+        return null;
+    }
+    if (!eventId?.startsWith("$")) {
+        return null;
+    }
+    if (roomIdOrAlias?.startsWith("!")) {
+        return {roomId: roomIdOrAlias, eventId};
+    } else if (roomIdOrAlias?.startsWith("#")) {
+        return {roomAlias: roomIdOrAlias, eventId};
+    }
+    return null;
+}
+
+export function tests() {
+    return {
+        "parses link with room id and via parameters": assert => {
+            const link = "https://matrix.to/#/!abc%3Ahs.tld/%24def?via=hs.tld&via=other.tld";
+            assert.deepEqual(parseEventPermalink(link), {roomId: "!abc:hs.tld", eventId: "$def"});
+        },
+        "parses link with room alias": assert => {
+            assert.deepEqual(parseEventPermalink("https://matrix.to/#/#room:hs.tld/$def"), {roomAlias: "#room:hs.tld", eventId: "$def"});
+        },
+        "links to rooms and users are not event links": assert => {
+            assert.equal(parseEventPermalink("https://matrix.to/#/!abc:hs.tld"), null);
+            assert.equal(parseEventPermalink("https://matrix.to/#/@alice:hs.tld"), null);
+            assert.equal(parseEventPermalink("https://example.com/#/!abc:hs.tld/$def"), null);
+            assert.equal(parseEventPermalink("https://matrix.to/#/!abc:hs.tld/%E0%A4%A"), null);
+        },
+    };
+}
@@ -0,0 +1,92 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMediaTile} from "./BaseMediaTile.js";
+import {parseAudioInfo, resampleWaveform} from "../../../../../matrix/room/timeline/audio.js";
+import {formatDuration} from "../../../../../utils/formatDuration";
+
+// the amount of bars in the waveform shown in the timeline
+const WAVEFORM_BARS = 40;
+
+export class AudioTile extends BaseMediaTile {
+    constructor(entry, options) {
+        super(entry, options);
+        this._audioInfoContent = null;
+        this._audioInfo = null;
+    }
+
+    get _parsedAudioInfo() {
+        const content = this._getContent();
+        if (content !== this._audioInfoContent) {
+            this._audioInfoContent = content;
+            this._audioInfo = parseAudioInfo(content);
+        }
+        return this._audioInfo;
+    }
+
+    async loadAudio() {
+        const file = this._getContent().file;
+        if (file && !this._decryptedFile) {
+            this._decryptedFile = await this._loadEncryptedFile(file);
+            this.emitChange("audioUrl");
+        }
+    }
+
+    get audioUrl() {
+        if (this._decryptedFile) {
+            return this._decryptedFile.url;
+        }
+        if (this._entry.isPending) {
+            return this._entry.pendingEvent.getAttachment("url")?.localPreview.url ?? "";
+        }
+        const mxcUrl = this._getContent()?.url;
+        if (typeof mxcUrl === "string") {
+            return this._mediaRepository.mxcUrl(mxcUrl);
+        }
+        return "";
+    }
+
+    get isVoice() {
+        return this._parsedAudioInfo.isVoice;
+    }
+
+    /** in milliseconds, or null if the event doesn't say */
+    get duration() {
+        return this._parsedAudioInfo.duration;
+    }
+
+    formatTime(milliseconds) {
+        return formatDuration(milliseconds);
+    }
+
+    /** the heights of the bars to draw, between 0 and 1, or null if there is no waveform */
+    get waveform() {
+        const {waveform} = this._parsedAudioInfo;
+        return waveform && resampleWaveform(waveform, WAVEFORM_BARS);
+    }
+
+    get label() {
+        return this.isVoice ? this.i18n`Voice message` : super.label;
+    }
+
+    get shape() {
+        return "audio";
+    }
+
+    _isMainResourceImage() {
+        return false;
+    }
+}
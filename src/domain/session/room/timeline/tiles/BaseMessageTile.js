@@ -17,6 +17,8 @@ limitations under the License.
 import {SimpleTile} from "./SimpleTile.js";
 import {ReactionsViewModel} from "../ReactionsViewModel.js";
 import {getIdentifierColorNumber, avatarInitials, getAvatarHttpUrl} from "../../../../avatar";
+import {parseEventPermalink} from "../permalink.js";
+import {pathWithEvent} from "../../../../navigation/index";
 
 export class BaseMessageTile extends SimpleTile {
     constructor(entry, options) {
@@ -24,6 +26,7 @@ export class BaseMessageTile extends SimpleTile {
         this._isContinuation = false;
         this._reactions = null;
         this._replyTile = null;
+        this._readReceipts = null;
         if (this._entry.annotations || this._entry.pendingAnnotations) {
             this._updateReactions();
         }
@@ -44,6 +47,37 @@ export class BaseMessageTile extends SimpleTile {
         return `https://matrix.to/#/${encodeURIComponent(this._room.id)}/${encodeURIComponent(this._entry.id)}`;
     }
 
+    /** shows this event in the timeline of the room, like when clicking a reply preview */
+    jumpTo() {
+        this._roomVM.jumpToEvent(this._entry.id);
+    }
+
+    /**
+     * Shows the event a matrix.to link in the message points to, rather than opening matrix.to
+     * @return {boolean} whether the link was handled
+     */
+    openLink(url) {
+        const permalink = parseEventPermalink(url);
+        if (!permalink) {
+            return false;
+        }
+        let {roomId} = permalink;
+        if (!roomId && permalink.roomAlias === this._room.canonicalAlias) {
+            roomId = this._room.id;
+        }
+        if (!roomId) {
+            // we'd need to ask the homeserver which room the alias points to
+            return false;
+        }
+        if (roomId === this._room.id) {
+            this._roomVM.jumpToEvent(permalink.eventId);
+        } else {
+            const path = this.navigation.path.with(this.navigation.segment("room", roomId));
+            this.navigation.applyPath(pathWithEvent(path, permalink.eventId));
+        }
+        return true;
+    }
+
     get senderProfileLink() {
         return `https://matrix.to/#/${encodeURIComponent(this.sender)}`;
     }
@@ -93,6 +127,52 @@ export class BaseMessageTile extends SimpleTile {
         return this._entry.isUnverified;
     }
 
+    /**
+     * How much we can trust that an encrypted message was sent by who it claims to be sent by:
+     * - "verified": decrypted with a key we received directly from a verified session of the sender
+     * - "unverified": we can't tell for sure, e.g. because the session is not verified or the key was forwarded
+     * - "warning": the session that sent the key doesn't own the key it claims to have
+     * @return {string | null} null if the message is not encrypted or could not be decrypted
+     */
+    get shield() {
+        const entry = this._entry;
+        if (!entry.isEncrypted || !entry.isDecrypted) {
+            return null;
+        }
+        if (entry.isVerificationUnknown) {
+            return "unverified";
+        }
+        if (entry.isUnverified) {
+            return "warning";
+        }
+        if (entry.isKeyFromBackup || entry.isKeyForwarded || !entry.isSenderDeviceVerified) {
+            return "unverified";
+        }
+        return "verified";
+    }
+
+    /** explains the shield, to show as a tooltip */
+    get shieldLabel() {
+        const entry = this._entry;
+        switch (this.shield) {
+            case "verified":
+                return this.i18n`Encrypted by a verified session`;
+            case "warning":
+                return this.i18n`The authenticity of this message can't be guaranteed: it was encrypted with a key that doesn't belong to the session of the sender`;
+            case "unverified":
+                if (entry.isVerificationUnknown) {
+                    return this.i18n`Encrypted by an unknown or deleted session`;
+                } else if (entry.isKeyFromBackup) {
+                    return this.i18n`The authenticity of this message can't be guaranteed on this device, as its key was restored from key backup`;
+                } else if (entry.isKeyForwarded) {
+                    return this.i18n`The authenticity of this message can't be guaranteed on this device, as its key was forwarded by another session`;
+                }
+                return this.i18n`Encrypted by an unverified session`;
+            default:
+                return null;
+        }
+    }
+
     get isReply() {
         return this._entry.isReply;
     }
@@ -149,8 +229,43 @@ export class BaseMessageTile extends SimpleTile {
         this._roomVM.startReply(this._entry);
     }
 
-    reply(msgtype, body, log = null) {
-        return this._room.sendEvent("m.room.message", this._entry.reply(msgtype, body), null, log);
+    reply(msgtype, body, formattedBody = null, mentions = null, log = null) {
+        return this._room.sendEvent("m.room.message", this._entry.reply(msgtype, body, formattedBody, mentions), null, log);
+    }
+
+    get threadLink() {
+        return `${this.urlRouter.urlUntilSegment("room")}/thread/${encodeURIComponent(this._entry.id)}`;
+    }
+
+    /** A line with the reply count and latest reply if this is the root of a thread, shown in the main timeline */
+    get threadSummary() {
+        const summary = this._entry.threadSummary;
+        if (!summary || this._roomVM.kind !== "room") {
+            return null;
+        }
+        const replies = summary.count === 1 ? this.i18n`1 reply` : this.i18n`${summary.count} replies`;
+        const latestEntry = this._entry.threadLatestEntry;
+        if (!latestEntry) {
+            return replies;
+        }
+        const body = latestEntry.eventType === "m.room.encrypted" ?
+            this.i18n`Encrypted message` :
+            latestEntry.content?.body;
+        return `${replies} · ${latestEntry.displayName || latestEntry.sender}: ${body ?? ""}`;
+    }
+
+    get canReplyInThread() {
+        return !this._entry.isPending &&
+            !this._entry.isThreadReply &&
+            !this._entry.isRedacted &&
+            this._roomVM.kind === "room";
+    }
+
+    openThread() {
+        let path = this.navigation.path.until("room");
+        path = path.with(this.navigation.segment("right-panel", true));
+        path = path.with(this.navigation.segment("thread", this._entry.id));
+        this.navigation.applyPath(path);
     }
 
     redact(reason, log) {
@@ -161,6 +276,21 @@ export class BaseMessageTile extends SimpleTile {
         return this._powerLevels.canRedactFromSender(this._entry.sender);
     }
 
+    get showsReadReceipts() {
+        return true;
+    }
+
+    /** @type {Array<ReadReceiptViewModel> | null} the members that have read up to this message, but not further */
+    get readReceipts() {
+        return this._readReceipts;
+    }
+
+    /** @package */
+    setReadReceipts(readReceipts) {
+        this._readReceipts = readReceipts;
+        this.emitChange("readReceipts");
+    }
+
     get reactions() {
         if (this.shape !== "redacted") {
             return this._reactions;
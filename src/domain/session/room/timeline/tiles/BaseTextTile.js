@@ -17,6 +17,7 @@ limitations under the License.
 import {BaseMessageTile} from "./BaseMessageTile.js";
 import {stringAsBody} from "../MessageBody.js";
 import {createEnum} from "../../../../../utils/enum";
+import {stripReplyFallback} from "../../../../../matrix/room/timeline/entries/reply.js";
 
 export const BodyFormat = createEnum("Plain", "Html");
 
@@ -57,4 +58,27 @@ export class BaseTextTile extends BaseMessageTile {
         return this._messageBody;
     }
 
+    get isEdited() {
+        return this._entry.isEdited;
+    }
+
+    get canEdit() {
+        const msgtype = this._getContent()?.msgtype;
+        return this.isOwn && !this._entry.isRedacted &&
+            (msgtype === "m.text" || msgtype === "m.emote" || msgtype === "m.notice");
+    }
+
+    /** the plain body to put in the composer when editing this message */
+    get editableBody() {
+        const body = this._getContent()?.body || "";
+        return this._entry.isReply ? stripReplyFallback(body) : body;
+    }
+
+    startEdit() {
+        this._roomVM.startEdit(this._entry);
+    }
+
+    edit(msgtype, body, formattedBody = null, mentions = null, log = null) {
+        return this._room.sendEvent("m.room.message", this._entry.edit(msgtype, body, formattedBody, mentions), null, log);
+    }
 }
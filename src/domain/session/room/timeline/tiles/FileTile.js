@@ -34,14 +34,14 @@ export class FileTile extends BaseMessageTile {
         const filename = content.body;
         this._downloading = true;
         this.emitChange("label");
-        let blob;
         try {
-            blob = await this._mediaRepository.downloadAttachment(content);
-            this.platform.saveFileAs(blob, filename);
+            // save the file while downloading, so large files aren't held in memory as a whole
+            await this.platform.saveFileInChunksAs(filename, content.info?.mimetype, writeChunk => {
+                return this._mediaRepository.downloadAttachmentInChunks(content, writeChunk);
+            });
         } catch (err) {
             this._downloadError = err;
         } finally {
-            blob?.dispose();
             this._downloading = false;
         }
         this.emitChange("label");
@@ -12,11 +12,15 @@ export enum TileShape {
     File = "file",
     Gap = "gap",
     Image = "image",
+    Sticker = "sticker",
     Location = "location",
     MissingAttachment = "missing-attachment",
     Redacted = "redacted",
     Video = "video",
-    DateHeader = "date-header"
+    Audio = "audio",
+    Poll = "poll",
+    DateHeader = "date-header",
+    ReadMarker = "read-marker"
 }
 
 // TODO: should we imply inheriting from view model here?
@@ -0,0 +1,155 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMessageTile} from "./BaseMessageTile.js";
+import {parsePollStart, tallyPoll, createPollResponse, createPollEnd} from "../../../../../matrix/room/timeline/poll.js";
+
+export class PollTile extends BaseMessageTile {
+    constructor(entry, options) {
+        super(entry, options);
+        this._pollContent = null;
+        this._poll = null;
+        this._results = null;
+    }
+
+    get shape() {
+        return "poll";
+    }
+
+    get _parsedPoll() {
+        const content = this._getContent();
+        if (content !== this._pollContent) {
+            this._pollContent = content;
+            this._poll = parsePollStart(this._entry.eventType, content);
+        }
+        return this._poll;
+    }
+
+    /** the votes, including the ones still being sent, counted again after every update of the entry */
+    get _tally() {
+        if (!this._results) {
+            const references = this._entry.referenceEntries.concat(this._entry.pendingReferenceEntries);
+            this._results = tallyPoll(this._parsedPoll, this._entry.sender, references, this._ownMember.userId);
+        }
+        return this._results;
+    }
+
+    updateEntry(entry, param) {
+        this._results = null;
+        return super.updateEntry(entry, param);
+    }
+
+    get question() {
+        return this._parsedPoll.question;
+    }
+
+    /** @return {Array<{id, text}>} */
+    get answers() {
+        return this._parsedPoll.answers;
+    }
+
+    get isEnded() {
+        return !!this._tally.endEntry;
+    }
+
+    /** results of undisclosed polls are only shown once ended, and otherwise only after voting */
+    get showResults() {
+        return this.isEnded || (!this._parsedPoll.isUndisclosed && this._tally.ownAnswerIds.length !== 0);
+    }
+
+    voteCount(answerId) {
+        return this._tally.votes.get(answerId) ?? 0;
+    }
+
+    votePercentage(answerId) {
+        const {voterCount} = this._tally;
+        return voterCount ? Math.round((this.voteCount(answerId) / voterCount) * 100) : 0;
+    }
+
+    voteLabel(answerId) {
+        const count = this.voteCount(answerId);
+        return count === 1 ? this.i18n`1 vote` : this.i18n`${count} votes`;
+    }
+
+    isSelected(answerId) {
+        return this._tally.ownAnswerIds.includes(answerId);
+    }
+
+    isWinner(answerId) {
+        if (!this.isEnded) {
+            return false;
+        }
+        const count = this.voteCount(answerId);
+        return count > 0 && this.answers.every(a => this.voteCount(a.id) <= count);
+    }
+
+    get status() {
+        const {voterCount, ownAnswerIds} = this._tally;
+        const votes = voterCount === 1 ? this.i18n`1 vote` : this.i18n`${voterCount} votes`;
+        if (this.isEnded) {
+            return this.i18n`Final result based on ${votes}`;
+        } else if (this._parsedPoll.isUndisclosed) {
+            return this.i18n`Results will be visible when the poll is ended`;
+        } else if (ownAnswerIds.length === 0) {
+            return this.i18n`${votes} cast. Vote to see the results`;
+        }
+        return this.i18n`Based on ${votes}`;
+    }
+
+    get canVote() {
+        return !this._entry.isPending && !this.isEnded;
+    }
+
+    /** only the creator of the poll can end it */
+    get canEnd() {
+        return this.isOwn && !this._entry.isPending && !this.isEnded;
+    }
+
+    vote(answerId, log = null) {
+        return this.logger.wrapOrRun(log, "vote", async log => {
+            if (!this.canVote) {
+                log.set("ended", true);
+                return;
+            }
+            const poll = this._parsedPoll;
+            const {ownAnswerIds} = this._tally;
+            let answerIds;
+            if (poll.maxSelections === 1) {
+                if (ownAnswerIds.includes(answerId)) {
+                    return;
+                }
+                answerIds = [answerId];
+            } else if (ownAnswerIds.includes(answerId)) {
+                answerIds = ownAnswerIds.filter(id => id !== answerId);
+            } else {
+                answerIds = ownAnswerIds.concat(answerId).slice(-poll.maxSelections);
+            }
+            const {type, content} = createPollResponse(poll, this._entry.id, answerIds);
+            await this._room.sendEvent(type, content, null, log);
+        });
+    }
+
+    endPoll(log = null) {
+        return this.logger.wrapOrRun(log, "end poll", async log => {
+            if (!this.canEnd) {
+                return;
+            }
+            const poll = this._parsedPoll;
+            const {type, content} = createPollEnd(poll, this._entry.id, `The poll "${poll.question}" has ended`);
+            await this._room.sendEvent(type, content, null, log);
+        });
+    }
+}
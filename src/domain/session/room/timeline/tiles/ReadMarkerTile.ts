@@ -0,0 +1,100 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ITile, TileShape, EmitUpdateFn} from "./ITile";
+import {UpdateAction} from "../UpdateAction";
+import {BaseEntry} from "../../../../../matrix/room/timeline/entries/BaseEntry";
+import {ViewModel} from "../../../../ViewModel";
+import type {Options} from "../../../../ViewModel";
+
+/**
+ * The "new messages" divider, shown after the event the user had fully read when opening the room.
+ * Like DateTile, it doesn't have an entry of its own, but sorts right after the fully read entry,
+ * which doesn't need to have a tile.
+ * It stays where it was put while the room is open, also when the fully read marker moves.
+ */
+export class ReadMarkerTile extends ViewModel implements ITile<BaseEntry> {
+    private _previousTile?: ITile<BaseEntry>;
+    private _nextTile?: ITile<BaseEntry>;
+
+    constructor(private _refEntry: BaseEntry, options: Options) {
+        super(options);
+    }
+
+    setUpdateEmit(emitUpdate: EmitUpdateFn): void {}
+
+    get upperEntry(): BaseEntry {
+        return this._refEntry;
+    }
+
+    get lowerEntry(): BaseEntry {
+        return this._refEntry;
+    }
+
+    /** the tile before the divider, for the tile after it to compare with */
+    get previousTile(): ITile<BaseEntry> | undefined {
+        return this._previousTile;
+    }
+
+    compare(tile: ITile<BaseEntry>): number {
+        return this.compareEntry(tile.upperEntry);
+    }
+
+    /** never returns 0, so _findTileIdx in TilesCollection doesn't return the divider as the tile for the entry */
+    compareEntry(entry: BaseEntry): number {
+        const result = this._refEntry.compare(entry);
+        // the divider comes after the entry it was put after
+        return result === 0 ? 1 : result;
+    }
+
+    updateEntry(entry: BaseEntry, param: any): UpdateAction {
+        return UpdateAction.Nothing();
+    }
+
+    removeEntry(entry: BaseEntry): boolean {
+        return false;
+    }
+
+    tryIncludeEntry(): boolean {
+        return false;
+    }
+
+    updatePreviousSibling(prev: ITile<BaseEntry> | undefined): void {
+        this._previousTile = prev;
+        // the tile after us compares with the tile before us, e.g. whether it needs a date header
+        this._nextTile?.updatePreviousSibling(this);
+    }
+
+    updateNextSibling(next: ITile<BaseEntry> | undefined): void {
+        this._nextTile = next;
+    }
+
+    notifyVisible(): void {}
+
+    get needsDateSeparator(): boolean {
+        return false;
+    }
+
+    createDateSeparator(): undefined {
+        return undefined;
+    }
+
+    get shape(): TileShape {
+        return TileShape.ReadMarker;
+    }
+
+    dispose(): void {}
+}
@@ -67,6 +67,11 @@ export class SimpleTile extends ViewModel {
         return this._entry.id;
     }
 
+    /** whether the read receipts of the events up to the next tile can be shown under this tile */
+    get showsReadReceipts() {
+        return false;
+    }
+
     get isPending() {
         return this._entry.isPending;
     }
@@ -84,6 +89,15 @@ export class SimpleTile extends ViewModel {
         this._entry.pendingEvent?.abort();
     }
 
+    /** sending was refused because unverified sessions appeared in the room, see DeviceTrustPolicy */
+    get isBlockedByNewDevices() {
+        return this.isUnsent && this._entry.pendingEvent.error?.name === "UnknownDevicesError";
+    }
+
+    sendAnyway() {
+        return this._room.acknowledgeNewDevices();
+    }
+
     // TilesCollection contract below
     setUpdateEmit(emitUpdate) {
         this._emitUpdate = emitUpdate;
@@ -142,6 +156,10 @@ export class SimpleTile extends ViewModel {
     }
     // let item know it has a new sibling
     updatePreviousSibling(prev) {
+        // the read marker has no date, so look at the tile before it
+        if (prev?.shape === TileShape.ReadMarker) {
+            prev = prev.previousTile;
+        }
         if (prev?.shape !== TileShape.DateHeader) {
             this._updateDateSeparator(prev);
         }
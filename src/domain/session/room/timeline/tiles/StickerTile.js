@@ -0,0 +1,43 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMediaTile} from "./BaseMediaTile.js";
+
+const MAX_SIZE = 256;
+// for stickers that don't say how large they are
+const DEFAULT_SIZE = 128;
+
+/** m.sticker events, shown as just the image, without a lightbox */
+export class StickerTile extends BaseMediaTile {
+    get width() {
+        const info = this._getContent()?.info;
+        return Number.isFinite(info?.w) ? super.width : DEFAULT_SIZE;
+    }
+
+    get height() {
+        const info = this._getContent()?.info;
+        return Number.isFinite(info?.h) ? super.height : DEFAULT_SIZE;
+    }
+
+    get shape() {
+        return "sticker";
+    }
+
+    _scaleFactor() {
+        const info = this._getContent()?.info;
+        return Math.min(MAX_SIZE / info?.w, MAX_SIZE / info?.h, 1);
+    }
+}
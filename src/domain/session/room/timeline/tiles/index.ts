@@ -18,7 +18,9 @@ import {GapTile} from "./GapTile.js";
 import {TextTile} from "./TextTile.js";
 import {RedactedTile} from "./RedactedTile.js";
 import {ImageTile} from "./ImageTile.js";
+import {StickerTile} from "./StickerTile.js";
 import {VideoTile} from "./VideoTile.js";
+import {AudioTile} from "./AudioTile.js";
 import {FileTile} from "./FileTile.js";
 import {LocationTile} from "./LocationTile.js";
 import {RoomNameTile} from "./RoomNameTile.js";
@@ -26,6 +28,10 @@ import {RoomMemberTile} from "./RoomMemberTile.js";
 import {EncryptedEventTile} from "./EncryptedEventTile.js";
 import {EncryptionEnabledTile} from "./EncryptionEnabledTile.js";
 import {MissingAttachmentTile} from "./MissingAttachmentTile.js";
+import {PollTile} from "./PollTile.js";
+import {REPLACE_RELATION_TYPE} from "../../../../../matrix/room/timeline/relations.js";
+import {POLL_START_TYPE, UNSTABLE_POLL_START_TYPE, parsePollStart} from "../../../../../matrix/room/timeline/poll.js";
+import {STICKER_TYPE} from "../../../../../matrix/room/stickers.js";
 
 import type {ITile, TileShape} from "./ITile";
 import type {Room} from "../../../../../matrix/room/Room";
@@ -49,6 +55,9 @@ export function tileClassForEntry(entry: TimelineEntry): TileConstructor | undef
         return GapTile;
     } else if (entry.isPending && entry.pendingEvent.isMissingAttachments) {
         return MissingAttachmentTile;
+    } else if (entry.relation?.rel_type === REPLACE_RELATION_TYPE) {
+        // edits are shown as part of the event they replace
+        return undefined;
     } else if (entry.eventType) {
         switch (entry.eventType) {
             case "m.room.message": {
@@ -66,6 +75,8 @@ export function tileClassForEntry(entry: TimelineEntry): TileConstructor | undef
                         return ImageTile;
                     case "m.video":
                         return VideoTile;
+                    case "m.audio":
+                        return AudioTile;
                     case "m.file":
                         return FileTile;
                     case "m.location":
@@ -75,6 +86,18 @@ export function tileClassForEntry(entry: TimelineEntry): TileConstructor | undef
                         return undefined;
                 }
             }
+            case STICKER_TYPE:
+                if (entry.isRedacted) {
+                    return RedactedTile;
+                }
+                return StickerTile;
+            case POLL_START_TYPE:
+            case UNSTABLE_POLL_START_TYPE:
+                if (entry.isRedacted) {
+                    return RedactedTile;
+                }
+                // invalid polls are not rendered
+                return parsePollStart(entry.eventType, entry.content) ? PollTile : undefined;
             case "m.room.name":
                 return RoomNameTile;
             case "m.room.member":
@@ -0,0 +1,205 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+
+/** Lists the devices of our account from the homeserver, and lets the user rename and sign them out */
+export class DevicesViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        this._session = options.session;
+        this._serverDevices = null;
+        this._devices = null;
+        this._selectedIds = new Set();
+        this._renamingDeviceId = null;
+        this._isBusy = false;
+        this._error = null;
+        // set while signing out devices
+        this._auth = null;
+        this._passwordStage = null;
+        this._load();
+    }
+
+    async _load() {
+        try {
+            const devices = await this._session.getDevices();
+            if (this.isDisposed) {
+                return;
+            }
+            this._serverDevices = devices.sort((a, b) => (b.last_seen_ts ?? 0) - (a.last_seen_ts ?? 0));
+            // forget about devices that are gone
+            const deviceIds = devices.map(d => d.device_id);
+            for (const id of this._selectedIds) {
+                if (!deviceIds.includes(id)) {
+                    this._selectedIds.delete(id);
+                }
+            }
+            this._updateDevices();
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+            this.emitChange("error");
+        }
+    }
+
+    _updateDevices() {
+        this._devices = this._serverDevices.map(device => {
+            const lastSeen = device.last_seen_ts ? new Date(device.last_seen_ts) : null;
+            return {
+                deviceId: device.device_id,
+                name: device.display_name || device.device_id,
+                lastSeenIp: device.last_seen_ip,
+                lastSeen: lastSeen && `${this.timeFormatter.formatRelativeDate(lastSeen)} ${this.timeFormatter.formatTime(lastSeen)}`,
+                isCurrent: device.device_id === this._session.deviceId,
+                isSelected: this._selectedIds.has(device.device_id),
+                isRenaming: device.device_id === this._renamingDeviceId,
+            };
+        });
+        this.emitChange("devices");
+    }
+
+    /** @type {Array<{deviceId, name, lastSeenIp, lastSeen, isCurrent, isSelected, isRenaming}> | null} null while loading */
+    get devices() {
+        return this._devices;
+    }
+
+    get isBusy() {
+        return this._isBusy;
+    }
+
+    get error() {
+        return this._error?.message;
+    }
+
+    get selectedCount() {
+        return this._selectedIds.size;
+    }
+
+    /** Whether the homeserver asked for the password to sign out the devices */
+    get needsPassword() {
+        return !!this._passwordStage;
+    }
+
+    toggleSelected(deviceId) {
+        if (deviceId === this._session.deviceId) {
+            return;
+        }
+        if (this._selectedIds.has(deviceId)) {
+            this._selectedIds.delete(deviceId);
+        } else {
+            this._selectedIds.add(deviceId);
+        }
+        this._updateDevices();
+    }
+
+    startRenaming(deviceId) {
+        this._renamingDeviceId = deviceId;
+        this._updateDevices();
+    }
+
+    cancelRenaming() {
+        this._renamingDeviceId = null;
+        this._updateDevices();
+    }
+
+    async renameDevice(deviceId, name) {
+        name = name.trim();
+        if (!name) {
+            return;
+        }
+        await this._run(async () => {
+            await this._session.renameDevice(deviceId, name);
+            this._renamingDeviceId = null;
+            await this._load();
+        });
+    }
+
+    signOutSelected() {
+        return this.signOutDevices(Array.from(this._selectedIds));
+    }
+
+    async signOutDevices(deviceIds) {
+        if (!deviceIds.length || this._auth) {
+            return;
+        }
+        await this._run(async () => {
+            this._auth = this._session.deleteDevices(deviceIds);
+            await this._continueAuth(await this._auth.start());
+        });
+    }
+
+    async submitPassword(password) {
+        if (!this._passwordStage || !password) {
+            return;
+        }
+        await this._run(async () => {
+            const stage = this._passwordStage;
+            stage.setPassword(password);
+            this._passwordStage = null;
+            try {
+                await this._continueAuth(await this._auth.submitStage(stage));
+            } catch (err) {
+                // let the user try again with another password
+                this._passwordStage = stage;
+                throw err;
+            }
+        });
+    }
+
+    cancelSignOut() {
+        this._auth = null;
+        this._passwordStage = null;
+        this.emitChange("needsPassword");
+    }
+
+    async _continueAuth(stage) {
+        while (stage) {
+            if (stage.type === "m.login.password") {
+                this._passwordStage = stage;
+                return;
+            } else if (stage.type === "m.login.dummy") {
+                stage = await this._auth.submitStage(stage);
+            } else {
+                throw new Error(`Unsupported authentication stage: ${stage.type}`);
+            }
+        }
+        // all stages are completed, so the devices are signed out
+        this._auth = null;
+        this._selectedIds.clear();
+        await this._load();
+    }
+
+    async _run(callback) {
+        if (this._isBusy) {
+            return;
+        }
+        this._isBusy = true;
+        this._error = null;
+        this.emitChange("isBusy");
+        try {
+            await callback();
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+            if (!this._passwordStage) {
+                this._auth = null;
+            }
+        } finally {
+            this._isBusy = false;
+            this.emitChange("");
+        }
+    }
+}
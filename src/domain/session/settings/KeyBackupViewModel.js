@@ -18,7 +18,7 @@ import {ViewModel} from "../../ViewModel";
 import {KeyType} from "../../../matrix/ssss/index";
 import {createEnum} from "../../../utils/enum";
 
-export const Status = createEnum("Enabled", "SetupKey", "SetupPhrase", "Pending", "NewVersionAvailable"); 
+export const Status = createEnum("Enabled", "SetupKey", "SetupPhrase", "Create", "Pending", "NewVersionAvailable"); 
 export const BackupWriteStatus = createEnum("Writing", "Stopped", "Done", "Pending"); 
 
 export class KeyBackupViewModel extends ViewModel {
@@ -28,6 +28,9 @@ export class KeyBackupViewModel extends ViewModel {
         this._error = null;
         this._isBusy = false;
         this._dehydratedDeviceId = undefined;
+        this._createdRecoveryKey = undefined;
+        this._hasSecretStorage = undefined;
+        this._secretRequestFeedback = undefined;
         this._status = undefined;
         this._backupOperation = this._session.keyBackup.flatMap(keyBackup => keyBackup.operationInProgress);
         this._progress = this._backupOperation.flatMap(op => op.progress);
@@ -43,6 +46,21 @@ export class KeyBackupViewModel extends ViewModel {
                 this.emitChange("status");
             }
         }));
+        this._checkSecretStorage();
+    }
+
+    async _checkSecretStorage() {
+        try {
+            this._hasSecretStorage = await this._session.hasSecretStorage();
+        } catch (err) {
+            console.error(err);
+            return;
+        }
+        if (this._reevaluateStatus()) {
+            this.emitChange("status");
+        } else {
+            this.emitChange("hasSecretStorage");
+        }
     }
 
     _reevaluateStatus() {
@@ -54,7 +72,12 @@ export class KeyBackupViewModel extends ViewModel {
         if (keyBackup) {
             status = keyBackup.needsNewKey ? Status.NewVersionAvailable : Status.Enabled;
         } else if (keyBackup === null) {
-            status = this.showPhraseSetup() ? Status.SetupPhrase : Status.SetupKey;
+            if (this._status === Status.Create || this._hasSecretStorage === false) {
+                // nothing to enable, offer to create secret storage and a key backup instead
+                status = Status.Create;
+            } else {
+                status = this.showPhraseSetup() ? Status.SetupPhrase : Status.SetupKey;
+            }
         } else {
             status = Status.Pending;
         }
@@ -78,7 +101,17 @@ export class KeyBackupViewModel extends ViewModel {
     get dehydratedDeviceId() {
         return this._dehydratedDeviceId;
     }
+
+    /** the recovery key of the secret storage we just created, to show to the user once */
+    get createdRecoveryKey() {
+        return this._createdRecoveryKey;
+    }
     
+    /** whether the account has secret storage already, which setting up key backup should add to rather than replace */
+    get hasSecretStorage() {
+        return !!this._hasSecretStorage;
+    }
+
     get isBusy() {
         return this._isBusy;
     }
@@ -124,12 +157,105 @@ export class KeyBackupViewModel extends ViewModel {
     }
 
     showKeySetup() {
-        if (this._status === Status.SetupPhrase) {
+        if (this._status === Status.SetupPhrase || this._status === Status.Create) {
             this._status = Status.SetupKey;
             this.emitChange("status");
         }
     }
 
+    showCreateSetup() {
+        if (this._status === Status.SetupKey || this._status === Status.SetupPhrase) {
+            this._status = Status.Create;
+            this.emitChange("status");
+        }
+    }
+
+    /**
+     * @param {boolean} replaceExisting needs to be set if the account has secret storage already,
+     *   which the user has confirmed to replace, losing the secrets in it
+     */
+    async createSecretStorage(passphrase, confirmedPassphrase, replaceExisting = false) {
+        if (passphrase !== confirmedPassphrase) {
+            this._error = new Error(this.i18n`The security phrases don't match`);
+            this.emitChange("error");
+            return;
+        }
+        if (this._hasSecretStorage && !replaceExisting) {
+            this._error = new Error(this.i18n`Confirm that you want to replace your existing secret storage`);
+            this.emitChange("error");
+            return;
+        }
+        try {
+            this._isBusy = true;
+            this._error = null;
+            this.emitChange("isBusy");
+            this._createdRecoveryKey = await this._session.createSecretStorageAndKeyBackup(passphrase || undefined, replaceExisting);
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+            this.emitChange("error");
+        } finally {
+            this._isBusy = false;
+            this._reevaluateStatus();
+            this.emitChange("");
+        }
+    }
+
+    async _createKeyBackupInSecretStorage(keyType, credential) {
+        if (!credential) {
+            return;
+        }
+        try {
+            this._isBusy = true;
+            this._error = null;
+            this.emitChange("isBusy");
+            await this._session.createKeyBackupInSecretStorage(keyType, credential);
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+            this.emitChange("error");
+        } finally {
+            this._isBusy = false;
+            this._reevaluateStatus();
+            this.emitChange("");
+        }
+    }
+
+    /** Creates a new key backup in the existing secret storage, unlocked with its security key */
+    createKeyBackupWithSecurityKey(securityKey) {
+        this._createKeyBackupInSecretStorage(KeyType.RecoveryKey, securityKey);
+    }
+
+    /** Creates a new key backup in the existing secret storage, unlocked with its security phrase */
+    createKeyBackupWithSecurityPhrase(passphrase) {
+        this._createKeyBackupInSecretStorage(KeyType.Passphrase, passphrase);
+    }
+
+    /** Asks our other verified sessions to send us the backup key, so the user doesn't need to enter it */
+    async requestFromOtherSessions() {
+        try {
+            this._isBusy = true;
+            this._error = null;
+            this.emitChange("isBusy");
+            const requestedNames = await this._session.requestSecretsFromOwnDevices();
+            if (requestedNames.includes("m.megolm_backup.v1")) {
+                this._secretRequestFeedback = this.i18n`Your other sessions have been asked for the key. Key backup will be enabled as soon as one of them sends it, which only happens if they have verified this session.`;
+            } else {
+                this._secretRequestFeedback = this.i18n`Could not ask any of your other sessions for the key. Verify one of them first, or set up a new key backup if your account doesn't have one in secret storage.`;
+            }
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+        } finally {
+            this._isBusy = false;
+            this.emitChange("");
+        }
+    }
+
+    get secretRequestFeedback() {
+        return this._secretRequestFeedback;
+    }
+
     async _enterCredentials(keyType, credential, setupDehydratedDevice) {
         if (credential) {
             try {
@@ -0,0 +1,101 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel} from "../../ViewModel";
+
+export class KeyExportViewModel extends ViewModel {
+    constructor(options) {
+        super(options);
+        this._session = options.session;
+        this._error = null;
+        this._isBusy = false;
+        this._feedbackMessage = null;
+    }
+
+    get isBusy() {
+        return this._isBusy;
+    }
+
+    get error() {
+        return this._error?.message;
+    }
+
+    get feedbackMessage() {
+        return this._feedbackMessage;
+    }
+
+    async exportKeys(passphrase, confirmedPassphrase) {
+        if (!passphrase) {
+            this._setError(new Error(this.i18n`Enter a passphrase to protect the exported keys with`));
+            return;
+        }
+        if (passphrase !== confirmedPassphrase) {
+            this._setError(new Error(this.i18n`The passphrases don't match`));
+            return;
+        }
+        await this._run(async () => {
+            const fileContents = await this._session.exportRoomKeys(passphrase);
+            const blob = this.platform.createBlob(this.platform.encoding.utf8.encode(fileContents), "text/plain");
+            const date = new Date(this.platform.clock.now()).toISOString().slice(0, 10);
+            this.platform.saveFileAs(blob, `hydrogen-keys-${date}.txt`);
+            this._feedbackMessage = this.i18n`Your room keys have been exported.`;
+        });
+    }
+
+    async importKeys(passphrase) {
+        if (!passphrase) {
+            this._setError(new Error(this.i18n`Enter the passphrase the keys were exported with`));
+            return;
+        }
+        // open the file picker before doing anything else,
+        // as browsers only allow it in direct response to a user action
+        const file = await this.platform.openFile("text/plain");
+        if (!file) {
+            return;
+        }
+        await this._run(async () => {
+            const buffer = await file.blob.readAsBuffer();
+            const fileContents = this.platform.encoding.utf8.decode(buffer);
+            const {total, imported} = await this._session.importRoomKeys(fileContents, passphrase);
+            this._feedbackMessage = this.i18n`Imported ${imported} of ${total} room keys.`;
+        });
+    }
+
+    _setError(err) {
+        this._error = err;
+        this._feedbackMessage = null;
+        this.emitChange("error");
+    }
+
+    async _run(callback) {
+        if (this._isBusy) {
+            return;
+        }
+        this._isBusy = true;
+        this._error = null;
+        this._feedbackMessage = null;
+        this.emitChange("isBusy");
+        try {
+            await callback();
+        } catch (err) {
+            console.error(err);
+            this._error = err;
+        } finally {
+            this._isBusy = false;
+            this.emitChange("");
+        }
+    }
+}
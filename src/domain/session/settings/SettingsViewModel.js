@@ -16,7 +16,11 @@ limitations under the License.
 
 import {ViewModel} from "../../ViewModel";
 import {KeyBackupViewModel} from "./KeyBackupViewModel.js";
+import {KeyExportViewModel} from "./KeyExportViewModel.js";
+import {DevicesViewModel} from "./DevicesViewModel.js";
 import {submitLogsToRageshakeServer} from "../../../domain/rageshake";
+import {TrustLevel} from "../../../matrix/e2ee/common.js";
+import {deviceTrustPolicyOptions} from "../common.js";
 
 class PushNotificationStatus {
     constructor() {
@@ -45,14 +49,19 @@ export class SettingsViewModel extends ViewModel {
         const {client} = options;
         this._client = client;
         this._keyBackupViewModel = this.track(new KeyBackupViewModel(this.childOptions({session: this._session})));
+        this._keyExportViewModel = this.track(new KeyExportViewModel(this.childOptions({session: this._session})));
+        this._devicesViewModel = this.track(new DevicesViewModel(this.childOptions({session: this._session})));
         this._closeUrl = this.urlRouter.urlUntilSegment("session");
         this._estimate = null;
         this.sentImageSizeLimit = null;
         this.minSentImageSizeLimit = 400;
         this.maxSentImageSizeLimit = 4000;
+        this.sendPrivateReadReceipts = false;
         this.pushNotifications = new PushNotificationStatus();
         this._activeTheme = undefined;
         this._logsFeedbackMessage = undefined;
+        this._ownDevices = null;
+        this._ownDevicesError = null;
     }
 
     get _session() {
@@ -74,9 +83,18 @@ export class SettingsViewModel extends ViewModel {
         this.emitChange("sentImageSizeLimit");
     }
 
+    /** with private read receipts, the other members of a room don't see what we have read */
+    setSendPrivateReadReceipts(enabled) {
+        this.sendPrivateReadReceipts = enabled;
+        this.platform.settingsStorage.setBool("sendPrivateReadReceipts", enabled);
+        this.emitChange("sendPrivateReadReceipts");
+    }
+
     async load() {
+        this._loadOwnDevices();
         this._estimate = await this.platform.estimateStorageUsage();
         this.sentImageSizeLimit = await this.platform.settingsStorage.getInt("sentImageSizeLimit");
+        this.sendPrivateReadReceipts = await this.platform.settingsStorage.getBool("sendPrivateReadReceipts");
         this.pushNotifications.supported = await this.platform.notificationService.supportsPush();
         this.pushNotifications.enabled = await this._session.arePushNotificationsEnabled();
         if (!import.meta.env.DEV) {
@@ -85,6 +103,70 @@ export class SettingsViewModel extends ViewModel {
         this.emitChange("");
     }
 
+    async _loadOwnDevices() {
+        let devices;
+        try {
+            ({devices} = await this._session.getTrustForUser(this.userId));
+        } catch (err) {
+            this._setOwnDevicesError(err);
+            return;
+        }
+        if (!this.isDisposed) {
+            this._ownDevices = devices
+                .filter(({device}) => device.deviceId !== this.deviceId)
+                .map(({device, trustLevel}) => {
+                    return {
+                        deviceId: device.deviceId,
+                        name: device.displayName || device.deviceId,
+                        isVerified: trustLevel === TrustLevel.Verified,
+                    };
+                });
+            this.emitChange("ownDevices");
+        }
+    }
+
+    _setOwnDevicesError(err) {
+        console.error(err);
+        if (!this.isDisposed) {
+            this._ownDevicesError = err;
+            this.emitChange("ownDevicesError");
+        }
+    }
+
+    /** @type {Array<{deviceId, name, isVerified}> | null} our other devices, null while loading */
+    get ownDevices() {
+        return this._ownDevices;
+    }
+
+    /** the error from loading or verifying our other devices, if any */
+    get ownDevicesError() {
+        return this._ownDevicesError?.message;
+    }
+
+    get deviceTrustPolicy() {
+        return this._session.deviceTrustPolicy;
+    }
+
+    get deviceTrustPolicyOptions() {
+        return deviceTrustPolicyOptions(this);
+    }
+
+    async setDeviceTrustPolicy(policy) {
+        await this._session.setDeviceTrustPolicy(policy);
+        this.emitChange("deviceTrustPolicy");
+    }
+
+    async verifyOwnDevice(deviceId) {
+        this._ownDevicesError = null;
+        this.emitChange("ownDevicesError");
+        try {
+            const verification = await this._session.requestDeviceVerification(this.userId, deviceId);
+            this.navigation.push("device-verification", verification.txnId);
+        } catch (err) {
+            this._setOwnDevicesError(err);
+        }
+    }
+
     get closeUrl() {
         return this._closeUrl;
     }
@@ -125,6 +207,14 @@ export class SettingsViewModel extends ViewModel {
         return this._keyBackupViewModel;
     }
 
+    get keyExportViewModel() {
+        return this._keyExportViewModel;
+    }
+
+    get devicesViewModel() {
+        return this._devicesViewModel;
+    }
+
     get storageQuota() {
         return this._formatBytes(this._estimate?.quota);
     }
@@ -0,0 +1,151 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ViewModel, Options as BaseOptions} from "../../ViewModel";
+import {SASState} from "../../../matrix/verification/SAS/SASVerification";
+import {CancelReason} from "../../../matrix/verification/common";
+import type {SegmentType} from "../../navigation/index";
+import type {Session} from "../../../matrix/Session.js";
+import type {SASVerification} from "../../../matrix/verification/SAS/SASVerification";
+import type {EmojiSas} from "../../../matrix/verification/SAS/generator";
+import type {ILogItem} from "../../../logging/types";
+
+type Options = BaseOptions & {
+    session: Session;
+    txnId: string;
+};
+
+export class DeviceVerificationViewModel extends ViewModel<SegmentType, Options> {
+    private _verification?: SASVerification;
+    private _closeUrl: string;
+    private _isBusy = false;
+    private _error?: Error;
+
+    constructor(options: Readonly<Options>) {
+        super(options);
+        const {session, txnId} = options;
+        this._verification = session.deviceVerification?.transactions.get(txnId);
+        if (this._verification) {
+            this.track(this._verification.disposableOn("change", () => this.emitChange("state")));
+        }
+        this._closeUrl = this.urlRouter.urlUntilSegment("session");
+    }
+
+    get closeUrl(): string {
+        return this._closeUrl;
+    }
+
+    get otherUserId(): string | undefined {
+        return this._verification?.otherUserId;
+    }
+
+    get otherDeviceId(): string | undefined {
+        return this._verification?.otherDeviceId;
+    }
+
+    get isBusy(): boolean {
+        return this._isBusy;
+    }
+
+    get error(): string | undefined {
+        return this._error?.message;
+    }
+
+    get canAccept(): boolean {
+        return !!this._verification?.isIncoming && this._verification.state === SASState.Requested;
+    }
+
+    get canCompare(): boolean {
+        return this._verification?.state === SASState.ShowSas;
+    }
+
+    get canCancel(): boolean {
+        return !!this._verification && !this._verification.isFinished;
+    }
+
+    get emoji(): EmojiSas[] | undefined {
+        return this.canCompare ? this._verification?.emoji : undefined;
+    }
+
+    get decimals(): number[] | undefined {
+        return this.canCompare && !this.emoji ? this._verification?.decimals : undefined;
+    }
+
+    get statusLabel(): string {
+        const verification = this._verification;
+        if (!verification) {
+            return this.i18n`This verification request is no longer available.`;
+        }
+        switch (verification.state) {
+            case SASState.Requested:
+                return verification.isIncoming ?
+                    this.i18n`${verification.otherUserId} wants to verify their session ${verification.otherDeviceId}.` :
+                    this.i18n`Waiting for ${verification.otherUserId} to accept the request on session ${verification.otherDeviceId}…`;
+            case SASState.Ready:
+                return this.i18n`Waiting for the other session to start…`;
+            case SASState.KeyExchange:
+                return this.i18n`Exchanging keys…`;
+            case SASState.ShowSas:
+                return verification.emoji ?
+                    this.i18n`Confirm the emoji below are displayed on the other session, in the same order:` :
+                    this.i18n`Confirm the numbers below are displayed on the other session, in the same order:`;
+            case SASState.WaitingForOtherSide:
+                return this.i18n`Waiting for the other session to confirm…`;
+            case SASState.Done:
+                return this.i18n`Session ${verification.otherDeviceId} of ${verification.otherUserId} is now verified.`;
+            case SASState.Cancelled:
+                if (verification.isCancelledByUs) {
+                    return this.i18n`You cancelled the verification.`;
+                } else {
+                    return this.i18n`The verification was cancelled by the other session (${verification.cancelCode}).`;
+                }
+        }
+    }
+
+    accept(): Promise<void> {
+        return this._run("accept verification", log => this._verification!.accept(log));
+    }
+
+    confirm(): Promise<void> {
+        return this._run("confirm verification", log => this._verification!.confirm(log));
+    }
+
+    /** the emoji or numbers on the other session don't match */
+    reject(): Promise<void> {
+        return this._run("reject verification", log => this._verification!.cancel(CancelReason.MismatchedSAS, log));
+    }
+
+    cancel(): Promise<void> {
+        return this._run("cancel verification", log => this._verification!.cancel(CancelReason.UserCancelled, log));
+    }
+
+    private async _run(label: string, callback: (log: ILogItem) => Promise<void>): Promise<void> {
+        if (!this._verification || this._isBusy) {
+            return;
+        }
+        this._isBusy = true;
+        this._error = undefined;
+        this.emitChange("isBusy");
+        try {
+            await this.logger.run(label, callback);
+        } catch (err) {
+            this._error = err;
+        } finally {
+            this._isBusy = false;
+            this.emitChange("isBusy");
+        }
+    }
+}
@@ -34,7 +34,9 @@ export {GapTile} from "./domain/session/room/timeline/tiles/GapTile.js";
 export {TextTile} from "./domain/session/room/timeline/tiles/TextTile.js";
 export {RedactedTile} from "./domain/session/room/timeline/tiles/RedactedTile.js";
 export {ImageTile} from "./domain/session/room/timeline/tiles/ImageTile.js";
+export {StickerTile} from "./domain/session/room/timeline/tiles/StickerTile.js";
 export {VideoTile} from "./domain/session/room/timeline/tiles/VideoTile.js";
+export {AudioTile} from "./domain/session/room/timeline/tiles/AudioTile.js";
 export {FileTile} from "./domain/session/room/timeline/tiles/FileTile.js";
 export {LocationTile} from "./domain/session/room/timeline/tiles/LocationTile.js";
 export {RoomNameTile} from "./domain/session/room/timeline/tiles/RoomNameTile.js";
@@ -42,6 +44,7 @@ export {RoomMemberTile} from "./domain/session/room/timeline/tiles/RoomMemberTil
 export {EncryptedEventTile} from "./domain/session/room/timeline/tiles/EncryptedEventTile.js";
 export {EncryptionEnabledTile} from "./domain/session/room/timeline/tiles/EncryptionEnabledTile.js";
 export {MissingAttachmentTile} from "./domain/session/room/timeline/tiles/MissingAttachmentTile.js";
+export {PollTile} from "./domain/session/room/timeline/tiles/PollTile.js";
 export {SimpleTile} from "./domain/session/room/timeline/tiles/SimpleTile.js";
 
 export {TimelineView} from "./platform/web/ui/session/room/TimelineView";
@@ -49,6 +52,7 @@ export {viewClassForTile} from "./platform/web/ui/session/room/common";
 export type {TileViewConstructor, ViewClassForEntryFn} from "./platform/web/ui/session/room/TimelineView";
 // export timeline tile views
 export {AnnouncementView} from "./platform/web/ui/session/room/timeline/AnnouncementView.js";
+export {AudioView} from "./platform/web/ui/session/room/timeline/AudioView.js";
 export {BaseMediaView} from "./platform/web/ui/session/room/timeline/BaseMediaView.js";
 export {BaseMessageView} from "./platform/web/ui/session/room/timeline/BaseMessageView.js";
 export {FileView} from "./platform/web/ui/session/room/timeline/FileView.js";
@@ -56,9 +60,11 @@ export {GapView} from "./platform/web/ui/session/room/timeline/GapView.js";
 export {ImageView} from "./platform/web/ui/session/room/timeline/ImageView.js";
 export {LocationView} from "./platform/web/ui/session/room/timeline/LocationView.js";
 export {MissingAttachmentView} from "./platform/web/ui/session/room/timeline/MissingAttachmentView.js";
+export {PollView} from "./platform/web/ui/session/room/timeline/PollView.js";
 export {ReactionsView} from "./platform/web/ui/session/room/timeline/ReactionsView.js";
 export {RedactedView} from "./platform/web/ui/session/room/timeline/RedactedView.js";
 export {ReplyPreviewView} from "./platform/web/ui/session/room/timeline/ReplyPreviewView.js";
+export {StickerView} from "./platform/web/ui/session/room/timeline/StickerView.js";
 export {TextMessageView} from "./platform/web/ui/session/room/timeline/TextMessageView.js";
 export {VideoView} from "./platform/web/ui/session/room/timeline/VideoView.js";
 
@@ -16,30 +16,51 @@ limitations under the License.
 
 import {OLM_ALGORITHM} from "./e2ee/common.js";
 import {countBy, groupBy} from "../utils/groupBy";
+import {isVerificationEvent} from "./verification/common";
+import {ROOM_KEY_REQUEST_TYPE} from "./e2ee/megolm/RoomKeyRequests";
+import {SECRET_REQUEST_TYPE, SECRET_SEND_TYPE} from "./ssss/SecretSharing";
 
 export class DeviceMessageHandler {
     constructor({storage}) {
         this._storage = storage;
         this._olmDecryption = null;
         this._megolmDecryption = null;
+        this._roomKeyRequests = null;
+        this._deviceVerification = null;
     }
 
-    enableEncryption({olmDecryption, megolmDecryption}) {
+    enableEncryption({olmDecryption, megolmDecryption, roomKeyRequests, olmSessionRecovery, secretSharing, onSecretsReceived}) {
         this._olmDecryption = olmDecryption;
+        this._olmSessionRecovery = olmSessionRecovery;
         this._megolmDecryption = megolmDecryption;
+        this._roomKeyRequests = roomKeyRequests;
+        this._secretSharing = secretSharing;
+        this._onSecretsReceived = onSecretsReceived;
+    }
+
+    enableVerification(deviceVerification) {
+        this._deviceVerification = deviceVerification;
     }
 
     obtainSyncLock(toDeviceEvents) {
         return this._olmDecryption?.obtainDecryptionLock(toDeviceEvents);
     }
 
-    async prepareSync(toDeviceEvents, lock, txn, log) {
+    /**
+     * @param {Map<string, string>} newInviters the user ids that invited us, by room id, for the invites in this sync
+     */
+    async prepareSync(toDeviceEvents, newInviters, lock, txn, log) {
         log.set("messageTypes", countBy(toDeviceEvents, e => e.type));
         const encryptedEvents = toDeviceEvents.filter(e => e.type === "m.room.encrypted");
         if (!this._olmDecryption) {
             log.log("can't decrypt, encryption not enabled", log.level.Warn);
             return;
         }
+        // verification messages are sent unencrypted, and handled after the sync is completed
+        const verificationEvents = toDeviceEvents.filter(isVerificationEvent);
+        // key requests are sent unencrypted as well, and answered after the sync is completed
+        const roomKeyRequestEvents = toDeviceEvents.filter(e => e.type === ROOM_KEY_REQUEST_TYPE);
+        const secretRequestEvents = toDeviceEvents.filter(e => e.type === SECRET_REQUEST_TYPE);
         // only know olm for now
         const olmEvents = encryptedEvents.filter(e => e.content?.algorithm === OLM_ALGORITHM);
         if (olmEvents.length) {
@@ -48,24 +69,248 @@ export class DeviceMessageHandler {
             for (const err of olmDecryptChanges.errors) {
                 log.child("decrypt_error").catch(err);
             }
-            const newRoomKeys = this._megolmDecryption.roomKeysFromDeviceMessages(olmDecryptChanges.results, log);
-            return new SyncPreparation(olmDecryptChanges, newRoomKeys);
+            if (olmDecryptChanges.wedgedDevices.length) {
+                log.set("wedgedDevices", olmDecryptChanges.wedgedDevices.length);
+            }
+            const roomKeys = this._megolmDecryption.roomKeysFromDeviceMessages(olmDecryptChanges.results, log);
+            const newRoomKeys = await this._filterForwardedKeys(roomKeys, newInviters, txn, log);
+            const secretResults = olmDecryptChanges.results.filter(r => r.event?.type === SECRET_SEND_TYPE);
+            return new SyncPreparation(olmDecryptChanges, newRoomKeys, verificationEvents, roomKeyRequestEvents, secretRequestEvents, secretResults);
+        } else if (verificationEvents.length || roomKeyRequestEvents.length || secretRequestEvents.length) {
+            return new SyncPreparation(null, [], verificationEvents, roomKeyRequestEvents, secretRequestEvents, []);
+        }
+    }
+
+    /**
+     * Don't let anyone push a key to us that we didn't ask for, except for the keys
+     * the user that invited us to a room shares so we can read the history of the room (MSC3061).
+     * Those are stored as forwarded keys as well, so the messages they decrypt are shown as less trusted.
+     */
+    async _filterForwardedKeys(keys, newInviters, txn, log) {
+        let inviters;
+        const acceptedKeys = [];
+        for (const key of keys) {
+            if (!key.isForwarded || this._roomKeyRequests?.isForwardedKeyRequested(key)) {
+                acceptedKeys.push(key);
+                continue;
+            }
+            if (key.isSharedHistory) {
+                if (!inviters) {
+                    inviters = await this._loadInviters(newInviters, txn);
+                }
+                if (await isSharedHistoryKeyFromInviter(key, inviters.get(key.roomId), txn)) {
+                    log.log({l: "accepting shared history key from inviter", id: key.sessionId, roomId: key.roomId});
+                    acceptedKeys.push(key);
+                    continue;
+                }
+            }
+            log.log({l: "ignoring forwarded key that wasn't requested", id: key.sessionId}, log.level.Warn);
+        }
+        return acceptedKeys;
+    }
+
+    async _loadInviters(newInviters, txn) {
+        const inviters = new Map();
+        for (const invite of await txn.invites.getAll()) {
+            if (invite.inviter) {
+                inviters.set(invite.roomId, invite.inviter.userId);
+            }
+        }
+        for (const [roomId, inviter] of newInviters ?? []) {
+            inviters.set(roomId, inviter);
         }
+        return inviters;
     }
 
     /** check that prep is not undefined before calling this */
     async writeSync(prep, txn) {
         // write olm changes
-        prep.olmDecryptChanges.write(txn);
+        prep.olmDecryptChanges?.write(txn);
         const didWriteValues = await Promise.all(prep.newRoomKeys.map(key => this._megolmDecryption.writeRoomKey(key, txn)));
         return didWriteValues.some(didWrite => !!didWrite);
     }
+
+    /**
+     * can send to-device messages, so should only be called once the sync transaction is committed.
+     * Each step catches its own errors, so a failing step doesn't prevent the others from running.
+     */
+    async afterSyncCompleted(prep, log) {
+        const wedgedDevices = prep.olmDecryptChanges?.wedgedDevices;
+        if (this._olmSessionRecovery && wedgedDevices?.length) {
+            await wrapStep(log, "recover wedged sessions", log => this._olmSessionRecovery.recover(wedgedDevices, log));
+        }
+        if (this._deviceVerification && prep.verificationEvents.length) {
+            await wrapStep(log, "verification", log => this._deviceVerification.handleEvents(prep.verificationEvents, log));
+        }
+        if (this._roomKeyRequests) {
+            if (prep.newRoomKeys.length) {
+                await wrapStep(log, "cancel key requests", log => this._roomKeyRequests.cancelRequests(prep.newRoomKeys, log));
+            }
+            if (prep.roomKeyRequestEvents.length) {
+                await wrapStep(log, "key requests", log => this._roomKeyRequests.handleRequests(prep.roomKeyRequestEvents, log));
+            }
+        }
+        if (this._secretSharing) {
+            if (prep.secretResults.length) {
+                await wrapStep(log, "received secrets", async log => {
+                    const secrets = await this._secretSharing.handleSecrets(prep.secretResults, log);
+                    if (secrets.length) {
+                        await this._onSecretsReceived?.(secrets, log);
+                    }
+                });
+            }
+            if (prep.secretRequestEvents.length) {
+                await wrapStep(log, "secret requests", log => this._secretSharing.handleRequests(prep.secretRequestEvents, log));
+            }
+        }
+    }
+}
+
+async function isSharedHistoryKeyFromInviter(key, inviter, txn) {
+    // the sender of a to-device message is asserted by the homeserver,
+    // and olm checks it matches the sender in the encrypted payload
+    if (!inviter || key.forwarderUserId !== inviter) {
+        return false;
+    }
+    // we might not track the devices of the inviter yet as we don't share a room with them,
+    // but if we do, the key has to come from one of them
+    const device = await txn.deviceIdentities.getByCurve25519Key(key.forwarderCurve25519Key);
+    return !device || device.userId === inviter;
+}
+
+function wrapStep(log, label, callback) {
+    return log.wrap(label, async log => {
+        try {
+            await callback(log);
+        } catch (err) {
+            log.catch(err);
+        }
+    });
 }
 
 class SyncPreparation {
-    constructor(olmDecryptChanges, newRoomKeys) {
+    constructor(olmDecryptChanges, newRoomKeys, verificationEvents, roomKeyRequestEvents, secretRequestEvents, secretResults) {
         this.olmDecryptChanges = olmDecryptChanges;
         this.newRoomKeys = newRoomKeys;
+        this.verificationEvents = verificationEvents;
+        this.roomKeyRequestEvents = roomKeyRequestEvents;
+        this.secretRequestEvents = secretRequestEvents;
+        this.secretResults = secretResults;
         this.newKeysByRoom = groupBy(newRoomKeys, r => r.roomId);
     }
 }
+
+import {createMockStorage} from "../mocks/Storage";
+import {Instance as NullLoggerInstance} from "../logging/NullLogger";
+import {Decryption as MegOlmDecryption} from "./e2ee/megolm/Decryption";
+import {DecryptionResult} from "./e2ee/DecryptionResult";
+import {KeySource} from "./storage/idb/stores/InboundGroupSessionStore";
+import {MEGOLM_ALGORITHM, SHARED_HISTORY_FIELD} from "./e2ee/common.js";
+
+export function tests() {
+    const roomId = "!room:hs.tld";
+
+    function createForwardedKeyResult(sessionId, sender, senderCurve25519Key, isSharedHistory = true) {
+        return new DecryptionResult({
+            type: "m.forwarded_room_key",
+            sender,
+            content: {
+                algorithm: MEGOLM_ALGORITHM,
+                room_id: roomId,
+                sender_key: "originalSenderKey",
+                session_id: sessionId,
+                session_key: "sessionKey",
+                sender_claimed_ed25519_key: "originalEd25519Key",
+                forwarding_curve25519_key_chain: [],
+                [SHARED_HISTORY_FIELD]: isSharedHistory,
+            }
+        }, senderCurve25519Key, "forwarderEd25519Key");
+    }
+
+    function createHandler(storage, decryptionResults) {
+        const handler = new DeviceMessageHandler({storage});
+        const keyLoader = {
+            getCachedKey: () => undefined,
+            useKey: (key, callback) => callback({pickle: () => "pickledSession"}, "pickleKey"),
+        };
+        handler.enableEncryption({
+            olmDecryption: {
+                decryptAll: async () => ({results: decryptionResults, errors: [], wedgedDevices: [], write() {}}),
+            },
+            megolmDecryption: new MegOlmDecryption(keyLoader, undefined),
+            roomKeyRequests: {isForwardedKeyRequested: () => false},
+        });
+        return handler;
+    }
+
+    async function syncKeys(storage, handler, newInviters) {
+        const toDeviceEvents = [{type: "m.room.encrypted", content: {algorithm: OLM_ALGORITHM}}];
+        const readTxn = await storage.readTxn([
+            storage.storeNames.invites,
+            storage.storeNames.deviceIdentities,
+            storage.storeNames.inboundGroupSessions,
+        ]);
+        const prep = await handler.prepareSync(toDeviceEvents, newInviters, undefined, readTxn, NullLoggerInstance.item);
+        const txn = await storage.readWriteTxn([storage.storeNames.inboundGroupSessions]);
+        await handler.writeSync(prep, txn);
+        await txn.complete();
+        return prep.newRoomKeys;
+    }
+
+    return {
+        "history keys are only accepted from a device of the inviter": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.deviceIdentities]);
+            txn.deviceIdentities.set({userId: "@mallory:hs.tld", deviceId: "MALLORY", curve25519Key: "malloryCurveKey"});
+            await txn.complete();
+            const handler = createHandler(storage, [
+                createForwardedKeyResult("session1", "@alice:hs.tld", "aliceCurveKey"),
+                createForwardedKeyResult("session2", "@bob:hs.tld", "bobCurveKey"),
+                createForwardedKeyResult("session3", "@alice:hs.tld", "aliceCurveKey", false),
+                // a device of another user claiming to be from the inviter
+                createForwardedKeyResult("session4", "@alice:hs.tld", "malloryCurveKey"),
+            ]);
+            const newRoomKeys = await syncKeys(storage, handler, new Map([[roomId, "@alice:hs.tld"]]));
+            assert.deepEqual(newRoomKeys.map(k => k.sessionId), ["session1"]);
+            const readTxn = await storage.readTxn([storage.storeNames.inboundGroupSessions]);
+            const entry = await readTxn.inboundGroupSessions.get(roomId, "originalSenderKey", "session1");
+            assert.equal(entry.source, KeySource.Forwarded);
+            assert.deepEqual(entry.forwardingCurve25519KeyChain, ["aliceCurveKey"]);
+            assert.equal(entry.sharedHistory, true);
+            assert.equal(await readTxn.inboundGroupSessions.get(roomId, "originalSenderKey", "session2"), undefined);
+        },
+        "history keys are accepted for stored invites": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.invites]);
+            txn.invites.set({roomId, inviter: {userId: "@alice:hs.tld"}});
+            await txn.complete();
+            const handler = createHandler(storage, [createForwardedKeyResult("session1", "@alice:hs.tld", "aliceCurveKey")]);
+            const newRoomKeys = await syncKeys(storage, handler, new Map());
+            assert.deepEqual(newRoomKeys.map(k => k.sessionId), ["session1"]);
+        },
+        "wedged devices from decryption are passed to session recovery": async assert => {
+            const storage = await createMockStorage();
+            const wedgedDevice = {userId: "@bob:hs.tld", senderKey: "bobCurveKey", sessionIds: ["session1"]};
+            const handler = new DeviceMessageHandler({storage});
+            let recoveredDevices;
+            handler.enableEncryption({
+                olmDecryption: {
+                    decryptAll: async () => ({results: [], errors: [], wedgedDevices: [wedgedDevice], write() {}}),
+                },
+                megolmDecryption: new MegOlmDecryption(undefined, undefined),
+                olmSessionRecovery: {async recover(devices) { recoveredDevices = devices; }},
+            });
+            const toDeviceEvents = [{type: "m.room.encrypted", content: {algorithm: OLM_ALGORITHM}}];
+            const readTxn = await storage.readTxn([storage.storeNames.invites, storage.storeNames.deviceIdentities]);
+            const prep = await handler.prepareSync(toDeviceEvents, new Map(), undefined, readTxn, NullLoggerInstance.item);
+            await handler.afterSyncCompleted(prep, NullLoggerInstance.item);
+            assert.deepEqual(recoveredDevices, [wedgedDevice]);
+        },
+        "history keys for rooms we weren't invited to are ignored": async assert => {
+            const storage = await createMockStorage();
+            const handler = createHandler(storage, [createForwardedKeyResult("session1", "@alice:hs.tld", "aliceCurveKey")]);
+            const newRoomKeys = await syncKeys(storage, handler, new Map([["!other:hs.tld", "@alice:hs.tld"]]));
+            assert.equal(newRoomKeys.length, 0);
+        },
+    };
+}
@@ -32,9 +32,19 @@ import {Decryption as MegOlmDecryption} from "./e2ee/megolm/Decryption";
 import {KeyLoader as MegOlmKeyLoader} from "./e2ee/megolm/decryption/KeyLoader";
 import {KeyBackup} from "./e2ee/megolm/keybackup/KeyBackup";
 import {Encryption as MegOlmEncryption} from "./e2ee/megolm/Encryption.js";
-import {MEGOLM_ALGORITHM} from "./e2ee/common.js";
+import {RoomKeyRequests} from "./e2ee/megolm/RoomKeyRequests";
+import {SessionRecovery as OlmSessionRecovery} from "./e2ee/olm/SessionRecovery";
+import {UserInteractiveAuth} from "./net/UserInteractiveAuth";
+import {searchOnServer} from "./search/serverSearch.js";
+import {searchLocalIndex} from "./search/localSearch.js";
+import {SearchIndexBackfill} from "./search/SearchIndexBackfill.js";
+import {StoredRoomKey} from "./e2ee/megolm/decryption/RoomKey";
+import {exportSession, encryptKeyExport, decryptKeyExport} from "./e2ee/megolm/KeyExport";
+import {MEGOLM_ALGORITHM, TrustLevel} from "./e2ee/common.js";
 import {RoomEncryption} from "./e2ee/RoomEncryption.js";
 import {DeviceTracker} from "./e2ee/DeviceTracker.js";
+import {DeviceTrustPolicies} from "./e2ee/DeviceTrustPolicy.js";
+import {DeviceVerification} from "./verification/DeviceVerification";
 import {LockMap} from "../utils/LockMap";
 import {groupBy} from "../utils/groupBy";
 import {
@@ -42,9 +52,15 @@ import {
     readKey as ssssReadKey,
     writeKey as ssssWriteKey,
     removeKey as ssssRemoveKey,
+    createKey as ssssCreateKey,
+    hasDefaultKey as ssssHasDefaultKey,
+    readSharedSecret as ssssReadSharedSecret,
+    removeSharedSecrets as ssssRemoveSharedSecrets,
     keyFromDehydratedDeviceKey as createSSSSKeyFromDehydratedDeviceKey
 } from "./ssss/index";
 import {SecretStorage} from "./ssss/SecretStorage";
+import {SecretSharing, SHAREABLE_SECRETS} from "./ssss/SecretSharing";
+import {recoveryKeyFromKey as ssssRecoveryKeyFromKey} from "./ssss/recoveryKey";
 import {ObservableValue, RetainedObservableValue} from "../observable/ObservableValue";
 
 const PICKLE_KEY = "DEFAULT_KEY";
@@ -79,13 +95,18 @@ export class Session {
         this._e2eeAccount = null;
         this._deviceTracker = null;
         this._olmEncryption = null;
+        this._hasRequestedMissingSecrets = false;
         this._keyLoader = null;
         this._megolmEncryption = null;
+        this._roomKeyRequests = null;
         this._megolmDecryption = null;
+        this._deviceVerification = null;
+        this._deviceTrustPolicies = new DeviceTrustPolicies();
         this._getSyncToken = () => this.syncToken;
         this._olmWorker = olmWorker;
         this._keyBackup = new ObservableValue(undefined);
         this._observedRoomStatus = new Map();
+        this._searchIndexBackfill = null;
 
         if (olm) {
             this._olmUtil = new olm.Utility();
@@ -96,6 +117,7 @@ export class Session {
                 ownUserId: sessionInfo.userId,
                 ownDeviceId: sessionInfo.deviceId,
             });
+            this._searchIndexBackfill = new SearchIndexBackfill({storage, clock: platform.clock, rooms: this._rooms});
         }
         this._createRoomEncryption = this._createRoomEncryption.bind(this);
         this._forgetArchivedRoom = this._forgetArchivedRoom.bind(this);
@@ -150,9 +172,54 @@ export class Session {
             keyLoader: this._keyLoader,
             now: this._platform.clock.now,
             ownDeviceId: this._sessionInfo.deviceId,
+            trustPolicies: this._deviceTrustPolicies,
         });
         this._megolmDecryption = new MegOlmDecryption(this._keyLoader, this._olmWorker);
-        this._deviceMessageHandler.enableEncryption({olmDecryption, megolmDecryption: this._megolmDecryption});
+        this._roomKeyRequests = new RoomKeyRequests({
+            deviceTracker: this._deviceTracker,
+            olmEncryption: this._olmEncryption,
+            keyLoader: this._keyLoader,
+            storage: this._storage,
+            hsApi: this._hsApi,
+            ownUserId: this._user.id,
+            ownDeviceId: this._sessionInfo.deviceId,
+        });
+        this._secretSharing = new SecretSharing({
+            olm: this._olm,
+            deviceTracker: this._deviceTracker,
+            olmEncryption: this._olmEncryption,
+            storage: this._storage,
+            hsApi: this._hsApi,
+            platform: this._platform,
+            ownUserId: this._user.id,
+            ownDeviceId: this._sessionInfo.deviceId,
+        });
+        const olmSessionRecovery = new OlmSessionRecovery({
+            deviceTracker: this._deviceTracker,
+            olmEncryption: this._olmEncryption,
+            storage: this._storage,
+            hsApi: this._hsApi,
+            now: this._platform.clock.now,
+        });
+        this._deviceMessageHandler.enableEncryption({
+            olmDecryption,
+            megolmDecryption: this._megolmDecryption,
+            roomKeyRequests: this._roomKeyRequests,
+            olmSessionRecovery,
+            secretSharing: this._secretSharing,
+            onSecretsReceived: (secrets, log) => this._onSecretsReceived(secrets, log),
+        });
+        this._deviceVerification = new DeviceVerification({
+            olm: this._olm,
+            olmUtil: this._olmUtil,
+            deviceTracker: this._deviceTracker,
+            hsApi: this._hsApi,
+            ownUserId: this._user.id,
+            ownDeviceId: this._sessionInfo.deviceId,
+            ownEd25519Key: this._e2eeAccount.identityKeys.ed25519,
+            now: this._platform.clock.now,
+        });
+        this._deviceMessageHandler.enableVerification(this._deviceVerification);
     }
 
     _createRoomEncryption(room, encryptionParams) {
@@ -177,7 +244,10 @@ export class Session {
             olmEncryption: this._olmEncryption,
             megolmEncryption: this._megolmEncryption,
             megolmDecryption: this._megolmDecryption,
+            roomKeyRequests: this._roomKeyRequests,
+            trustPolicies: this._deviceTrustPolicies,
             storage: this._storage,
+            keyLoader: this._keyLoader,
             keyBackup: this._keyBackup?.get(),
             encryptionParams,
             notifyMissingMegolmSession: () => {
@@ -257,6 +327,7 @@ export class Session {
         ]);
         try {
             ssssRemoveKey(writeTxn);
+            ssssRemoveSharedSecrets(writeTxn);
         } catch (err) {
             writeTxn.abort();
             throw err;
@@ -287,12 +358,7 @@ export class Session {
                     txn
                 );
                 if (keyBackup) {
-                    for (const room of this._rooms.values()) {
-                        if (room.isEncrypted) {
-                            room.enableKeyBackup(keyBackup);
-                        }
-                    }
-                    this._keyBackup.set(keyBackup);
+                    this._enableKeyBackup(keyBackup);
                     return true;
                 }
             } catch (err) {
@@ -302,6 +368,224 @@ export class Session {
         });
     }
 
+    _createKeyBackupFromSharedSecret(base64PrivateKey, log) {
+        return log.wrap("enable key backup from shared secret", async log => {
+            try {
+                const keyBackup = await KeyBackup.fromPrivateKey(
+                    this._platform,
+                    this._olm,
+                    base64PrivateKey,
+                    this._hsApi,
+                    this._keyLoader,
+                    this._storage
+                );
+                this._enableKeyBackup(keyBackup);
+                return true;
+            } catch (err) {
+                log.catch(err);
+            }
+            return false;
+        });
+    }
+
+    async _onSecretsReceived(secrets, log) {
+        const backupSecret = secrets.find(s => s.name === "m.megolm_backup.v1");
+        if (backupSecret && !this._keyBackup.get()) {
+            if (await this._createKeyBackupFromSharedSecret(backupSecret.secret, log)) {
+                this._keyBackup.get().flush(log);
+            }
+        }
+    }
+
+    /**
+     * Asks our other verified devices for the key backup key and cross-signing keys we don't have yet,
+     * and that are in the secret storage of the account.
+     * If they send the key backup key, key backup is enabled once it is received.
+     * @return {Promise<Array<string>>} the names of the secrets that were requested
+     */
+    requestSecretsFromOwnDevices(log = null) {
+        return this._platform.logger.wrapOrRun(log, "requestSecretsFromOwnDevices", log => {
+            if (!this._secretSharing) {
+                throw new Error("encryption is not enabled");
+            }
+            return this._secretSharing.requestSecrets(SHAREABLE_SECRETS, log);
+        });
+    }
+
+    _enableKeyBackup(keyBackup) {
+        for (const room of this._rooms.values()) {
+            if (room.isEncrypted) {
+                room.enableKeyBackup(keyBackup);
+            }
+        }
+        this._keyBackup.set(keyBackup);
+    }
+
+    /** Whether the account has secret storage set up already, in which case it can be enabled with `enableSecretStorage` */
+    hasSecretStorage() {
+        return ssssHasDefaultKey(this._storage);
+    }
+
+    /**
+     * Sets up secret storage with a new key, and creates a new key backup with its key stored in secret storage.
+     * If the account has secret storage already, use `createKeyBackupInSecretStorage` instead to keep the
+     * secrets stored in it, like the cross-signing keys. Replacing it needs `replaceExisting`, and only keeps
+     * those secrets if we still have the old key in this session, otherwise they can't be read anymore.
+     *
+     * @param  {string?} passphrase if given, the secret storage key is derived from this passphrase
+     * @param  {boolean} replaceExisting whether to replace the default secret storage key of the account, if any
+     * @return {Promise<string>} the recovery key, which the user should save to enable secret storage in other sessions
+     */
+    createSecretStorageAndKeyBackup(passphrase = undefined, replaceExisting = false, log = undefined) {
+        return this._platform.logger.wrapOrRun(log, "create secret storage", async log => {
+            if (!this._olm || !this._e2eeAccount) {
+                throw new Error("encryption is not enabled");
+            }
+            const hasExisting = await ssssHasDefaultKey(this._storage);
+            log.set("hasExisting", hasExisting);
+            if (hasExisting && !replaceExisting) {
+                throw new Error("The account already has secret storage, add the key backup to it instead of replacing it");
+            }
+            const key = await ssssCreateKey(passphrase, this._platform);
+            log.set("keyId", key.id);
+            log.set("passphrase", !!passphrase);
+            const reencryptedSecrets = hasExisting ? await this._reencryptSecrets(key, log) : [];
+            // the default key is set last, so other clients only see it once it can be used
+            await this._storeNewKeyBackup(key, [
+                {type: `m.secret_storage.key.${key.id}`, content: key.description.data},
+                ...reencryptedSecrets,
+            ], [
+                {type: "m.secret_storage.default_key", content: {key: key.id}},
+            ], log);
+            return ssssRecoveryKeyFromKey(key, this._platform);
+        });
+    }
+
+    /**
+     * Creates a new key backup and stores its key in the existing secret storage of the account,
+     * next to the other secrets in there.
+     *
+     * @param  {string} type       either "passphrase" or "recoverykey"
+     * @param  {string} credential the passphrase or recovery key of the existing secret storage
+     */
+    createKeyBackupInSecretStorage(type, credential, log = undefined) {
+        return this._platform.logger.wrapOrRun(log, "create key backup in secret storage", async log => {
+            if (!this._olm || !this._e2eeAccount) {
+                throw new Error("encryption is not enabled");
+            }
+            const key = await ssssKeyFromCredential(type, credential, this._storage, this._platform, this._olm);
+            log.set("keyId", key.id);
+            if (!await this._isSSSSKeyValid(key)) {
+                throw new Error("The security key or phrase is not correct or can't be verified");
+            }
+            await this._storeNewKeyBackup(key, [], [], log);
+        });
+    }
+
+    async _isSSSSKeyValid(key) {
+        if (key.description.data?.mac) {
+            return await key.description.isCompatible(key, this._platform);
+        }
+        // older keys don't have a mac, so the key is only valid if it can decrypt one of the secrets.
+        // Without any secrets, it can't be checked and a new secret storage should be created instead.
+        const secretStorage = new SecretStorage({key, platform: this._platform});
+        for (const name of SHAREABLE_SECRETS) {
+            const txn = await this._storage.readTxn([this._storage.storeNames.accountData]);
+            try {
+                if (await secretStorage.readSecret(name, txn)) {
+                    return true;
+                }
+            } catch (err) {
+                // not encrypted for this key, or the key is wrong
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Encrypts the secrets in the current secret storage with a new key,
+     * if we still have the current key in this session.
+     * @return {Promise<Array<{type, content}>>} the account data to write
+     */
+    async _reencryptSecrets(newKey, log) {
+        const oldKey = await ssssReadKey(await this._storage.readTxn([
+            this._storage.storeNames.session,
+            this._storage.storeNames.accountData,
+        ]));
+        log.set("hasOldKey", !!oldKey);
+        if (!oldKey) {
+            return [];
+        }
+        const oldSecretStorage = new SecretStorage({key: oldKey, platform: this._platform});
+        const newSecretStorage = new SecretStorage({key: newKey, platform: this._platform});
+        const accountData = [];
+        for (const name of SHAREABLE_SECRETS) {
+            // the key of the new key backup is stored separately
+            if (name === "m.megolm_backup.v1") {
+                continue;
+            }
+            try {
+                const txn = await this._storage.readTxn([this._storage.storeNames.accountData]);
+                const secret = await oldSecretStorage.readSecret(name, txn);
+                if (secret) {
+                    accountData.push({type: name, content: await newSecretStorage.encryptSecret(name, secret)});
+                }
+            } catch (err) {
+                log.log({l: "could not re-encrypt secret", name, error: err.message});
+            }
+        }
+        log.set("reencrypted", accountData.map(e => e.type));
+        return accountData;
+    }
+
+    /**
+     * Creates a new key backup version, and stores its key in secret storage with the given key.
+     * @param {Array<{type, content}>} accountDataBefore written before the key of the backup
+     * @param {Array<{type, content}>} accountDataAfter written after the key of the backup
+     */
+    async _storeNewKeyBackup(key, accountDataBefore, accountDataAfter, log) {
+        const {keyBackup, privateKey} = await log.wrap("create key backup", log => KeyBackup.create(
+            this._platform,
+            this._olm,
+            authData => this._e2eeAccount.signObject(authData),
+            this._hsApi,
+            this._keyLoader,
+            this._storage,
+            log
+        ));
+        try {
+            const secretStorage = new SecretStorage({key, platform: this._platform});
+            const backupSecret = this._platform.encoding.base64.encode(privateKey);
+            const accountData = [
+                ...accountDataBefore,
+                {type: "m.megolm_backup.v1", content: await secretStorage.encryptSecret("m.megolm_backup.v1", backupSecret)},
+                ...accountDataAfter,
+            ];
+            for (const {type, content} of accountData) {
+                await this._hsApi.setAccountData(this._user.id, type, content, {log}).response();
+            }
+            // also store the account data locally already, as we need it to read the key
+            // when loading the session, and it might not have come down the sync by then
+            const txn = await this._storage.readWriteTxn([this._storage.storeNames.accountData]);
+            try {
+                for (const event of accountData) {
+                    txn.accountData.set(event);
+                }
+            } catch (err) {
+                txn.abort();
+                throw err;
+            }
+            await txn.complete();
+        } catch (err) {
+            keyBackup.dispose();
+            throw err;
+        }
+        this._keyBackup.get()?.dispose();
+        this._enableKeyBackup(keyBackup);
+        await this._writeSSSSKey(key, log);
+        keyBackup.flush(log);
+    }
+
     /**
      * @type {ObservableValue<KeyBackup | undefined | null}
      *  - `undefined` means, we're not done with catchup sync yet and haven't checked yet if key backup is configured
@@ -402,6 +686,7 @@ export class Session {
         ]);
         // restore session object
         this._syncInfo = await txn.session.get("sync");
+        this._deviceTrustPolicies = await DeviceTrustPolicies.load(txn);
         // restore e2ee account, if any
         if (this._olm) {
             this._e2eeAccount = await E2EEAccount.load({
@@ -416,6 +701,8 @@ export class Session {
             if (this._e2eeAccount) {
                 log.set("keys", this._e2eeAccount.identityKeys);
                 this._setupEncryption();
+                await this._roomKeyRequests.load(txn);
+                await this._secretSharing.load(txn);
             }
         }
         const pendingEventsByRoomId = await this._getPendingEventsByRoom(txn);
@@ -444,12 +731,15 @@ export class Session {
     }
 
     dispose() {
+        this._searchIndexBackfill?.dispose();
         this._olmWorker?.dispose();
         this._olmWorker = undefined;
         this._keyBackup.get()?.dispose();
         this._keyBackup.set(undefined);
         this._megolmDecryption?.dispose();
         this._megolmDecryption = undefined;
+        this._deviceVerification?.dispose();
+        this._deviceVerification = undefined;
         this._e2eeAccount?.dispose();
         this._e2eeAccount = undefined;
         for (const room of this._rooms.values()) {
@@ -491,18 +781,39 @@ export class Session {
             ]);
             // try set up session backup if we stored the ssss key
             const ssssKey = await ssssReadKey(txn);
+            // or if another device shared the backup key with us
+            const sharedBackupKey = await ssssReadSharedSecret("m.megolm_backup.v1", txn);
             if (ssssKey) {
                 // txn will end here as this does a network request
                 if (await this._createKeyBackup(ssssKey, txn, log)) {
                     this._keyBackup.get()?.flush(log);
                 }
             }
+            if (!this._keyBackup.get() && sharedBackupKey) {
+                if (await this._createKeyBackupFromSharedSecret(sharedBackupKey, log)) {
+                    this._keyBackup.get()?.flush(log);
+                }
+            }
             if (!this._keyBackup.get()) {
                 // null means key backup isn't configured yet
                 // as opposed to undefined, which means we're still checking
                 this._keyBackup.set(null);
             }
         }
+        if (this._secretSharing && !this._hasRequestedMissingSecrets) {
+            // the backup key will be enabled if one of our other devices sends it.
+            // Only done once, and in the background as it needs the network
+            this._hasRequestedMissingSecrets = true;
+            log.wrapDetached("request missing secrets", async log => {
+                try {
+                    await this.requestSecretsFromOwnDevices(log);
+                } catch (err) {
+                    // try again when reconnecting
+                    this._hasRequestedMissingSecrets = false;
+                    throw err;
+                }
+            });
+        }
         // restore unfinished operations, like sending out room keys
         const opsTxn = await this._storage.readWriteTxn([
             this._storage.storeNames.operations
@@ -518,6 +829,7 @@ export class Session {
             }
             room.start(roomOperationsByType, log);
         }
+        this._searchIndexBackfill?.start(log);
     }
 
     async _getPendingEventsByRoom(txn) {
@@ -641,10 +953,26 @@ export class Session {
     async prepareSync(syncResponse, lock, txn, log) {
         const toDeviceEvents = syncResponse.to_device?.events;
         if (Array.isArray(toDeviceEvents) && toDeviceEvents.length) {
-            return await log.wrap("deviceMsgs", log => this._deviceMessageHandler.prepareSync(toDeviceEvents, lock, txn, log));
+            const newInviters = this._getInvitersFromSync(syncResponse);
+            return await log.wrap("deviceMsgs", log => this._deviceMessageHandler.prepareSync(toDeviceEvents, newInviters, lock, txn, log));
         }
     }
 
+    /** The invites in this sync are not stored yet, but history keys may come along with them */
+    _getInvitersFromSync(syncResponse) {
+        const inviters = new Map();
+        const invites = syncResponse.rooms?.invite;
+        if (invites) {
+            for (const [roomId, invite] of Object.entries(invites)) {
+                const myInvite = invite.invite_state?.events?.find(e => e.type === "m.room.member" && e.state_key === this._user.id);
+                if (myInvite?.content?.membership === "invite") {
+                    inviters.set(roomId, myInvite.sender);
+                }
+            }
+        }
+        return inviters;
+    }
+
     /** @internal */
     async writeSync(syncResponse, syncFilterId, preparation, txn, log) {
         const changes = {
@@ -671,6 +999,7 @@ export class Session {
 
         if (preparation) {
             changes.hasNewRoomKeys = await log.wrap("deviceMsgs", log => this._deviceMessageHandler.writeSync(preparation, txn, log));
+            changes.deviceMessagePreparation = preparation;
         }
 
         // store account data
@@ -711,6 +1040,9 @@ export class Session {
         if (changes.hasNewRoomKeys) {
             this._keyBackup.get()?.flush(log);
         }
+        if (changes.deviceMessagePreparation) {
+            await log.wrap("deviceMsgs", log => this._deviceMessageHandler.afterSyncCompleted(changes.deviceMessagePreparation, log));
+        }
     }
 
     _tryReplaceRoomBeingCreated(roomId, log) {
@@ -948,6 +1280,217 @@ export class Session {
             return body.room_id;
         });
     }
+
+    /**
+     * Searches messages on the homeserver, in all rooms or only the given one.
+     * Results are sorted from newest to oldest, see searchOnServer for the format.
+     */
+    search(term, {roomId, nextBatch} = {}, log = null) {
+        return this._platform.logger.wrapOrRun(log, "search", log => {
+            log.set("roomId", roomId);
+            return searchOnServer(this._hsApi, term, {roomId, nextBatch}, log);
+        });
+    }
+
+    /**
+     * Searches the local index of the messages in encrypted rooms, which the homeserver can't search.
+     * @param {string} query
+     * @param {object} [options]
+     * @param {string} [options.roomId] only search in this room
+     * @param {number} [options.limit]
+     * @return {Promise<Array<{roomId: string, eventId: string, eventKey: EventKey, score: number}>>} most relevant first
+     */
+    searchLocal(query, {roomId, limit} = {}, log = null) {
+        return this._platform.logger.wrapOrRun(log, "searchLocal", async log => {
+            log.set("roomId", roomId);
+            const txn = await this._storage.readTxn([this._storage.storeNames.searchIndex]);
+            const results = await searchLocalIndex(txn, query, {roomId, limit});
+            log.set("results", results.length);
+            return results;
+        });
+    }
+
+    /**
+     * @type {DeviceVerification | null} the interactive device verifications in progress,
+     * null if encryption isn't enabled (yet)
+     */
+    get deviceVerification() {
+        return this._deviceVerification;
+    }
+
+    /**
+     * Exports all the room keys we have in the key export format used by all Matrix clients.
+     * @param  {string} passphrase the passphrase to encrypt the export with
+     * @return {Promise<string>} the contents of the export file
+     */
+    exportRoomKeys(passphrase, log = null) {
+        return this._platform.logger.wrapOrRun(log, "exportRoomKeys", async log => {
+            if (!this._keyLoader) {
+                throw new Error("encryption is not enabled");
+            }
+            const txn = await this._storage.readTxn([this._storage.storeNames.inboundGroupSessions]);
+            const entries = await txn.inboundGroupSessions.getAllWithSession();
+            const sessions = [];
+            for (const entry of entries) {
+                sessions.push(await exportSession(new StoredRoomKey(entry), this._keyLoader));
+            }
+            log.set("sessions", sessions.length);
+            return await encryptKeyExport(sessions, passphrase, this._platform);
+        });
+    }
+
+    /**
+     * Imports the room keys from a key export file, and retries decrypting the messages we can decrypt now.
+     * @param  {string} fileContents the contents of the export file
+     * @param  {string} passphrase the passphrase the export was encrypted with
+     * @return {Promise<{total: number, imported: number}>} how many keys were in the file, and how many were new or better than the ones we had
+     */
+    importRoomKeys(fileContents, passphrase, log = null) {
+        return this._platform.logger.wrapOrRun(log, "importRoomKeys", async log => {
+            if (!this._megolmDecryption) {
+                throw new Error("encryption is not enabled");
+            }
+            const sessions = await decryptKeyExport(fileContents, passphrase, this._platform);
+            const keys = sessions.map(s => this._megolmDecryption.roomKeyFromExport(s)).filter(key => !!key);
+            log.set("total", sessions.length);
+            log.set("valid", keys.length);
+            const importedKeys = [];
+            const txn = await this._storage.readWriteTxn([this._storage.storeNames.inboundGroupSessions]);
+            try {
+                // one at a time so the keys don't compete for the sessions in the key loader
+                for (const key of keys) {
+                    if (await this._megolmDecryption.writeRoomKey(key, txn)) {
+                        importedKeys.push(key);
+                    }
+                }
+            } catch (err) {
+                txn.abort();
+                throw err;
+            }
+            await txn.complete();
+            log.set("imported", importedKeys.length);
+            for (const key of importedKeys) {
+                const room = this._rooms.get(key.roomId);
+                if (room) {
+                    await log.wrap("retryDecryption", log => room.notifyRoomKey(key, key.eventIds || [], log));
+                }
+            }
+            if (importedKeys.length) {
+                this._keyBackup.get()?.flush(log);
+            }
+            return {total: sessions.length, imported: importedKeys.length};
+        });
+    }
+
+    /**
+     * Gives how much we trust the identity of a user and each of their devices, fetching their keys if needed.
+     * @return {Promise<{trustLevel: TrustLevel, devices: Array<{device: DeviceIdentity, trustLevel: TrustLevel}>}>}
+     */
+    getTrustForUser(userId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "getTrustForUser", async log => {
+            if (!this._deviceTracker) {
+                return {trustLevel: TrustLevel.Unknown, devices: []};
+            }
+            return await this._deviceTracker.getTrustForUser(userId, this._hsApi, log);
+        });
+    }
+
+    /** Trust the new identity of a user after having been alerted that it changed */
+    acknowledgeIdentityChange(userId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "acknowledgeIdentityChange", log => {
+            return this._deviceTracker?.acknowledgeMasterKeyChange(userId, log);
+        });
+    }
+
+    /** Blacklisted devices don't receive the keys for any messages we send from now on */
+    setDeviceBlacklisted(userId, deviceId, isBlacklisted, log = null) {
+        return this._platform.logger.wrapOrRun(log, "setDeviceBlacklisted", async log => {
+            log.set("isBlacklisted", isBlacklisted);
+            if (!this._deviceTracker) {
+                throw new Error("encryption is not enabled");
+            }
+            const isChanged = await this._deviceTracker.setDeviceBlacklisted(userId, deviceId, isBlacklisted, log);
+            if (isChanged && isBlacklisted) {
+                // the device could have the current key of any room we share with the user
+                const roomIds = await this._deviceTracker.getRoomIdsForUser(userId);
+                log.set("discardedRooms", roomIds.length);
+                await this._megolmEncryption.discardOutboundSessions(roomIds);
+            }
+            return isChanged;
+        });
+    }
+
+    /** @return {DeviceTrustPolicy} the policy for which devices receive our room keys */
+    get deviceTrustPolicy() {
+        return this._deviceTrustPolicies.policy;
+    }
+
+    /** @return {DeviceTrustPolicy | undefined} the policy for the room, if it doesn't follow the session policy */
+    getRoomDeviceTrustPolicy(roomId) {
+        return this._deviceTrustPolicies.getRoomOverride(roomId);
+    }
+
+    /**
+     * @param {DeviceTrustPolicy | undefined} policy
+     * @param {string} [roomId] set the policy for this room only.
+     *      Pass an undefined policy to make the room follow the session policy again.
+     */
+    setDeviceTrustPolicy(policy, roomId = undefined, log = null) {
+        return this._platform.logger.wrapOrRun(log, "setDeviceTrustPolicy", async log => {
+            log.set("policy", policy);
+            log.set("roomId", roomId);
+            const txn = await this._storage.readWriteTxn([
+                this._storage.storeNames.session,
+            ]);
+            let entry;
+            try {
+                entry = this._deviceTrustPolicies.set(policy, roomId, txn);
+            } catch (err) {
+                txn.abort();
+                throw err;
+            }
+            await txn.complete();
+            this._deviceTrustPolicies.apply(entry);
+        });
+    }
+
+    /** @return {Promise<Array<{device_id, display_name?, last_seen_ip?, last_seen_ts?}>>} the devices of our account, as returned by /devices */
+    getDevices(log = null) {
+        return this._platform.logger.wrapOrRun(log, "getDevices", async log => {
+            const {devices} = await this._hsApi.getDevices({log}).response();
+            return devices;
+        });
+    }
+
+    renameDevice(deviceId, displayName, log = null) {
+        return this._platform.logger.wrapOrRun(log, "renameDevice", async log => {
+            log.set("id", deviceId);
+            await this._hsApi.setDeviceDisplayName(deviceId, displayName, {log}).response();
+        });
+    }
+
+    /**
+     * Signs out the given devices of our account. This needs user-interactive auth,
+     * so call start() on the returned object and complete the stages it returns.
+     * @return {UserInteractiveAuth}
+     */
+    deleteDevices(deviceIds) {
+        if (deviceIds.includes(this.deviceId)) {
+            throw new Error("Can't delete the current device, log out instead");
+        }
+        return new UserInteractiveAuth(auth => this._hsApi.deleteDevices(deviceIds, auth), this._user.id);
+    }
+
+    /** Starts an interactive verification with the given device
+     * @return {Promise<SASVerification>} */
+    requestDeviceVerification(userId, deviceId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "requestDeviceVerification", log => {
+            if (!this._deviceVerification) {
+                throw new Error("encryption is not enabled");
+            }
+            return this._deviceVerification.requestVerification(userId, deviceId, log);
+        });
+    }
 }
 
 export function tests() {
@@ -974,6 +1517,11 @@ export function tests() {
                         getAll() {
                             return Promise.resolve([]);
                         }
+                    },
+                    accountData: {
+                        get(type) {
+                            return Promise.resolve(session[type]);
+                        }
                     }
                 };
             },
@@ -1006,6 +1554,11 @@ export function tests() {
             session.afterSync(newSessionData);
             assert.equal(session.syncToken, "b");
             assert.equal(session.syncFilterId, 6);
-        }
+        },
+        "a secret storage key without a mac is not valid when there are no secrets to check it with": async assert => {
+            const session = new Session({storage: createStorageMock({}), sessionInfo: {userId: ""}});
+            const key = {id: "key", algorithm: "m.secret_storage.v1.aes-hmac-sha2", description: {data: {}}};
+            assert.equal(await session._isSSSSKeyValid(key), false);
+        },
     }
 }
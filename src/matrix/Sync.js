@@ -225,6 +225,9 @@ export class Sync {
             // to read fragments when loading sync writer when rejoining archived room
             // to read events that can now be decrypted
             storeNames.timelineEvents,
+            // to accept the history keys shared by the user that invited us
+            storeNames.invites,
+            storeNames.deviceIdentities,
         ]);
     }
 
@@ -334,6 +337,10 @@ export class Sync {
             storeNames.outboundGroupSessions,
             storeNames.operations,
             storeNames.accountData,
+            // to index the messages of encrypted rooms
+            storeNames.searchIndex,
+            // to store read receipts
+            storeNames.receipts,
             // to decrypt and store new room keys
             storeNames.olmSessions,
             storeNames.inboundGroupSessions,
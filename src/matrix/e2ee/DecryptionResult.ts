@@ -24,28 +24,49 @@ limitations under the License.
  *                                      The caller needs to check if this key does indeed match the senderKey
  *                                      for a device with a valid signature returned from /keys/query,
  *                                      see DeviceTracker
+ * @property {KeySource} keySource how we received the megolm key the event was decrypted with, if any
+ * @property {boolean} isKeyForwarded whether that megolm key was forwarded to us by another device
+ *                                    rather than received from the sender directly
  */
 
+import {TrustLevel} from "./common.js";
+import {KeySource} from "../storage/idb/stores/InboundGroupSessionStore";
 import type {DeviceIdentity} from "../storage/idb/stores/DeviceIdentityStore";
 import type {TimelineEvent} from "../storage/types";
 
 type DecryptedEvent = {
     type?: string,
+    // only set for olm payloads, where it is checked to match the sender of the to-device message
+    sender?: string,
     content?: Record<string, any>
 }
 
 export class DecryptionResult {
     private device?: DeviceIdentity;
+    private deviceTrustLevel?: string;
 
     constructor(
         public readonly event: DecryptedEvent,
         public readonly senderCurve25519Key: string,
         public readonly claimedEd25519Key: string,
-        public readonly encryptedEvent?: TimelineEvent
+        public readonly encryptedEvent?: TimelineEvent,
+        public readonly keySource?: KeySource,
+        public readonly isKeyForwarded: boolean = false
     ) {}
 
-    setDevice(device: DeviceIdentity): void {
+    setDevice(device: DeviceIdentity, trustLevel?: string): void {
         this.device = device;
+        this.deviceTrustLevel = trustLevel;
+    }
+
+    /** Whether the claimed ed25519 key matches the sending device, and we verified that device */
+    get isSenderDeviceVerified(): boolean {
+        return this.isVerified && this.deviceTrustLevel === TrustLevel.Verified;
+    }
+
+    /** Whether the key was restored from key backup, in which case anyone with access to the backup could have uploaded it */
+    get isKeyFromBackup(): boolean {
+        return this.keySource === KeySource.Backup;
     }
 
     get isVerified(): boolean {
@@ -68,3 +89,25 @@ export class DecryptionResult {
         return !this.device;
     }
 }
+
+export function tests() {
+    const device = {userId: "@alice:hs.tld", deviceId: "A", ed25519Key: "ed25519"} as DeviceIdentity;
+    return {
+        "sender device is only verified when the claimed key matches": assert => {
+            const result = new DecryptionResult({}, "curve25519", "ed25519");
+            assert.equal(result.isSenderDeviceVerified, false);
+            result.setDevice(device, TrustLevel.Verified);
+            assert.equal(result.isSenderDeviceVerified, true);
+            const forgedResult = new DecryptionResult({}, "curve25519", "other ed25519");
+            forgedResult.setDevice(device, TrustLevel.Verified);
+            assert.equal(forgedResult.isSenderDeviceVerified, false);
+            assert.equal(forgedResult.isUnverified, true);
+        },
+        "key source is recorded": assert => {
+            const result = new DecryptionResult({}, "curve25519", "ed25519", undefined, KeySource.Backup, true);
+            assert.equal(result.isKeyFromBackup, true);
+            assert.equal(result.isKeyForwarded, true);
+            assert.equal(new DecryptionResult({}, "curve25519", "ed25519").isKeyFromBackup, false);
+        },
+    };
+}
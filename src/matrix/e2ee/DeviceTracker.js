@@ -14,7 +14,7 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {verifyEd25519Signature, SIGNATURE_ALGORITHM} from "./common.js";
+import {verifyEd25519Signature, getKeyEd25519Key, SIGNATURE_ALGORITHM, KeyUsage, TrustLevel} from "./common.js";
 import {HistoryVisibility, shouldShareKey} from "./common.js";
 import {RoomMember} from "../room/members/RoomMember.js";
 
@@ -63,6 +63,15 @@ export class DeviceTracker {
         this._olmUtil = olmUtil;
         this._ownUserId = ownUserId;
         this._ownDeviceId = ownDeviceId;
+        this._changeCount = 0;
+    }
+
+    /**
+     * Increases whenever the tracked users, their devices or the trust in them might have changed,
+     * so what is derived from them can be cached until then.
+     */
+    get changeCount() {
+        return this._changeCount;
     }
 
     async writeDeviceChanges(changed, txn, log) {
@@ -81,6 +90,7 @@ export class DeviceTracker {
                 log.log({l: "outdated", id: userId});
                 user.deviceTrackingStatus = TRACKING_STATUS_OUTDATED;
                 userIdentities.set(user);
+                this._changeCount += 1;
             }
         }));
     }
@@ -186,6 +196,7 @@ export class DeviceTracker {
         const updatedIdentity = addRoomToIdentity(identity, userId, roomId);
         if (updatedIdentity) {
             userIdentities.set(updatedIdentity);
+            this._changeCount += 1;
             return true;
         }
         return false;
@@ -203,6 +214,7 @@ export class DeviceTracker {
             } else {
                 userIdentities.set(identity);
             }
+            this._changeCount += 1;
             return true;
         }
         return false;
@@ -225,6 +237,7 @@ export class DeviceTracker {
         }, {log}).response();
 
         const verifiedKeysPerUser = log.wrap("verify", log => this._filterVerifiedDeviceKeys(deviceKeyResponse["device_keys"], log));
+        const crossSigningKeysPerUser = log.wrap("verifyCrossSigning", log => this._filterVerifiedCrossSigningKeys(deviceKeyResponse, log));
         const txn = await this._storage.readWriteTxn([
             this._storage.storeNames.userIdentities,
             this._storage.storeNames.deviceIdentities,
@@ -232,8 +245,16 @@ export class DeviceTracker {
         let deviceIdentities;
         try {
             const devicesIdentitiesPerUser = await Promise.all(verifiedKeysPerUser.map(async ({userId, verifiedKeys}) => {
-                const deviceIdentities = verifiedKeys.map(deviceKeysAsDeviceIdentity);
-                return await this._storeQueriedDevicesForUserId(userId, deviceIdentities, txn);
+                const crossSigningKeys = crossSigningKeysPerUser.get(userId);
+                const selfSigningKey = getKeyEd25519Key(crossSigningKeys?.selfSigningKey);
+                const deviceIdentities = verifiedKeys.map(deviceKeys => {
+                    const deviceIdentity = deviceKeysAsDeviceIdentity(deviceKeys);
+                    if (selfSigningKey && verifyEd25519Signature(this._olmUtil, userId, selfSigningKey, selfSigningKey, deviceKeys)) {
+                        deviceIdentity.isCrossSigned = true;
+                    }
+                    return deviceIdentity;
+                });
+                return await this._storeQueriedDevicesForUserId(userId, deviceIdentities, crossSigningKeys, txn, log);
             }));
             deviceIdentities = devicesIdentitiesPerUser.reduce((all, devices) => all.concat(devices), []);
             log.set("devices", deviceIdentities.length);
@@ -242,10 +263,11 @@ export class DeviceTracker {
             throw err;
         }
         await txn.complete();
+        this._changeCount += 1;
         return deviceIdentities;
     }
 
-    async _storeQueriedDevicesForUserId(userId, deviceIdentities, txn) {
+    async _storeQueriedDevicesForUserId(userId, deviceIdentities, crossSigningKeys, txn, log) {
         const knownDeviceIds = await txn.deviceIdentities.getAllDeviceIds(userId);
         // delete any devices that we know off but are not in the response anymore.
         // important this happens before checking if the ed25519 key changed,
@@ -267,6 +289,19 @@ export class DeviceTracker {
                     allDeviceIdentities.push(existingDevice);
                     return;
                 }
+                // keep the local state of the device, the key didn't change
+                if (existingDevice.isVerified) {
+                    deviceIdentity.isVerified = true;
+                }
+                if (existingDevice.isBlacklisted) {
+                    deviceIdentity.isBlacklisted = true;
+                }
+                if (existingDevice.isNew) {
+                    deviceIdentity.isNew = true;
+                }
+            } else if (knownDeviceIds.length) {
+                // the user added a device since we first queried their keys
+                deviceIdentity.isNew = true;
             }
             allDeviceIdentities.push(deviceIdentity);
             deviceIdentitiesToStore.push(deviceIdentity);
@@ -286,11 +321,78 @@ export class DeviceTracker {
             identity = createUserIdentity(userId);
         }
         identity.deviceTrackingStatus = TRACKING_STATUS_UPTODATE;
+        // also update when the response has no (valid) cross-signing keys for the user,
+        // so we forget the keys the user removed
+        this._updateCrossSigningKeys(identity, crossSigningKeys ?? {}, log);
         txn.userIdentities.set(identity);
 
         return allDeviceIdentities;
     }
 
+    _updateCrossSigningKeys(identity, {masterKey, selfSigningKey, userSigningKey}, log) {
+        const oldMasterKey = getKeyEd25519Key(identity.masterKey);
+        const newMasterKey = getKeyEd25519Key(masterKey);
+        if (oldMasterKey && oldMasterKey !== newMasterKey) {
+            log.log({l: "master key changed", id: identity.userId, oldMasterKey, newMasterKey}, log.level.Warn);
+            identity.hasMasterKeyChanged = true;
+            delete identity.isMasterKeyVerified;
+        }
+        if (masterKey) {
+            identity.masterKey = masterKey;
+        } else {
+            delete identity.masterKey;
+        }
+        if (selfSigningKey) {
+            identity.selfSigningKey = selfSigningKey;
+        } else {
+            delete identity.selfSigningKey;
+        }
+        if (userSigningKey) {
+            identity.userSigningKey = userSigningKey;
+        } else {
+            delete identity.userSigningKey;
+        }
+    }
+
+    /**
+     * Verifies the signature chain of the cross-signing keys in a /keys/query response:
+     * the self-signing and user-signing keys should be signed by the master key.
+     * @return {Map<string, {masterKey, selfSigningKey?, userSigningKey?}>} the verified keys by user id
+     */
+    _filterVerifiedCrossSigningKeys(keyQueryResponse, log) {
+        const keysPerUser = new Map();
+        const masterKeys = keyQueryResponse["master_keys"] ?? {};
+        for (const [userId, masterKey] of Object.entries(masterKeys)) {
+            const masterKeyPublic = getKeyEd25519Key(masterKey);
+            if (masterKey.user_id !== userId || !masterKey.usage?.includes(KeyUsage.Master) || !masterKeyPublic) {
+                log.log({l: "ignore invalid master key", userId}, log.level.Warn);
+                continue;
+            }
+            const isSignedByMasterKey = (key, usage) => {
+                if (!key) {
+                    return false;
+                }
+                const keyPublic = getKeyEd25519Key(key);
+                if (key.user_id !== userId || !key.usage?.includes(usage) || !keyPublic) {
+                    log.log({l: `ignore invalid ${usage} key`, userId}, log.level.Warn);
+                    return false;
+                }
+                return verifyEd25519Signature(this._olmUtil, userId, masterKeyPublic, masterKeyPublic, key, log);
+            };
+            const keys = {masterKey};
+            const selfSigningKey = keyQueryResponse["self_signing_keys"]?.[userId];
+            if (isSignedByMasterKey(selfSigningKey, KeyUsage.SelfSigning)) {
+                keys.selfSigningKey = selfSigningKey;
+            }
+            const userSigningKey = keyQueryResponse["user_signing_keys"]?.[userId];
+            if (isSignedByMasterKey(userSigningKey, KeyUsage.UserSigning)) {
+                keys.userSigningKey = userSigningKey;
+            }
+            keysPerUser.set(userId, keys);
+        }
+        return keysPerUser;
+    }
+
     /**
      * @return {Array<{userId, verifiedKeys: Array<DeviceSection>>}
      */
@@ -462,6 +564,265 @@ export class DeviceTracker {
     async getDeviceByCurve25519Key(curve25519Key, txn) {
         return await txn.deviceIdentities.getByCurve25519Key(curve25519Key);
     }
+
+    /** Gets the identity of a single device,
+     * fetching the keys of the user from the homeserver if we don't know the device yet. */
+    async deviceForId(userId, deviceId, hsApi, log) {
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.deviceIdentities,
+        ]);
+        let device = await txn.deviceIdentities.get(userId, deviceId);
+        if (!device) {
+            const devices = await this._queryKeys([userId], hsApi, log);
+            device = devices.find(d => d.deviceId === deviceId);
+        }
+        return device;
+    }
+
+    /**
+     * Marks a device as verified after an interactive verification.
+     * @param  {string} ed25519Key the key that was verified, should match the stored key for the device
+     * @return {boolean} whether the device was marked as verified
+     */
+    async markDeviceVerified(userId, deviceId, ed25519Key, log) {
+        return this._updateDevices([{userId, deviceId}], log, device => {
+            if (device.ed25519Key !== ed25519Key) {
+                log.log({l: "ed25519 key of device doesn't match verified key", userId, deviceId}, log.level.Warn);
+                return false;
+            }
+            device.isVerified = true;
+            delete device.isNew;
+            return true;
+        });
+    }
+
+    /**
+     * Blacklisting a device prevents any room keys being shared with it.
+     * @return {boolean} whether the device was updated
+     */
+    async setDeviceBlacklisted(userId, deviceId, isBlacklisted, log) {
+        return this._updateDevices([{userId, deviceId}], log, device => {
+            if (!!device.isBlacklisted === isBlacklisted) {
+                return false;
+            }
+            if (isBlacklisted) {
+                device.isBlacklisted = true;
+            } else {
+                delete device.isBlacklisted;
+            }
+            return true;
+        });
+    }
+
+    /** Stop treating the given devices as new, after warning the user about them. */
+    async acknowledgeNewDevices(devices, log) {
+        return this._updateDevices(devices, log, device => {
+            if (!device.isNew) {
+                return false;
+            }
+            delete device.isNew;
+            return true;
+        });
+    }
+
+    async _updateDevices(devices, log, callback) {
+        const txn = await this._storage.readWriteTxn([
+            this._storage.storeNames.deviceIdentities,
+        ]);
+        let isUpdated = false;
+        try {
+            for (const {userId, deviceId} of devices) {
+                const device = await txn.deviceIdentities.get(userId, deviceId);
+                if (!device) {
+                    log.log({l: "unknown device", userId, deviceId}, log.level.Warn);
+                } else if (callback(device)) {
+                    txn.deviceIdentities.set(device);
+                    isUpdated = true;
+                }
+            }
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        if (isUpdated) {
+            this._changeCount += 1;
+        }
+        return isUpdated;
+    }
+
+    /** @return {Promise<string[]>} the ids of the encrypted rooms we track the given user in */
+    async getRoomIdsForUser(userId) {
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.userIdentities,
+        ]);
+        const identity = await txn.userIdentities.get(userId);
+        return identity?.roomIds ?? [];
+    }
+
+    /**
+     * @return {Promise<{masterKey?: string, selfSigningKey?: string, userSigningKey?: string}>}
+     *   the public ed25519 cross-signing keys of the user, as far as known
+     */
+    async getCrossSigningKeys(userId) {
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.userIdentities,
+        ]);
+        const identity = await txn.userIdentities.get(userId);
+        return {
+            masterKey: getKeyEd25519Key(identity?.masterKey),
+            selfSigningKey: getKeyEd25519Key(identity?.selfSigningKey),
+            userSigningKey: getKeyEd25519Key(identity?.userSigningKey),
+        };
+    }
+
+    /** @return {Promise<string | undefined>} the public ed25519 master key of the user, if known */
+    async getMasterKey(userId) {
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.userIdentities,
+        ]);
+        const identity = await txn.userIdentities.get(userId);
+        return getKeyEd25519Key(identity?.masterKey);
+    }
+
+    /**
+     * Marks the master key of a user as verified, e.g. after an interactive verification.
+     * @return {boolean} whether the master key was marked as verified
+     */
+    async markMasterKeyVerified(userId, masterKey, log) {
+        return this._updateUserIdentity(userId, log, identity => {
+            if (getKeyEd25519Key(identity.masterKey) !== masterKey) {
+                log.log({l: "master key doesn't match verified key", userId}, log.level.Warn);
+                return false;
+            }
+            identity.isMasterKeyVerified = true;
+            delete identity.hasMasterKeyChanged;
+            return true;
+        });
+    }
+
+    /** Trust the new master key of a user on first use again after it changed.
+     * @return {boolean} whether the identity had changed */
+    async acknowledgeMasterKeyChange(userId, log) {
+        return this._updateUserIdentity(userId, log, identity => {
+            if (!identity.hasMasterKeyChanged) {
+                return false;
+            }
+            delete identity.hasMasterKeyChanged;
+            return true;
+        });
+    }
+
+    async _updateUserIdentity(userId, log, callback) {
+        const txn = await this._storage.readWriteTxn([
+            this._storage.storeNames.userIdentities,
+        ]);
+        let isUpdated = false;
+        try {
+            const identity = await txn.userIdentities.get(userId);
+            if (!identity) {
+                log.log({l: "unknown user", userId}, log.level.Warn);
+            } else if (callback(identity)) {
+                txn.userIdentities.set(identity);
+                isUpdated = true;
+            }
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        if (isUpdated) {
+            this._changeCount += 1;
+        }
+        return isUpdated;
+    }
+
+    /**
+     * Gives the trust level of a user and each of their devices, fetching their keys if needed.
+     * @return {Promise<{trustLevel: TrustLevel, devices: Array<{device: DeviceIdentity, trustLevel: TrustLevel}>}>}
+     */
+    async getTrustForUser(userId, hsApi, log) {
+        const isOwnUser = userId === this._ownUserId;
+        // we need our own cross-signing keys as well to see if we signed the user
+        const allDevices = await this.devicesForUsers(isOwnUser ? [userId] : [userId, this._ownUserId], hsApi, log);
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.userIdentities,
+        ]);
+        const identity = await txn.userIdentities.get(userId);
+        const ownIdentity = isOwnUser ? identity : await txn.userIdentities.get(this._ownUserId);
+        const ownDevice = allDevices.find(d => d.userId === this._ownUserId && d.deviceId === this._ownDeviceId);
+        const trustLevel = this._userTrustLevel(identity, ownIdentity, ownDevice);
+        log.set("trustLevel", trustLevel);
+        const devices = allDevices.filter(d => d.userId === userId).map(device => {
+            return {device, trustLevel: this._deviceTrustLevel(device, trustLevel)};
+        });
+        return {trustLevel, devices};
+    }
+
+    /**
+     * Gives the trust level of the given devices from what we have stored, without querying their keys.
+     * @param {Transaction} [txn] a transaction with the userIdentities and deviceIdentities stores
+     * @return {Promise<Array<TrustLevel>>} the trust level of each device, in the same order
+     */
+    async getTrustLevelsForDevices(devices, txn = undefined) {
+        if (!txn) {
+            txn = await this._storage.readTxn([
+                this._storage.storeNames.userIdentities,
+                this._storage.storeNames.deviceIdentities,
+            ]);
+        }
+        const ownIdentity = await txn.userIdentities.get(this._ownUserId);
+        const ownDevice = await txn.deviceIdentities.get(this._ownUserId, this._ownDeviceId);
+        const userTrustLevels = new Map();
+        for (const userId of new Set(devices.map(d => d.userId))) {
+            const identity = userId === this._ownUserId ? ownIdentity : await txn.userIdentities.get(userId);
+            userTrustLevels.set(userId, this._userTrustLevel(identity, ownIdentity, ownDevice));
+        }
+        return devices.map(device => {
+            // we trust the device we're running on
+            if (device.userId === this._ownUserId && device.deviceId === this._ownDeviceId) {
+                return TrustLevel.Verified;
+            }
+            return this._deviceTrustLevel(device, userTrustLevels.get(device.userId));
+        });
+    }
+
+    _userTrustLevel(identity, ownIdentity, ownDevice) {
+        const masterKey = identity?.masterKey;
+        if (!masterKey) {
+            return TrustLevel.Unknown;
+        }
+        if (identity.hasMasterKeyChanged) {
+            return TrustLevel.Changed;
+        }
+        if (identity.isMasterKeyVerified) {
+            return TrustLevel.Verified;
+        }
+        if (identity.userId === this._ownUserId) {
+            // our own master key is trusted if this device signed it, e.g. because we created it here
+            if (ownDevice && verifyEd25519Signature(this._olmUtil, this._ownUserId, this._ownDeviceId, ownDevice.ed25519Key, masterKey)) {
+                return TrustLevel.Verified;
+            }
+        } else if (ownIdentity?.userSigningKey && this._userTrustLevel(ownIdentity, ownIdentity, ownDevice) === TrustLevel.Verified) {
+            // other users are trusted if we signed their master key with our user-signing key
+            const userSigningKey = getKeyEd25519Key(ownIdentity.userSigningKey);
+            if (verifyEd25519Signature(this._olmUtil, this._ownUserId, userSigningKey, userSigningKey, masterKey)) {
+                return TrustLevel.Verified;
+            }
+        }
+        return TrustLevel.TOFU;
+    }
+
+    _deviceTrustLevel(device, userTrustLevel) {
+        if (device.isVerified) {
+            return TrustLevel.Verified;
+        }
+        // devices signed by the self-signing key are as trusted as the identity of the user
+        if (device.isCrossSigned) {
+            return userTrustLevel;
+        }
+        return TrustLevel.Unknown;
+    }
 }
 
 import {createMockStorage} from "../../mocks/Storage";
@@ -542,6 +903,64 @@ export function tests() {
         };
     }
 
+    function createCrossSigningHSApiMock(keys) {
+        return {
+            queryKeys(payload) {
+                const response = {device_keys: {}, master_keys: {}, self_signing_keys: {}};
+                for (const userId of Object.keys(payload.device_keys)) {
+                    response.device_keys[userId] = {
+                        "device1": {
+                            "algorithms": ["m.olm.v1.curve25519-aes-sha2", "m.megolm.v1.aes-sha2"],
+                            "device_id": "device1",
+                            "keys": {
+                                "curve25519:device1": `curve25519:${userId}:device1:key`,
+                                "ed25519:device1": `ed25519:${userId}:device1:key`,
+                            },
+                            "signatures": {
+                                [userId]: {
+                                    "ed25519:device1": `ed25519:${userId}:device1:signature`,
+                                    [`ed25519:${keys.selfSigningKey}`]: `ed25519:${userId}:device1:crosssignature`,
+                                }
+                            },
+                            "user_id": userId
+                        }
+                    };
+                    if (!keys.masterKey) {
+                        continue;
+                    }
+                    response.master_keys[userId] = {
+                        "user_id": userId,
+                        "usage": ["master"],
+                        "keys": {[`ed25519:${keys.masterKey}`]: keys.masterKey},
+                    };
+                    response.self_signing_keys[userId] = {
+                        "user_id": userId,
+                        "usage": ["self_signing"],
+                        "keys": {[`ed25519:${keys.selfSigningKey}`]: keys.selfSigningKey},
+                        "signatures": keys.isSelfSigningKeySigned ? {
+                            [userId]: {[`ed25519:${keys.masterKey}`]: "masterkey:signature"}
+                        } : {},
+                    };
+                }
+                return {
+                    async response() {
+                        return response;
+                    }
+                };
+            }
+        };
+    }
+
+    function createTracker(storage) {
+        return new DeviceTracker({
+            storage,
+            getSyncToken: () => "token",
+            olmUtil: {ed25519_verify: () => {}}, // valid if it does not throw
+            ownUserId: "@alice:hs.tld",
+            ownDeviceId: "ABCD",
+        });
+    }
+
     async function writeMemberListToStorage(room, storage) {
         const txn = await storage.readWriteTxn([
             storage.storeNames.roomMembers,
@@ -825,6 +1244,112 @@ export function tests() {
             await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
             const txn1 = await storage.readTxn([storage.storeNames.userIdentities]);
             assert.deepEqual((await txn1.userIdentities.get("@bob:hs.tld")).roomIds, []);
+        },
+        "verified device stays verified when querying keys again": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createQueryKeysHSApiMock();
+            await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
+            const isMarked = await tracker.markDeviceVerified("@bob:hs.tld", "device1", "ed25519:@bob:hs.tld:device1:key", NullLoggerInstance.item);
+            assert.equal(isMarked, true);
+            const txn = await storage.readWriteTxn([storage.storeNames.userIdentities]);
+            await tracker.writeDeviceChanges(["@bob:hs.tld"], txn, NullLoggerInstance.item);
+            await txn.complete();
+            const devices = await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
+            assert.equal(devices[0].isVerified, true);
+        },
+        "blacklisted device stays blacklisted when querying keys again": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createQueryKeysHSApiMock();
+            await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
+            assert.equal(await tracker.setDeviceBlacklisted("@bob:hs.tld", "device1", true, NullLoggerInstance.item), true);
+            assert.equal(await tracker.setDeviceBlacklisted("@bob:hs.tld", "device1", true, NullLoggerInstance.item), false);
+            const txn = await storage.readWriteTxn([storage.storeNames.userIdentities]);
+            await tracker.writeDeviceChanges(["@bob:hs.tld"], txn, NullLoggerInstance.item);
+            await txn.complete();
+            const devices = await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
+            assert.equal(devices[0].isBlacklisted, true);
+            assert.equal(devices[0].isNew, undefined);
+            await tracker.setDeviceBlacklisted("@bob:hs.tld", "device1", false, NullLoggerInstance.item);
+            const device = await tracker.deviceForId("@bob:hs.tld", "device1", hsApi, NullLoggerInstance.item);
+            assert.equal(device.isBlacklisted, undefined);
+        },
+        "device isn't marked verified when the verified key doesn't match": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createQueryKeysHSApiMock();
+            await tracker.devicesForUsers(["@bob:hs.tld"], hsApi, NullLoggerInstance.item);
+            const isMarked = await tracker.markDeviceVerified("@bob:hs.tld", "device1", "ed25519:@bob:hs.tld:device1:otherkey", NullLoggerInstance.item);
+            assert.equal(isMarked, false);
+            const device = await tracker.deviceForId("@bob:hs.tld", "device1", hsApi, NullLoggerInstance.item);
+            assert.equal(device.isVerified, undefined);
+        },
+        "cross-signed device is trusted on first use": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createCrossSigningHSApiMock({masterKey: "masterkey", selfSigningKey: "sskkey", isSelfSigningKeySigned: true});
+            const {trustLevel, devices} = await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(trustLevel, TrustLevel.TOFU);
+            assert.equal(devices.length, 1);
+            assert.equal(devices[0].trustLevel, TrustLevel.TOFU);
+            assert.equal(await tracker.getMasterKey("@bob:hs.tld"), "masterkey");
+        },
+        "device isn't cross-signed when self-signing key isn't signed by master key": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createCrossSigningHSApiMock({masterKey: "masterkey", selfSigningKey: "sskkey", isSelfSigningKeySigned: false});
+            const {trustLevel, devices} = await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(trustLevel, TrustLevel.TOFU);
+            assert.equal(devices[0].trustLevel, TrustLevel.Unknown);
+            assert.equal(devices[0].device.isCrossSigned, undefined);
+        },
+        "changed master key is detected until acknowledged": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const keys = {masterKey: "masterkey", selfSigningKey: "sskkey", isSelfSigningKeySigned: true};
+            const hsApi = createCrossSigningHSApiMock(keys);
+            await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            keys.masterKey = "othermasterkey";
+            const txn = await storage.readWriteTxn([storage.storeNames.userIdentities]);
+            await tracker.writeDeviceChanges(["@bob:hs.tld"], txn, NullLoggerInstance.item);
+            await txn.complete();
+            const {trustLevel, devices} = await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(trustLevel, TrustLevel.Changed);
+            assert.equal(devices[0].trustLevel, TrustLevel.Changed);
+            assert.equal(await tracker.acknowledgeMasterKeyChange("@bob:hs.tld", NullLoggerInstance.item), true);
+            assert.equal((await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item)).trustLevel, TrustLevel.TOFU);
+        },
+        "verifying the master key verifies the cross-signed devices": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const hsApi = createCrossSigningHSApiMock({masterKey: "masterkey", selfSigningKey: "sskkey", isSelfSigningKeySigned: true});
+            await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(await tracker.markMasterKeyVerified("@bob:hs.tld", "othermasterkey", NullLoggerInstance.item), false);
+            assert.equal(await tracker.markMasterKeyVerified("@bob:hs.tld", "masterkey", NullLoggerInstance.item), true);
+            const {trustLevel, devices} = await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(trustLevel, TrustLevel.Verified);
+            assert.equal(devices[0].trustLevel, TrustLevel.Verified);
+        },
+        "cross-signing keys are removed when they aren't returned anymore": async assert => {
+            const storage = await createMockStorage();
+            const tracker = createTracker(storage);
+            const keys = {masterKey: "masterkey", selfSigningKey: "sskkey", isSelfSigningKeySigned: true};
+            const hsApi = createCrossSigningHSApiMock(keys);
+            await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(await tracker.markMasterKeyVerified("@bob:hs.tld", "masterkey", NullLoggerInstance.item), true);
+            keys.masterKey = undefined;
+            const txn = await storage.readWriteTxn([storage.storeNames.userIdentities]);
+            await tracker.writeDeviceChanges(["@bob:hs.tld"], txn, NullLoggerInstance.item);
+            await txn.complete();
+            const {trustLevel, devices} = await tracker.getTrustForUser("@bob:hs.tld", hsApi, NullLoggerInstance.item);
+            assert.equal(trustLevel, TrustLevel.Unknown);
+            assert.equal(devices[0].trustLevel, TrustLevel.Unknown);
+            assert.equal(await tracker.getMasterKey("@bob:hs.tld"), undefined);
+            const identity = await (await storage.readTxn([storage.storeNames.userIdentities])).userIdentities.get("@bob:hs.tld");
+            assert.equal(identity.masterKey, undefined);
+            assert.equal(identity.selfSigningKey, undefined);
+            assert.equal(identity.isMasterKeyVerified, undefined);
         }
     }
 }
@@ -0,0 +1,208 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TrustLevel} from "./common.js";
+
+const SESSION_KEY = "deviceTrustPolicy";
+
+/**
+ * Which devices we share outgoing megolm sessions with.
+ * Blacklisted devices never receive keys, whatever the policy.
+ * - AllDevices: share with all devices of the room members
+ * - VerifiedOnly: only share with devices we verified, directly or through cross-signing
+ * - WarnOnNewDevices: share with all devices, but refuse to send while
+ *   unverified devices have appeared that the user hasn't acknowledged yet,
+ *   and hold back keys from those devices until they are acknowledged
+ */
+export const DeviceTrustPolicy = Object.freeze({
+    AllDevices: "all",
+    VerifiedOnly: "verified",
+    WarnOnNewDevices: "warn",
+});
+
+export function isValidPolicy(policy) {
+    return Object.values(DeviceTrustPolicy).includes(policy);
+}
+
+/** Thrown when trying to send in a room with the WarnOnNewDevices policy while there are new unverified devices */
+export class UnknownDevicesError extends Error {
+    constructor(devices) {
+        super(`Not sending because of ${devices.length} new unverified session(s)`);
+        this.devices = devices;
+    }
+
+    get name() {
+        return "UnknownDevicesError";
+    }
+}
+
+/**
+ * Splits the devices in the ones we should share a room key with and the ones we shouldn't,
+ * along with the m.room_key.withheld code for the latter.
+ * With the WarnOnNewDevices policy, new unverified devices are in neither list,
+ * as they should still receive the key once the user acknowledges them.
+ * @param {Array<DeviceIdentity>} devices
+ * @param {Array<TrustLevel>} trustLevels the trust level of each device, in the same order
+ * @param {DeviceTrustPolicy} policy
+ * @return {{devices: Array<DeviceIdentity>, withheld: Array<{device: DeviceIdentity, code: string}>}}
+ */
+export function applyPolicy(devices, trustLevels, policy) {
+    const allowed = [];
+    const withheld = [];
+    devices.forEach((device, i) => {
+        if (device.isBlacklisted) {
+            withheld.push({device, code: "m.blacklisted"});
+        } else if (policy === DeviceTrustPolicy.VerifiedOnly && trustLevels[i] !== TrustLevel.Verified) {
+            withheld.push({device, code: "m.unverified"});
+        } else if (policy === DeviceTrustPolicy.WarnOnNewDevices && device.isNew && trustLevels[i] !== TrustLevel.Verified) {
+            return;
+        } else {
+            allowed.push(device);
+        }
+    });
+    return {devices: allowed, withheld};
+}
+
+/** @return {Array<DeviceIdentity>} the devices that appeared since we first saw the user and haven't been verified or acknowledged */
+export function findNewUnverifiedDevices(devices, trustLevels) {
+    return devices.filter((device, i) => {
+        return device.isNew && !device.isBlacklisted && trustLevels[i] !== TrustLevel.Verified;
+    });
+}
+
+/** The device trust policy for the whole session, and the rooms that override it. */
+export class DeviceTrustPolicies {
+    constructor(entry) {
+        this._policy = entry?.policy ?? DeviceTrustPolicy.AllDevices;
+        this._roomPolicies = Object.assign({}, entry?.roomPolicies);
+    }
+
+    static async load(txn) {
+        return new DeviceTrustPolicies(await txn.session.get(SESSION_KEY));
+    }
+
+    get policy() {
+        return this._policy;
+    }
+
+    /** @return {DeviceTrustPolicy | undefined} the policy set for this room, if any */
+    getRoomOverride(roomId) {
+        return this._roomPolicies[roomId];
+    }
+
+    /** @return {DeviceTrustPolicy} the policy that applies to the room */
+    policyForRoom(roomId) {
+        return this._roomPolicies[roomId] ?? this._policy;
+    }
+
+    /**
+     * Stores a new policy. This doesn't change the policies in memory yet,
+     * pass the returned entry to `apply` once the txn has been committed.
+     * @param {DeviceTrustPolicy | undefined} policy
+     * @param {string} [roomId] the room to set the policy for, or the session policy if not passed.
+     *      Passing an undefined policy for a room makes it follow the session policy again.
+     * @return {{policy: DeviceTrustPolicy, roomPolicies: object}} the stored entry
+     */
+    set(policy, roomId, txn) {
+        if (policy !== undefined && !isValidPolicy(policy)) {
+            throw new Error(`Invalid device trust policy: ${policy}`);
+        }
+        const entry = {policy: this._policy, roomPolicies: Object.assign({}, this._roomPolicies)};
+        if (roomId) {
+            if (policy) {
+                entry.roomPolicies[roomId] = policy;
+            } else {
+                delete entry.roomPolicies[roomId];
+            }
+        } else {
+            if (!policy) {
+                throw new Error("The session device trust policy can't be unset");
+            }
+            entry.policy = policy;
+        }
+        txn.session.set(SESSION_KEY, entry);
+        return entry;
+    }
+
+    /** @param {{policy: DeviceTrustPolicy, roomPolicies: object}} entry as returned by `set` */
+    apply(entry) {
+        this._policy = entry.policy;
+        this._roomPolicies = Object.assign({}, entry.roomPolicies);
+    }
+}
+
+export function tests() {
+    const createTxn = () => {
+        const values = new Map();
+        return {session: {
+            get: async key => values.get(key),
+            set: (key, value) => values.set(key, JSON.parse(JSON.stringify(value))),
+        }};
+    };
+    const devices = [
+        {deviceId: "A"},
+        {deviceId: "B", isBlacklisted: true},
+        {deviceId: "C", isNew: true},
+        {deviceId: "D", isNew: true},
+    ];
+    const trustLevels = [TrustLevel.Verified, TrustLevel.Verified, TrustLevel.TOFU, TrustLevel.Verified];
+
+    return {
+        "blacklisted devices are always withheld": assert => {
+            const {devices: allowed, withheld} = applyPolicy(devices, trustLevels, DeviceTrustPolicy.AllDevices);
+            assert.deepEqual(allowed.map(d => d.deviceId), ["A", "C", "D"]);
+            assert.deepEqual(withheld.map(w => [w.device.deviceId, w.code]), [["B", "m.blacklisted"]]);
+        },
+        "verified only policy withholds from unverified devices": assert => {
+            const {devices: allowed, withheld} = applyPolicy(devices, trustLevels, DeviceTrustPolicy.VerifiedOnly);
+            assert.deepEqual(allowed.map(d => d.deviceId), ["A", "D"]);
+            assert.deepEqual(withheld.map(w => [w.device.deviceId, w.code]), [["B", "m.blacklisted"], ["C", "m.unverified"]]);
+        },
+        "warn on new devices policy holds back keys from new unverified devices": assert => {
+            const {devices: allowed, withheld} = applyPolicy(devices, trustLevels, DeviceTrustPolicy.WarnOnNewDevices);
+            assert.deepEqual(allowed.map(d => d.deviceId), ["A", "D"]);
+            assert.deepEqual(withheld.map(w => [w.device.deviceId, w.code]), [["B", "m.blacklisted"]]);
+        },
+        "only new devices that are not verified need acknowledging": assert => {
+            assert.deepEqual(findNewUnverifiedDevices(devices, trustLevels).map(d => d.deviceId), ["C"]);
+        },
+        "room policy overrides session policy and is persisted": async assert => {
+            const txn = createTxn();
+            const policies = await DeviceTrustPolicies.load(txn);
+            assert.equal(policies.policyForRoom("!a"), DeviceTrustPolicy.AllDevices);
+            policies.apply(policies.set(DeviceTrustPolicy.WarnOnNewDevices, undefined, txn));
+            policies.apply(policies.set(DeviceTrustPolicy.VerifiedOnly, "!a", txn));
+            const loaded = await DeviceTrustPolicies.load(txn);
+            assert.equal(loaded.policyForRoom("!a"), DeviceTrustPolicy.VerifiedOnly);
+            assert.equal(loaded.policyForRoom("!b"), DeviceTrustPolicy.WarnOnNewDevices);
+            loaded.apply(loaded.set(undefined, "!a", txn));
+            assert.equal(loaded.getRoomOverride("!a"), undefined);
+            assert.equal(loaded.policyForRoom("!a"), DeviceTrustPolicy.WarnOnNewDevices);
+        },
+        "set only changes the policies in memory once applied": assert => {
+            const policies = new DeviceTrustPolicies();
+            const entry = policies.set(DeviceTrustPolicy.VerifiedOnly, "!a", createTxn());
+            assert.equal(policies.policyForRoom("!a"), DeviceTrustPolicy.AllDevices);
+            policies.apply(entry);
+            assert.equal(policies.policyForRoom("!a"), DeviceTrustPolicy.VerifiedOnly);
+        },
+        "invalid policies are rejected": assert => {
+            const policies = new DeviceTrustPolicies();
+            assert.throws(() => policies.set("nonsense", undefined, createTxn()));
+            assert.throws(() => policies.set(undefined, undefined, createTxn()));
+        },
+    };
+}
@@ -14,12 +14,15 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {MEGOLM_ALGORITHM, DecryptionSource} from "./common.js";
+import {MEGOLM_ALGORITHM, DecryptionSource, isSharedHistoryVisibility} from "./common.js";
 import {groupEventsBySession} from "./megolm/decryption/utils";
 import {mergeMap} from "../../utils/mergeMap";
 import {groupBy} from "../../utils/groupBy";
 import {makeTxnId} from "../common.js";
 import {iterateResponseStateEvents} from "../room/common";
+import {DeviceTrustPolicy, UnknownDevicesError, applyPolicy, findNewUnverifiedDevices} from "./DeviceTrustPolicy.js";
+import {StoredRoomKey} from "./megolm/decryption/RoomKey";
+import {createForwardedRoomKey} from "./megolm/KeyExport";
 
 const ENCRYPTED_TYPE = "m.room.encrypted";
 const ROOM_HISTORY_VISIBILITY_TYPE = "m.room.history_visibility";
@@ -30,24 +33,30 @@ const MIN_PRESHARE_INTERVAL = 60 * 1000; // 1min
 
 // TODO: this class is a good candidate for splitting up into encryption and decryption, there doesn't seem to be much overlap
 export class RoomEncryption {
-    constructor({room, deviceTracker, olmEncryption, megolmEncryption, megolmDecryption, encryptionParams, storage, keyBackup, notifyMissingMegolmSession, clock}) {
+    constructor({room, deviceTracker, olmEncryption, megolmEncryption, megolmDecryption, roomKeyRequests, trustPolicies, encryptionParams, storage, keyLoader, keyBackup, notifyMissingMegolmSession, clock}) {
         this._room = room;
         this._deviceTracker = deviceTracker;
         this._olmEncryption = olmEncryption;
         this._megolmEncryption = megolmEncryption;
         this._megolmDecryption = megolmDecryption;
+        this._roomKeyRequests = roomKeyRequests;
+        this._trustPolicies = trustPolicies;
         // content of the m.room.encryption event
         this._encryptionParams = encryptionParams;
         // caches devices to verify events
         this._senderDeviceCache = new Map();
         this._storage = storage;
+        this._keyLoader = keyLoader;
         this._keyBackup = keyBackup;
         this._notifyMissingMegolmSession = notifyMissingMegolmSession;
         this._clock = clock;
         this._isFlushingRoomKeyShares = false;
+        this._isFlushingHistoryKeyShares = false;
         this._lastKeyPreShareTime = null;
         this._keySharePromise = null;
         this._historyVisibility = undefined;
+        // the new devices found for the WarnOnNewDevices policy, until the device tracker changes
+        this._newDevicesCache = null;
         this._disposed = false;
     }
 
@@ -179,13 +188,13 @@ export class RoomEncryption {
             }));
         }
         
-        if (!this._keyBackup) {
+        if (!this._keyBackup && !this._roomKeyRequests) {
             return;
         }
 
-        log.wrapDetached("check key backup", async log => {
+        log.wrapDetached("request missing sessions", async log => {
             // if the message came from sync, wait 10s to see if the room key arrives late,
-            // and only after that proceed to request from backup
+            // and only after that proceed to request from backup, and then from our other devices
             log.set("source", source);
             log.set("events", missingSessionEvents.length);
             log.set("sessions", missingEventsBySession.size);
@@ -202,23 +211,33 @@ export class RoomEncryption {
                     }
                 }));
             }
-            await Promise.all(Array.from(missingEventsBySession.values()).map(group => {
-                return log.wrap("session", log => this._requestMissingSessionFromBackup(group.senderKey, group.sessionId, log));
+            await Promise.all(Array.from(missingEventsBySession.values()).map(async group => {
+                const isRestored = this._keyBackup &&
+                    await log.wrap("session", log => this._requestMissingSessionFromBackup(group.senderKey, group.sessionId, log));
+                if (!isRestored && this._roomKeyRequests) {
+                    await log.wrap("request key", log => this._roomKeyRequests.requestKey(this._room.id, group.senderKey, group.sessionId, log));
+                }
             }));
         });
     }
 
     async _verifyDecryptionResults(results, txn) {
-        await Promise.all(results.map(async result => {
+        const devices = await Promise.all(results.map(async result => {
             let device = this._senderDeviceCache.get(result.senderCurve25519Key);
             if (!device) {
                 device = await this._deviceTracker.getDeviceByCurve25519Key(result.senderCurve25519Key, txn);
                 this._senderDeviceCache.set(result.senderCurve25519Key, device);
             }
+            return device;
+        }));
+        const foundDevices = devices.filter(d => !!d);
+        const trustLevels = await this._deviceTracker.getTrustLevelsForDevices(foundDevices, txn);
+        results.forEach((result, i) => {
+            const device = devices[i];
             if (device) {
-                result.setDevice(device);
+                result.setDevice(device, trustLevels[foundDevices.indexOf(device)]);
             }
-        }));
+        });
     }
 
     /** fetches the devices that are not yet known locally from the homeserver to verify the sender of this message. */
@@ -235,7 +254,10 @@ export class RoomEncryption {
                 // Use devicesForUsers rather than devicesForRoomMembers as the room might not be tracked yet
                 await this._deviceTracker.devicesForUsers(sendersWithoutDevice, hsApi, log);
                 // now that we've fetched the missing devices, try verifying the results again
-                const txn = await this._storage.readTxn([this._storage.storeNames.deviceIdentities]);
+                const txn = await this._storage.readTxn([
+                    this._storage.storeNames.deviceIdentities,
+                    this._storage.storeNames.userIdentities,
+                ]);
                 await this._verifyDecryptionResults(resultsWithoutDevice, txn);
                 const resultsWithFoundDevice = resultsWithoutDevice.filter(r => !r.isVerificationUnknown);
                 const resultsToEventIdMap = resultsWithFoundDevice.reduce((map, r) => {
@@ -248,12 +270,13 @@ export class RoomEncryption {
         return new BatchDecryptionResult(new Map(), new Map(), this);
     }
 
+    /** @return {Promise<boolean>} whether a better key was found in the backup and stored */
     async _requestMissingSessionFromBackup(senderKey, sessionId, log) {
         // show prompt to enable secret storage
         if (!this._keyBackup) {
             log.set("enabled", false);
             this._notifyMissingMegolmSession();
-            return;
+            return false;
         }
         log.set("id", sessionId);
         log.set("senderKey", senderKey);
@@ -263,7 +286,7 @@ export class RoomEncryption {
                 if (roomKey.senderKey !== senderKey) {
                     log.set("wrong_sender_key", roomKey.senderKey);
                     log.logLevel = log.level.Warn;
-                    return;
+                    return false;
                 }
                 let keyIsBestOne = false;
                 let retryEventIds;
@@ -282,6 +305,7 @@ export class RoomEncryption {
                 if (keyIsBestOne) {
                     await log.wrap("retryDecryption", log => this._room.notifyRoomKey(roomKey, retryEventIds || [], log));
                 }
+                return keyIsBestOne;
             }
         } catch (err) {
             if (!(err.name === "HomeServerError" && err.errcode === "M_NOT_FOUND")) {
@@ -291,6 +315,7 @@ export class RoomEncryption {
                 log.logLevel = log.level.Error;
             }
         }
+        return false;
     }
 
     /**
@@ -310,7 +335,8 @@ export class RoomEncryption {
         this._lastKeyPreShareTime = this._clock.createMeasure();
         try {
             this._keySharePromise = (async () => {
-                const roomKeyMessage = await this._megolmEncryption.ensureOutboundSession(this._room.id, this._encryptionParams);
+                const isSharedHistory = await this._isSharedHistory();
+                const roomKeyMessage = await this._megolmEncryption.ensureOutboundSession(this._room.id, this._encryptionParams, isSharedHistory);
                 if (roomKeyMessage) {
                     this._keyBackup?.flush(log);
                     await log.wrap("share key", log => this._shareNewRoomKey(roomKeyMessage, hsApi, log));
@@ -329,7 +355,14 @@ export class RoomEncryption {
             log.set("waitForRunningKeyShare", true);
             await this._keySharePromise;
         }
-        const megolmResult = await log.wrap("megolm encrypt", () => this._megolmEncryption.encrypt(this._room.id, type, content, this._encryptionParams));
+        if (this._trustPolicy === DeviceTrustPolicy.WarnOnNewDevices) {
+            const newDevices = await log.wrap("check new devices", log => this._findNewUnverifiedDevices(hsApi, log));
+            if (newDevices.length) {
+                throw new UnknownDevicesError(newDevices);
+            }
+        }
+        const isSharedHistory = await this._isSharedHistory();
+        const megolmResult = await log.wrap("megolm encrypt", () => this._megolmEncryption.encrypt(this._room.id, type, content, this._encryptionParams, isSharedHistory));
         if (megolmResult.roomKeyMessage) {
             this._keyBackup?.flush(log);
             await log.wrap("share key", log => this._shareNewRoomKey(megolmResult.roomKeyMessage, hsApi, log));
@@ -340,6 +373,61 @@ export class RoomEncryption {
         };
     }
 
+    async _isSharedHistory() {
+        this._historyVisibility = await this._loadHistoryVisibilityIfNeeded(this._historyVisibility);
+        return isSharedHistoryVisibility(this._historyVisibility);
+    }
+
+    get _trustPolicy() {
+        return this._trustPolicies?.policyForRoom(this._room.id) ?? DeviceTrustPolicy.AllDevices;
+    }
+
+    async _findNewUnverifiedDevices(hsApi, log) {
+        // read before looking at the devices, so changes made while doing so aren't missed
+        const changeCount = this._deviceTracker.changeCount;
+        if (this._newDevicesCache && this._newDevicesCache.changeCount === changeCount) {
+            log.set("cached", true);
+            log.set("newDevices", this._newDevicesCache.newDevices.length);
+            return this._newDevicesCache.newDevices;
+        }
+        this._historyVisibility = await this._loadHistoryVisibilityIfNeeded(this._historyVisibility);
+        await this._deviceTracker.trackRoom(this._room, this._historyVisibility, log);
+        const devices = await this._deviceTracker.devicesForTrackedRoom(this._room.id, hsApi, log);
+        const trustLevels = await this._deviceTracker.getTrustLevelsForDevices(devices);
+        const newDevices = findNewUnverifiedDevices(devices, trustLevels);
+        log.set("newDevices", newDevices.length);
+        this._newDevicesCache = {changeCount, newDevices};
+        return newDevices;
+    }
+
+    /**
+     * Allow sending again in a room with the WarnOnNewDevices policy after the user has been warned about the new devices.
+     * The current room key was held back from the new devices, so it is shared with them now.
+     */
+    async acknowledgeNewDevices(hsApi, log) {
+        const newDevices = await this._findNewUnverifiedDevices(hsApi, log);
+        if (!newDevices.length) {
+            return;
+        }
+        await this._deviceTracker.acknowledgeNewDevices(newDevices, log);
+        const userIds = Array.from(new Set(newDevices.map(d => d.userId)));
+        const txn = await this._storage.readWriteTxn([
+            this._storage.storeNames.operations,
+            this._storage.storeNames.outboundGroupSessions,
+        ]);
+        let shouldFlush;
+        try {
+            shouldFlush = await this._addShareRoomKeyOperationForMembers(userIds, txn, log);
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        if (shouldFlush) {
+            await log.wrap("share key", log => this.flushPendingRoomKeyShares(hsApi, null, log));
+        }
+    }
+
     needsToShareKeys(memberChanges) {
         for (const m of memberChanges.values()) {
             if (m.hasJoined) {
@@ -424,11 +512,21 @@ export class RoomEncryption {
         log.set("id", operation.id);
         this._historyVisibility = await this._loadHistoryVisibilityIfNeeded(this._historyVisibility);
         await this._deviceTracker.trackRoom(this._room, this._historyVisibility, log);
-        const devices = await this._deviceTracker.devicesForRoomMembers(this._room.id, operation.userIds, hsApi, log);
+        const memberDevices = await this._deviceTracker.devicesForRoomMembers(this._room.id, operation.userIds, hsApi, log);
+        const policy = this._trustPolicy;
+        log.set("trustPolicy", policy);
+        // trust levels are only needed to exclude unverified devices
+        const needsTrustLevels = policy === DeviceTrustPolicy.VerifiedOnly || policy === DeviceTrustPolicy.WarnOnNewDevices;
+        const trustLevels = needsTrustLevels ?
+            await this._deviceTracker.getTrustLevelsForDevices(memberDevices) : [];
+        const {devices, withheld} = applyPolicy(memberDevices, trustLevels, policy);
         const messages = await log.wrap("olm encrypt", log => this._olmEncryption.encrypt(
             "m.room_key", operation.roomKeyMessage, devices, hsApi, log));
         const missingDevices = devices.filter(d => !messages.some(m => m.device === d));
         await log.wrap("send", log => this._sendMessagesToDevices(ENCRYPTED_TYPE, messages, hsApi, log));
+        if (withheld.length) {
+            await log.wrap("withheld", log => this._sendWithheldMessages(operation.roomKeyMessage, withheld, hsApi, log));
+        }
         if (missingDevices.length) {
             await log.wrap("missingDevices", async log => {
                 log.set("devices", missingDevices.map(d => d.deviceId));
@@ -446,6 +544,84 @@ export class RoomEncryption {
         await this._updateOperationsStore(operations => operations.remove(operation.id));
     }
 
+    /**
+     * Forwards the room keys that were created while the history visibility of the room was `shared`
+     * to the devices of the given newly invited users, so they can read the history of the room (MSC3061).
+     * An operation is stored first so the keys are still sent if we get interrupted.
+     */
+    async shareHistoryWithInvitees(userIds, hsApi, log) {
+        if (!await this._isSharedHistory()) {
+            log.set("historyVisibility", this._historyVisibility);
+            return;
+        }
+        const operation = {
+            id: Math.floor(Math.random() * Number.MAX_SAFE_INTEGER).toString(),
+            type: "share_history_keys",
+            scope: this._room.id,
+            userIds,
+        };
+        await this._updateOperationsStore(operations => operations.add(operation));
+        await this._processShareHistoryKeysOperation(operation, hsApi, log);
+    }
+
+    async flushPendingHistoryKeyShares(hsApi, operations, log) {
+        // reentrant for the same reason as flushPendingRoomKeyShares
+        if (this._isFlushingHistoryKeyShares) {
+            return;
+        }
+        this._isFlushingHistoryKeyShares = true;
+        try {
+            for (const operation of operations) {
+                if (operation.type !== "share_history_keys") {
+                    continue;
+                }
+                await log.wrap("operation", log => this._processShareHistoryKeysOperation(operation, hsApi, log));
+            }
+        } finally {
+            this._isFlushingHistoryKeyShares = false;
+        }
+    }
+
+    async _processShareHistoryKeysOperation(operation, hsApi, log) {
+        log.set("id", operation.id);
+        log.set("userIds", operation.userIds);
+        const txn = await this._storage.readTxn([this._storage.storeNames.inboundGroupSessions]);
+        const entries = await txn.inboundGroupSessions.getAllSharedHistoryForRoom(this._room.id);
+        log.set("keys", entries.length);
+        if (entries.length) {
+            // the invitees are not members yet, so the room might not track their devices
+            const userDevices = await this._deviceTracker.devicesForUsers(operation.userIds, hsApi, log);
+            const policy = this._trustPolicy;
+            const trustLevels = policy === DeviceTrustPolicy.VerifiedOnly ?
+                await this._deviceTracker.getTrustLevelsForDevices(userDevices) : [];
+            const {devices} = applyPolicy(userDevices, trustLevels, policy);
+            log.set("devices", devices.length);
+            if (devices.length) {
+                for (const entry of entries) {
+                    await log.wrap("forward key", async log => {
+                        log.set("id", entry.sessionId);
+                        const content = await createForwardedRoomKey(new StoredRoomKey(entry), this._keyLoader);
+                        const messages = await log.wrap("olm encrypt", log => this._olmEncryption.encrypt(
+                            "m.forwarded_room_key", content, devices, hsApi, log));
+                        await log.wrap("send", log => this._sendMessagesToDevices(ENCRYPTED_TYPE, messages, hsApi, log));
+                    });
+                }
+            }
+        }
+        await this._updateOperationsStore(operations => operations.remove(operation.id));
+    }
+
+    async _sendWithheldMessages(roomKeyMessage, withheld, hsApi, log) {
+        const devicesByCode = groupBy(withheld, w => w.code);
+        for (const [code, entries] of devicesByCode.entries()) {
+            const devices = entries.map(w => w.device);
+            log.set(code, devices.map(d => d.deviceId));
+            const reason = code === "m.blacklisted" ? "You have been blocked" : "You are not verified";
+            const withheldMessage = this._megolmEncryption.createWithheldMessage(roomKeyMessage, code, reason);
+            await this._sendSharedMessageToDevices("org.matrix.room_key.withheld", withheldMessage, devices, hsApi, log);
+        }
+    }
+
     async _updateOperationsStore(callback) {
         const writeTxn = await this._storage.readWriteTxn([this._storage.storeNames.operations]);
         try {
@@ -560,18 +736,31 @@ class BatchDecryptionResult {
 
     applyToEntries(entries, callback = undefined) {
         for (const entry of entries) {
-            const result = this.results.get(entry.id);
-            if (result) {
-                entry.setDecryptionResult(result);
-                callback?.(entry);
-            } else {
-                const error = this.errors.get(entry.id);
-                if (error) {
-                    entry.setDecryptionError(error);
-                    callback?.(entry);
+            let updated = this._applyToEntry(entry);
+            // also decrypt e.g. the latest edit, the callback is called for the entry they are aggregated on
+            for (const aggregatedEntry of entry.aggregatedEntries) {
+                if (this._applyToEntry(aggregatedEntry)) {
+                    updated = true;
                 }
             }
+            if (updated) {
+                callback?.(entry);
+            }
+        }
+    }
+
+    _applyToEntry(entry) {
+        const result = this.results.get(entry.id);
+        if (result) {
+            entry.setDecryptionResult(result);
+            return true;
         }
+        const error = this.errors.get(entry.id);
+        if (error) {
+            entry.setDecryptionError(error);
+            return true;
+        }
+        return false;
     }
 
     /** Verify the decryption results by looking for the corresponding device in local persistance
@@ -602,6 +791,7 @@ import {Clock as MockClock} from "../../mocks/Clock";
 import {poll} from "../../mocks/poll";
 import {Instance as NullLoggerInstance} from "../../logging/NullLogger";
 import {HomeServer as MockHomeServer} from "../../mocks/HomeServer.js";
+import {TrustLevel, SHARED_HISTORY_FIELD} from "./common.js";
 
 export function tests() {
     const roomId = "!abc:hs.tld";
@@ -733,5 +923,193 @@ export function tests() {
             await roomEncryption.writeSync(roomResponse, memberChanges, txn, NullLoggerInstance.item);
             assert(isMemberChangesCalled);
         },
+        "verified only policy withholds the room key from unverified devices": async assert => {
+            const storage = await createMockStorage();
+            const verifiedDevice = {userId: "@bob:hs.tld", deviceId: "VERIFIED"};
+            const unverifiedDevice = {userId: "@bob:hs.tld", deviceId: "UNVERIFIED"};
+            const megolmMock = {
+                async encrypt() { return {roomKeyMessage: {room_id: roomId, session_id: "s"}}; },
+                createWithheldMessage(roomKeyMessage, code) { return {code}; }
+            };
+            let olmRecipients;
+            const olmMock = {
+                async encrypt(type, content, devices) {
+                    olmRecipients = devices;
+                    return devices.map(device => ({device, content: {}}));
+                }
+            };
+            const deviceTracker = {
+                async trackRoom() {},
+                async devicesForTrackedRoom() { return [verifiedDevice, unverifiedDevice]; },
+                async devicesForRoomMembers() { return [verifiedDevice, unverifiedDevice]; },
+                async getTrustLevelsForDevices() { return [TrustLevel.Verified, TrustLevel.TOFU]; },
+            };
+            const roomEncryption = new RoomEncryption({
+                room: {id: roomId},
+                megolmEncryption: megolmMock,
+                olmEncryption: olmMock,
+                trustPolicies: {policyForRoom: () => DeviceTrustPolicy.VerifiedOnly},
+                storage,
+                deviceTracker
+            });
+            const homeServer = new MockHomeServer();
+            const promise = roomEncryption.encrypt("m.room.message", {body: "hello"}, homeServer.api, NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            const withheldRequest = await poll(() => homeServer.requests.sendToDevice?.[1]);
+            withheldRequest.respond({});
+            await promise;
+            assert.deepEqual(olmRecipients, [verifiedDevice]);
+            const [type, payload] = withheldRequest.arguments;
+            assert.equal(type, "org.matrix.room_key.withheld");
+            assert.deepEqual(payload.messages, {"@bob:hs.tld": {"UNVERIFIED": {code: "m.unverified"}}});
+        },
+        "encrypt refuses to send when new unverified devices appeared with the warn policy": async assert => {
+            const storage = await createMockStorage();
+            let isEncrypted = false;
+            const megolmMock = {
+                async encrypt() { isEncrypted = true; return {}; }
+            };
+            const deviceTracker = {
+                async trackRoom() {},
+                async devicesForTrackedRoom() { return [{userId: "@bob:hs.tld", deviceId: "NEW", isNew: true}]; },
+                async getTrustLevelsForDevices() { return [TrustLevel.TOFU]; },
+            };
+            const roomEncryption = new RoomEncryption({
+                room: {id: roomId},
+                megolmEncryption: megolmMock,
+                trustPolicies: {policyForRoom: () => DeviceTrustPolicy.WarnOnNewDevices},
+                storage,
+                deviceTracker
+            });
+            const homeServer = new MockHomeServer();
+            await assert.rejects(roomEncryption.encrypt("m.room.message", {body: "hello"}, homeServer.api, NullLoggerInstance.item), UnknownDevicesError);
+            assert(!isEncrypted);
+        },
+        "warn on new devices policy holds back the room key from new devices until they are acknowledged": async assert => {
+            const storage = await createMockStorage();
+            const knownDevice = {userId: "@bob:hs.tld", deviceId: "KNOWN"};
+            const newDevice = {userId: "@bob:hs.tld", deviceId: "NEW", isNew: true};
+            const megolmMock = {
+                async ensureOutboundSession() { return {room_id: roomId, session_id: "s"}; },
+                async createRoomKeyMessage() { return {room_id: roomId, session_id: "s"}; },
+            };
+            const olmRecipients = [];
+            const olmMock = {
+                async encrypt(type, content, devices) {
+                    olmRecipients.push(devices.map(d => d.deviceId));
+                    return devices.map(device => ({device, content: {}}));
+                }
+            };
+            const deviceTracker = {
+                changeCount: 0,
+                async trackRoom() {},
+                async devicesForTrackedRoom() { return [knownDevice, newDevice]; },
+                async devicesForRoomMembers() { return [knownDevice, newDevice]; },
+                async getTrustLevelsForDevices(devices) { return devices.map(() => TrustLevel.TOFU); },
+                async acknowledgeNewDevices(devices) {
+                    devices.forEach(d => delete d.isNew);
+                    this.changeCount += 1;
+                },
+            };
+            const roomEncryption = new RoomEncryption({
+                room: {id: roomId},
+                megolmEncryption: megolmMock,
+                olmEncryption: olmMock,
+                trustPolicies: {policyForRoom: () => DeviceTrustPolicy.WarnOnNewDevices},
+                storage,
+                deviceTracker,
+                clock: new MockClock(),
+            });
+            const homeServer = new MockHomeServer();
+            const preshare = roomEncryption.ensureMessageKeyIsShared(homeServer.api, NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await preshare;
+            assert.deepEqual(olmRecipients, [["KNOWN"]]);
+            const acknowledge = roomEncryption.acknowledgeNewDevices(homeServer.api, NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[1])).respond({});
+            await acknowledge;
+            assert.deepEqual(olmRecipients, [["KNOWN"], ["KNOWN", "NEW"]]);
+        },
+        "new devices are only looked up again once the device tracker changed": async assert => {
+            const storage = await createMockStorage();
+            let lookups = 0;
+            const deviceTracker = {
+                changeCount: 0,
+                async trackRoom() {},
+                async devicesForTrackedRoom() {
+                    lookups += 1;
+                    return [{userId: "@bob:hs.tld", deviceId: "NEW", isNew: true}];
+                },
+                async getTrustLevelsForDevices() { return [TrustLevel.TOFU]; },
+            };
+            const roomEncryption = new RoomEncryption({
+                room: {id: roomId},
+                megolmEncryption: {},
+                trustPolicies: {policyForRoom: () => DeviceTrustPolicy.WarnOnNewDevices},
+                storage,
+                deviceTracker
+            });
+            const homeServer = new MockHomeServer();
+            const encrypt = () => roomEncryption.encrypt("m.room.message", {body: "hello"}, homeServer.api, NullLoggerInstance.item);
+            await assert.rejects(encrypt(), UnknownDevicesError);
+            await assert.rejects(encrypt(), UnknownDevicesError);
+            assert.equal(lookups, 1);
+            deviceTracker.changeCount += 1;
+            await assert.rejects(encrypt(), UnknownDevicesError);
+            assert.equal(lookups, 2);
+        },
+        "shareHistoryWithInvitees forwards only the shared history keys to the devices of the invitee": async assert => {
+            const storage = await createMockStorage();
+            const invitedDevice = {userId: "@bob:hs.tld", deviceId: "BOBDEVICE"};
+            const writeTxn = await storage.readWriteTxn([storage.storeNames.roomState, storage.storeNames.inboundGroupSessions]);
+            writeTxn.roomState.set(roomId, {state_key: "", type: ROOM_HISTORY_VISIBILITY_TYPE, content: {
+                history_visibility: "shared"
+            }});
+            const sessionEntry = {roomId, senderKey: "senderKey", session: "pickled", claimedKeys: {ed25519: "claimedKey"}};
+            writeTxn.inboundGroupSessions.set({...sessionEntry, sessionId: "shared", sharedHistory: true});
+            writeTxn.inboundGroupSessions.set({...sessionEntry, sessionId: "notShared"});
+            await writeTxn.complete();
+            const olmMock = {
+                async encrypt(type, content, devices) {
+                    return devices.map(device => ({device, content: {type, content}}));
+                }
+            };
+            const keyLoader = {
+                async useKey(key, callback) {
+                    return callback({first_known_index: () => 0, export_session: () => `${key.sessionId}Key`});
+                }
+            };
+            let requestedUserIds;
+            const deviceTracker = {
+                async devicesForUsers(userIds) {
+                    requestedUserIds = userIds;
+                    return [invitedDevice];
+                },
+            };
+            const roomEncryption = new RoomEncryption({
+                room: {id: roomId},
+                olmEncryption: olmMock,
+                storage,
+                keyLoader,
+                deviceTracker
+            });
+            const homeServer = new MockHomeServer();
+            const promise = roomEncryption.shareHistoryWithInvitees(["@bob:hs.tld"], homeServer.api, NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            assert.deepEqual(requestedUserIds, ["@bob:hs.tld"]);
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+            const [type, payload] = homeServer.requests.sendToDevice[0].arguments;
+            assert.equal(type, ENCRYPTED_TYPE);
+            const {type: forwardedType, content} = payload.messages["@bob:hs.tld"].BOBDEVICE;
+            assert.equal(forwardedType, "m.forwarded_room_key");
+            assert.equal(content.session_id, "shared");
+            assert.equal(content.session_key, "sharedKey");
+            assert.equal(content.sender_claimed_ed25519_key, "claimedKey");
+            assert.equal(content[SHARED_HISTORY_FIELD], true);
+            // the operation is done, so it should not be resumed on the next start
+            const txn = await storage.readTxn([storage.storeNames.operations]);
+            assert.equal((await txn.operations.getAll()).length, 0);
+        },
     }
 }
@@ -14,6 +14,27 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import {Sha256} from "../../utils/crypto/sha256";
+
+const AES_BLOCK_SIZE = 16;
+
+function validateInfo(info) {
+    if (info === undefined || info.key === undefined || info.iv === undefined
+        || info.hashes === undefined || info.hashes.sha256 === undefined) {
+       throw new Error("Invalid info. Missing info.key, info.iv or info.hashes.sha256 key");
+    }
+}
+
+function counterLengthForVersion(version) {
+    if (version == "v1" || version == "v2") {
+        // Version 1 and 2 use a 64 bit counter.
+        return 64;
+    } else {
+        // Version 0 uses a 128 bit counter.
+        return 128;
+    }
+}
+
 /**
  * Decrypt an attachment.
  * @param {ArrayBuffer} ciphertextBuffer The encrypted attachment data buffer.
@@ -24,11 +45,7 @@ limitations under the License.
  * @return {Promise} A promise that resolves with an ArrayBuffer when the attachment is decrypted.
  */
 export async function decryptAttachment(platform, ciphertextBuffer, info) {
-    if (info === undefined || info.key === undefined || info.iv === undefined
-        || info.hashes === undefined || info.hashes.sha256 === undefined) {
-       throw new Error("Invalid info. Missing info.key, info.iv or info.hashes.sha256 key");
-    }
-
+    validateInfo(info);
     const {crypto} = platform;
     const {base64} = platform.encoding;
     var ivArray = base64.decode(info.iv);
@@ -39,24 +56,104 @@ export async function decryptAttachment(platform, ciphertextBuffer, info) {
     if (base64.encode(new Uint8Array(digestResult)) != expectedSha256base64) {
         throw new Error("Mismatched SHA-256 digest");
     }
-    var counterLength;
-    if (info.v == "v1" || info.v == "v2") {
-        // Version 1 and 2 use a 64 bit counter.
-        counterLength = 64;
-    } else {
-        // Version 0 uses a 128 bit counter.
-        counterLength = 128;
-    }
-
     const decryptedBuffer = await crypto.aes.decryptCTR({
         jwkKey: info.key,
         iv: ivArray,
         data: ciphertextBuffer,
-        counterLength
+        counterLength: counterLengthForVersion(info.v)
     });
     return decryptedBuffer;
 }
 
+/**
+ * Returns the counter block to decrypt from the given block onwards,
+ * by adding the block index to the counter in the last `counterLength` bits of the iv
+ */
+function counterForBlock(iv, blockIndex, counterLength) {
+    const counter = new Uint8Array(iv);
+    const firstCounterByte = counter.length - (counterLength / 8);
+    let carry = blockIndex;
+    for (let i = counter.length - 1; i >= firstCounterByte && carry > 0; i -= 1) {
+        const sum = counter[i] + (carry % 256);
+        counter[i] = sum % 256;
+        carry = Math.floor(carry / 256) + Math.floor(sum / 256);
+    }
+    // any carry left overflows the counter, which wraps around like in AES-CTR itself
+    return counter;
+}
+
+/**
+ * Decrypts an attachment chunk by chunk while it is being downloaded, and checks the hash
+ * of the ciphertext incrementally, so large files never need to be in memory as a whole.
+ *
+ * The hash can only be checked once all chunks have been passed, so the decrypted chunks
+ * should be discarded if `finish` throws.
+ */
+export class AttachmentDecryption {
+    /**
+     * @param {Platform} platform
+     * @param {Object} info the encrypted file info of the attachment, as in `decryptAttachment`
+     */
+    constructor(platform, info) {
+        validateInfo(info);
+        this._platform = platform;
+        this._info = info;
+        this._iv = new Uint8Array(platform.encoding.base64.decode(info.iv));
+        this._counterLength = counterLengthForVersion(info.v);
+        this._sha256 = new Sha256();
+        this._decryptedBlocks = 0;
+        // the bytes of the last chunk that didn't fill a whole AES block
+        this._remainder = new Uint8Array(0);
+    }
+
+    /**
+     * @param {Uint8Array} chunk the next chunk of the ciphertext, of any size
+     * @return {Promise<Uint8Array>} the plaintext of the whole AES blocks received so far
+     */
+    async decryptChunk(chunk) {
+        this._sha256.update(chunk);
+        let data = chunk;
+        if (this._remainder.length) {
+            data = new Uint8Array(this._remainder.length + chunk.length);
+            data.set(this._remainder);
+            data.set(chunk, this._remainder.length);
+        }
+        const alignedLength = data.length - (data.length % AES_BLOCK_SIZE);
+        this._remainder = data.slice(alignedLength);
+        return this._decrypt(data.subarray(0, alignedLength));
+    }
+
+    /**
+     * Decrypts what is left and checks the hash of the ciphertext, throwing if it doesn't match.
+     * @return {Promise<Uint8Array>} the last plaintext bytes
+     */
+    async finish() {
+        const plaintext = await this._decrypt(this._remainder);
+        this._remainder = new Uint8Array(0);
+        const {base64} = this._platform.encoding;
+        // re-encode to not deal with padded vs unpadded
+        const expectedSha256base64 = base64.encode(base64.decode(this._info.hashes.sha256));
+        if (base64.encode(this._sha256.digest()) !== expectedSha256base64) {
+            throw new Error("Mismatched SHA-256 digest");
+        }
+        return plaintext;
+    }
+
+    async _decrypt(data) {
+        if (!data.length) {
+            return new Uint8Array(0);
+        }
+        const iv = counterForBlock(this._iv, this._decryptedBlocks, this._counterLength);
+        this._decryptedBlocks += Math.ceil(data.length / AES_BLOCK_SIZE);
+        return this._platform.crypto.aes.decryptCTR({
+            jwkKey: this._info.key,
+            iv,
+            data,
+            counterLength: this._counterLength
+        });
+    }
+}
+
 export async function encryptAttachment(platform, blob) {
     const {crypto} = platform;
     const {base64} = platform.encoding;
@@ -77,3 +174,80 @@ export async function encryptAttachment(platform, blob) {
         }
     };
 }
+
+import {Base64} from "../../platform/web/utils/Base64.js";
+
+export function tests() {
+    const base64 = new Base64();
+
+    function createPlatform(decryptCalls) {
+        return {
+            encoding: {base64},
+            crypto: {
+                aes: {
+                    // the data is returned as is, so the tests can check how it was split up
+                    async decryptCTR({iv, data, counterLength}) {
+                        decryptCalls.push({iv: Array.from(iv), length: data.length, counterLength});
+                        return new Uint8Array(data);
+                    }
+                }
+            }
+        };
+    }
+
+    function createInfo(ciphertext, iv, v = "v2") {
+        const sha256 = new Sha256();
+        sha256.update(ciphertext);
+        return {v, key: {}, iv: base64.encodeUnpadded(iv), hashes: {sha256: base64.encodeUnpadded(sha256.digest())}};
+    }
+
+    async function decryptInChunks(decryption, ciphertext, chunkSize) {
+        const chunks = [];
+        for (let i = 0; i < ciphertext.length; i += chunkSize) {
+            chunks.push(await decryption.decryptChunk(ciphertext.subarray(i, i + chunkSize)));
+        }
+        chunks.push(await decryption.finish());
+        return chunks.reduce((all, chunk) => all.concat(Array.from(chunk)), []);
+    }
+
+    return {
+        "chunks are decrypted as whole blocks with the counter advanced": async assert => {
+            const ciphertext = new Uint8Array(100).map((_, i) => i);
+            const iv = new Uint8Array(16);
+            const decryptCalls = [];
+            const decryption = new AttachmentDecryption(createPlatform(decryptCalls), createInfo(ciphertext, iv));
+            const plaintext = await decryptInChunks(decryption, ciphertext, 40);
+            assert.deepEqual(plaintext, Array.from(ciphertext));
+            assert.deepEqual(decryptCalls.map(c => c.length), [32, 48, 16, 4]);
+            assert.deepEqual(decryptCalls.map(c => c.iv[15]), [0, 2, 5, 6]);
+            assert(decryptCalls.every(c => c.counterLength === 64));
+        },
+        "64 bit counter wraps around without touching the nonce": async assert => {
+            const ciphertext = new Uint8Array(48);
+            const iv = new Uint8Array(16).fill(0xff);
+            const decryptCalls = [];
+            const decryption = new AttachmentDecryption(createPlatform(decryptCalls), createInfo(ciphertext, iv));
+            await decryptInChunks(decryption, ciphertext, 16);
+            const nonce = Array.from(iv.subarray(0, 8));
+            assert.deepEqual(decryptCalls[1].iv, nonce.concat([0, 0, 0, 0, 0, 0, 0, 0]));
+            assert.deepEqual(decryptCalls[2].iv, nonce.concat([0, 0, 0, 0, 0, 0, 0, 1]));
+        },
+        "v0 attachments use a 128 bit counter": async assert => {
+            const ciphertext = new Uint8Array(32);
+            const iv = new Uint8Array(16);
+            iv[15] = 0xff;
+            const decryptCalls = [];
+            const decryption = new AttachmentDecryption(createPlatform(decryptCalls), createInfo(ciphertext, iv, "v0"));
+            await decryptInChunks(decryption, ciphertext, 16);
+            assert.equal(decryptCalls[1].counterLength, 128);
+            assert.deepEqual(decryptCalls[1].iv.slice(14), [1, 0]);
+        },
+        "finish throws when the hash doesn't match": async assert => {
+            const ciphertext = new Uint8Array(20);
+            const info = createInfo(new Uint8Array(20).fill(1), new Uint8Array(16));
+            const decryption = new AttachmentDecryption(createPlatform([]), info);
+            await decryption.decryptChunk(ciphertext);
+            await assert.rejects(decryption.finish(), Error);
+        },
+    };
+}
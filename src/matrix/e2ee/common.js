@@ -23,6 +23,13 @@ export const DecryptionSource = createEnum("Sync", "Timeline", "Retry");
 export const SESSION_E2EE_KEY_PREFIX = "e2ee:";
 export const OLM_ALGORITHM = "m.olm.v1.curve25519-aes-sha2";
 export const MEGOLM_ALGORITHM = "m.megolm.v1.aes-sha2";
+// MSC3061: marks room keys that can be shared with users who are invited later on
+export const SHARED_HISTORY_FIELD = "org.matrix.msc3061.shared_history";
+
+/** Whether members can see the history of a room from before they joined or were invited */
+export function isSharedHistoryVisibility(historyVisibility) {
+    return historyVisibility === "shared" || historyVisibility === "world_readable";
+}
 
 export class DecryptionError extends Error {
     constructor(code, event, detailsObj = null) {
@@ -58,6 +65,38 @@ export function verifyEd25519Signature(olmUtil, userId, deviceOrKeyId, ed25519Ke
     }
 }
 
+export const KeyUsage = Object.freeze({
+    Master: "master",
+    SelfSigning: "self_signing",
+    UserSigning: "user_signing",
+});
+
+/** @return {string | undefined} the public ed25519 key of a cross-signing key, as returned by /keys/query */
+export function getKeyEd25519Key(keyInfo) {
+    const keys = keyInfo?.keys;
+    if (keys) {
+        const [keyId] = Object.keys(keys);
+        if (keyId && keyId.startsWith(`${SIGNATURE_ALGORITHM}:`)) {
+            return keys[keyId];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * How much we trust a user or device.
+ * - Unknown: the user doesn't have cross-signing keys, or the device isn't signed by them
+ * - TOFU: we trust the identity of the user as it is the first one we have seen
+ * - Verified: we verified the user or device interactively, or signed them with our user-signing key
+ * - Changed: the identity of the user changed since we first saw it
+ */
+export const TrustLevel = Object.freeze({
+    Unknown: "unknown",
+    TOFU: "tofu",
+    Verified: "verified",
+    Changed: "changed",
+});
+
 export function createRoomEncryptionEvent() {
     return {
         "type": "m.room.encryption",
@@ -19,13 +19,14 @@ import {DecryptionPreparation} from "./decryption/DecryptionPreparation.js";
 import {SessionDecryption} from "./decryption/SessionDecryption";
 import {MEGOLM_ALGORITHM} from "../common.js";
 import {validateEvent, groupEventsBySession} from "./decryption/utils";
-import {keyFromStorage, keyFromDeviceMessage, keyFromBackup} from "./decryption/RoomKey";
+import {keyFromStorage, keyFromDeviceMessage, keyFromForwardedDeviceMessage, keyFromBackup, keyFromExport} from "./decryption/RoomKey";
 import type {RoomKey, IncomingRoomKey} from "./decryption/RoomKey";
 import type {KeyLoader} from "./decryption/KeyLoader";
 import type {OlmWorker} from "../OlmWorker";
 import type {Transaction} from "../../storage/idb/Transaction";
 import type {TimelineEvent} from "../../storage/types";
 import type {DecryptionResult} from "../DecryptionResult";
+import type {ExportedSession} from "./KeyExport";
 import type {ILogItem} from "../../../logging/types";
 
 export class Decryption {
@@ -133,17 +134,20 @@ export class Decryption {
     }
 
     /**
-     * Extracts room keys from decrypted device messages.
+     * Extracts room keys from decrypted device messages, including forwarded keys.
+     * Forwarded keys should only be accepted if we requested them, see RoomKeyRequests,
+     * or if they are history keys from the user that invited us, see DeviceMessageHandler.
      * The key won't be persisted yet, you need to call RoomKey.write for that.
      */
     roomKeysFromDeviceMessages(decryptionResults: DecryptionResult[], log: ILogItem): IncomingRoomKey[] {
         const keys: IncomingRoomKey[] = [];
         for (const dr of decryptionResults) {
-            if (dr.event?.type !== "m.room_key" || dr.event.content?.algorithm !== MEGOLM_ALGORITHM) {
+            const type = dr.event?.type;
+            if ((type !== "m.room_key" && type !== "m.forwarded_room_key") || dr.event.content?.algorithm !== MEGOLM_ALGORITHM) {
                 continue;
             }
-            log.wrap("room_key", log => {
-                const key = keyFromDeviceMessage(dr);
+            log.wrap(type, log => {
+                const key = type === "m.room_key" ? keyFromDeviceMessage(dr) : keyFromForwardedDeviceMessage(dr);
                 if (key) {
                     log.set("roomId", key.roomId);
                     log.set("id", key.sessionId);
@@ -161,6 +165,10 @@ export class Decryption {
         return keyFromBackup(roomId, sessionId, sessionInfo);
     }
 
+    roomKeyFromExport(exportedSession: ExportedSession): IncomingRoomKey | undefined {
+        return keyFromExport(exportedSession);
+    }
+
     dispose() {
         this.keyLoader.dispose();
     }
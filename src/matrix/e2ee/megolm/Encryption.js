@@ -14,11 +14,12 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {MEGOLM_ALGORITHM} from "../common.js";
+import {MEGOLM_ALGORITHM, SHARED_HISTORY_FIELD} from "../common.js";
 import {OutboundRoomKey} from "./decryption/RoomKey";
+import {DeviceTrustPolicy} from "../DeviceTrustPolicy.js";
 
 export class Encryption {
-    constructor({pickleKey, olm, account, keyLoader, storage, now, ownDeviceId}) {
+    constructor({pickleKey, olm, account, keyLoader, storage, now, ownDeviceId, trustPolicies}) {
         this._pickleKey = pickleKey;
         this._olm = olm;
         this._account = account;
@@ -26,19 +27,34 @@ export class Encryption {
         this._storage = storage;
         this._now = now;
         this._ownDeviceId = ownDeviceId;
+        this._trustPolicies = trustPolicies;
     }
 
     discardOutboundSession(roomId, txn) {
         txn.outboundGroupSessions.remove(roomId);
     }
 
+    /** Discards the outbound sessions of the given rooms, e.g. when a device in them got blacklisted */
+    async discardOutboundSessions(roomIds) {
+        const txn = await this._storage.readWriteTxn([this._storage.storeNames.outboundGroupSessions]);
+        try {
+            for (const roomId of roomIds) {
+                this.discardOutboundSession(roomId, txn);
+            }
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+    }
+
     async createRoomKeyMessage(roomId, txn) {
         let sessionEntry = await txn.outboundGroupSessions.get(roomId);
         if (sessionEntry) {
             const session = new this._olm.OutboundGroupSession();
             try {
                 session.unpickle(this._pickleKey, sessionEntry.session);
-                return this._createRoomKeyMessage(session, roomId);
+                return this._createRoomKeyMessage(session, roomId, !!sessionEntry.sharedHistory);
             } finally {
                 session.free();
             }
@@ -56,7 +72,11 @@ export class Encryption {
         };
     }
 
-    async ensureOutboundSession(roomId, encryptionParams) {
+    /**
+     * @param  {boolean} isSharedHistory whether the history visibility of the room lets
+     *                                   members that are invited later on read the messages (MSC3061)
+     */
+    async ensureOutboundSession(roomId, encryptionParams, isSharedHistory = false) {
         let session = new this._olm.OutboundGroupSession();
         try {
             const txn = await this._storage.readWriteTxn([
@@ -66,9 +86,9 @@ export class Encryption {
             let roomKeyMessage;
             try {
                 let sessionEntry = await txn.outboundGroupSessions.get(roomId);
-                roomKeyMessage = await this._readOrCreateSession(session, sessionEntry, roomId, encryptionParams, txn);
+                roomKeyMessage = await this._readOrCreateSession(session, sessionEntry, roomId, encryptionParams, isSharedHistory, txn);
                 if (roomKeyMessage) {
-                    this._writeSession(this._now(), session, roomId, txn);
+                    this._writeSession(this._now(), session, roomId, isSharedHistory, txn);
                 }
             } catch (err) {
                 txn.abort();
@@ -81,41 +101,49 @@ export class Encryption {
         }
     }
 
-    async _readOrCreateSession(session, sessionEntry, roomId, encryptionParams, txn) {
+    async _readOrCreateSession(session, sessionEntry, roomId, encryptionParams, isSharedHistory, txn) {
         if (sessionEntry) {
             session.unpickle(this._pickleKey, sessionEntry.session);
         }
-        if (!sessionEntry || this._needsToRotate(session, sessionEntry.createdAt, encryptionParams)) {
+        if (!sessionEntry || this._needsToRotate(session, sessionEntry, encryptionParams, isSharedHistory)) {
             // in the case of rotating, recreate a session as we already unpickled into it
             if (sessionEntry) {
                 session.free();
                 session = new this._olm.OutboundGroupSession();
             }
             session.create();
-            const roomKeyMessage = this._createRoomKeyMessage(session, roomId);
-            const roomKey = new OutboundRoomKey(roomId, session, this._account.identityKeys);
+            const roomKeyMessage = this._createRoomKeyMessage(session, roomId, isSharedHistory);
+            const roomKey = new OutboundRoomKey(roomId, session, this._account.identityKeys, isSharedHistory);
             await roomKey.write(this._keyLoader, txn);
             return roomKeyMessage;
         }
     }
 
-    _writeSession(createdAt, session, roomId, txn) {
+    _writeSession(createdAt, session, roomId, isSharedHistory, txn) {
         txn.outboundGroupSessions.set({
             roomId,
             session: session.pickle(this._pickleKey),
             createdAt,
+            // the policy the session was shared under
+            trustPolicy: this._trustPolicyForRoom(roomId),
+            sharedHistory: isSharedHistory,
         });
     }
 
+    _trustPolicyForRoom(roomId) {
+        return this._trustPolicies?.policyForRoom(roomId) ?? DeviceTrustPolicy.AllDevices;
+    }
+
     /**
      * Encrypts a message with megolm
      * @param  {string} roomId           
      * @param  {string} type             event type to encrypt
      * @param  {string} content          content to encrypt
      * @param  {object} encryptionParams the content of the m.room.encryption event
+     * @param  {boolean} isSharedHistory  whether the history visibility of the room is shared, see ensureOutboundSession
      * @return {Promise<EncryptionResult>}
      */
-    async encrypt(roomId, type, content, encryptionParams) {
+    async encrypt(roomId, type, content, encryptionParams, isSharedHistory = false) {
         let session = new this._olm.OutboundGroupSession();
         try {
             const txn = await this._storage.readWriteTxn([
@@ -126,11 +154,11 @@ export class Encryption {
             let encryptedContent;
             try {
                 let sessionEntry = await txn.outboundGroupSessions.get(roomId);
-                roomKeyMessage = await this._readOrCreateSession(session, sessionEntry, roomId, encryptionParams, txn);
+                roomKeyMessage = await this._readOrCreateSession(session, sessionEntry, roomId, encryptionParams, isSharedHistory, txn);
                 encryptedContent = this._encryptContent(roomId, session, type, content);
                 // update timestamp when a new session is created
                 const createdAt = roomKeyMessage ? this._now() : sessionEntry.createdAt;
-                this._writeSession(createdAt, session, roomId, txn);
+                this._writeSession(createdAt, session, roomId, isSharedHistory, txn);
 
             } catch (err) {
                 txn.abort();
@@ -145,7 +173,15 @@ export class Encryption {
         }
     }
 
-    _needsToRotate(session, createdAt, encryptionParams) {
+    _needsToRotate(session, {roomId, createdAt, trustPolicy, sharedHistory}, encryptionParams, isSharedHistory) {
+        // devices that the new policy excludes could already have the current session
+        if ((trustPolicy ?? DeviceTrustPolicy.AllDevices) !== this._trustPolicyForRoom(roomId)) {
+            return true;
+        }
+        // messages sent after the history visibility changed should not be shared with invitees under the old visibility
+        if (!!sharedHistory !== isSharedHistory) {
+            return true;
+        }
         let rotationPeriodMs = 604800000; // default
         if (Number.isSafeInteger(encryptionParams?.rotation_period_ms)) {
             rotationPeriodMs = encryptionParams?.rotation_period_ms;
@@ -182,8 +218,8 @@ export class Encryption {
         return encryptedContent;
     }
 
-    _createRoomKeyMessage(session, roomId) {
-        return {
+    _createRoomKeyMessage(session, roomId, isSharedHistory) {
+        const message = {
             room_id: roomId,
             session_id: session.session_id(),
             session_key: session.session_key(),
@@ -191,7 +227,11 @@ export class Encryption {
             // chain_index is ignored by element-web if not all clients
             // but let's send it anyway, as element-web does so
             chain_index: session.message_index()
+        };
+        if (isSharedHistory) {
+            message[SHARED_HISTORY_FIELD] = true;
         }
+        return message;
     }
 }
 
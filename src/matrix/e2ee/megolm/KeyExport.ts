@@ -0,0 +1,217 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {MEGOLM_ALGORITHM, SHARED_HISTORY_FIELD} from "../common.js";
+import type {MegOlmSessionKeyInfo} from "./keybackup/types";
+import type {RoomKey} from "./decryption/RoomKey";
+import type {KeyLoader} from "./decryption/KeyLoader";
+import type {Platform} from "../../../platform/web/Platform.js";
+
+/**
+ * Encryption of room key exports in the format used by all Matrix clients,
+ * see https://spec.matrix.org/v1.2/client-server-api/#key-exports
+ */
+
+const HEADER_LINE = "-----BEGIN MEGOLM SESSION DATA-----";
+const TRAILER_LINE = "-----END MEGOLM SESSION DATA-----";
+const VERSION = 1;
+const DEFAULT_ITERATIONS = 500000;
+const LINE_LENGTH = 96;
+// version (1) + salt (16) + iv (16) + iterations (4)
+const HEADER_LENGTH = 37;
+const MAC_LENGTH = 32;
+
+/** A session in a key export, like the session info in the key backup with the room and session id added */
+export type ExportedSession = MegOlmSessionKeyInfo & {
+    room_id: string,
+    session_id: string,
+};
+
+/** Exports the session of the key from the first message index we know */
+export async function exportSession(key: RoomKey, keyLoader: KeyLoader): Promise<ExportedSession> {
+    const sessionKey = await keyLoader.useKey(key, session => session.export_session(session.first_known_index()));
+    const exportedSession: ExportedSession = {
+        algorithm: MEGOLM_ALGORITHM,
+        room_id: key.roomId,
+        session_id: key.sessionId,
+        sender_key: key.senderKey,
+        sender_claimed_keys: {ed25519: key.claimedEd25519Key},
+        forwarding_curve25519_key_chain: key.forwardingCurve25519KeyChain ?? [],
+        session_key: sessionKey,
+    };
+    if (key.isSharedHistory) {
+        exportedSession[SHARED_HISTORY_FIELD] = true;
+    }
+    return exportedSession;
+}
+
+/** Creates the content of an m.forwarded_room_key message to send the key to another device */
+export async function createForwardedRoomKey(key: RoomKey, keyLoader: KeyLoader): Promise<Record<string, any>> {
+    // a forwarded key has the same fields as an exported one, except for the claimed keys
+    const {sender_claimed_keys, ...exportedSession} = await exportSession(key, keyLoader);
+    return {...exportedSession, sender_claimed_ed25519_key: sender_claimed_keys.ed25519};
+}
+
+async function deriveKeys(passphrase: string, salt: Uint8Array, iterations: number, platform: Platform): Promise<{aesKey: Uint8Array, hmacKey: Uint8Array}> {
+    const keyBits = await platform.crypto.derive.pbkdf2(
+        platform.encoding.utf8.encode(passphrase), iterations, salt, "SHA-512", 512);
+    return {aesKey: keyBits.slice(0, 32), hmacKey: keyBits.slice(32)};
+}
+
+/** Encrypts the sessions with the passphrase, returning the contents of the export file */
+export async function encryptKeyExport(sessions: ExportedSession[], passphrase: string, platform: Platform, iterations: number = DEFAULT_ITERATIONS): Promise<string> {
+    const {aes, hmac} = platform.crypto;
+    // a raw 128 bit key is just 16 random bytes
+    const salt = new Uint8Array(await aes.generateKey("raw", 128));
+    // the iv has the upper 8 bytes random and the counter part zero,
+    // which satisfies the requirement of the spec to clear bit 63
+    const iv = await aes.generateIV();
+    const {aesKey, hmacKey} = await deriveKeys(passphrase, salt, iterations, platform);
+    const plaintext = platform.encoding.utf8.encode(JSON.stringify(sessions));
+    const ciphertext = await aes.encryptCTR({key: aesKey, iv, data: plaintext});
+
+    const body = new Uint8Array(HEADER_LENGTH + ciphertext.length + MAC_LENGTH);
+    body[0] = VERSION;
+    body.set(salt, 1);
+    body.set(iv, 17);
+    new DataView(body.buffer).setUint32(33, iterations);
+    body.set(ciphertext, HEADER_LENGTH);
+    const mac = await hmac.compute(hmacKey, body.subarray(0, HEADER_LENGTH + ciphertext.length), "SHA-256");
+    body.set(mac, HEADER_LENGTH + ciphertext.length);
+
+    const encoded = platform.encoding.base64.encode(body);
+    const lines = [HEADER_LINE];
+    for (let i = 0; i < encoded.length; i += LINE_LENGTH) {
+        lines.push(encoded.slice(i, i + LINE_LENGTH));
+    }
+    lines.push(TRAILER_LINE);
+    return lines.join("\n") + "\n";
+}
+
+/** Decrypts the contents of an export file with the passphrase, throwing if the passphrase is wrong or the file is invalid */
+export async function decryptKeyExport(fileContents: string, passphrase: string, platform: Platform): Promise<ExportedSession[]> {
+    const body = new Uint8Array(platform.encoding.base64.decode(unarmor(fileContents)));
+    if (body.length < HEADER_LENGTH + MAC_LENGTH) {
+        throw new Error("Invalid key file: too short");
+    }
+    if (body[0] !== VERSION) {
+        throw new Error(`Unsupported key file version: ${body[0]}`);
+    }
+    const salt = body.slice(1, 17);
+    const iv = body.slice(17, 33);
+    const iterations = new DataView(body.buffer, body.byteOffset).getUint32(33);
+    const ciphertext = body.slice(HEADER_LENGTH, body.length - MAC_LENGTH);
+    const mac = body.slice(body.length - MAC_LENGTH);
+    const {aesKey, hmacKey} = await deriveKeys(passphrase, salt, iterations, platform);
+    const isVerified = await platform.crypto.hmac.verify(hmacKey, mac, body.subarray(0, body.length - MAC_LENGTH), "SHA-256");
+    if (!isVerified) {
+        throw new Error("Incorrect passphrase or corrupted key file");
+    }
+    const plaintext = await platform.crypto.aes.decryptCTR({key: aesKey, iv, data: ciphertext});
+    const sessions = JSON.parse(platform.encoding.utf8.decode(plaintext));
+    if (!Array.isArray(sessions)) {
+        throw new Error("Invalid key file: expected a list of sessions");
+    }
+    return sessions;
+}
+
+function unarmor(fileContents: string): string {
+    const lines = fileContents.trim().split(/\r?\n/).map(l => l.trim());
+    const start = lines.indexOf(HEADER_LINE);
+    const end = lines.indexOf(TRAILER_LINE);
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error("Invalid key file: header or trailer line not found");
+    }
+    return lines.slice(start + 1, end).join("");
+}
+
+import {Encoding} from "../../../platform/web/utils/Encoding.js";
+
+export function tests() {
+    // the encryption itself is tested by the platform,
+    // so use a toy cipher to check the framing of the file
+    const xor = (key: Uint8Array, data: Uint8Array) => data.map((b, i) => b ^ key[i % key.length]);
+    function createPlatform() {
+        return {
+            encoding: new Encoding(),
+            crypto: {
+                derive: {
+                    async pbkdf2(password, iterations, salt) {
+                        const bits = new Uint8Array(64);
+                        bits.set(password.slice(0, 32));
+                        bits[32] = iterations % 256;
+                        bits[33] = salt[0];
+                        bits[34] = password[0];
+                        return bits;
+                    }
+                },
+                aes: {
+                    async generateKey() { return new Uint8Array(16).fill(7).buffer; },
+                    async generateIV() { return new Uint8Array(16).fill(3); },
+                    async encryptCTR({key, data}) { return xor(key, data); },
+                    async decryptCTR({key, data}) { return xor(key, data); },
+                },
+                hmac: {
+                    async compute(key, data) {
+                        const mac = new Uint8Array(32);
+                        data.forEach((b, i) => { mac[i % 32] ^= b; });
+                        return xor(key, mac);
+                    },
+                    async verify(key, mac, data) {
+                        const expected = await this.compute(key, data);
+                        return expected.every((b, i) => b === mac[i]);
+                    }
+                },
+            }
+        } as unknown as Platform;
+    }
+    const sessions: ExportedSession[] = [{
+        algorithm: "m.megolm.v1.aes-sha2",
+        room_id: "!abc:hs.tld",
+        session_id: "sessionId",
+        sender_key: "senderKey",
+        sender_claimed_keys: {ed25519: "claimedKey"},
+        forwarding_curve25519_key_chain: [],
+        session_key: "sessionKey".repeat(20),
+    }];
+
+    return {
+        "export file is armored and has the expected header": async assert => {
+            const platform = createPlatform();
+            const file = await encryptKeyExport(sessions, "passphrase", platform, 1000);
+            const lines = file.trim().split("\n");
+            assert.equal(lines[0], HEADER_LINE);
+            assert.equal(lines[lines.length - 1], TRAILER_LINE);
+            assert(lines.slice(1, -1).every(l => l.length <= LINE_LENGTH));
+            const body = new Uint8Array(platform.encoding.base64.decode(unarmor(file)));
+            assert.equal(body[0], VERSION);
+            assert.equal(new DataView(body.buffer).getUint32(33), 1000);
+        },
+        "export can be imported again with the same passphrase": async assert => {
+            const platform = createPlatform();
+            const file = await encryptKeyExport(sessions, "passphrase", platform, 1000);
+            assert.deepEqual(await decryptKeyExport(file, "passphrase", platform), sessions);
+        },
+        "import with the wrong passphrase fails": async assert => {
+            const platform = createPlatform();
+            const file = await encryptKeyExport(sessions, "passphrase", platform, 1000);
+            await assert.rejects(decryptKeyExport(file, "wrong", platform));
+        },
+        "import of a file without header fails": async assert => {
+            await assert.rejects(decryptKeyExport("not a key file", "passphrase", createPlatform()));
+        },
+    };
+}
@@ -0,0 +1,387 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {MEGOLM_ALGORITHM, TrustLevel} from "../common.js";
+import {makeTxnId} from "../../common.js";
+import {keyFromStorage} from "./decryption/RoomKey";
+import {createForwardedRoomKey} from "./KeyExport";
+
+import type {RoomKey} from "./decryption/RoomKey";
+import type {KeyLoader} from "./decryption/KeyLoader";
+import type {Encryption as OlmEncryption} from "../olm/Encryption";
+import type {DeviceTracker} from "../DeviceTracker.js";
+import type {DeviceIdentity} from "../../storage/idb/stores/DeviceIdentityStore";
+import type {Storage} from "../../storage/idb/Storage";
+import type {Transaction} from "../../storage/idb/Transaction";
+import type {HomeServerApi} from "../../net/HomeServerApi";
+import type {ILogItem} from "../../../logging/types";
+
+export const ROOM_KEY_REQUEST_TYPE = "m.room_key_request";
+const FORWARDED_ROOM_KEY_TYPE = "m.forwarded_room_key";
+/** the session store key for the pending requests, so forwarded keys received after a reload are still accepted */
+const SESSION_KEY = "roomKeyRequests";
+
+export enum RequestAction {
+    Request = "request",
+    Cancellation = "request_cancellation",
+}
+
+type RoomKeyRequestEvent = {
+    sender: string,
+    content: {
+        action?: RequestAction,
+        body?: {algorithm?: string, room_id?: string, sender_key?: string, session_id?: string},
+        request_id?: string,
+        requesting_device_id?: string,
+    }
+};
+
+type PendingRequest = {
+    requestId: string,
+    /** the devices we sent the request to, and the only ones we accept the forwarded key from */
+    devices: DeviceIdentity[],
+};
+
+type Options = {
+    deviceTracker: DeviceTracker;
+    olmEncryption: OlmEncryption;
+    keyLoader: KeyLoader;
+    storage: Storage;
+    hsApi: HomeServerApi;
+    ownUserId: string;
+    ownDeviceId: string;
+};
+
+function encodeKey(roomId: string, senderKey: string, sessionId: string): string {
+    return `${roomId}|${senderKey}|${sessionId}`;
+}
+
+/**
+ * Requests megolm sessions we're missing from our other devices, and shares our sessions
+ * with our other devices when they ask for them. Keys are only requested from and shared with
+ * our own devices that we verified.
+ */
+export class RoomKeyRequests {
+    /** requests we sent and haven't received the key for yet, by session */
+    private readonly pendingRequests: Map<string, PendingRequest> = new Map();
+
+    constructor(private readonly options: Options) {}
+
+    /** Restores the requests we sent before the session was closed and haven't received the key for yet. */
+    async load(txn: Transaction): Promise<void> {
+        const entries: [string, PendingRequest][] | undefined = await txn.session.get(SESSION_KEY);
+        for (const [pendingKey, request] of entries ?? []) {
+            this.pendingRequests.set(pendingKey, request);
+        }
+    }
+
+    /** Asks our other verified devices to forward the given session to us, unless we already did so. */
+    async requestKey(roomId: string, senderKey: string, sessionId: string, log: ILogItem): Promise<void> {
+        log.set("id", sessionId);
+        const pendingKey = encodeKey(roomId, senderKey, sessionId);
+        if (this.pendingRequests.has(pendingKey)) {
+            log.set("alreadyRequested", true);
+            return;
+        }
+        const devices = await this._verifiedOwnDevices(log);
+        if (!devices.length) {
+            log.set("noVerifiedDevices", true);
+            return;
+        }
+        const request = {requestId: makeTxnId(), devices};
+        // set before sending so we don't send the same request twice in parallel
+        this.pendingRequests.set(pendingKey, request);
+        try {
+            await this._sendToOwnDevices(devices, {
+                action: RequestAction.Request,
+                body: {
+                    algorithm: MEGOLM_ALGORITHM,
+                    room_id: roomId,
+                    sender_key: senderKey,
+                    session_id: sessionId,
+                },
+                request_id: request.requestId,
+                requesting_device_id: this.options.ownDeviceId,
+            }, log);
+        } catch (err) {
+            this.pendingRequests.delete(pendingKey);
+            throw err;
+        }
+        await this._writePendingRequests();
+    }
+
+    /** Whether we requested the given forwarded key, from the device that forwarded it to us. */
+    isForwardedKeyRequested(key: RoomKey): boolean {
+        const request = this.pendingRequests.get(encodeKey(key.roomId, key.senderKey, key.sessionId));
+        const chain = key.forwardingCurve25519KeyChain;
+        const forwarderKey = chain?.[chain.length - 1];
+        return !!request && !!forwarderKey && request.devices.some(d => d.curve25519Key === forwarderKey);
+    }
+
+    /** Lets the devices we requested any of the given keys from know we don't need them anymore. */
+    async cancelRequests(receivedKeys: RoomKey[], log: ILogItem): Promise<void> {
+        const cancelled: {sessionId: string, request: PendingRequest}[] = [];
+        for (const key of receivedKeys) {
+            const pendingKey = encodeKey(key.roomId, key.senderKey, key.sessionId);
+            const request = this.pendingRequests.get(pendingKey);
+            if (request) {
+                this.pendingRequests.delete(pendingKey);
+                cancelled.push({sessionId: key.sessionId, request});
+            }
+        }
+        if (!cancelled.length) {
+            return;
+        }
+        await this._writePendingRequests();
+        for (const {sessionId, request} of cancelled) {
+            await log.wrap("cancel request", log => {
+                log.set("id", sessionId);
+                return this._sendToOwnDevices(request.devices, {
+                    action: RequestAction.Cancellation,
+                    request_id: request.requestId,
+                    requesting_device_id: this.options.ownDeviceId,
+                }, log);
+            });
+        }
+    }
+
+    /** Handles the m.room_key_request to-device messages received during a sync. */
+    async handleRequests(events: RoomKeyRequestEvent[], log: ILogItem): Promise<void> {
+        const {ownUserId, ownDeviceId} = this.options;
+        // a request could be cancelled already in the same sync
+        const cancelledRequestIds = events
+            .filter(e => e.content?.action === RequestAction.Cancellation)
+            .map(e => e.content.request_id);
+        const requests = events.filter(e => {
+            return e.sender === ownUserId &&
+                e.content?.action === RequestAction.Request &&
+                e.content.requesting_device_id !== ownDeviceId &&
+                !cancelledRequestIds.includes(e.content.request_id);
+        });
+        log.set("ignored", events.length - requests.length);
+        if (!requests.length) {
+            return;
+        }
+        const devices = await this._verifiedOwnDevices(log);
+        for (const event of requests) {
+            await log.wrap("request", log => this._handleRequest(event, devices, log));
+        }
+    }
+
+    private async _handleRequest(event: RoomKeyRequestEvent, verifiedDevices: DeviceIdentity[], log: ILogItem): Promise<void> {
+        const {body, requesting_device_id: deviceId} = event.content;
+        log.set("deviceId", deviceId);
+        const device = verifiedDevices.find(d => d.deviceId === deviceId);
+        if (!device) {
+            log.set("unverifiedDevice", true);
+            return;
+        }
+        const roomId = body?.room_id;
+        const senderKey = body?.sender_key;
+        const sessionId = body?.session_id;
+        if (body?.algorithm !== MEGOLM_ALGORITHM || typeof roomId !== "string" ||
+            typeof senderKey !== "string" || typeof sessionId !== "string") {
+            log.set("invalid", true);
+            return;
+        }
+        log.set("id", sessionId);
+        const {storage, keyLoader, olmEncryption, hsApi, ownUserId} = this.options;
+        const txn = await storage.readTxn([storage.storeNames.inboundGroupSessions]);
+        const key = await keyFromStorage(roomId, senderKey, sessionId, txn);
+        if (!key?.hasSession) {
+            log.set("unknownSession", true);
+            return;
+        }
+        const content = await createForwardedRoomKey(key, keyLoader);
+        const messages = await log.wrap("olm encrypt", log => olmEncryption.encrypt(FORWARDED_ROOM_KEY_TYPE, content, [device], hsApi, log));
+        if (!messages.length) {
+            log.set("noOlmSession", true);
+            return;
+        }
+        const payload = {messages: {[ownUserId]: {[device.deviceId]: messages[0].content}}};
+        await hsApi.sendToDevice("m.room.encrypted", payload, makeTxnId(), {log}).response();
+    }
+
+    private async _writePendingRequests(): Promise<void> {
+        const {storage} = this.options;
+        const txn = await storage.readWriteTxn([storage.storeNames.session]);
+        try {
+            txn.session.set(SESSION_KEY, Array.from(this.pendingRequests.entries()));
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+    }
+
+    private async _verifiedOwnDevices(log: ILogItem): Promise<DeviceIdentity[]> {
+        const {deviceTracker, hsApi, ownUserId, ownDeviceId} = this.options;
+        const {devices} = await deviceTracker.getTrustForUser(ownUserId, hsApi, log);
+        return devices
+            .filter(d => d.trustLevel === TrustLevel.Verified && d.device.deviceId !== ownDeviceId)
+            .map(d => d.device);
+    }
+
+    private async _sendToOwnDevices(devices: DeviceIdentity[], content: Record<string, any>, log: ILogItem): Promise<void> {
+        const messages = devices.reduce((messages, device) => {
+            messages[device.deviceId] = content;
+            return messages;
+        }, {});
+        const payload = {messages: {[this.options.ownUserId]: messages}};
+        await this.options.hsApi.sendToDevice(ROOM_KEY_REQUEST_TYPE, payload, makeTxnId(), {log}).response();
+    }
+}
+
+import {HomeServer as MockHomeServer} from "../../../mocks/HomeServer.js";
+import {createMockStorage} from "../../../mocks/Storage";
+import {poll} from "../../../mocks/poll";
+import {Instance as NullLoggerInstance} from "../../../logging/NullLogger";
+
+export function tests() {
+    const ownUserId = "@alice:hs.tld";
+    const roomId = "!abc:hs.tld";
+    const verifiedDevice = {userId: ownUserId, deviceId: "VERIFIED", curve25519Key: "verifiedCurveKey"};
+    const unverifiedDevice = {userId: ownUserId, deviceId: "UNVERIFIED", curve25519Key: "unverifiedCurveKey"};
+
+    function createRequests({storage, homeServer, olmEncryption = undefined, keyLoader = undefined}: {storage: Storage, homeServer: MockHomeServer, olmEncryption?: any, keyLoader?: any}) {
+        const deviceTracker = {
+            async getTrustForUser() {
+                return {trustLevel: TrustLevel.Verified, devices: [
+                    {device: verifiedDevice, trustLevel: TrustLevel.Verified},
+                    {device: unverifiedDevice, trustLevel: TrustLevel.Unknown},
+                ]};
+            }
+        };
+        return new RoomKeyRequests({
+            deviceTracker,
+            olmEncryption,
+            keyLoader,
+            storage,
+            hsApi: homeServer.api,
+            ownUserId,
+            ownDeviceId: "OWN",
+        } as any);
+    }
+
+    function createForwardedKey(sessionId, forwarderKey) {
+        return {roomId, senderKey: "senderKey", sessionId, forwardingCurve25519KeyChain: [forwarderKey]} as any;
+    }
+
+    return {
+        "key is only requested from verified devices, once": async assert => {
+            const homeServer = new MockHomeServer();
+            const requests = createRequests({storage: await createMockStorage(), homeServer});
+            const promise = requests.requestKey(roomId, "senderKey", "session1", NullLoggerInstance.item);
+            const request = await poll(() => homeServer.requests.sendToDevice?.[0]);
+            // a second request for the same session while the first is still being sent is ignored
+            await requests.requestKey(roomId, "senderKey", "session1", NullLoggerInstance.item);
+            request.respond({});
+            await promise;
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+            const [type, payload] = homeServer.requests.sendToDevice[0].arguments;
+            assert.equal(type, ROOM_KEY_REQUEST_TYPE);
+            const messages = payload.messages[ownUserId];
+            assert.deepEqual(Object.keys(messages), ["VERIFIED"]);
+            assert.equal(messages.VERIFIED.action, RequestAction.Request);
+            assert.equal(messages.VERIFIED.body.session_id, "session1");
+            assert.equal(messages.VERIFIED.requesting_device_id, "OWN");
+        },
+        "forwarded key is only accepted when requested from the forwarding device": async assert => {
+            const homeServer = new MockHomeServer();
+            const requests = createRequests({storage: await createMockStorage(), homeServer});
+            const promise = requests.requestKey(roomId, "senderKey", "session1", NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            assert(requests.isForwardedKeyRequested(createForwardedKey("session1", "verifiedCurveKey")));
+            assert(!requests.isForwardedKeyRequested(createForwardedKey("session1", "unverifiedCurveKey")));
+            assert(!requests.isForwardedKeyRequested(createForwardedKey("session2", "verifiedCurveKey")));
+            // once the key is received, the request is cancelled
+            const cancelPromise = requests.cancelRequests([createForwardedKey("session1", "verifiedCurveKey")], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice[1])).respond({});
+            await cancelPromise;
+            const [, payload] = homeServer.requests.sendToDevice[1].arguments;
+            assert.equal(payload.messages[ownUserId].VERIFIED.action, RequestAction.Cancellation);
+            assert(!requests.isForwardedKeyRequested(createForwardedKey("session1", "verifiedCurveKey")));
+        },
+        "pending requests are restored after a reload": async assert => {
+            const storage = await createMockStorage();
+            const homeServer = new MockHomeServer();
+            const requests = createRequests({storage, homeServer});
+            const promise = requests.requestKey(roomId, "senderKey", "session1", NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            const reload = async () => {
+                const reloaded = createRequests({storage, homeServer});
+                await reloaded.load(await storage.readTxn([storage.storeNames.session]));
+                return reloaded;
+            };
+            const reloaded = await reload();
+            assert(reloaded.isForwardedKeyRequested(createForwardedKey("session1", "verifiedCurveKey")));
+            const cancelPromise = reloaded.cancelRequests([createForwardedKey("session1", "verifiedCurveKey")], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice[1])).respond({});
+            await cancelPromise;
+            assert.equal(homeServer.requests.sendToDevice[1].arguments[1].messages[ownUserId].VERIFIED.request_id,
+                homeServer.requests.sendToDevice[0].arguments[1].messages[ownUserId].VERIFIED.request_id);
+            assert(!(await reload()).isForwardedKeyRequested(createForwardedKey("session1", "verifiedCurveKey")));
+        },
+        "requested session is forwarded to verified device only": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.inboundGroupSessions]);
+            txn.inboundGroupSessions.set({
+                roomId, senderKey: "senderKey", sessionId: "session1", session: "pickle",
+                claimedKeys: {ed25519: "claimedKey"}
+            } as any);
+            await txn.complete();
+            const homeServer = new MockHomeServer();
+            const encryptedFor: string[] = [];
+            const olmEncryption = {
+                async encrypt(type, content, devices) {
+                    assert.equal(type, FORWARDED_ROOM_KEY_TYPE);
+                    assert.equal(content.session_key, "exported-3");
+                    assert.equal(content.sender_claimed_ed25519_key, "claimedKey");
+                    encryptedFor.push(...devices.map(d => d.deviceId));
+                    return devices.map(device => ({device, content: {ciphertext: "encrypted"}}));
+                }
+            };
+            const keyLoader = {
+                async useKey(key, callback) {
+                    return callback({
+                        first_known_index: () => 3,
+                        export_session: index => `exported-${index}`,
+                    });
+                }
+            };
+            const requests = createRequests({storage, homeServer, olmEncryption, keyLoader});
+            const request = (deviceId, sessionId) => ({sender: ownUserId, content: {
+                action: RequestAction.Request,
+                requesting_device_id: deviceId,
+                request_id: `${deviceId}-${sessionId}`,
+                body: {algorithm: MEGOLM_ALGORITHM, room_id: roomId, sender_key: "senderKey", session_id: sessionId},
+            }});
+            const promise = requests.handleRequests([
+                request("UNVERIFIED", "session1"),
+                request("VERIFIED", "unknownSession"),
+                request("VERIFIED", "session1"),
+            ], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            assert.deepEqual(encryptedFor, ["VERIFIED"]);
+            const [type, payload] = homeServer.requests.sendToDevice[0].arguments;
+            assert.equal(type, "m.room.encrypted");
+            assert.equal(payload.messages[ownUserId].VERIFIED.ciphertext, "encrypted");
+        },
+    };
+}
@@ -15,6 +15,7 @@ limitations under the License.
 */
 
 import {BackupStatus, KeySource} from "../../../storage/idb/stores/InboundGroupSessionStore";
+import {MEGOLM_ALGORITHM, SHARED_HISTORY_FIELD} from "../../common.js";
 import type {InboundGroupSessionEntry} from "../../../storage/idb/stores/InboundGroupSessionStore";
 import type {Transaction} from "../../../storage/idb/Transaction";
 import type {DecryptionResult} from "../../DecryptionResult";
@@ -37,6 +38,16 @@ export abstract class RoomKey {
     abstract get serializationType(): string;
     abstract get eventIds(): string[] | undefined;
     abstract loadInto(session: Olm.InboundGroupSession, pickleKey: string): void;
+    /** How we received the key, if known */
+    abstract get keySource(): KeySource | undefined;
+    /** The curve25519 keys of the devices that forwarded this key to us, if it wasn't received from the sender directly */
+    get forwardingCurve25519KeyChain(): string[] | undefined { return undefined; }
+    /* Whether the key was not received from the sender of the session directly, but forwarded by another device
+     * (e.g. in response to a key request). The sender of messages decrypted with this key can't be verified as well,
+     * as we need to trust all the forwarding devices to have given us the right key. */
+    get isForwarded(): boolean { return !!this.forwardingCurve25519KeyChain?.length; }
+    /** Whether the key can be shared with users that are invited to the room later on (MSC3061) */
+    get isSharedHistory(): boolean { return false; }
     /* Whether the key has been checked against storage (or is from storage)
      * to be the better key for a given session. Given that all keys are checked to be better
      * as part of writing, we can trust that when this returns true, it really is the best key
@@ -77,7 +88,7 @@ export abstract class IncomingRoomKey extends RoomKey {
         if (!pickledSession) {
             pickledSession = await loader.useKey(this, (session, pickleKey) => session.pickle(pickleKey));
         }
-        const sessionEntry = {
+        const sessionEntry: InboundGroupSessionEntry = {
             roomId: this.roomId,
             senderKey: this.senderKey,
             sessionId: this.sessionId,
@@ -86,6 +97,13 @@ export abstract class IncomingRoomKey extends RoomKey {
             source: this.keySource,
             claimedKeys: {"ed25519": this.claimedEd25519Key},
         };
+        const forwardingCurve25519KeyChain = this.forwardingCurve25519KeyChain;
+        if (forwardingCurve25519KeyChain?.length) {
+            sessionEntry.forwardingCurve25519KeyChain = forwardingCurve25519KeyChain;
+        }
+        if (this.isSharedHistory) {
+            sessionEntry.sharedHistory = true;
+        }
         txn.inboundGroupSessions.set(sessionEntry);
         return true;
     }
@@ -133,7 +151,7 @@ export abstract class IncomingRoomKey extends RoomKey {
         return BackupStatus.NotBackedUp;
     }
 
-    protected abstract get keySource(): KeySource;
+    abstract get keySource(): KeySource;
 }
 
 class DeviceMessageRoomKey extends IncomingRoomKey {
@@ -150,13 +168,45 @@ class DeviceMessageRoomKey extends IncomingRoomKey {
     get claimedEd25519Key() { return this._decryptionResult.claimedEd25519Key; }
     get serializationKey(): string { return this._decryptionResult.event.content?.["session_key"]; }
     get serializationType(): string { return "create"; }
-    protected get keySource(): KeySource { return KeySource.DeviceMessage; }
+    get keySource(): KeySource { return KeySource.DeviceMessage; }
+    get isSharedHistory(): boolean { return this._decryptionResult.event.content?.[SHARED_HISTORY_FIELD] === true; }
 
     loadInto(session) {
         session.create(this.serializationKey);
     }
 }
 
+/** A room key forwarded to us by another device in a m.forwarded_room_key message */
+class ForwardedRoomKey extends IncomingRoomKey {
+    private _decryptionResult: DecryptionResult;
+
+    constructor(decryptionResult: DecryptionResult) {
+        super();
+        this._decryptionResult = decryptionResult;
+    }
+
+    get roomId() { return this._decryptionResult.event.content?.["room_id"]; }
+    get senderKey() { return this._decryptionResult.event.content?.["sender_key"]; }
+    get sessionId() { return this._decryptionResult.event.content?.["session_id"]; }
+    get claimedEd25519Key() { return this._decryptionResult.event.content?.["sender_claimed_ed25519_key"]; }
+    get serializationKey(): string { return this._decryptionResult.event.content?.["session_key"]; }
+    get serializationType(): string { return "import_session"; }
+    /** the curve25519 key of the device that forwarded the key to us */
+    get forwarderCurve25519Key(): string { return this._decryptionResult.senderCurve25519Key; }
+    /** the user id of the device that forwarded the key to us */
+    get forwarderUserId(): string | undefined { return this._decryptionResult.event.sender; }
+    get forwardingCurve25519KeyChain(): string[] {
+        const chain = this._decryptionResult.event.content?.["forwarding_curve25519_key_chain"];
+        return (Array.isArray(chain) ? chain : []).concat(this.forwarderCurve25519Key);
+    }
+    get keySource(): KeySource { return KeySource.Forwarded; }
+    get isSharedHistory(): boolean { return this._decryptionResult.event.content?.[SHARED_HISTORY_FIELD] === true; }
+
+    loadInto(session) {
+        session.import_session(this.serializationKey);
+    }
+}
+
 // a room key we send out ourselves,
 // here adapted to write it as an incoming key
 // as we don't send it to ourself with a to_device msg
@@ -166,7 +216,8 @@ export class OutboundRoomKey extends IncomingRoomKey {
     constructor(
         private readonly _roomId: string,
         private readonly outboundSession: Olm.OutboundGroupSession,
-        private readonly identityKeys: {[algo: string]: string}
+        private readonly identityKeys: {[algo: string]: string},
+        private readonly _isSharedHistory: boolean = false
     ) {
         super();
         // this is a new key, so always better than what might be in storage, no need to check
@@ -182,7 +233,8 @@ export class OutboundRoomKey extends IncomingRoomKey {
     get claimedEd25519Key(): string { return this.identityKeys.ed25519; }
     get serializationKey(): string { return this._sessionKey; }
     get serializationType(): string { return "create"; }
-    protected get keySource(): KeySource { return KeySource.Outbound; }
+    get keySource(): KeySource { return KeySource.Outbound; }
+    get isSharedHistory(): boolean { return this._isSharedHistory; }
 
     loadInto(session: Olm.InboundGroupSession) {
         session.create(this.serializationKey);
@@ -200,7 +252,9 @@ class BackupRoomKey extends IncomingRoomKey {
     get claimedEd25519Key() { return this._backupInfo["sender_claimed_keys"]?.["ed25519"]; }
     get serializationKey(): string { return this._backupInfo["session_key"]; }
     get serializationType(): string { return "import_session"; }
-    protected get keySource(): KeySource { return KeySource.Backup; }
+    get forwardingCurve25519KeyChain(): string[] | undefined { return this._backupInfo["forwarding_curve25519_key_chain"]; }
+    get keySource(): KeySource { return KeySource.Backup; }
+    get isSharedHistory(): boolean { return this._backupInfo[SHARED_HISTORY_FIELD] === true; }
 
     loadInto(session) {
         session.import_session(this.serializationKey);
@@ -211,6 +265,16 @@ class BackupRoomKey extends IncomingRoomKey {
     }
 }
 
+/** A room key imported from a key export file, which has the same format as a backup session except for the room and session id */
+class ImportedRoomKey extends BackupRoomKey {
+    get keySource(): KeySource { return KeySource.Imported; }
+
+    protected get backupStatus(): BackupStatus {
+        // the key might not be in the server-side key backup
+        return BackupStatus.NotBackedUp;
+    }
+}
+
 export class StoredRoomKey extends RoomKey {
     private storageEntry: InboundGroupSessionEntry;
 
@@ -225,8 +289,11 @@ export class StoredRoomKey extends RoomKey {
     get sessionId() { return this.storageEntry.sessionId; }
     get claimedEd25519Key() { return this.storageEntry.claimedKeys!["ed25519"]; }
     get eventIds() { return this.storageEntry.eventIds; }
+    get forwardingCurve25519KeyChain() { return this.storageEntry.forwardingCurve25519KeyChain; }
     get serializationKey(): string { return this.storageEntry.session || ""; }
     get serializationType(): string { return "unpickle"; }
+    get keySource(): KeySource | undefined { return this.storageEntry.source; }
+    get isSharedHistory(): boolean { return !!this.storageEntry.sharedHistory; }
     
     loadInto(session, pickleKey) {
         session.unpickle(pickleKey, this.serializationKey);
@@ -253,6 +320,20 @@ export function keyFromDeviceMessage(dr: DecryptionResult): DeviceMessageRoomKey
     }
 }
 
+export function keyFromForwardedDeviceMessage(dr: DecryptionResult): ForwardedRoomKey | undefined {
+    const sessionKey = dr.event.content?.["session_key"];
+    const key = new ForwardedRoomKey(dr);
+    if (
+        typeof key.roomId === "string" &&
+        typeof key.sessionId === "string" &&
+        typeof key.senderKey === "string" &&
+        typeof key.claimedEd25519Key === "string" &&
+        typeof sessionKey === "string"
+    ) {
+        return key;
+    }
+}
+
 /*
 sessionInfo is a response from key backup and has the following keys:
     algorithm
@@ -278,6 +359,14 @@ export function keyFromBackup(roomId, sessionId, backupInfo): BackupRoomKey | un
     }
 }
 
+export function keyFromExport(sessionInfo): ImportedRoomKey | undefined {
+    const roomId = sessionInfo?.["room_id"];
+    const sessionId = sessionInfo?.["session_id"];
+    if (sessionInfo?.["algorithm"] === MEGOLM_ALGORITHM && keyFromBackup(roomId, sessionId, sessionInfo)) {
+        return new ImportedRoomKey(roomId, sessionId, sessionInfo);
+    }
+}
+
 export async function keyFromStorage(roomId: string, senderKey: string, sessionId: string, txn: Transaction): Promise<StoredRoomKey | undefined> {
     const existingSessionEntry = await txn.inboundGroupSessions.get(roomId, senderKey, sessionId);
     if (existingSessionEntry) {
@@ -14,7 +14,7 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {MEGOLM_ALGORITHM} from "../../common";
+import {MEGOLM_ALGORITHM, SHARED_HISTORY_FIELD} from "../../common";
 import type {RoomKey} from "../decryption/RoomKey";
 
 import type {BaseBackupInfo, SignatureMap, SessionKeyInfo} from "./types";
@@ -62,6 +62,24 @@ export class BackupEncryption {
         return new BackupEncryption(encryption, decryption);
     }
 
+    /** Creates a new key pair for a new backup version.
+     * The auth data isn't signed yet, and the private key should be stored in secret storage. */
+    static create(olm: Olm): {encryption: BackupEncryption, authData: AuthData, privateKey: Uint8Array} {
+        const decryption = new olm.PkDecryption();
+        const encryption = new olm.PkEncryption();
+        try {
+            const pubKey = decryption.generate_key();
+            const privateKey = decryption.get_private_key();
+            encryption.set_recipient_key(pubKey);
+            const authData = {public_key: pubKey, signatures: {}};
+            return {encryption: new BackupEncryption(encryption, decryption), authData, privateKey};
+        } catch(err) {
+            decryption.free();
+            encryption.free();
+            throw err;
+        }
+    }
+
     decryptRoomKey(sessionData: SessionData): SessionKeyInfo {
         const sessionInfo = this.decryption!.decrypt(
             sessionData.ephemeral,
@@ -76,9 +94,12 @@ export class BackupEncryption {
             algorithm: MEGOLM_ALGORITHM,
             sender_key: key.senderKey,
             sender_claimed_keys: {ed25519: key.claimedEd25519Key},
-            forwarding_curve25519_key_chain: [],
+            forwarding_curve25519_key_chain: key.forwardingCurve25519KeyChain ?? [],
             session_key: sessionKey
         };
+        if (key.isSharedHistory) {
+            sessionInfo[SHARED_HISTORY_FIELD] = true;
+        }
         return this.encryption!.encrypt(JSON.stringify(sessionInfo)) as SessionData;
     }
 
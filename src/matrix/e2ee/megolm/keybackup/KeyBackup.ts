@@ -190,14 +190,42 @@ export class KeyBackup {
     static async fromSecretStorage(platform: Platform, olm: Olm, secretStorage: SecretStorage, hsApi: HomeServerApi, keyLoader: KeyLoader, storage: Storage, txn: Transaction): Promise<KeyBackup | undefined> {
         const base64PrivateKey = await secretStorage.readSecret("m.megolm_backup.v1", txn);
         if (base64PrivateKey) {
-            const privateKey = new Uint8Array(platform.encoding.base64.decode(base64PrivateKey));
-            const backupInfo = await hsApi.roomKeysVersion().response() as BackupInfo;
-            if (backupInfo.algorithm === Curve25519.Algorithm) {
-                const crypto = Curve25519.BackupEncryption.fromAuthData(backupInfo.auth_data, privateKey, olm);
-                return new KeyBackup(backupInfo, crypto, hsApi, keyLoader, storage, platform);
-            } else {
-                throw new Error(`Unknown backup algorithm: ${backupInfo.algorithm}`);
-            }
+            return KeyBackup.fromPrivateKey(platform, olm, base64PrivateKey, hsApi, keyLoader, storage);
+        }
+    }
+
+    /**
+     * Sets up the current backup version with its private key, e.g. received from another device through secret sharing.
+     * Throws if the key doesn't belong to the current backup version.
+     * @param base64PrivateKey the private key as stored in the m.megolm_backup.v1 secret
+     */
+    static async fromPrivateKey(platform: Platform, olm: Olm, base64PrivateKey: string, hsApi: HomeServerApi, keyLoader: KeyLoader, storage: Storage): Promise<KeyBackup> {
+        const privateKey = new Uint8Array(platform.encoding.base64.decode(base64PrivateKey));
+        const backupInfo = await hsApi.roomKeysVersion().response() as BackupInfo;
+        if (backupInfo.algorithm === Curve25519.Algorithm) {
+            const crypto = Curve25519.BackupEncryption.fromAuthData(backupInfo.auth_data, privateKey, olm);
+            return new KeyBackup(backupInfo, crypto, hsApi, keyLoader, storage, platform);
+        } else {
+            throw new Error(`Unknown backup algorithm: ${backupInfo.algorithm}`);
+        }
+    }
+
+    /**
+     * Creates a new backup version on the server with a new key.
+     * @param  signObject signs the auth data of the backup with the key of our device
+     * @return the new backup, and its private key which should be stored in secret storage
+     */
+    static async create(platform: Platform, olm: Olm, signObject: (authData: object) => void, hsApi: HomeServerApi, keyLoader: KeyLoader, storage: Storage, log: ILogItem): Promise<{keyBackup: KeyBackup, privateKey: Uint8Array}> {
+        const {encryption, authData, privateKey} = Curve25519.BackupEncryption.create(olm);
+        try {
+            signObject(authData);
+            const {version} = await hsApi.createRoomKeysVersion({algorithm: Curve25519.Algorithm, auth_data: authData}, {log}).response();
+            log.set("version", version);
+            const backupInfo: BackupInfo = {algorithm: Curve25519.Algorithm, auth_data: authData, version, etag: "", count: 0};
+            return {keyBackup: new KeyBackup(backupInfo, encryption, hsApi, keyLoader, storage, platform), privateKey};
+        } catch (err) {
+            encryption.dispose();
+            throw err;
         }
     }
 }
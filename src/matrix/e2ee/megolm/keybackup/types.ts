@@ -46,7 +46,9 @@ export type MegOlmSessionKeyInfo = {
     sender_key: string,
     sender_claimed_keys: {[algorithm: string]: string},
     forwarding_curve25519_key_chain: string[],
-    session_key: string
+    session_key: string,
+    // MSC3061, see SHARED_HISTORY_FIELD
+    "org.matrix.msc3061.shared_history"?: boolean
 }
 
 // the type that session_data decrypts from / encrypts to
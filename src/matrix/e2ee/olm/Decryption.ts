@@ -31,6 +31,14 @@ type Olm = typeof OlmNamespace;
 
 const SESSION_LIMIT_PER_SENDER_KEY = 4;
 
+/** A device we couldn't decrypt a message from with any of our olm sessions, see SessionRecovery */
+export type WedgedDevice = {
+    userId: string,
+    senderKey: string,
+    // the sessions that were marked as wedged
+    sessionIds: string[]
+};
+
 type DecryptionResults = {
     results: DecryptionResult[],
     errors: DecryptionError[],
@@ -144,6 +152,8 @@ export class Decryption {
             plaintext = senderKeyDecryption.decrypt(message);
         } catch (err) {
             // TODO: is it ok that an error on one session prevents other sessions from being attempted?
+            // a session matched the pre-key message but could not decrypt it, so it is corrupted
+            senderKeyDecryption.markWedged(event.sender);
             throw new DecryptionError("OLM_BAD_ENCRYPTED_MESSAGE", event, {senderKey, error: err.message});
         }
         // could not decrypt with any existing session
@@ -152,6 +162,8 @@ export class Decryption {
             try {
                 createResult = this._createSessionAndDecrypt(senderKey, message, timestamp);
             } catch (error) {
+                // no session can decrypt this pre-key message, so the sessions with the sender are wedged
+                senderKeyDecryption.markWedged(event.sender);
                 throw new DecryptionError(`Could not create inbound olm session: ${error.message}`, event, {senderKey, error});
             }
             senderKeyDecryption.addNewSession(createResult.session);
@@ -167,6 +179,8 @@ export class Decryption {
             this._validatePayload(payload, event);
             return new DecryptionResult(payload, senderKey, payload.keys!.ed25519!);
         } else {
+            // the sender encrypted a normal message with a session we can't decrypt with (anymore)
+            senderKeyDecryption.markWedged(event.sender);
             throw new DecryptionError("OLM_NO_MATCHING_SESSION", event,
                 {knownSessionIds: senderKeyDecryption.sessions.map(s => s.id)});
         }
@@ -234,12 +248,34 @@ export class Decryption {
 
 // decryption helper for a single senderKey
 class SenderKeyDecryption {
+    private wedgedSender?: string;
+    private wedgedSessionIds: string[] = [];
+
     constructor(
         public readonly senderKey: string,
         public readonly sessions: Session[],
         private readonly timestamp: number
     ) {}
 
+    /** Called when a message from the sender could not be decrypted with any session, nor with a new one for pre-key messages,
+     * so we stop encrypting with the existing sessions and a new one gets created for the sender. */
+    markWedged(sender: string | undefined): void {
+        this.wedgedSender = sender;
+        for (const session of this.sessions) {
+            if (!session.isNew && !session.data.wedgedAt) {
+                session.data.wedgedAt = this.timestamp;
+                session.isModified = true;
+                this.wedgedSessionIds.push(session.id);
+            }
+        }
+    }
+
+    get wedgedDevice(): WedgedDevice | undefined {
+        if (this.wedgedSender) {
+            return {userId: this.wedgedSender, senderKey: this.senderKey, sessionIds: this.wedgedSessionIds};
+        }
+    }
+
     addNewSession(session: Session): void {
         // add at top as it is most recent
         this.sessions.unshift(session);
@@ -315,6 +351,11 @@ class DecryptionChanges {
         return this.senderKeyDecryptions.some(skd => skd.hasNewSessions);
     }
 
+    /** the devices that need a new olm session because we couldn't decrypt their messages */
+    get wedgedDevices(): WedgedDevice[] {
+        return this.senderKeyDecryptions.map(skd => skd.wedgedDevice).filter(d => !!d) as WedgedDevice[];
+    }
+
     write(txn: Transaction): void {
         try {
             for (const senderKeyDecryption of this.senderKeyDecryptions) {
@@ -343,3 +384,106 @@ class DecryptionChanges {
         }
     }
 }
+
+import {createMockStorage} from "../../../mocks/Storage";
+import {OLM_ALGORITHM} from "../common.js";
+
+export function tests() {
+    const senderKey = "bobCurveKey";
+    const payload = {
+        type: "m.dummy",
+        content: {},
+        sender: "@bob:hs.tld",
+        recipient: "@alice:hs.tld",
+        recipient_keys: {ed25519: "aliceEd25519Key"},
+        keys: {ed25519: "bobEd25519Key"},
+    };
+
+    // the body of a message is `<session id>|<plaintext>`, and can only be decrypted by that session
+    class MockOlmSession {
+        private id?: string;
+        unpickle(_pickleKey: string, pickled: string) { this.id = pickled; }
+        pickle() { return this.id; }
+        session_id() { return this.id; }
+        matches_inbound(body: string) { return body.startsWith(`${this.id}|`); }
+        decrypt(_type: number, body: string) {
+            if (!this.matches_inbound(body)) {
+                throw new Error("BAD_MESSAGE_MAC");
+            }
+            return body.substr(body.indexOf("|") + 1);
+        }
+        free() {}
+    }
+
+    function createDecryption() {
+        const account = {
+            identityKeys: {curve25519: "aliceCurveKey", ed25519: "aliceEd25519Key"},
+            createInboundOlmSession() { throw new Error("BAD_MESSAGE_KEY_ID"); },
+        };
+        const olm = {Session: MockOlmSession};
+        return new Decryption(account as any, "pickleKey", () => 1000, "@alice:hs.tld", olm as any, undefined as any);
+    }
+
+    function createEvent(type: OlmPayloadType, body: string): OlmEncryptedEvent {
+        return {
+            type: "m.room.encrypted",
+            sender: "@bob:hs.tld",
+            content: {
+                algorithm: OLM_ALGORITHM,
+                sender_key: senderKey,
+                ciphertext: {aliceCurveKey: {type, body}}
+            }
+        } as OlmEncryptedEvent;
+    }
+
+    async function decrypt(events: OlmEncryptedEvent[], wedgedAt?: number) {
+        const storage = await createMockStorage();
+        const writeTxn = await storage.readWriteTxn([storage.storeNames.olmSessions]);
+        writeTxn.olmSessions.set({senderKey, sessionId: "session1", session: "session1", lastUsed: 1, wedgedAt});
+        await writeTxn.complete();
+        const txn = await storage.readWriteTxn([storage.storeNames.olmSessions]);
+        const changes = await createDecryption().decryptAll(events, {release() {}} as ILock, txn);
+        changes.write(txn);
+        const stored = await txn.olmSessions.get(senderKey, "session1");
+        return {changes, stored};
+    }
+
+    return {
+        "decrypted message doesn't mark the sessions as wedged": async assert => {
+            const {changes, stored} = await decrypt([createEvent(OlmPayloadType.Normal, `session1|${JSON.stringify(payload)}`)]);
+            assert.equal(changes.results.length, 1);
+            assert.equal(changes.results[0].event.type, "m.dummy");
+            assert.deepEqual(changes.wedgedDevices, []);
+            assert.equal(stored!.wedgedAt, undefined);
+        },
+        "normal message without matching session marks the sessions as wedged": async assert => {
+            const {changes, stored} = await decrypt([
+                createEvent(OlmPayloadType.Normal, `session2|${JSON.stringify(payload)}`),
+                createEvent(OlmPayloadType.Normal, `session2|${JSON.stringify(payload)}`),
+            ]);
+            assert.equal(changes.errors.length, 2);
+            assert.equal(changes.errors[0].code, "OLM_NO_MATCHING_SESSION");
+            // reported once per device
+            assert.deepEqual(changes.wedgedDevices, [{userId: "@bob:hs.tld", senderKey, sessionIds: ["session1"]}]);
+            assert.equal(stored!.wedgedAt, 1000);
+        },
+        "pre-key message that can't create a new session marks the sessions as wedged": async assert => {
+            const {changes, stored} = await decrypt([createEvent(OlmPayloadType.PreKey, `session2|${JSON.stringify(payload)}`)]);
+            assert.equal(changes.errors.length, 1);
+            assert.deepEqual(changes.wedgedDevices, [{userId: "@bob:hs.tld", senderKey, sessionIds: ["session1"]}]);
+            assert.equal(stored!.wedgedAt, 1000);
+        },
+        "device with already wedged sessions is reported for recovery again": async assert => {
+            const {changes, stored} = await decrypt([createEvent(OlmPayloadType.Normal, `session2|${JSON.stringify(payload)}`)], 500);
+            // SessionRecovery rate limits the recovery attempts
+            assert.deepEqual(changes.wedgedDevices, [{userId: "@bob:hs.tld", senderKey, sessionIds: []}]);
+            assert.equal(stored!.wedgedAt, 500);
+        },
+        "invalid payload doesn't mark the sessions as wedged": async assert => {
+            const forwarded = Object.assign({}, payload, {sender: "@mallory:hs.tld"});
+            const {changes} = await decrypt([createEvent(OlmPayloadType.Normal, `session1|${JSON.stringify(forwarded)}`)]);
+            assert.equal(changes.errors[0].code, "OLM_FORWARDED_MESSAGE");
+            assert.deepEqual(changes.wedgedDevices, []);
+        },
+    };
+}
@@ -94,7 +94,7 @@ export class Encryption {
             const {
                 devicesWithoutSession,
                 existingEncryptionTargets,
-            } = await this._findExistingSessions(devices);
+            } = await this._findExistingSessions(devices, log);
         
             const timestamp = this.now(); 
 
@@ -126,11 +126,20 @@ export class Encryption {
         }
     }
 
-    async _findExistingSessions(devices: DeviceIdentity[]): Promise<{devicesWithoutSession: DeviceIdentity[], existingEncryptionTargets: EncryptionTarget[]}> {
+    async _findExistingSessions(devices: DeviceIdentity[], log: ILogItem): Promise<{devicesWithoutSession: DeviceIdentity[], existingEncryptionTargets: EncryptionTarget[]}> {
         const txn = await this.storage.readTxn([this.storage.storeNames.olmSessions]);
+        let wedgedSessionCount = 0;
         const sessionIdsForDevice = await Promise.all(devices.map(async device => {
-            return await txn.olmSessions.getSessionIds(device.curve25519Key);
+            const sessions = await txn.olmSessions.getAll(device.curve25519Key);
+            // don't encrypt with sessions the other side can't decrypt anymore,
+            // so a new session gets created if all of them are wedged
+            const usableSessions = sessions.filter(s => !s.wedgedAt);
+            wedgedSessionCount += sessions.length - usableSessions.length;
+            return usableSessions.map(s => s.sessionId);
         }));
+        if (wedgedSessionCount) {
+            log.set("wedgedSessions", wedgedSessionCount);
+        }
         const devicesWithoutSession = devices.filter((_, i) => {
             const sessionIds = sessionIdsForDevice[i];
             return !(sessionIds?.length);
@@ -0,0 +1,193 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {makeTxnId} from "../../common.js";
+
+import type {WedgedDevice} from "./Decryption";
+import type {Encryption as OlmEncryption} from "./Encryption";
+import type {DeviceTracker} from "../DeviceTracker.js";
+import type {Storage} from "../../storage/idb/Storage";
+import type {HomeServerApi} from "../../net/HomeServerApi";
+import type {ILogItem} from "../../../logging/types";
+
+const SESSION_KEY = "olmWedgedSessionRecovery";
+const ENCRYPTED_TYPE = "m.room.encrypted";
+const DUMMY_TYPE = "m.dummy";
+// don't create a new session with the same device more often than this
+export const RECOVERY_INTERVAL = 60 * 60 * 1000;
+
+/** when we last tried to recover from a wedged session, by sender key */
+type RecoveryAttempts = {[senderKey: string]: number};
+
+type Options = {
+    deviceTracker: DeviceTracker;
+    olmEncryption: OlmEncryption;
+    storage: Storage;
+    hsApi: HomeServerApi;
+    now: () => number;
+};
+
+/**
+ * Recovers from olm sessions that the other side can't decrypt anymore, or that we can't decrypt with.
+ * Decryption marks the sessions as wedged, so encryption won't use them anymore.
+ * We then send an m.dummy message to the device, which creates a new olm session,
+ * after which the other device can send us the room keys we missed again.
+ */
+export class SessionRecovery {
+    constructor(private readonly options: Options) {}
+
+    async recover(wedgedDevices: WedgedDevice[], log: ILogItem): Promise<void> {
+        const devicesToRecover = await this.claimRecoveryAttempts(wedgedDevices, log);
+        for (const wedgedDevice of devicesToRecover) {
+            await log.wrap("recover wedged session", async log => {
+                log.set("user", wedgedDevice.userId);
+                log.set("senderKey", wedgedDevice.senderKey);
+                log.set("wedgedSessions", wedgedDevice.sessionIds);
+                try {
+                    await this.recoverDevice(wedgedDevice, log);
+                } catch (err) {
+                    // carry on with the other devices
+                    log.catch(err);
+                }
+            });
+        }
+    }
+
+    private async recoverDevice(wedgedDevice: WedgedDevice, log: ILogItem): Promise<void> {
+        const {deviceTracker, olmEncryption, hsApi} = this.options;
+        const devices = await deviceTracker.devicesForUsers([wedgedDevice.userId], hsApi, log);
+        const device = devices.find(d => d.curve25519Key === wedgedDevice.senderKey);
+        if (!device) {
+            log.log({l: "unknown device for sender key"}, log.level.Warn);
+            return;
+        }
+        log.set("device", device.deviceId);
+        const messages = await olmEncryption.encrypt(DUMMY_TYPE, {}, [device], hsApi, log);
+        if (!messages.length) {
+            log.log({l: "could not create new olm session"}, log.level.Warn);
+            return;
+        }
+        const payload = {messages: {[device.userId]: {[device.deviceId]: messages[0].content}}};
+        await hsApi.sendToDevice(ENCRYPTED_TYPE, payload, makeTxnId(), {log}).response();
+    }
+
+    /**
+     * Returns the devices we haven't tried to recover within the last RECOVERY_INTERVAL,
+     * and stores the attempt before sending anything so we don't keep creating sessions
+     * if the client gets reloaded while recovering.
+     */
+    private async claimRecoveryAttempts(wedgedDevices: WedgedDevice[], log: ILogItem): Promise<WedgedDevice[]> {
+        const {storage, now} = this.options;
+        const timestamp = now();
+        const txn = await storage.readWriteTxn([storage.storeNames.session]);
+        const devicesToRecover: WedgedDevice[] = [];
+        try {
+            const attempts: RecoveryAttempts = await txn.session.get(SESSION_KEY) ?? {};
+            // forget about attempts that don't rate limit anymore
+            for (const [senderKey, attemptedAt] of Object.entries(attempts)) {
+                if (timestamp - attemptedAt >= RECOVERY_INTERVAL) {
+                    delete attempts[senderKey];
+                }
+            }
+            for (const wedgedDevice of wedgedDevices) {
+                if (attempts[wedgedDevice.senderKey]) {
+                    log.log({l: "not recovering wedged session, tried recently", senderKey: wedgedDevice.senderKey});
+                } else {
+                    attempts[wedgedDevice.senderKey] = timestamp;
+                    devicesToRecover.push(wedgedDevice);
+                }
+            }
+            txn.session.set(SESSION_KEY, attempts);
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        return devicesToRecover;
+    }
+}
+
+import {HomeServer as MockHomeServer} from "../../../mocks/HomeServer.js";
+import {createMockStorage} from "../../../mocks/Storage";
+import {poll} from "../../../mocks/poll";
+import {Instance as NullLoggerInstance} from "../../../logging/NullLogger";
+
+export function tests() {
+    const device = {userId: "@bob:hs.tld", deviceId: "BOBDEVICE", curve25519Key: "bobCurveKey"};
+    const wedgedDevice = {userId: "@bob:hs.tld", senderKey: "bobCurveKey", sessionIds: ["session1"]};
+
+    function createRecovery(storage: Storage, homeServer: MockHomeServer, clock: {time: number}) {
+        const deviceTracker = {
+            async devicesForUsers([userId]) {
+                if (userId !== device.userId) {
+                    throw new Error("could not fetch devices");
+                }
+                return [device];
+            }
+        };
+        const olmEncryption = {
+            async encrypt(type, content, devices) {
+                return devices.map(device => ({device, content: {type, ciphertext: "encrypted"}}));
+            }
+        };
+        return new SessionRecovery({
+            deviceTracker,
+            olmEncryption,
+            storage,
+            hsApi: homeServer.api,
+            now: () => clock.time,
+        } as any);
+    }
+
+    async function recoverAndRespond(recovery: SessionRecovery, homeServer: MockHomeServer, requestIndex: number) {
+        const promise = recovery.recover([wedgedDevice], NullLoggerInstance.item);
+        (await poll(() => homeServer.requests.sendToDevice?.[requestIndex])).respond({});
+        await promise;
+    }
+
+    return {
+        "sends an encrypted m.dummy message to the wedged device": async assert => {
+            const homeServer = new MockHomeServer();
+            const recovery = createRecovery(await createMockStorage(), homeServer, {time: 1000});
+            await recoverAndRespond(recovery, homeServer, 0);
+            const [type, payload] = homeServer.requests.sendToDevice[0].arguments;
+            assert.equal(type, ENCRYPTED_TYPE);
+            assert.equal(payload.messages["@bob:hs.tld"].BOBDEVICE.type, DUMMY_TYPE);
+        },
+        "recovery is rate limited per device, also after reloading": async assert => {
+            const storage = await createMockStorage();
+            const homeServer = new MockHomeServer();
+            const clock = {time: 1000};
+            await recoverAndRespond(createRecovery(storage, homeServer, clock), homeServer, 0);
+            clock.time += RECOVERY_INTERVAL - 1;
+            // a new instance, as if the client was reloaded
+            await createRecovery(storage, homeServer, clock).recover([wedgedDevice], NullLoggerInstance.item);
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+            clock.time += 1;
+            await recoverAndRespond(createRecovery(storage, homeServer, clock), homeServer, 1);
+            assert.equal(homeServer.requests.sendToDevice.length, 2);
+        },
+        "a device failing to recover doesn't prevent recovering the others": async assert => {
+            const homeServer = new MockHomeServer();
+            const recovery = createRecovery(await createMockStorage(), homeServer, {time: 1000});
+            const failingDevice = {userId: "@charly:hs.tld", senderKey: "charlyCurveKey", sessionIds: ["session2"]};
+            const promise = recovery.recover([failingDevice, wedgedDevice], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+        },
+    };
+}
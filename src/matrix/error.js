@@ -27,7 +27,9 @@ export class WrappedError extends Error {
 
 export class HomeServerError extends Error {
     constructor(method, url, body, status) {
-        super(`${body ? body.error : status} on ${method} ${url}`);
+        const message = body ? body.error : status;
+        // url is not known when the error is created from a response with an allowed status code
+        super(url ? `${message} on ${method} ${url}` : `${message}`);
         this.errcode = body ? body.errcode : null;
         this.retry_after_ms = body ? body.retry_after_ms : 0;
         this.statusCode = status;
@@ -27,6 +27,7 @@ type RequestMethod = "POST" | "GET" | "PUT";
 
 const CS_R0_PREFIX = "/_matrix/client/r0";
 const CS_V3_PREFIX = "/_matrix/client/v3";
+const CS_V1_PREFIX = "/_matrix/client/v1";
 const DEHYDRATION_PREFIX = "/_matrix/client/unstable/org.matrix.msc2697.v2";
 
 type Options = {
@@ -129,8 +130,8 @@ export class HomeServerApi {
         return this._get("/sync", {since, timeout, filter}, undefined, options);
     }
 
-    context(roomId: string, eventId: string, limit: number, filter: string): IHomeServerRequest {
-        return this._get(`/rooms/${encodeURIComponent(roomId)}/context/${encodeURIComponent(eventId)}`, {filter, limit});
+    context(roomId: string, eventId: string, limit: number, filter?: string, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._get(`/rooms/${encodeURIComponent(roomId)}/context/${encodeURIComponent(eventId)}`, {filter, limit}, undefined, options);
     }
 
     // params is from, dir and optionally to, limit, filter.
@@ -138,6 +139,18 @@ export class HomeServerApi {
         return this._get(`/rooms/${encodeURIComponent(roomId)}/messages`, params, undefined, options);
     }
 
+    // params is from, to, limit and dir
+    relations(roomId: string, eventId: string, relType: string, params: Record<string, any>, options: BaseRequestOptions = {}): IHomeServerRequest {
+        options.prefix = CS_V1_PREFIX;
+        return this._get(`/rooms/${encodeURIComponent(roomId)}/relations/${encodeURIComponent(eventId)}/${encodeURIComponent(relType)}`, params, undefined, options);
+    }
+
+    // params is include, from and limit
+    threads(roomId: string, params: Record<string, any>, options: BaseRequestOptions = {}): IHomeServerRequest {
+        options.prefix = CS_V1_PREFIX;
+        return this._get(`/rooms/${encodeURIComponent(roomId)}/threads`, params, undefined, options);
+    }
+
     // params is at, membership and not_membership
     members(roomId: string, params: Record<string, any>, options?: BaseRequestOptions): IHomeServerRequest {
         return this._get(`/rooms/${encodeURIComponent(roomId)}/members`, params, undefined, options);
@@ -156,6 +169,14 @@ export class HomeServerApi {
             {}, {}, options);
     }
 
+    readMarkers(roomId: string, body: Record<string, any>, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._post(`/rooms/${encodeURIComponent(roomId)}/read_markers`, {}, body, options);
+    }
+
+    typing(roomId: string, userId: string, typing: boolean, timeout?: number, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._put(`/rooms/${encodeURIComponent(roomId)}/typing/${encodeURIComponent(userId)}`, {}, {typing, timeout}, options);
+    }
+
     state(roomId: string, eventType: string, stateKey: string, options?: BaseRequestOptions): IHomeServerRequest {
         return this._get(`/rooms/${encodeURIComponent(roomId)}/state/${encodeURIComponent(eventType)}/${encodeURIComponent(stateKey)}`, {}, undefined, options);
     }
@@ -239,6 +260,10 @@ export class HomeServerApi {
         return this._get(`/room_keys/version${versionPart}`, undefined, undefined, options);
     }
 
+    createRoomKeysVersion(info: Record<string, any>, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._post(`/room_keys/version`, {}, info, options);
+    }
+
     roomKeyForRoomAndSession(version: string, roomId: string, sessionId: string, options?: BaseRequestOptions): IHomeServerRequest {
         return this._get(`/room_keys/keys/${encodeURIComponent(roomId)}/${encodeURIComponent(sessionId)}`, {version}, undefined, options);
     }
@@ -271,6 +296,10 @@ export class HomeServerApi {
         return this._post(`/rooms/${encodeURIComponent(roomId)}/leave`, {}, {}, options);
     }
 
+    invite(roomId: string, userId: string, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._post(`/rooms/${encodeURIComponent(roomId)}/invite`, {}, {user_id: userId}, options);
+    }
+
     forget(roomId: string, options?: BaseRequestOptions): IHomeServerRequest {
         return this._post(`/rooms/${encodeURIComponent(roomId)}/forget`, {}, {}, options);
     }
@@ -305,6 +334,25 @@ export class HomeServerApi {
     setAccountData(ownUserId: string, type: string, content: Record<string, any>, options?: BaseRequestOptions): IHomeServerRequest {
         return this._put(`/user/${encodeURIComponent(ownUserId)}/account_data/${encodeURIComponent(type)}`, {}, content, options);
     }
+
+    getDevices(options?: BaseRequestOptions): IHomeServerRequest {
+        return this._get(`/devices`, undefined, undefined, options);
+    }
+
+    setDeviceDisplayName(deviceId: string, displayName: string, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._put(`/devices/${encodeURIComponent(deviceId)}`, {}, {display_name: displayName}, options);
+    }
+
+    /** Needs user-interactive auth, see UserInteractiveAuth */
+    deleteDevices(deviceIds: string[], auth?: Record<string, any>, options: BaseRequestOptions = {}): IHomeServerRequest {
+        options.allowedStatusCodes = [401];
+        return this._post(`/delete_devices`, {}, {devices: deviceIds, auth}, options);
+    }
+
+    // body has the search_categories, nextBatch is the next_batch of a previous response
+    search(body: Record<string, any>, nextBatch?: string, options?: BaseRequestOptions): IHomeServerRequest {
+        return this._post(`/search`, {next_batch: nextBatch}, body, options);
+    }
 }
 
 import {Request as MockRequest} from "../../mocks/Request.js";
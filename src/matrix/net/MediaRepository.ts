@@ -15,11 +15,13 @@ limitations under the License.
 */
 
 import {encodeQueryParams} from "./common";
-import {decryptAttachment} from "../e2ee/attachment.js";
+import {decryptAttachment, AttachmentDecryption} from "../e2ee/attachment.js";
 import {Platform} from "../../platform/web/Platform.js";
 import {BlobHandle} from "../../platform/web/dom/BlobHandle.js";
 import type {Attachment, EncryptedFile} from "./types/response";
 
+type ChunkWriter = (chunk: Uint8Array) => Promise<void> | void;
+
 export class MediaRepository {
     private readonly _homeserver: string;
     private readonly _platform: Platform;
@@ -65,6 +67,20 @@ export class MediaRepository {
         return this._platform.createBlob(decryptedBuffer, fileEntry.mimetype);
     }
 
+    /**
+     * Downloads and decrypts the file chunk by chunk, passing the decrypted chunks in order to `writeChunk`,
+     * so the file doesn't need to be held in memory as both ciphertext and plaintext.
+     * Throws after all chunks have been passed if the hash of the file doesn't match,
+     * in which case whatever `writeChunk` wrote should be discarded.
+     */
+    async downloadEncryptedFileInChunks(fileEntry: EncryptedFile, writeChunk: ChunkWriter, cache: boolean = false): Promise<void> {
+        const decryption = new AttachmentDecryption(this._platform, fileEntry);
+        await this._downloadInChunks(fileEntry.url, async chunk => {
+            await writeChunk(await decryption.decryptChunk(chunk));
+        }, cache);
+        await writeChunk(await decryption.finish());
+    }
+
     async downloadPlaintextFile(mxcUrl: string, mimetype: string, cache: boolean = false): Promise<BlobHandle> {
         const url = this.mxcUrl(mxcUrl);
         const {body: buffer} = await this._platform.request(url, {method: "GET", format: "buffer", cache}).response();
@@ -78,4 +94,35 @@ export class MediaRepository {
             return this.downloadPlaintextFile(content.url!, content.info?.mimetype, cache);
         }
     }
+
+    /** Like downloadAttachment, but passes the file in chunks as they are downloaded, see downloadEncryptedFileInChunks */
+    async downloadAttachmentInChunks(content: Attachment, writeChunk: ChunkWriter, cache: boolean = false): Promise<void> {
+        if (content.file) {
+            await this.downloadEncryptedFileInChunks(content.file, writeChunk, cache);
+        } else {
+            await this._downloadInChunks(content.url!, writeChunk, cache);
+        }
+    }
+
+    private async _downloadInChunks(mxcUrl: string, writeChunk: ChunkWriter, cache: boolean): Promise<void> {
+        const url = this.mxcUrl(mxcUrl);
+        const {body} = await this._platform.request(url, {method: "GET", format: "stream", cache}).response();
+        // without streaming support, the whole file is returned as a buffer
+        if (body instanceof ArrayBuffer) {
+            await writeChunk(new Uint8Array(body));
+            return;
+        }
+        const reader = body.getReader();
+        try {
+            while (true) {
+                const {done, value} = await reader.read();
+                if (done) {
+                    break;
+                }
+                await writeChunk(value);
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
 }
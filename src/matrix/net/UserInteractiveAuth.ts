@@ -0,0 +1,178 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {createStage, isStageSupported} from "../registration/stages/createStage";
+import {HomeServerError} from "../error.js";
+import type {BaseRegistrationStage} from "../registration/stages/BaseRegistrationStage";
+import type {AuthenticationData, RegistrationFlow, RegistrationResponseMoreDataNeeded} from "../registration/types";
+import type {IHomeServerRequest} from "./HomeServerRequest";
+
+/** Sends the request that needs user-interactive auth, with the auth data of the current stage if any.
+ * The request should allow a 401 status code, like HomeServerApi.deleteDevices does. */
+export type AuthenticatedRequest = (auth?: AuthenticationData) => IHomeServerRequest;
+type FlowSelector = (flows: RegistrationFlow[]) => RegistrationFlow | void;
+
+function selectFirstSupportedFlow(flows: RegistrationFlow[]): RegistrationFlow | void {
+    return flows.find(flow => flow.stages.every(isStageSupported));
+}
+
+/**
+ * Performs a request that needs user-interactive auth (https://spec.matrix.org/v1.2/client-server-api/#user-interactive-authentication-api),
+ * going through the stages the homeserver asks for. This reuses the stages of registration,
+ * which is the other place where the homeserver asks for user-interactive auth.
+ */
+export class UserInteractiveAuth {
+    private readonly _request: AuthenticatedRequest;
+    private readonly _userId?: string;
+    private readonly _flowSelector: FlowSelector;
+    private _response?: any;
+
+    /**
+     * @param request sends the request with the given auth data
+     * @param userId the logged in user, needed for the m.login.password stage
+     */
+    constructor(request: AuthenticatedRequest, userId?: string, flowSelector?: FlowSelector) {
+        this._request = request;
+        this._userId = userId;
+        this._flowSelector = flowSelector ?? selectFirstSupportedFlow;
+    }
+
+    /**
+     * Sends the request without auth data, return value is:
+     * - the first stage to complete if the homeserver needs auth
+     * - undefined if the request succeeded without auth
+     */
+    async start(): Promise<BaseRegistrationStage | undefined> {
+        return this._handleResponse(this._request(), undefined);
+    }
+
+    /**
+     * Sends the request with the auth data of the stage, return value is:
+     * - the next stage if this stage was completed successfully
+     * - undefined if the request succeeded
+     */
+    async submitStage(stage: BaseRegistrationStage): Promise<BaseRegistrationStage | undefined> {
+        return this._handleResponse(this._request(stage.generateAuthenticationData()), stage);
+    }
+
+    /** The response body of the request once it succeeded */
+    get response(): any {
+        return this._response;
+    }
+
+    private async _handleResponse(request: IHomeServerRequest, currentStage?: BaseRegistrationStage): Promise<BaseRegistrationStage | undefined> {
+        const response = await request.response();
+        const status = await request.responseCode();
+        if (status !== 401) {
+            this._response = response;
+            return undefined;
+        }
+        // a 401 that isn't asking for auth, like M_UNKNOWN_TOKEN when we got logged out
+        if (!Array.isArray(response?.flows)) {
+            throw new HomeServerError(undefined, undefined, response, status);
+        }
+        if (!currentStage) {
+            return this._parseStagesFromResponse(response);
+        }
+        if (response.completed?.includes(currentStage.type) && currentStage.nextStage) {
+            return currentStage.nextStage;
+        }
+        // e.g. a wrong password, the homeserver explains in the error field
+        throw new Error(response.error ?? "This stage could not be completed!");
+    }
+
+    private _parseStagesFromResponse(response: RegistrationResponseMoreDataNeeded): BaseRegistrationStage {
+        const {session, params} = response;
+        const flow = this._flowSelector(response.flows);
+        if (!flow) {
+            throw new Error("None of the authentication flows of the homeserver are supported");
+        }
+        let firstStage: BaseRegistrationStage | undefined;
+        let lastStage: BaseRegistrationStage | undefined;
+        for (const type of flow.stages) {
+            const stage = createStage(type, session, params, this._userId);
+            if (!lastStage) {
+                firstStage = stage;
+            } else {
+                lastStage.setNextStage(stage);
+            }
+            lastStage = stage;
+        }
+        return firstStage!;
+    }
+}
+
+import {PasswordAuth} from "../registration/stages/PasswordAuth";
+
+export function tests() {
+    function createRequest(status: number, body: any): IHomeServerRequest {
+        return {
+            abort() {},
+            response: async () => body,
+            responseCode: async () => status,
+        };
+    }
+    const authNeeded = {
+        session: "abc",
+        params: {},
+        flows: [{stages: ["m.login.sso"]}, {stages: ["m.login.password"]}],
+    };
+
+    return {
+        "request that doesn't need auth succeeds right away": async assert => {
+            const uia = new UserInteractiveAuth(() => createRequest(200, {ok: true}));
+            assert.equal(await uia.start(), undefined);
+            assert.deepEqual(uia.response, {ok: true});
+        },
+        "first supported flow is used and password stage sends auth data": async assert => {
+            const sentAuth: any[] = [];
+            const uia = new UserInteractiveAuth(auth => {
+                sentAuth.push(auth);
+                return auth ? createRequest(200, {}) : createRequest(401, authNeeded);
+            }, "@alice:hs.tld");
+            const stage = await uia.start();
+            assert(stage instanceof PasswordAuth);
+            (stage as PasswordAuth).setPassword("secret");
+            assert.equal(await uia.submitStage(stage!), undefined);
+            assert.deepEqual(sentAuth[1], {
+                session: "abc",
+                type: "m.login.password",
+                identifier: {type: "m.id.user", user: "@alice:hs.tld"},
+                password: "secret",
+            });
+        },
+        "failed stage throws the error of the homeserver": async assert => {
+            const uia = new UserInteractiveAuth(auth => {
+                return createRequest(401, auth ? {...authNeeded, errcode: "M_FORBIDDEN", error: "Invalid password"} : authNeeded);
+            }, "@alice:hs.tld");
+            const stage = await uia.start() as PasswordAuth;
+            stage.setPassword("wrong");
+            await assert.rejects(uia.submitStage(stage), Error);
+        },
+        "401 without flows throws the error of the homeserver": async assert => {
+            const uia = new UserInteractiveAuth(() => createRequest(401, {errcode: "M_UNKNOWN_TOKEN", error: "Invalid access token"}));
+            try {
+                await uia.start();
+                assert.fail("should have thrown");
+            } catch (err) {
+                assert(err instanceof HomeServerError);
+                assert.equal(err.errcode, "M_UNKNOWN_TOKEN");
+                assert.equal(err.statusCode, 401);
+                assert.equal(err.message, "Invalid access token");
+            }
+        },
+    };
+}
@@ -16,9 +16,7 @@ limitations under the License.
 
 import type {HomeServerApi} from "../net/HomeServerApi";
 import type {BaseRegistrationStage} from "./stages/BaseRegistrationStage";
-import {DummyAuth} from "./stages/DummyAuth";
-import {TermsAuth} from "./stages/TermsAuth";
-import {TokenAuth} from "./stages/TokenAuth";
+import {createStage} from "./stages/createStage";
 import type {
     AccountDetails,
     RegistrationFlow,
@@ -26,7 +24,6 @@ import type {
     RegistrationResponse,
     RegistrationResponseSuccess,
     AuthData,
-    RegistrationParams,
 } from "./types";
 
 type FlowSelector = (flows: RegistrationFlow[]) => RegistrationFlow | void;
@@ -79,7 +76,7 @@ export class Registration {
         let firstStage: BaseRegistrationStage | undefined;
         let lastStage: BaseRegistrationStage | undefined;
         for (const stage of flow.stages) {
-            const registrationStage = this._createRegistrationStage(stage, session, params);
+            const registrationStage = createStage(stage, session, params);
             if (!firstStage) {
                 firstStage = registrationStage;
                 lastStage = registrationStage;
@@ -106,20 +103,6 @@ export class Registration {
         }
     }
 
-    private _createRegistrationStage(type: string, session: string, params?: RegistrationParams) {
-        switch (type) {
-            case "m.login.dummy":
-                return new DummyAuth(session, params?.[type]);
-            case "m.login.terms":
-                return new TermsAuth(session, params?.[type]);
-            case "org.matrix.msc3231.login.registration_token":
-            case "m.login.registration_token":
-                return new TokenAuth(session, params?.[type], type);
-            default:
-                throw new Error(`Unknown stage: ${type}`);
-        }
-    }
-
     get authData(): AuthData | undefined {
         if (this._registerResponse) {
             return {
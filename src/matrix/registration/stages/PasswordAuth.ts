@@ -0,0 +1,55 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {AuthenticationData, RegistrationParams} from "../types";
+import {BaseRegistrationStage} from "./BaseRegistrationStage";
+
+/** Used to confirm the password of a logged in user, e.g. before deleting devices */
+export class PasswordAuth extends BaseRegistrationStage {
+    private _password?: string;
+    private readonly _userId?: string;
+
+    constructor(session: string, params: RegistrationParams | undefined, userId?: string) {
+        super(session, params);
+        this._userId = userId;
+    }
+
+    generateAuthenticationData(): AuthenticationData {
+        if (!this._password) {
+            throw new Error("No password provided for PasswordAuth");
+        }
+        if (!this._userId) {
+            throw new Error("No user id provided for PasswordAuth");
+        }
+        return {
+            session: this._session,
+            type: this.type,
+            identifier: {
+                type: "m.id.user",
+                user: this._userId,
+            },
+            password: this._password,
+        };
+    }
+
+    setPassword(password: string) {
+        this._password = password;
+    }
+
+    get type(): string {
+        return "m.login.password";
+    }
+}
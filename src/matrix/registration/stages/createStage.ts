@@ -0,0 +1,54 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import type {BaseRegistrationStage} from "./BaseRegistrationStage";
+import type {RegistrationParams} from "../types";
+import {DummyAuth} from "./DummyAuth";
+import {TermsAuth} from "./TermsAuth";
+import {TokenAuth} from "./TokenAuth";
+import {PasswordAuth} from "./PasswordAuth";
+
+const SUPPORTED_STAGES = [
+    "m.login.dummy",
+    "m.login.terms",
+    "org.matrix.msc3231.login.registration_token",
+    "m.login.registration_token",
+    "m.login.password",
+];
+
+export function isStageSupported(type: string): boolean {
+    return SUPPORTED_STAGES.includes(type);
+}
+
+/**
+ * Creates the stage for a step in a user-interactive auth flow.
+ * @param userId the user to authenticate as, for stages that need it (m.login.password)
+ */
+export function createStage(type: string, session: string, params?: RegistrationParams, userId?: string): BaseRegistrationStage {
+    switch (type) {
+        case "m.login.dummy":
+            return new DummyAuth(session, params?.[type]);
+        case "m.login.terms":
+            return new TermsAuth(session, params?.[type]);
+        case "org.matrix.msc3231.login.registration_token":
+        case "m.login.registration_token":
+            return new TokenAuth(session, params?.[type], type);
+        case "m.login.password":
+            return new PasswordAuth(session, params?.[type], userId);
+        default:
+            throw new Error(`Unknown stage: ${type}`);
+    }
+}
@@ -143,6 +143,8 @@ export class ArchivedRoom extends BaseRoom {
                 storeNames.inboundGroupSessions,
                 storeNames.groupSessionDecryptions,
                 storeNames.operations,
+                storeNames.searchIndex,
+                storeNames.receipts,
             ]);
 
             txn.roomState.removeAllForRoom(this.id);
@@ -155,6 +157,8 @@ export class ArchivedRoom extends BaseRoom {
             txn.inboundGroupSessions.removeAllForRoom(this.id);
             txn.groupSessionDecryptions.removeAllForRoom(this.id);
             await txn.operations.removeAllForScope(this.id);
+            await txn.searchIndex.removeAllForRoom(this.id);
+            txn.receipts.removeAllForRoom(this.id);
 
             await txn.complete();
 
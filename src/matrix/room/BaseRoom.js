@@ -18,13 +18,18 @@ import {EventEmitter} from "../../utils/EventEmitter";
 import {RoomSummary} from "./RoomSummary.js";
 import {GapWriter} from "./timeline/persistence/GapWriter.js";
 import {RelationWriter} from "./timeline/persistence/RelationWriter.js";
+import {SearchIndexWriter} from "./timeline/persistence/SearchIndexWriter.js";
 import {Timeline} from "./timeline/Timeline.js";
+import {ThreadTimeline} from "./timeline/ThreadTimeline.js";
 import {FragmentIdComparer} from "./timeline/FragmentIdComparer.js";
+import {EventKey} from "./timeline/EventKey";
 import {WrappedError} from "../error.js"
 import {fetchOrLoadMembers, fetchOrLoadMember} from "./members/load.js";
 import {MemberList} from "./members/MemberList.js";
+import {ReadReceipts, loadReceiptMembers} from "./ReadReceipts.js";
 import {Heroes} from "./members/Heroes.js";
 import {EventEntry} from "./timeline/entries/EventEntry.js";
+import {NonPersistedEventEntry} from "./timeline/entries/NonPersistedEventEntry.js";
 import {ObservedEventMap} from "./ObservedEventMap.js";
 import {DecryptionSource} from "../e2ee/common.js";
 import {ensureLogItem} from "../../logging/utils";
@@ -45,9 +50,11 @@ export class BaseRoom extends EventEmitter {
         this._fragmentIdComparer = new FragmentIdComparer([]);
         this._emitCollectionChange = emitCollectionChange;
         this._timeline = null;
+        this._threadTimeline = null;
         this._user = user;
         this._changedMembersDuringSync = null;
         this._memberList = null;
+        this._readReceipts = null;
         this._createRoomEncryption = createRoomEncryption;
         this._roomEncryption = null;
         this._getSyncToken = getSyncToken;
@@ -56,6 +63,7 @@ export class BaseRoom extends EventEmitter {
         this._powerLevels = null;
         this._powerLevelLoading = null;
         this._observedMembers = null;
+        this._searchIndexWriter = new SearchIndexWriter({roomId});
     }
 
     async _eventIdsToEntries(eventIds, txn) {
@@ -103,6 +111,9 @@ export class BaseRoom extends EventEmitter {
             await decryptRequest.complete();
 
             this._timeline?.replaceEntries(retryEntries);
+            this._threadTimeline?.replaceEntries(retryEntries);
+            // the messages that could not be decrypted before aren't in the search index yet
+            await this._writeSearchIndex(retryEntries, log);
             // we would ideally write the room summary in the same txn as the groupSessionDecryptions in the
             // _decryptEntries entries and could even know which events have been decrypted for the first
             // time from DecryptionChanges.write and only pass those to the summary. As timeline changes
@@ -120,6 +131,9 @@ export class BaseRoom extends EventEmitter {
             if (this._timeline) {
                 this._timeline.enableEncryption(this._decryptEntries.bind(this, DecryptionSource.Timeline));
             }
+            if (this._threadTimeline) {
+                this._threadTimeline.enableEncryption(this._decryptEntries.bind(this, DecryptionSource.Timeline));
+            }
             return true;
         }
         return false;
@@ -135,9 +149,18 @@ export class BaseRoom extends EventEmitter {
                 inboundSessionTxn = await this._storage.readTxn([this._storage.storeNames.inboundGroupSessions]);
             }
             if (r.cancelled) return;
-            const events = entries.filter(entry => {
-                return entry.eventType === EVENT_ENCRYPTED_TYPE;
-            }).map(entry => entry.event);
+            const events = [];
+            for (const entry of entries) {
+                if (entry.eventType === EVENT_ENCRYPTED_TYPE) {
+                    events.push(entry.event);
+                }
+                // e.g. the latest edit is needed to show the edited content
+                for (const aggregatedEntry of entry.aggregatedEntries) {
+                    if (aggregatedEntry.eventType === EVENT_ENCRYPTED_TYPE) {
+                        events.push(aggregatedEntry.event);
+                    }
+                }
+            }
             r.preparation = await this._roomEncryption.prepareDecryptAll(events, null, source, inboundSessionTxn);
             if (r.cancelled) return;
             const changes = await r.preparation.decrypt();
@@ -146,8 +169,9 @@ export class BaseRoom extends EventEmitter {
             const stores = [this._storage.storeNames.groupSessionDecryptions];
             const isTimelineOpen = this._isTimelineOpen;
             if (isTimelineOpen) {
-                // read to fetch devices if timeline is open
+                // read to fetch devices and their trust if timeline is open
                 stores.push(this._storage.storeNames.deviceIdentities);
+                stores.push(this._storage.storeNames.userIdentities);
             }
             const writeTxn = await this._storage.readWriteTxn(stores);
             let decryption;
@@ -252,6 +276,30 @@ export class BaseRoom extends EventEmitter {
     }
 
 
+    /**
+     * Loads the event each member has read up to.
+     * Call release on the returned value when done with it.
+     * @return {Promise<ReadReceipts>}
+     */
+    async loadReadReceipts() {
+        if (this._readReceipts) {
+            this._readReceipts.retain();
+            return this._readReceipts;
+        }
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.receipts,
+            this._storage.storeNames.roomMembers,
+        ]);
+        const receipts = await txn.receipts.getAllForRoom(this._roomId);
+        const members = await loadReceiptMembers(this._roomId, receipts, null, txn);
+        this._readReceipts = new ReadReceipts({
+            receipts,
+            members,
+            closeCallback: () => { this._readReceipts = null; }
+        });
+        return this._readReceipts;
+    }
+
     /** @public */
     async loadMemberList(txn = undefined, log = null) {
         if (this._memberList) {
@@ -333,6 +381,7 @@ export class BaseRoom extends EventEmitter {
             if (this._roomEncryption) {
                 const decryptRequest = this._decryptEntries(DecryptionSource.Timeline, gapResult.entries, null, log);
                 await decryptRequest.complete();
+                await this._writeSearchIndex(gapResult.entries, log);
             }
             // once txn is committed, update in-memory state & emit events
             for (const fragment of gapResult.fragments) {
@@ -346,6 +395,10 @@ export class BaseRoom extends EventEmitter {
                 this._timeline.replaceEntries(gapResult.updatedEntries);
                 this._timeline.addEntries(gapResult.entries);
             }
+            if (this._threadTimeline) {
+                this._threadTimeline.replaceEntries(gapResult.updatedEntries);
+                this._threadTimeline.addEntries(gapResult.entries);
+            }
         });
     }
 
@@ -421,6 +474,11 @@ export class BaseRoom extends EventEmitter {
         return this._summary.data.canonicalAlias;
     }
 
+    /** @return {string | null} the id of the event the user has read all messages up to */
+    get fullyReadEventId() {
+        return this._summary.data.fullyReadEventId;
+    }
+
     get joinedMemberCount() {
         return this._summary.data.joinCount;
     }
@@ -514,39 +572,201 @@ export class BaseRoom extends EventEmitter {
     openTimeline(log = null) {
         return this._platform.logger.wrapOrRun(log, "open timeline", async log => {
             log.set("id", this.id);
+            return this._openTimeline(timeline => timeline.load(this._user, this.membership, log));
+        });
+    }
+
+    /**
+     * Opens the timeline around the given event rather than at the live end, like for a permalink.
+     * If the event is not in storage, it is fetched from the homeserver with the messages around it.
+     */
+    openTimelineAtEvent(eventId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "open timeline at event", async log => {
+            log.set("id", this.id);
+            log.set("eventId", eventId);
             if (this._timeline) {
                 throw new Error("not dealing with load race here for now");
             }
-            this._timeline = new Timeline({
+            await this._fetchContextIfNeeded(eventId, log);
+            return this._openTimeline(timeline => timeline.loadAtEvent(eventId, this._user, this.membership, log));
+        });
+    }
+
+    async _fetchContextIfNeeded(eventId, log) {
+        const readTxn = await this._storage.readTxn([this._storage.storeNames.timelineEvents]);
+        if (await readTxn.timelineEvents.getByEventId(this._roomId, eventId)) {
+            log.set("inStorage", true);
+            return;
+        }
+        const filter = JSON.stringify({lazy_load_members: true, include_redundant_members: true});
+        const response = await this._hsApi.context(this._roomId, eventId, 20, filter, {log}).response();
+        const txn = await this._storage.readWriteTxn([
+            this._storage.storeNames.timelineEvents,
+            this._storage.storeNames.timelineRelations,
+            this._storage.storeNames.timelineFragments,
+        ]);
+        let fragment;
+        try {
+            // check again, the event might have come in through sync or a gap fill in the meantime
+            if (await txn.timelineEvents.getByEventId(this._roomId, eventId)) {
+                txn.abort();
+                return;
+            }
+            const relationWriter = new RelationWriter({
+                roomId: this._roomId,
+                fragmentIdComparer: this._fragmentIdComparer,
+                ownUserId: this._user.id,
+            });
+            const gapWriter = new GapWriter({
+                roomId: this._roomId,
+                storage: this._storage,
+                fragmentIdComparer: this._fragmentIdComparer,
+                relationWriter
+            });
+            ({fragment} = await gapWriter.writeContext(response, txn, log));
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        this._fragmentIdComparer.add(fragment);
+    }
+
+    async _openTimeline(loadTimeline) {
+        if (this._timeline) {
+            throw new Error("not dealing with load race here for now");
+        }
+        this._timeline = new Timeline({
+            roomId: this.id,
+            storage: this._storage,
+            fragmentIdComparer: this._fragmentIdComparer,
+            pendingEvents: this._getPendingEvents(),
+            closeCallback: () => {
+                this._timeline = null;
+                if (this._roomEncryption) {
+                    this._roomEncryption.notifyTimelineClosed();
+                }
+            },
+            clock: this._platform.clock,
+            logger: this._platform.logger,
+            powerLevelsObservable: await this.observePowerLevels(),
+            readReceipts: await this.loadReadReceipts(),
+            hsApi: this._hsApi
+        });
+        try {
+            if (this._roomEncryption) {
+                this._timeline.enableEncryption(this._decryptEntries.bind(this, DecryptionSource.Timeline));
+            }
+            await loadTimeline(this._timeline);
+        } catch (err) {
+            // this also clears this._timeline in the closeCallback
+            this._timeline.dispose();
+            throw err;
+        }
+        return this._timeline;
+    }
+
+    /** Opens the timeline of a thread in this room, only one thread timeline can be open at a time */
+    openThreadTimeline(rootId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "open thread timeline", async log => {
+            log.set("id", this.id);
+            log.set("rootId", rootId);
+            if (this._threadTimeline) {
+                throw new Error("Only one thread timeline can be open at a time");
+            }
+            this._threadTimeline = new ThreadTimeline({
                 roomId: this.id,
+                rootId,
                 storage: this._storage,
                 fragmentIdComparer: this._fragmentIdComparer,
                 pendingEvents: this._getPendingEvents(),
                 closeCallback: () => {
-                    this._timeline = null;
-                    if (this._roomEncryption) {
-                        this._roomEncryption.notifyTimelineClosed();
-                    }
+                    this._threadTimeline = null;
                 },
                 clock: this._platform.clock,
-                logger: this._platform.logger,
                 powerLevelsObservable: await this.observePowerLevels(),
                 hsApi: this._hsApi
             });
             try {
                 if (this._roomEncryption) {
-                    this._timeline.enableEncryption(this._decryptEntries.bind(this, DecryptionSource.Timeline));
+                    this._threadTimeline.enableEncryption(this._decryptEntries.bind(this, DecryptionSource.Timeline));
                 }
-                await this._timeline.load(this._user, this.membership, log);
+                await this._threadTimeline.load(this._user, this.membership, log);
             } catch (err) {
-                // this also clears this._timeline in the closeCallback
-                this._timeline.dispose();
+                // this also clears this._threadTimeline in the closeCallback
+                this._threadTimeline.dispose();
                 throw err;
             }
-            return this._timeline;
+            return this._threadTimeline;
         });
     }
 
+    /**
+     * Fetches the roots of the threads in this room from the homeserver, most recently active first.
+     * @param {string} [from] the next batch token of the previous call, to fetch more threads
+     * @return {Promise<{entries: Array<EventEntry>, nextBatch: string}>} the thread roots, with the thread summary from the server
+     */
+    fetchThreads(from = undefined, log = null) {
+        return this._platform.logger.wrapOrRun(log, "fetch threads", async log => {
+            log.set("id", this.id);
+            const response = await this._hsApi.threads(this.id, {include: "all", limit: 20, from}, {log}).response();
+            const txn = await this._storage.readTxn([this._storage.storeNames.roomMembers]);
+            const entries = await Promise.all(response.chunk.map(async event => {
+                const member = await txn.roomMembers.get(this.id, event.sender);
+                return new NonPersistedEventEntry({
+                    event,
+                    displayName: member?.displayName,
+                    avatarUrl: member?.avatarUrl
+                }, this._fragmentIdComparer);
+            }));
+            log.set("threads", entries.length);
+            if (this._roomEncryption && entries.length) {
+                await this._decryptEntries(DecryptionSource.Timeline, entries, null, log).complete();
+            }
+            return {entries, nextBatch: response.next_batch};
+        });
+    }
+
+    /** decrypted messages are indexed in a separate txn, as decryption happens after the gap is written */
+    async _writeSearchIndex(entries, log) {
+        const txn = await this._storage.readWriteTxn([
+            this._storage.storeNames.searchIndex,
+            this._storage.storeNames.timelineEvents,
+        ]);
+        try {
+            await this._searchIndexWriter.writeEntries(entries, txn, log);
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+    }
+
+    /**
+     * Decrypts and adds the stored messages after `afterKey` to the search index,
+     * going over all fragments in storage order. Used to index history that was stored before.
+     * @param {EventKey} [afterKey] the key returned by the previous call, or undefined to start at the beginning
+     * @return {Promise<EventKey | null>} the key of the last indexed event, or null if all events have been indexed
+     */
+    indexStoredEvents(afterKey, amount, log = null) {
+        return this._platform.logger.wrapOrRun(log, "indexStoredEvents", async log => {
+            log.set("id", this.id);
+            const txn = await this._storage.readTxn([this._storage.storeNames.timelineEvents]);
+            const storageEntries = await txn.timelineEvents.eventsAfterInStorageOrder(this._roomId, afterKey, amount);
+            log.set("events", storageEntries.length);
+            if (!storageEntries.length) {
+                return null;
+            }
+            const entries = storageEntries.map(e => new EventEntry(e, this._fragmentIdComparer));
+            if (this._roomEncryption) {
+                await this._decryptEntries(DecryptionSource.Timeline, entries, null, log).complete();
+                await this._writeSearchIndex(entries, log);
+            }
+            const lastEntry = entries[entries.length - 1];
+            return new EventKey(lastEntry.fragmentId, lastEntry.entryIndex);
+        }, this._platform.logger.level.Detail);
+    }
+
     /* allow subclasses to provide an observable list with pending events when opening the timeline */
     _getPendingEvents() { return null; }
 
@@ -581,6 +801,7 @@ export class BaseRoom extends EventEmitter {
     dispose() {
         this._roomEncryption?.dispose();
         this._timeline?.dispose();
+        this._threadTimeline?.dispose();
     }
 }
 
@@ -606,3 +827,48 @@ class DecryptionRequest {
         }
     }
 }
+
+import {createMockStorage} from "../../mocks/Storage";
+import {createEvent, withTextBody, withContent} from "../../mocks/event.js";
+import {DecryptionResult} from "../e2ee/DecryptionResult";
+import {Instance as NullLoggerInstance} from "../../logging/NullLogger";
+
+export function tests() {
+    const roomId = "!room:hs.tld";
+
+    return {
+        "messages decrypted with a late room key are added to the search index": async assert => {
+            const storage = await createMockStorage();
+            const encryptedEvent = withContent({algorithm: "m.megolm.v1.aes-sha2"}, createEvent(EVENT_ENCRYPTED_TYPE, "$1", "@alice:hs.tld"));
+            const writeTxn = await storage.readWriteTxn([storage.storeNames.timelineEvents]);
+            await writeTxn.timelineEvents.tryInsert({roomId, fragmentId: 1, eventIndex: 1, event: encryptedEvent}, NullLoggerInstance.item);
+            await writeTxn.complete();
+            const room = new BaseRoom({roomId, storage, emitCollectionChange: () => {}});
+            room._roomEncryption = {
+                async prepareDecryptAll() {
+                    return {
+                        async decrypt() {
+                            return {
+                                async write() {
+                                    return {
+                                        applyToEntries(entries) {
+                                            for (const entry of entries) {
+                                                const decrypted = withTextBody("hello late key", createEvent("m.room.message", entry.id, "@alice:hs.tld"));
+                                                entry.setDecryptionResult(new DecryptionResult(decrypted, "senderKey", null));
+                                            }
+                                        }
+                                    };
+                                }
+                            };
+                        },
+                        dispose() {}
+                    };
+                }
+            };
+            await room.notifyRoomKey({}, ["$1"], NullLoggerInstance.item);
+            const txn = await storage.readTxn([storage.storeNames.searchIndex]);
+            const postings = await txn.searchIndex.getForTerm("late", roomId);
+            assert.deepEqual(postings.map(p => p.eventId), ["$1"]);
+        },
+    };
+}
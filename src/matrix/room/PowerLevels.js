@@ -40,6 +40,12 @@ export class PowerLevels {
         return this._myLevel >= this._getActionLevel("redact");
     }
 
+    /** whether we can notify everybody in the room with @room */
+    get canMentionRoom() {
+        const level = this._plEvent?.content?.notifications?.room;
+        return this._myLevel >= (typeof level === "number" ? level : 50);
+    }
+
     get _myLevel() {
         if (this._membership !== "join") {
             return Number.MIN_SAFE_INTEGER;
@@ -156,5 +162,11 @@ export function tests() {
             assert.equal(pl.canRedactFromSender(alice), false);
             assert.equal(pl.canSendType("m.room.message"), false);
         },
+        "mention the room with the notifications power level": assert => {
+            const powerLevelEvent = {content: {users: {[alice]: 50, [bob]: 10}, notifications: {room: 10}}};
+            assert.equal(new PowerLevels({powerLevelEvent, ownUserId: bob, membership: "join"}).canMentionRoom, true);
+            assert.equal(new PowerLevels({powerLevelEvent, ownUserId: charly, membership: "join"}).canMentionRoom, false);
+            assert.equal(new PowerLevels({powerLevelEvent: redactPowerLevelEvent, ownUserId: alice, membership: "join"}).canMentionRoom, true);
+        },
     }
 }
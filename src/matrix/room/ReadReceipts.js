@@ -0,0 +1,179 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ObservableMap} from "../../observable";
+import {RetainedValue} from "../../utils/RetainedValue";
+import {RoomMember} from "./members/RoomMember.js";
+import {loadMembersByUserId} from "./members/load.js";
+
+export const EVENT_TYPE = "m.receipt";
+
+export const ReceiptType = Object.freeze({
+    Read: "m.read",
+    // only visible to our own devices
+    ReadPrivate: "m.read.private",
+});
+
+/**
+ * @param {string} roomId
+ * @param {object} event an m.receipt ephemeral event
+ * @return {Array<{roomId, userId, type, eventId, ts}>} the read receipts for the main timeline in the event
+ */
+export function receiptsFromEvent(roomId, event) {
+    const receipts = [];
+    if (event?.type !== EVENT_TYPE || !event.content) {
+        return receipts;
+    }
+    for (const [eventId, receiptsByType] of Object.entries(event.content)) {
+        for (const type of Object.values(ReceiptType)) {
+            const receiptsByUser = receiptsByType?.[type];
+            if (!receiptsByUser) {
+                continue;
+            }
+            for (const [userId, receipt] of Object.entries(receiptsByUser)) {
+                // a threaded receipt only marks the thread as read
+                if (receipt?.thread_id && receipt.thread_id !== "main") {
+                    continue;
+                }
+                receipts.push({roomId, userId, type, eventId, ts: receipt?.ts ?? 0});
+            }
+        }
+    }
+    return receipts;
+}
+
+/**
+ * Stores the read receipts in the ephemeral events of a room in a sync response
+ * @return {Array<{roomId, userId, type, eventId, ts}>} the stored receipts
+ */
+export function writeReceipts(roomId, ephemeralEvents, txn) {
+    const receipts = [];
+    if (Array.isArray(ephemeralEvents)) {
+        for (const event of ephemeralEvents) {
+            receipts.push(...receiptsFromEvent(roomId, event));
+        }
+    }
+    for (const receipt of receipts) {
+        txn.receipts.set(receipt);
+    }
+    return receipts;
+}
+
+/**
+ * Loads the members that sent the receipts, so we can show who read what
+ * @return {Promise<Map<string, RoomMember>>}
+ */
+export function loadReceiptMembers(roomId, receipts, memberChanges, txn) {
+    return loadMembersByUserId(roomId, receipts.map(r => r.userId), memberChanges, txn);
+}
+
+/**
+ * The event each member of the room has read up to, only loaded while a timeline of the room is open.
+ * Values in the map are `{userId, eventId, ts, member}`.
+ */
+export class ReadReceipts extends RetainedValue {
+    constructor({receipts, members, closeCallback}) {
+        super(closeCallback);
+        this._receipts = new ObservableMap();
+        this._applyReceipts(receipts, members);
+    }
+
+    /** @return {ObservableMap<string, {userId, eventId, ts, member}>} */
+    get receipts() {
+        return this._receipts;
+    }
+
+    /** @package */
+    async prepareChanges(roomId, receipts, memberChanges, txn) {
+        const members = await loadReceiptMembers(roomId, receipts, memberChanges, txn);
+        return {receipts, members};
+    }
+
+    /** @package */
+    afterSync(receiptChanges, memberChanges) {
+        if (receiptChanges) {
+            this._applyReceipts(receiptChanges.receipts, receiptChanges.members);
+        }
+        for (const [userId, memberChange] of memberChanges.entries()) {
+            const receipt = this._receipts.get(userId);
+            if (receipt) {
+                this._receipts.set(userId, Object.assign({}, receipt, {member: memberChange.member}));
+            }
+        }
+    }
+
+    _applyReceipts(receipts, members) {
+        for (const {userId, eventId, ts} of receipts) {
+            const existing = this._receipts.get(userId);
+            // a user can have both a public and a private receipt, the newest one counts
+            if (existing && (existing.eventId === eventId || existing.ts > ts)) {
+                continue;
+            }
+            this._receipts.set(userId, {userId, eventId, ts, member: members.get(userId)});
+        }
+    }
+}
+
+export function tests() {
+    return {
+        "parse receipts for the main timeline": assert => {
+            const receipts = receiptsFromEvent("!room", {
+                type: EVENT_TYPE,
+                content: {
+                    "$1": {
+                        "m.read": {
+                            "@alice:hs.tld": {ts: 10},
+                            "@bob:hs.tld": {ts: 11, thread_id: "$root"},
+                        },
+                        "m.read.private": {"@me:hs.tld": {ts: 12, thread_id: "main"}},
+                    },
+                    "$2": {"m.fully_read": {"@alice:hs.tld": {ts: 13}}},
+                }
+            });
+            assert.deepEqual(receipts, [
+                {roomId: "!room", userId: "@alice:hs.tld", type: ReceiptType.Read, eventId: "$1", ts: 10},
+                {roomId: "!room", userId: "@me:hs.tld", type: ReceiptType.ReadPrivate, eventId: "$1", ts: 12},
+            ]);
+        },
+        "newest receipt of a user wins": assert => {
+            const alice = RoomMember.fromUserId("!room", "@alice:hs.tld", "join");
+            const members = new Map([[alice.userId, alice]]);
+            const readReceipts = new ReadReceipts({
+                receipts: [{userId: alice.userId, eventId: "$2", ts: 20}],
+                members,
+                closeCallback: () => {},
+            });
+            let updates = 0;
+            readReceipts.receipts.subscribe({onAdd() {}, onUpdate() { updates += 1; }, onRemove() {}, onReset() {}});
+            readReceipts.afterSync({receipts: [{userId: alice.userId, eventId: "$1", ts: 10}], members}, new Map());
+            assert.equal(readReceipts.receipts.get(alice.userId).eventId, "$2");
+            readReceipts.afterSync({receipts: [{userId: alice.userId, eventId: "$3", ts: 30}], members}, new Map());
+            assert.equal(readReceipts.receipts.get(alice.userId).eventId, "$3");
+            assert.equal(readReceipts.receipts.get(alice.userId).member, alice);
+            assert.equal(updates, 1);
+        },
+        "member changes update the member of a receipt": assert => {
+            const readReceipts = new ReadReceipts({
+                receipts: [{userId: "@alice:hs.tld", eventId: "$1", ts: 10}],
+                members: new Map(),
+                closeCallback: () => {},
+            });
+            const alice = new RoomMember({roomId: "!room", userId: "@alice:hs.tld", membership: "join", displayName: "Alice"});
+            readReceipts.afterSync(undefined, new Map([[alice.userId, {member: alice}]]));
+            assert.equal(readReceipts.receipts.get(alice.userId).member.name, "Alice");
+        },
+    };
+}
@@ -24,6 +24,11 @@ import {Heroes} from "./members/Heroes.js";
 import {AttachmentUpload} from "./AttachmentUpload.js";
 import {DecryptionSource} from "../e2ee/common.js";
 import {PowerLevels, EVENT_TYPE as POWERLEVELS_EVENT_TYPE } from "./PowerLevels.js";
+import {writeReceipts, ReceiptType} from "./ReadReceipts.js";
+import {getTypingUserIds, updateTypingMembers} from "./typing.js";
+import {loadMembersByUserId} from "./members/load.js";
+import {loadStickerPacks} from "./stickers.js";
+import {ObservableArray} from "../../observable";
 
 const EVENT_ENCRYPTED_TYPE = "m.room.encrypted";
 
@@ -44,6 +49,7 @@ export class Room extends BaseRoom {
             memberWriter: new MemberWriter(this.id)
         });
         this._sendQueue = new SendQueue({roomId: this.id, storage: this._storage, hsApi: this._hsApi, pendingEvents});
+        this._typingMembers = new ObservableArray();
     }
 
     _setEncryption(roomEncryption) {
@@ -120,6 +126,7 @@ export class Room extends BaseRoom {
             // so no old state sticks around
             txn.roomState.removeAllForRoom(this.id);
             txn.roomMembers.removeAllForRoom(this.id);
+            txn.receipts.removeAllForRoom(this.id);
         }
         const {entries: newEntries, updatedEntries, newLiveKey, memberChanges} =
             await log.wrap("syncWriter", log => this._syncWriter.writeSync(
@@ -133,11 +140,18 @@ export class Room extends BaseRoom {
                 await decryption.verifyKnownSenders(txn);
             }
             decryption.applyToEntries(newEntries);
+            // entries that got edited in this sync need the edit decrypted
+            decryption.applyToEntries(updatedEntries);
             if (retryEntries?.length) {
                 decryption.applyToEntries(retryEntries);
                 updatedEntries.push(...retryEntries);
             }
         }
+        if (roomEncryption) {
+            // the server can't search encrypted rooms, so index the messages we could decrypt
+            const indexEntries = retryEntries?.length ? newEntries.concat(retryEntries) : newEntries;
+            await log.wrap("searchIndex", log => this._searchIndexWriter.writeEntries(indexEntries, txn, log), log.level.Detail);
+        }
         log.set("newEntries", newEntries.length);
         log.set("updatedEntries", updatedEntries.length);
         let encryptionChanges;
@@ -174,6 +188,21 @@ export class Room extends BaseRoom {
             }
             heroChanges = await this._heroes.calculateChanges(summaryChanges.heroes, memberChanges, txn);
         }
+        const receipts = writeReceipts(this.id, roomResponse.ephemeral?.events, txn);
+        let receiptChanges;
+        // only load the members of the receipts if they are shown
+        if (receipts.length && this._readReceipts) {
+            receiptChanges = await this._readReceipts.prepareChanges(this.id, receipts, memberChanges, txn);
+        }
+        if (receipts.length) {
+            log.set("receipts", receipts.length);
+        }
+        const typingUserIds = getTypingUserIds(roomResponse.ephemeral?.events, this._user.id);
+        let typingMembers;
+        if (typingUserIds) {
+            const members = await loadMembersByUserId(this.id, typingUserIds, memberChanges, txn);
+            typingMembers = Array.from(members.values());
+        }
         let removedPendingEvents;
         if (Array.isArray(roomResponse.timeline?.events)) {
             removedPendingEvents = await this._sendQueue.removeRemoteEchos(roomResponse.timeline.events, txn, log);
@@ -190,6 +219,8 @@ export class Room extends BaseRoom {
             heroChanges,
             powerLevelsEvent,
             encryptionChanges,
+            receiptChanges,
+            typingMembers,
             decryption
         };
     }
@@ -203,7 +234,7 @@ export class Room extends BaseRoom {
         const {
             summaryChanges, newEntries, updatedEntries, newLiveKey,
             removedPendingEvents, memberChanges, powerLevelsEvent,
-            heroChanges, roomEncryption, encryptionChanges
+            heroChanges, roomEncryption, encryptionChanges, receiptChanges, typingMembers
         } = changes;
         log.set("id", this.id);
         this._syncWriter.afterSync(newLiveKey);
@@ -250,6 +281,10 @@ export class Room extends BaseRoom {
         if (powerLevelsEvent) {
             this._updatePowerLevels(powerLevelsEvent);
         }
+        this._readReceipts?.afterSync(receiptChanges, memberChanges);
+        if (typingMembers) {
+            updateTypingMembers(this._typingMembers, typingMembers);
+        }
         if (emitChange) {
             this._emitUpdate();
         }
@@ -258,6 +293,10 @@ export class Room extends BaseRoom {
             this._timeline.replaceEntries(updatedEntries);
             this._timeline.addEntries(newEntries);
         }
+        if (this._threadTimeline) {
+            this._threadTimeline.replaceEntries(updatedEntries);
+            this._threadTimeline.addEntries(newEntries);
+        }
         if (this._observedEvents) {
             this._observedEvents.updateEvents(updatedEntries);
             this._observedEvents.updateEvents(newEntries);
@@ -337,6 +376,14 @@ export class Room extends BaseRoom {
                     return this._roomEncryption.flushPendingRoomKeyShares(this._hsApi, roomKeyShares, log);
                 });
             }
+            const historyKeyShares = pendingOperations?.get("share_history_keys");
+            if (historyKeyShares) {
+                // if we got interrupted last time sending the history keys to invited users
+                parentLog.wrapDetached("flush history keys", log => {
+                    log.set("id", this.id);
+                    return this._roomEncryption.flushPendingHistoryKeyShares(this._hsApi, historyKeyShares, log);
+                });
+            }
         }
         
         this._sendQueue.resumeSending(parentLog);
@@ -388,6 +435,22 @@ export class Room extends BaseRoom {
         });
     }
 
+    /**
+     * Allow sending again after sending was refused because of new unverified devices,
+     * and retry sending the pending events.
+     * @public
+     */
+    async acknowledgeNewDevices(log = null) {
+        if (!this._roomEncryption) {
+            return;
+        }
+        return this._platform.logger.wrapOrRun(log, "acknowledgeNewDevices", async log => {
+            log.set("id", this.id);
+            await this._roomEncryption.acknowledgeNewDevices(this._hsApi, log);
+            this._sendQueue.resumeSending(log);
+        });
+    }
+
     get avatarColorId() {
         return this._heroes?.roomAvatarColorId || this._roomId;
     }
@@ -419,7 +482,11 @@ export class Room extends BaseRoom {
         }
     }
 
-    async clearUnread(log = null) {
+    /**
+     * Marks the room as read, and sends a read receipt for the last event
+     * @param {ReceiptType} [receiptType] send an m.read.private receipt to not let the other members know
+     */
+    async clearUnread(receiptType = ReceiptType.Read, log = null) {
         if (this.isUnread || this.notificationCount) {
             return await this._platform.logger.wrapOrRun(log, "clearUnread", async log => {
                 log.set("id", this.id);
@@ -440,7 +507,7 @@ export class Room extends BaseRoom {
                 try {
                     const lastEventId = await this._getLastEventId();
                     if (lastEventId) {
-                        await this._hsApi.receipt(this._roomId, "m.read", lastEventId);
+                        await this._hsApi.receipt(this._roomId, receiptType, lastEventId);
                     }
                 } catch (err) {
                     // ignore ConnectionError
@@ -452,6 +519,71 @@ export class Room extends BaseRoom {
         }
     }
 
+    /**
+     * Moves the fully read marker, which is where the "new messages" divider is shown when opening the room
+     * @param {string} eventId the event the user has read all messages up to
+     */
+    async setFullyRead(eventId, log = null) {
+        if (eventId === this.fullyReadEventId) {
+            return;
+        }
+        return await this._platform.logger.wrapOrRun(log, "setFullyRead", async log => {
+            log.set("id", this.id);
+            log.set("eventId", eventId);
+            const txn = await this._storage.readWriteTxn([
+                this._storage.storeNames.roomSummary,
+            ]);
+            let data;
+            try {
+                data = this._summary.writeFullyRead(eventId, txn);
+            } catch (err) {
+                txn.abort();
+                throw err;
+            }
+            await txn.complete();
+            this._summary.applyChanges(data);
+            this._emitUpdate();
+
+            try {
+                await this._hsApi.readMarkers(this._roomId, {"m.fully_read": eventId}, {log}).response();
+            } catch (err) {
+                // ignore ConnectionError, the marker will be moved again when reading further
+                if (err.name !== "ConnectionError") {
+                    throw err;
+                }
+            }
+        });
+    }
+
+    /** @return {ObservableArray<RoomMember>} the other members that are typing a message in this room */
+    get typingMembers() {
+        return this._typingMembers;
+    }
+
+    /**
+     * Lets the other members know whether we are typing
+     * @param {boolean} isTyping
+     * @param {number} [timeout] after how many ms the server should consider us to have stopped typing
+     */
+    async sendTyping(isTyping, timeout = undefined) {
+        try {
+            await this._hsApi.typing(this._roomId, this._user.id, isTyping, isTyping ? timeout : undefined).response();
+        } catch (err) {
+            // ignore ConnectionError
+            if (err.name !== "ConnectionError") {
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * The sticker packs (MSC2545) that can be used in this room
+     * @return {Promise<Array<{id, name, avatarUrl, stickers}>>}
+     */
+    loadStickerPacks() {
+        return loadStickerPacks(this._roomId, this.name, this._storage);
+    }
+
     leave(log = null) {
         return this._platform.logger.wrapOrRun(log, "leave room", async log => {
             log.set("id", this.id);
@@ -459,6 +591,18 @@ export class Room extends BaseRoom {
         });
     }
 
+    /** Invites a user to the room, and shares the room history keys with them if the history visibility allows so */
+    inviteUser(userId, log = null) {
+        return this._platform.logger.wrapOrRun(log, "invite user", async log => {
+            log.set("id", this.id);
+            log.set("userId", userId);
+            await this._hsApi.invite(this.id, userId, {log}).response();
+            if (this._roomEncryption) {
+                await log.wrap("share history keys", log => this._roomEncryption.shareHistoryWithInvitees([userId], this._hsApi, log));
+            }
+        });
+    }
+
     /* called by BaseRoom to pass pendingEvents when opening the timeline */
     _getPendingEvents() {
         return this._sendQueue.pendingEvents;
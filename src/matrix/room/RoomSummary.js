@@ -91,6 +91,12 @@ function processRoomAccountData(data, event) {
         }
         data = data.cloneIfNeeded();
         data.tags = tags;
+    } else if (event?.type === "m.fully_read") {
+        const eventId = event.content?.event_id;
+        if (typeof eventId === "string" && eventId !== data.fullyReadEventId) {
+            data = data.cloneIfNeeded();
+            data.fullyReadEventId = eventId;
+        }
     }
     return data;
 }
@@ -198,6 +204,7 @@ export class SummaryData {
         this.notificationCount = copy ? copy.notificationCount : 0;
         this.highlightCount = copy ? copy.highlightCount : 0;
         this.tags = copy ? copy.tags : null;
+        this.fullyReadEventId = copy ? copy.fullyReadEventId : null;
         this.isDirectMessage = copy ? copy.isDirectMessage : false;
         this.dmUserId = copy ? copy.dmUserId : null;
         this.cloned = copy ? true : false;
@@ -263,6 +270,13 @@ export class RoomSummary {
         return data;
     }
 
+    writeFullyRead(eventId, txn) {
+        const data = new SummaryData(this._data);
+        data.fullyReadEventId = eventId;
+        txn.roomSummary.set(data.serialize());
+        return data;
+    }
+
     writeHasFetchedMembers(value, txn) {
         const data = new SummaryData(this._data);
         data.hasFetchedMembers = value;
@@ -333,6 +347,16 @@ export function tests() {
             assert.equal(serialized.roomId, roomId);
             const nullCount = Object.values(serialized).reduce((count, value) => count + value === null ? 1 : 0, 0);
             assert.strictEqual(nullCount, 0);
-        }
+        },
+        "fully read marker is taken from the room account data": assert => {
+            const data = new SummaryData(null, "!123:hs.tld");
+            const roomResponse = {account_data: {events: [
+                {type: "m.fully_read", content: {event_id: "$abc"}},
+                {type: "m.fully_read", content: {}},
+            ]}};
+            const newData = data.applySyncResponse(roomResponse, "join", "@me:hs.tld");
+            assert.equal(newData.fullyReadEventId, "$abc");
+            assert.equal(data.fullyReadEventId, null);
+        },
     }
 }
@@ -103,6 +103,27 @@ export async function fetchOrLoadMember(options, logger) {
     return member;
 }
 
+/**
+ * Loads the members for the given user ids in a txn, preferring the member changes of a sync if passed.
+ * Users we don't have a member for are returned as joined members without a profile.
+ * @return {Promise<Map<string, RoomMember>>}
+ */
+export async function loadMembersByUserId(roomId, userIds, memberChanges, txn) {
+    const members = new Map();
+    for (const userId of userIds) {
+        if (members.has(userId)) {
+            continue;
+        }
+        let member = memberChanges?.get(userId)?.member;
+        if (!member) {
+            const memberData = await txn.roomMembers.get(roomId, userId);
+            member = memberData ? new RoomMember(memberData) : RoomMember.fromUserId(roomId, userId, "join");
+        }
+        members.set(userId, member);
+    }
+    return members;
+}
+
 async function loadMember({roomId, userId, storage}) {
     const txn = await storage.readTxn([storage.storeNames.roomMembers,]);
     const member = await txn.roomMembers.get(roomId, userId);
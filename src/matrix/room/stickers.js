@@ -0,0 +1,158 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// image packs as in MSC2545
+// the personal pack of the user, in account data
+export const USER_EMOTES_TYPE = "im.ponies.user_emotes";
+// packs of a room, in room state, one per state key
+export const ROOM_EMOTES_TYPE = "im.ponies.room_emotes";
+// packs of other rooms the user enabled everywhere, in account data
+export const EMOTE_ROOMS_TYPE = "im.ponies.emote_rooms";
+export const STICKER_TYPE = "m.sticker";
+
+const USAGE_STICKER = "sticker";
+
+function isStickerUsage(usage, packUsage) {
+    // images without usage inherit it from the pack, and packs without usage are for everything
+    const effectiveUsage = Array.isArray(usage) ? usage : packUsage;
+    return !Array.isArray(effectiveUsage) || effectiveUsage.includes(USAGE_STICKER);
+}
+
+/**
+ * @param {string} id a unique id for the pack, e.g. where it came from
+ * @param {object} content the content of the image pack event
+ * @param {string} fallbackName name to use when the pack doesn't have a display name
+ * @return {{id, name, avatarUrl, stickers: Array<{shortcode, url, body, info}>}?}
+ *     the pack with only the images that can be used as stickers, or null if it has none
+ */
+export function parseStickerPack(id, content, fallbackName) {
+    const images = content?.images;
+    if (!images || typeof images !== "object") {
+        return null;
+    }
+    const pack = content.pack ?? {};
+    const stickers = [];
+    for (const [shortcode, image] of Object.entries(images)) {
+        if (typeof image?.url !== "string" || !image.url.startsWith("mxc://")) {
+            continue;
+        }
+        if (!isStickerUsage(image.usage, pack.usage)) {
+            continue;
+        }
+        stickers.push({
+            shortcode,
+            url: image.url,
+            body: typeof image.body === "string" ? image.body : shortcode,
+            info: image.info ?? {},
+        });
+    }
+    if (stickers.length === 0) {
+        return null;
+    }
+    return {
+        id,
+        name: typeof pack.display_name === "string" ? pack.display_name : fallbackName,
+        avatarUrl: typeof pack.avatar_url === "string" ? pack.avatar_url : null,
+        stickers,
+    };
+}
+
+async function readRoomPacks(txn, roomId, roomName, stateKeys = null) {
+    const entries = await txn.roomState.getAllForType(roomId, ROOM_EMOTES_TYPE);
+    const packs = [];
+    for (const {event} of entries) {
+        if (stateKeys && !stateKeys.includes(event.state_key)) {
+            continue;
+        }
+        const pack = parseStickerPack(`${roomId}|${event.state_key}`, event.content, event.state_key || roomName);
+        if (pack) {
+            packs.push(pack);
+        }
+    }
+    return packs;
+}
+
+/**
+ * Reads the sticker packs the user can use in a room from storage:
+ * their personal pack, the packs of the room and the packs of other rooms they enabled everywhere.
+ * Packs of other rooms can only be read if we are (or were) in those rooms.
+ * @param {string} roomName the name of the room, for packs of the room without a name of their own
+ */
+export async function loadStickerPacks(roomId, roomName, storage) {
+    const txn = await storage.readTxn([
+        storage.storeNames.accountData,
+        storage.storeNames.roomState,
+    ]);
+    const packs = [];
+    const userEmotes = await txn.accountData.get(USER_EMOTES_TYPE);
+    const userPack = parseStickerPack(USER_EMOTES_TYPE, userEmotes?.content, "Personal");
+    if (userPack) {
+        packs.push(userPack);
+    }
+    packs.push(...await readRoomPacks(txn, roomId, roomName));
+    const emoteRooms = (await txn.accountData.get(EMOTE_ROOMS_TYPE))?.content?.rooms;
+    if (emoteRooms && typeof emoteRooms === "object") {
+        for (const [otherRoomId, stateKeys] of Object.entries(emoteRooms)) {
+            if (otherRoomId !== roomId && stateKeys && typeof stateKeys === "object") {
+                packs.push(...await readRoomPacks(txn, otherRoomId, otherRoomId, Object.keys(stateKeys)));
+            }
+        }
+    }
+    return packs;
+}
+
+export function createStickerContent(sticker) {
+    return {
+        body: sticker.body,
+        info: sticker.info,
+        url: sticker.url,
+    };
+}
+
+import {createMockStorage} from "../../mocks/Storage";
+
+export function tests() {
+    return {
+        "only images for stickers are in the pack": assert => {
+            const pack = parseStickerPack("p", {
+                pack: {display_name: "Cats", usage: ["emoticon"]},
+                images: {
+                    smile: {url: "mxc://hs/smile"},
+                    cat: {url: "mxc://hs/cat", body: "A cat", usage: ["sticker"]},
+                    broken: {url: "https://example.com/cat.png", usage: ["sticker"]},
+                },
+            }, "fallback");
+            assert.equal(pack.name, "Cats");
+            assert.deepEqual(pack.stickers, [{shortcode: "cat", url: "mxc://hs/cat", body: "A cat", info: {}}]);
+            assert.equal(parseStickerPack("p", {images: {smile: {url: "mxc://hs/smile", usage: ["emoticon"]}}}, "f"), null);
+        },
+        "packs are read from account data and room state": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.accountData, storage.storeNames.roomState]);
+            txn.accountData.set({type: USER_EMOTES_TYPE, content: {images: {a: {url: "mxc://hs/a"}}}});
+            txn.accountData.set({type: EMOTE_ROOMS_TYPE, content: {rooms: {"!other": {"enabled": {}}}}});
+            txn.roomState.set("!room", {type: ROOM_EMOTES_TYPE, state_key: "", content: {images: {b: {url: "mxc://hs/b"}}}});
+            txn.roomState.set("!other", {type: ROOM_EMOTES_TYPE, state_key: "enabled", content: {pack: {display_name: "Other"}, images: {c: {url: "mxc://hs/c"}}}});
+            txn.roomState.set("!other", {type: ROOM_EMOTES_TYPE, state_key: "disabled", content: {images: {d: {url: "mxc://hs/d"}}}});
+            txn.roomState.set("!room", {type: "m.room.name", state_key: "", content: {name: "Room"}});
+            await txn.complete();
+            const packs = await loadStickerPacks("!room", "Room", storage);
+            assert.deepEqual(packs.map(p => p.id), [USER_EMOTES_TYPE, "!room|", "!other|enabled"]);
+            assert.deepEqual(packs.map(p => p.name), ["Personal", "Room", "Other"]);
+            assert.equal(packs[2].stickers[0].url, "mxc://hs/c");
+        },
+    };
+}
@@ -0,0 +1,297 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {Timeline} from "./Timeline.js";
+import {EventEntry} from "./entries/EventEntry.js";
+import {PENDING_FRAGMENT_ID} from "./entries/BaseEntry";
+import {THREAD_RELATION_TYPE} from "./relations.js";
+import {ConnectionError} from "../../error.js";
+
+/**
+ * The events of a thread come from storage as well as from the homeserver,
+ * and can be spread over fragments we don't know the order of,
+ * so they are sorted by timestamp instead.
+ */
+export class ThreadEventEntry extends EventEntry {
+    static fromEntry(entry) {
+        const threadEntry = new ThreadEventEntry(entry._eventEntry, entry._fragmentIdComparer);
+        threadEntry.updateFrom(entry);
+        return threadEntry;
+    }
+
+    clone() {
+        return ThreadEventEntry.fromEntry(this);
+    }
+
+    // events fetched from the homeserver are not in a fragment
+    get fragmentId() {
+        return this._eventEntry.fragmentId ?? 0;
+    }
+
+    get entryIndex() {
+        return this._eventEntry.eventIndex ?? 0;
+    }
+
+    compare(otherEntry) {
+        if (otherEntry.fragmentId === PENDING_FRAGMENT_ID) {
+            return -1;
+        }
+        if (this.timestamp !== otherEntry.timestamp) {
+            return this.timestamp - otherEntry.timestamp;
+        }
+        if (this.id === otherEntry.id) {
+            return 0;
+        }
+        return this.id < otherEntry.id ? -1 : 1;
+    }
+}
+
+/**
+ * Timeline with the root of a thread and its replies. The replies we have in storage
+ * are found through their m.thread relation, older replies are paginated from the homeserver.
+ * Pending events that are not part of the thread are also in the entries,
+ * and should be filtered out when rendering.
+ */
+export class ThreadTimeline extends Timeline {
+    constructor(options) {
+        super(options);
+        this._rootId = options.rootId;
+        this._nextBatch = null;
+        this._hasFetchedLatest = false;
+        this._fetchLatestPromise = null;
+    }
+
+    get rootId() {
+        return this._rootId;
+    }
+
+    /** @package */
+    async load(user, membership, log) {
+        const txn = await this._storage.readTxn([
+            this._storage.storeNames.timelineEvents,
+            this._storage.storeNames.timelineRelations,
+            this._storage.storeNames.roomMembers,
+        ]);
+        await this._loadOwnMember(user, membership, txn);
+        const storageEntries = [];
+        const root = await txn.timelineEvents.getByEventId(this._roomId, this._rootId);
+        if (root) {
+            storageEntries.push(root);
+        }
+        const relations = await txn.timelineRelations.getForTargetAndType(this._roomId, this._rootId, THREAD_RELATION_TYPE);
+        for (const relation of relations) {
+            const reply = await txn.timelineEvents.getByEventId(this._roomId, relation.sourceEventId);
+            if (reply) {
+                storageEntries.push(reply);
+            }
+        }
+        const entries = storageEntries.map(e => new ThreadEventEntry(e, this._fragmentIdComparer));
+        if (this._decryptEntries && entries.length) {
+            await this._decryptEntries(entries, null, log).complete();
+        }
+        entries.sort((a, b) => a.compare(b));
+        this._loadContextEntriesWhereNeeded(entries);
+        this._setupEntries(entries);
+        // what we have in storage is shown already, the homeserver might not be reachable
+        const fetchLog = log.runDetached("fetch latest thread replies", log => {
+            this._fetchLatestPromise = this._fetchLatest(!root, log);
+            return this._fetchLatestPromise;
+        });
+        log.refDetached(fetchLog);
+    }
+
+    /**
+     * Fetches the root if we don't have it in storage, and the latest replies from the homeserver,
+     * and adds the ones we don't have yet.
+     * Doesn't throw when offline, loadAtTop tries again.
+     */
+    async _fetchLatest(isRootMissing, log) {
+        try {
+            const entries = [];
+            if (isRootMissing && !this.getByEventId(this._rootId)) {
+                entries.push(ThreadEventEntry.fromEntry(await this._getEventFromHomeserver(this._rootId)));
+            }
+            entries.push(...await this._fetchReplies(log));
+            this._hasFetchedLatest = true;
+            this._addFetchedEntries(entries);
+        } catch (err) {
+            if (err instanceof ConnectionError) {
+                log?.set("offline", true);
+            } else {
+                log?.catch(err);
+            }
+        }
+    }
+
+    /**
+     * Loads older replies from the homeserver
+     * @return {boolean} true if the start of the thread has been reached, or if it can't be reached right now
+     */
+    async loadAtTop(/*amount*/) {
+        if (this._disposables.isDisposed) {
+            return true;
+        }
+        await this._fetchLatestPromise;
+        if (!this._hasFetchedLatest) {
+            // we were offline when loading, try again
+            this._fetchLatestPromise = this._fetchLatest(!this.getByEventId(this._rootId), null);
+            await this._fetchLatestPromise;
+            return !this._hasFetchedLatest || !this._nextBatch;
+        }
+        if (!this._nextBatch) {
+            return true;
+        }
+        try {
+            this._addFetchedEntries(await this._fetchReplies(null, this._nextBatch));
+        } catch (err) {
+            if (err instanceof ConnectionError) {
+                return true;
+            }
+            throw err;
+        }
+        return !this._nextBatch;
+    }
+
+    _addFetchedEntries(entries) {
+        if (this._disposables.isDisposed) {
+            return;
+        }
+        const newEntries = entries.filter(e => !this.getByEventId(e.id));
+        this._loadContextEntriesWhereNeeded(newEntries);
+        this._remoteEntries.setManySorted(newEntries);
+    }
+
+    async _fetchReplies(log, from = undefined) {
+        const response = await this._hsApi.relations(this._roomId, this._rootId, THREAD_RELATION_TYPE,
+            {dir: "b", limit: 20, from}, {log}).response();
+        this._nextBatch = response.next_batch;
+        const txn = await this._storage.readTxn([this._storage.storeNames.roomMembers]);
+        const entries = await Promise.all(response.chunk.map(async event => {
+            const member = await txn.roomMembers.get(this._roomId, event.sender);
+            return new ThreadEventEntry({
+                event,
+                displayName: member?.displayName,
+                avatarUrl: member?.avatarUrl
+            }, this._fragmentIdComparer);
+        }));
+        if (this._decryptEntries && entries.length) {
+            await this._decryptEntries(entries, null, log).complete();
+        }
+        return entries;
+    }
+
+    _threadEntries(entries) {
+        return entries.filter(e => {
+            return e.id === this._rootId || (e.isThreadReply && e.relatedEventId === this._rootId);
+        }).map(e => ThreadEventEntry.fromEntry(e));
+    }
+
+    /** @package */
+    replaceEntries(entries) {
+        super.replaceEntries(this._threadEntries(entries));
+    }
+
+    /** @package */
+    addEntries(newEntries) {
+        super.addEntries(this._threadEntries(newEntries));
+    }
+}
+
+import {createMockStorage} from "../../../mocks/Storage";
+import {createEvent, withTextBody, withContent} from "../../../mocks/event.js";
+import {Clock as MockClock} from "../../../mocks/Clock.js";
+import {NullLogItem} from "../../../logging/NullLogger";
+import {FragmentIdComparer} from "./FragmentIdComparer.js";
+import {User} from "../../User.js";
+import {createThreadReply} from "./relations.js";
+
+export function tests() {
+    const roomId = "$abc";
+    const alice = "@alice:hs.tld";
+    const bob = "@bob:hs.tld";
+
+    function createReply(id, ts, sender) {
+        const reply = withContent(createThreadReply("!root", "!root", {msgtype: "m.text", body: id}), createEvent("m.room.message", id, sender));
+        reply.origin_server_ts = ts;
+        return reply;
+    }
+
+    return {
+        "load merges replies from storage and homeserver, and adds new replies from sync": async assert => {
+            const root = withTextBody("root", createEvent("m.room.message", "!root", alice));
+            root.origin_server_ts = 1;
+            const storedReply = createReply("!r2", 20, bob);
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 1, event: root, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event: storedReply, roomId}, new NullLogItem());
+            txn.timelineRelations.add(roomId, "!root", THREAD_RELATION_TYPE, "!r2");
+            await txn.complete();
+            const requests = [];
+            const hsApi = {
+                relations(roomId, eventId, relType, params) {
+                    requests.push(params);
+                    const response = params.from ?
+                        {chunk: [createReply("!r1", 10, alice)]} :
+                        {chunk: [storedReply], next_batch: "next"};
+                    return {response: async () => response};
+                }
+            };
+            const timeline = new ThreadTimeline({roomId, rootId: "!root", storage, hsApi,
+                closeCallback: () => {}, fragmentIdComparer: new FragmentIdComparer([]), clock: new MockClock()});
+            await timeline.load(new User(alice), "join", new NullLogItem());
+            timeline.entries.subscribe({onAdd() {}, onUpdate() {}});
+            assert.deepEqual(Array.from(timeline.entries).map(e => e.id), ["!root", "!r2"]);
+            assert.equal(await timeline.loadAtTop(10), true);
+            assert.equal(requests[1].from, "next");
+            const otherMessage = new EventEntry({event: withTextBody("hi", createEvent("m.room.message", "!other", bob)), fragmentId: 1, eventIndex: 3}, null);
+            const newReply = new EventEntry({event: createReply("!r3", 30, alice), fragmentId: 1, eventIndex: 4}, null);
+            timeline.addEntries([otherMessage, newReply]);
+            assert.deepEqual(Array.from(timeline.entries).map(e => e.id), ["!root", "!r1", "!r2", "!r3"]);
+        },
+        "load shows the replies in storage when offline, and fetches the others once back online": async assert => {
+            const root = withTextBody("root", createEvent("m.room.message", "!root", alice));
+            root.origin_server_ts = 1;
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 1, event: root, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event: createReply("!r2", 20, bob), roomId}, new NullLogItem());
+            txn.timelineRelations.add(roomId, "!root", THREAD_RELATION_TYPE, "!r2");
+            await txn.complete();
+            let isOnline = false;
+            const hsApi = {
+                relations() {
+                    return {response: async () => {
+                        if (!isOnline) {
+                            throw new ConnectionError("offline");
+                        }
+                        return {chunk: [createReply("!r1", 10, alice)]};
+                    }};
+                }
+            };
+            const timeline = new ThreadTimeline({roomId, rootId: "!root", storage, hsApi,
+                closeCallback: () => {}, fragmentIdComparer: new FragmentIdComparer([]), clock: new MockClock()});
+            await timeline.load(new User(alice), "join", new NullLogItem());
+            timeline.entries.subscribe({onAdd() {}, onUpdate() {}});
+            assert.deepEqual(Array.from(timeline.entries).map(e => e.id), ["!root", "!r2"]);
+            assert.equal(await timeline.loadAtTop(10), true);
+            assert.deepEqual(Array.from(timeline.entries).map(e => e.id), ["!root", "!r2"]);
+            isOnline = true;
+            assert.equal(await timeline.loadAtTop(10), true);
+            assert.deepEqual(Array.from(timeline.entries).map(e => e.id), ["!root", "!r1", "!r2"]);
+        },
+    };
+}
@@ -27,7 +27,7 @@ import {NonPersistedEventEntry} from "./entries/NonPersistedEventEntry.js";
 import {EVENT_TYPE as MEMBER_EVENT_TYPE} from "../members/RoomMember.js";
 
 export class Timeline {
-    constructor({roomId, storage, closeCallback, fragmentIdComparer, pendingEvents, clock, powerLevelsObservable, hsApi}) {
+    constructor({roomId, storage, closeCallback, fragmentIdComparer, pendingEvents, clock, powerLevelsObservable, readReceipts, hsApi}) {
         this._roomId = roomId;
         this._storage = storage;
         this._closeCallback = closeCallback;
@@ -50,7 +50,13 @@ export class Timeline {
         /** Only used to decrypt non-persisted context entries fetched from the homeserver */
         this._decryptEntries = null;
         this._hsApi = hsApi;
+        /** The event the timeline was opened at, null if it was opened at the live end */
+        this._anchorEventId = null;
         this.initializePowerLevels(powerLevelsObservable);
+        this._readReceipts = readReceipts;
+        if (readReceipts) {
+            this._disposables.track(() => readReceipts.release());
+        }
     }
 
     initializePowerLevels(observable) {
@@ -61,28 +67,33 @@ export class Timeline {
     }
 
     /** @package */
-    async load(user, membership, log) {
+    load(user, membership, log) {
+        // choose good amount here between showing messages initially and
+        // not spending too much time decrypting messages before showing the timeline.
+        // more messages should be loaded automatically until the viewport is full by the view if needed.
+        return this._load(user, membership, txn => this._timelineReader.readFromEnd(20, txn, log));
+    }
+
+    /**
+     * Loads the timeline around the given event rather than at the live end.
+     * The event should be in storage already.
+     * @package
+     */
+    loadAtEvent(eventId, user, membership, log) {
+        this._anchorEventId = eventId;
+        return this._load(user, membership, txn => this._timelineReader.readAroundEvent(eventId, 10, txn, log));
+    }
+
+    async _load(user, membership, createReaderRequest) {
         const txn = await this._storage.readTxn(this._timelineReader.readTxnStores.concat(
             this._storage.storeNames.roomMembers,
             this._storage.storeNames.roomState
         ));
-        const memberData = await txn.roomMembers.get(this._roomId, user.id);
-        if (memberData) {
-            this._ownMember = new RoomMember(memberData);
-        } else {
-            // this should never happen, as our own join into the room would have
-            // made us receive our own member event, but just to be on the safe side and not crash,
-            // fall back to bare user id
-            this._ownMember = RoomMember.fromUserId(this._roomId, user.id, membership);
-        }
+        await this._loadOwnMember(user, membership, txn);
         // it should be fine to not update the local entries,
         // as they should only populate once the view subscribes to it
         // if they are populated already, the sender profile would be empty
-
-        // choose good amount here between showing messages initially and
-        // not spending too much time decrypting messages before showing the timeline.
-        // more messages should be loaded automatically until the viewport is full by the view if needed.
-        const readerRequest = this._disposables.track(this._timelineReader.readFromEnd(20, txn, log));
+        const readerRequest = this._disposables.track(createReaderRequest(txn));
         try {
             const entries = await readerRequest.complete();
             this._loadContextEntriesWhereNeeded(entries);
@@ -93,6 +104,18 @@ export class Timeline {
         // txn should be assumed to have finished here, as decryption will close it.
     }
 
+    async _loadOwnMember(user, membership, txn) {
+        const memberData = await txn.roomMembers.get(this._roomId, user.id);
+        if (memberData) {
+            this._ownMember = new RoomMember(memberData);
+        } else {
+            // this should never happen, as our own join into the room would have
+            // made us receive our own member event, but just to be on the safe side and not crash,
+            // fall back to bare user id
+            this._ownMember = RoomMember.fromUserId(this._roomId, user.id, membership);
+        }
+    }
+
     _setupEntries(timelineEntries) {
         this._remoteEntries.setManySorted(timelineEntries);
         if (this._pendingEvents) {
@@ -254,6 +277,7 @@ export class Timeline {
 
     /** @package */
     addEntries(newEntries) {
+        newEntries = this._filterSortableEntries(newEntries);
         this._addLocalRelationsToNewRemoteEntries(newEntries);
         this._updateEntriesFetchedFromHomeserver(newEntries);
         this._moveEntryToRemoteEntries(newEntries);
@@ -261,6 +285,29 @@ export class Timeline {
         this._remoteEntries.setManySorted(newEntries);
     }
 
+    /**
+     * Entries on fragments that are not connected to the loaded ones can't be sorted
+     * in between them, like the entries from sync when the timeline was opened at an event further back.
+     * Those are left out until the fragments get linked up by filling the gaps in between.
+     */
+    _filterSortableEntries(entries) {
+        if (this._remoteEntries.length === 0) {
+            return entries;
+        }
+        const loadedEntry = this._remoteEntries.get(0);
+        return entries.filter(entry => {
+            try {
+                entry.compare(loadedEntry);
+                return true;
+            } catch (err) {
+                if (err.name === "CompareError") {
+                    return false;
+                }
+                throw err;
+            }
+        });
+    }
+
     /**
      * Update entries based on newly received events.
      * This is specific to events that are not in the timeline but had to be fetched from the homeserver
@@ -416,6 +463,33 @@ export class Timeline {
         }
     }
 
+    /**
+     * Appends `amount` entries from storage to the `entries` list,
+     * only needed when the timeline was not opened at the live end.
+     * @return {boolean} true if the bottom of the timeline that is in storage has been reached
+     */
+    async loadAtBottom(amount) {
+        if (this._disposables.isDisposed) {
+            return true;
+        }
+        const lastEventEntry = this._remoteEntries.array.slice().reverse().find(e => !!e.eventType);
+        if (!lastEventEntry) {
+            return true;
+        }
+        const readerRequest = this._disposables.track(this._timelineReader.readFrom(
+            lastEventEntry.asEventKey(),
+            Direction.Forward,
+            amount
+        ));
+        try {
+            const entries = await readerRequest.complete();
+            this.addEntries(entries);
+            return entries.length < amount;
+        } finally {
+            this._disposables.disposeTracked(readerRequest);
+        }
+    }
+
     async _getOrLoadEntry(txnId, eventId) {
         if (txnId) {
             // also look for redacting relation in pending events, in case the target is already being sent
@@ -441,6 +515,14 @@ export class Timeline {
         return null;
     }
 
+    /**
+     * @public
+     * @return {ObservableMap<string, {userId, eventId, ts, member}> | undefined} the event each member has read up to, by user id
+     */
+    get readReceipts() {
+        return this._readReceipts?.receipts;
+    }
+
     /** @public */
     get entries() {
         return this._allEntries;
@@ -473,6 +555,11 @@ export class Timeline {
         return this._powerLevels;
     }
 
+    /** @return {string | null} the event the timeline was opened at, or null if it was opened at the live end */
+    get anchorEventId() {
+        return this._anchorEventId;
+    }
+
     get me() {
         return this._ownMember;
     }
@@ -490,6 +577,8 @@ import {User} from "../../User.js";
 import {PendingEvent} from "../sending/PendingEvent.js";
 import {createAnnotation} from "./relations.js";
 import {redactEvent} from "./common.js";
+import {EventKey} from "./EventKey";
+import {createEventEntry} from "./persistence/common.js";
 
 export function tests() {
     const fragmentIdComparer = new FragmentIdComparer([]);
@@ -861,6 +950,32 @@ export function tests() {
             assert.deepEqual(movedEntry, entryA);
             assert.deepEqual(movedEntry.contextForEntries[0], entryB);
             assert.deepEqual(entryB.contextEntry, movedEntry);
-        }
+        },
+        "timeline loaded at an event has gaps on both sides and leaves out entries it can't sort": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineFragments, storage.storeNames.timelineEvents]);
+            const detachedFragment = {roomId, id: 5, previousId: null, nextId: null, previousToken: "prev", nextToken: "next"};
+            txn.timelineFragments.add(detachedFragment);
+            let eventKey = EventKey.defaultFragmentKey(5);
+            for (const id of ["$a", "$b", "$c"]) {
+                eventKey = eventKey.nextKey();
+                await txn.timelineEvents.tryInsert(createEventEntry(eventKey, roomId, withTextBody(id, createEvent("m.room.message", id, alice))), new NullLogItem());
+            }
+            await txn.complete();
+            const fragmentIdComparer = new FragmentIdComparer([{id: 0, previousId: null, nextId: null}]);
+            const timeline = new Timeline({roomId, storage, closeCallback: () => {},
+                fragmentIdComparer, pendingEvents: new ObservableArray(), clock: new MockClock()});
+            await timeline.loadAtEvent("$b", new User(alice), "join", new NullLogItem());
+            assert.equal(timeline.anchorEventId, "$b");
+            const entries = timeline.remoteEntries;
+            assert.deepEqual(entries.map(e => e.id ?? e.token), ["prev", "$a", "$b", "$c", "next"]);
+            assert(entries[0].isGap);
+            assert(entries[4].isGap);
+            // an event from sync on the live fragment
+            const liveEntry = new EventEntry({event: withTextBody("live", createEvent("m.room.message", "$live", bob)), fragmentId: 0, eventIndex: 1}, fragmentIdComparer);
+            timeline.addEntries([liveEntry]);
+            assert.equal(timeline.getByEventId("$live"), null);
+            assert.equal(timeline.remoteEntries.length, 5);
+        },
     };
 }
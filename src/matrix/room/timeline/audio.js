@@ -0,0 +1,106 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// extensible events audio (MSC1767), carrying the duration and waveform
+export const UNSTABLE_AUDIO_KEY = "org.matrix.msc1767.audio";
+export const UNSTABLE_TEXT_KEY = "org.matrix.msc1767.text";
+// marks an audio message as a voice message (MSC3245)
+export const UNSTABLE_VOICE_KEY = "org.matrix.msc3245.voice";
+// the waveform is a list of integers between 0 and WAVEFORM_MAX
+export const WAVEFORM_MAX = 1024;
+// the amount of values in the waveform of voice messages we send
+const WAVEFORM_SAMPLES = 100;
+
+/**
+ * Resamples values to the given amount, by taking the maximum of the values that fall into each sample.
+ * If there are fewer values than samples, values are repeated.
+ */
+export function resampleWaveform(values, count) {
+    if (values.length === 0) {
+        return new Array(count).fill(0);
+    }
+    const samples = [];
+    for (let i = 0; i < count; i += 1) {
+        const start = Math.floor((i * values.length) / count);
+        const end = Math.max(start + 1, Math.floor(((i + 1) * values.length) / count));
+        samples.push(Math.max(...values.slice(start, end)));
+    }
+    return samples;
+}
+
+/**
+ * @param {object} content the content of an m.audio message
+ * @return {{duration: number?, waveform: number[]?, isVoice: boolean}}
+ *     the duration in milliseconds, if known, and the waveform with values between 0 and 1, if any.
+ */
+export function parseAudioInfo(content) {
+    const audio = content?.[UNSTABLE_AUDIO_KEY];
+    let duration = audio?.duration ?? content?.info?.duration;
+    if (!Number.isSafeInteger(duration) || duration < 0) {
+        duration = null;
+    }
+    let waveform = audio?.waveform;
+    if (Array.isArray(waveform) && waveform.length !== 0 && waveform.every(v => Number.isFinite(v))) {
+        waveform = waveform.map(v => Math.min(WAVEFORM_MAX, Math.max(0, v)) / WAVEFORM_MAX);
+    } else {
+        waveform = null;
+    }
+    return {duration, waveform, isVoice: !!content?.[UNSTABLE_VOICE_KEY]};
+}
+
+/**
+ * Creates the content of a voice message, the url, size and mimetype are filled in by the AttachmentUpload.
+ * @param {number} duration in milliseconds
+ * @param {number[]} amplitudes the loudness over the recording, between 0 and 1
+ */
+export function createVoiceMessage(duration, amplitudes) {
+    const body = "Voice message";
+    const waveform = resampleWaveform(amplitudes, WAVEFORM_SAMPLES)
+        .map(a => Math.round(Math.min(1, Math.max(0, a)) * WAVEFORM_MAX));
+    return {
+        msgtype: "m.audio",
+        body,
+        info: {duration},
+        [UNSTABLE_TEXT_KEY]: body,
+        [UNSTABLE_AUDIO_KEY]: {duration, waveform},
+        [UNSTABLE_VOICE_KEY]: {},
+    };
+}
+
+export function tests() {
+    return {
+        "resample waveform down and up": assert => {
+            assert.deepEqual(resampleWaveform([1, 5, 2, 3, 0, 4], 3), [5, 3, 4]);
+            assert.deepEqual(resampleWaveform([1, 2], 4), [1, 1, 2, 2]);
+            assert.deepEqual(resampleWaveform([], 2), [0, 0]);
+        },
+        "voice message content round trips": assert => {
+            const content = createVoiceMessage(3500, [0, 0.5, 1]);
+            assert.equal(content.msgtype, "m.audio");
+            assert.equal(content[UNSTABLE_AUDIO_KEY].waveform.length, WAVEFORM_SAMPLES);
+            const {duration, waveform, isVoice} = parseAudioInfo(content);
+            assert.equal(duration, 3500);
+            assert.equal(isVoice, true);
+            assert.equal(waveform[0], 0);
+            assert.equal(waveform[WAVEFORM_SAMPLES - 1], 1);
+        },
+        "plain audio file without waveform": assert => {
+            const info = parseAudioInfo({msgtype: "m.audio", body: "song.mp3", info: {duration: 1000}});
+            assert.deepEqual(info, {duration: 1000, waveform: null, isVoice: false});
+            assert.equal(parseAudioInfo({info: {duration: "long"}}).duration, null);
+        },
+    };
+}
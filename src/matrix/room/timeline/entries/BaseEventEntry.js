@@ -16,7 +16,7 @@ limitations under the License.
 
 import {BaseEntry} from "./BaseEntry";
 import {REDACTION_TYPE} from "../../common";
-import {createAnnotation, ANNOTATION_RELATION_TYPE, getRelationFromContent} from "../relations.js";
+import {createAnnotation, createReplacement, ANNOTATION_RELATION_TYPE, REPLACE_RELATION_TYPE, THREAD_RELATION_TYPE, REFERENCE_RELATION_TYPE, getRelationFromContent} from "../relations.js";
 import {PendingAnnotation} from "../PendingAnnotation.js";
 import {createReplyContent} from "./reply.js"
 
@@ -27,12 +27,29 @@ export class BaseEventEntry extends BaseEntry {
         super(fragmentIdComparer);
         this._pendingRedactions = null;
         this._pendingAnnotations = null;
+        this._pendingEdits = null;
+        this._pendingReferences = null;
         this._contextEntry = null;
         this._contextForEntries = null;
     }
 
     get isReply() {
-        return !!this.relation?.["m.in_reply_to"];
+        const relation = this.relation;
+        // thread replies only reply to the latest event in the thread as a fallback
+        return !!relation?.["m.in_reply_to"] && !relation.is_falling_back;
+    }
+
+    get isThreadReply() {
+        return this.relation?.rel_type === THREAD_RELATION_TYPE;
+    }
+
+    // only remote entries can be the root of a thread
+    get threadSummary() {
+        return null;
+    }
+
+    get threadLatestEntry() {
+        return null;
     }
 
     get isRedacting() {
@@ -97,6 +114,18 @@ export class BaseEventEntry extends BaseEntry {
                     if (this._addPendingAnnotation(entry)) {
                         return "pendingAnnotations";
                     }
+                } else if (relationEntry.relation.rel_type === REPLACE_RELATION_TYPE && !entry.redactingEntry) {
+                    if (!this._pendingEdits) {
+                        this._pendingEdits = [];
+                    }
+                    this._pendingEdits.push(entry);
+                    return "pendingEdit";
+                } else if (relationEntry.relation.rel_type === REFERENCE_RELATION_TYPE && !entry.redactingEntry) {
+                    if (!this._pendingReferences) {
+                        this._pendingReferences = [];
+                    }
+                    this._pendingReferences.push(entry);
+                    return "pendingReferences";
                 }
             }
         }
@@ -123,6 +152,26 @@ export class BaseEventEntry extends BaseEntry {
                     if (this._removePendingAnnotation(entry)) {
                         return "pendingAnnotations";
                     }
+                } else if (relationEntry.relation?.rel_type === REPLACE_RELATION_TYPE && this._pendingEdits) {
+                    const countBefore = this._pendingEdits.length;
+                    this._pendingEdits = this._pendingEdits.filter(e => e !== entry);
+                    const countAfter = this._pendingEdits.length;
+                    if (countAfter === 0) {
+                        this._pendingEdits = null;
+                    }
+                    if (countBefore !== countAfter) {
+                        return "pendingEdit";
+                    }
+                } else if (relationEntry.relation?.rel_type === REFERENCE_RELATION_TYPE && this._pendingReferences) {
+                    const countBefore = this._pendingReferences.length;
+                    this._pendingReferences = this._pendingReferences.filter(e => e !== entry);
+                    const countAfter = this._pendingReferences.length;
+                    if (countAfter === 0) {
+                        this._pendingReferences = null;
+                    }
+                    if (countBefore !== countAfter) {
+                        return "pendingReferences";
+                    }
                 }
             }
         }
@@ -181,8 +230,32 @@ export class BaseEventEntry extends BaseEntry {
         return createAnnotation(this.id, key);
     }
 
-    reply(msgtype, body) {
-        return createReplyContent(this, msgtype, body);
+    reply(msgtype, body, formattedBody = null, mentions = null) {
+        return createReplyContent(this, msgtype, body, formattedBody, mentions);
+    }
+
+    edit(msgtype, body, formattedBody = null, mentions = null) {
+        const content = {msgtype, body};
+        if (formattedBody) {
+            content.format = "org.matrix.custom.html";
+            content.formatted_body = formattedBody;
+        }
+        if (mentions) {
+            content["m.mentions"] = mentions;
+        }
+        return createReplacement(this.id, content, this.content);
+    }
+
+    /** the new content of the latest edit that is still being sent, if any */
+    get pendingEditContent() {
+        if (this._pendingEdits) {
+            return this._pendingEdits[this._pendingEdits.length - 1].content?.["m.new_content"];
+        }
+        return undefined;
+    }
+
+    get isEdited() {
+        return !!this._pendingEdits;
     }
 
     /** takes both remote event id and local txn id into account, see overriding in PendingEventEntry */
@@ -205,7 +278,8 @@ export class BaseEventEntry extends BaseEntry {
     }
 
     get relation() {
-        return getRelationFromContent(this.content);
+        // an edit doesn't change the relation of an event
+        return getRelationFromContent(this.originalContent);
     }
 
     get pendingAnnotations() {
@@ -215,4 +289,14 @@ export class BaseEventEntry extends BaseEntry {
     get annotations() {
         return null; //overwritten in EventEntry
     }
+
+    /** the events referencing this one, like the votes on a poll, overwritten in EventEntry */
+    get referenceEntries() {
+        return [];
+    }
+
+    /** the events referencing this one that are still being sent */
+    get pendingReferenceEntries() {
+        return this._pendingReferences ?? [];
+    }
 }
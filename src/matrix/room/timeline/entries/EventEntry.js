@@ -16,7 +16,7 @@ limitations under the License.
 
 import {BaseEventEntry} from "./BaseEventEntry.js";
 import {getPrevContentFromStateEvent, isRedacted} from "../../common";
-import {getRelationFromContent, getRelatedEventId} from "../relations.js";
+import {getRelationFromContent, getRelatedEventId, THREAD_RELATION_TYPE} from "../relations.js";
 
 export class EventEntry extends BaseEventEntry {
     constructor(eventEntry, fragmentIdComparer) {
@@ -24,6 +24,9 @@ export class EventEntry extends BaseEventEntry {
         this._eventEntry = eventEntry;
         this._decryptionError = null;
         this._decryptionResult = null;
+        this._replacingEntry = null;
+        this._threadLatestEntry = null;
+        this._referenceEntries = [];
     }
 
     clone() {
@@ -42,6 +45,21 @@ export class EventEntry extends BaseEventEntry {
         }
         this._contextForEntries = other.contextForEntries;
         this._contextEntry = other.contextEntry;
+        // keep the decryption result of the edit and latest thread reply around as well
+        const replacingEntry = this.replacingEntry;
+        if (replacingEntry && other._replacingEntry?.id === replacingEntry.id) {
+            replacingEntry.updateFrom(other._replacingEntry);
+        }
+        const threadLatestEntry = this.threadLatestEntry;
+        if (threadLatestEntry && other._threadLatestEntry?.id === threadLatestEntry.id) {
+            threadLatestEntry.updateFrom(other._threadLatestEntry);
+        }
+        for (const referenceEntry of this.referenceEntries) {
+            const otherReferenceEntry = other._referenceEntries?.find(e => e.id === referenceEntry.id);
+            if (otherReferenceEntry) {
+                referenceEntry.updateFrom(otherReferenceEntry);
+            }
+        }
     }
 
     get event() {
@@ -57,9 +75,87 @@ export class EventEntry extends BaseEventEntry {
     }
 
     get content() {
+        return this.pendingEditContent ?? this._replacementContent ?? this.originalContent;
+    }
+
+    /** the content before applying any edits */
+    get originalContent() {
         return this._decryptionResult?.event?.content || this._eventEntry.event.content;
     }
 
+    /** the latest edit of this event, as aggregated by the RelationWriter */
+    get replacingEntry() {
+        const replacingEvent = this._eventEntry.replacingEvent;
+        if (!replacingEvent) {
+            return null;
+        }
+        if (this._replacingEntry?.id !== replacingEvent.event_id) {
+            this._replacingEntry = new EventEntry({event: replacingEvent}, this._fragmentIdComparer);
+        }
+        return this._replacingEntry;
+    }
+
+    /** the latest reply in the thread, if this is a thread root */
+    get threadLatestEntry() {
+        const latestEvent = this.threadSummary?.latestEvent;
+        if (!latestEvent) {
+            return null;
+        }
+        if (this._threadLatestEntry?.id !== latestEvent.event_id) {
+            this._threadLatestEntry = new EventEntry({event: latestEvent}, this._fragmentIdComparer);
+        }
+        return this._threadLatestEntry;
+    }
+
+    /** the events referencing this one, like the votes on a poll, as aggregated by the RelationWriter */
+    get referenceEntries() {
+        const references = this._eventEntry.references ?? [];
+        const entries = this._referenceEntries;
+        if (entries.length !== references.length || entries.some((e, i) => e.id !== references[i].event_id)) {
+            // keep the existing entries, so they keep their decryption result
+            this._referenceEntries = references.map(event => {
+                return entries.find(e => e.id === event.event_id) ?? new EventEntry({event}, this._fragmentIdComparer);
+            });
+        }
+        return this._referenceEntries;
+    }
+
+    /** entries aggregated onto this one that need to be decrypted along with it */
+    get aggregatedEntries() {
+        const entries = [];
+        if (this.replacingEntry) {
+            entries.push(this.replacingEntry);
+        }
+        if (this.threadLatestEntry) {
+            entries.push(this.threadLatestEntry);
+        }
+        entries.push(...this.referenceEntries);
+        return entries;
+    }
+
+    get _replacementContent() {
+        const replacingEntry = this.replacingEntry;
+        // the edit should have the same type and encryption as the original,
+        // which can only be checked once it is decrypted
+        if (!replacingEntry ||
+            replacingEntry.sender !== this.sender ||
+            replacingEntry.isEncrypted !== this.isEncrypted ||
+            replacingEntry.eventType !== this.eventType ||
+            replacingEntry.isRedacted
+        ) {
+            return undefined;
+        }
+        const newContent = replacingEntry.content?.["m.new_content"];
+        if (typeof newContent === "object" && newContent !== null) {
+            return newContent;
+        }
+        return undefined;
+    }
+
+    get isEdited() {
+        return super.isEdited || !!this._replacementContent;
+    }
+
     get prevContent() {
         // doesn't look at _decryptionResult because state events are not encrypted
         return getPrevContentFromStateEvent(this._eventEntry.event);
@@ -113,6 +209,22 @@ export class EventEntry extends BaseEventEntry {
         return this.isEncrypted && this._decryptionResult?.isUnverified;
     }
 
+    get isVerificationUnknown() {
+        return this.isEncrypted && this._decryptionResult?.isVerificationUnknown;
+    }
+
+    get isSenderDeviceVerified() {
+        return this.isEncrypted && this._decryptionResult?.isSenderDeviceVerified;
+    }
+
+    get isKeyFromBackup() {
+        return this.isEncrypted && this._decryptionResult?.isKeyFromBackup;
+    }
+
+    get isKeyForwarded() {
+        return this.isEncrypted && this._decryptionResult?.isKeyForwarded;
+    }
+
     setDecryptionError(err) {
         this._decryptionError = err;
     }
@@ -142,10 +254,27 @@ export class EventEntry extends BaseEventEntry {
         return this._eventEntry.annotations;
     }
 
+    /**
+     * The reply count and latest reply if this is the root of a thread,
+     * falls back to the summary the server bundled with the event.
+     * @return {{count: number, latestEvent: Object} | undefined}
+     */
+    get threadSummary() {
+        const summary = this._eventEntry.threadSummary;
+        if (summary) {
+            return summary;
+        }
+        const bundled = this._eventEntry.event.unsigned?.["m.relations"]?.[THREAD_RELATION_TYPE];
+        if (bundled?.latest_event) {
+            return {count: bundled.count, latestEvent: bundled.latest_event};
+        }
+        return undefined;
+    }
+
     get relation() {
         const originalContent = this._eventEntry.event.content;
         const originalRelation = originalContent && getRelationFromContent(originalContent);
-        return originalRelation || getRelationFromContent(this.content);
+        return originalRelation || getRelationFromContent(this.originalContent);
     }
 
     // similar to relatedEventID but only for replies
@@ -162,7 +291,7 @@ import {withTextBody, withContent, createEvent} from "../../../../mocks/event.js
 import {Clock as MockClock} from "../../../../mocks/Clock.js";
 import {PendingEventEntry} from "./PendingEventEntry.js";
 import {PendingEvent} from "../../sending/PendingEvent.js";
-import {createAnnotation} from "../relations.js";
+import {createAnnotation, createReplacement} from "../relations.js";
 
 export function tests() {
     let queueIndex = 0;
@@ -239,6 +368,41 @@ export function tests() {
                 "🚀"),
             "🚀");
             assert.equal(false, e8.haveAnnotation("🚀"));
+        },
+        "content of edited event": assert => {
+            const alice = "@alice:hs.tld";
+            const msgEvent = withTextBody("hi!", createEvent("m.room.message", "!abc", alice));
+            const replacement = createReplacement(msgEvent.event_id, {msgtype: "m.text", body: "hello!"});
+            const e1 = new EventEntry({event: msgEvent, replacingEvent: withContent(replacement, createEvent("m.room.message", "!def", alice))});
+            assert.equal(e1.content.body, "hello!");
+            assert.equal(e1.originalContent.body, "hi!");
+            assert.equal(e1.isEdited, true);
+            // only the sender can edit an event
+            const e2 = new EventEntry({event: msgEvent, replacingEvent: withContent(replacement, createEvent("m.room.message", "!def", "@bob:hs.tld"))});
+            assert.equal(e2.content.body, "hi!");
+            assert.equal(e2.isEdited, false);
+            // local echo of an edit takes precedence
+            queueIndex += 1;
+            e1.addLocalRelation(new PendingEventEntry({
+                pendingEvent: new PendingEvent({data: {
+                    eventType: "m.room.message",
+                    content: e1.edit("m.text", "hey!"),
+                    relatedEventId: e1.id,
+                    queueIndex,
+                    txnId: `t${queueIndex}`
+                }}),
+                clock
+            }));
+            assert.equal(e1.content.body, "hey!");
+        },
+        "edit only mentions users that weren't mentioned before": assert => {
+            const alice = "@alice:hs.tld";
+            const msgEvent = withContent({msgtype: "m.text", body: "hi bob", "m.mentions": {user_ids: ["@bob:hs.tld"]}},
+                createEvent("m.room.message", "!abc", alice));
+            const entry = new EventEntry({event: msgEvent});
+            const content = entry.edit("m.text", "hi bob and charly", null, {user_ids: ["@bob:hs.tld", "@charly:hs.tld"]});
+            assert.deepEqual(content["m.mentions"], {user_ids: ["@charly:hs.tld"]});
+            assert.deepEqual(content["m.new_content"]["m.mentions"], {user_ids: ["@bob:hs.tld", "@charly:hs.tld"]});
         }
     }
 }
@@ -39,6 +39,10 @@ export class PendingEventEntry extends BaseEventEntry {
     }
 
     get content() {
+        return this.pendingEditContent ?? this.originalContent;
+    }
+
+    get originalContent() {
         return this._pendingEvent.content;
     }
 
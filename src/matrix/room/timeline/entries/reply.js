@@ -18,6 +18,14 @@ function htmlEscape(string) {
     return string.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 }
 
+function plainToHTML(string) {
+    return htmlEscape(string).replace(/\n/g, "<br />");
+}
+
+function stripHTMLReplyFallback(formattedBody) {
+    return formattedBody.replace(/^[\s\S]*<\/mx-reply>/, "");
+}
+
 function fallbackForNonTextualMessage(msgtype) {
     switch (msgtype) {
         case "m.file":
@@ -36,8 +44,8 @@ function fallbackPrefix(msgtype) {
     return msgtype === "m.emote" ? "* " : "";
 }
 
-function _createReplyContent(targetId, msgtype, body, formattedBody) {
-    return {
+function _createReplyContent(targetId, msgtype, body, formattedBody, mentions) {
+    const content = {
         msgtype,
         body,
         "format": "org.matrix.custom.html",
@@ -48,27 +56,94 @@ function _createReplyContent(targetId, msgtype, body, formattedBody) {
             }
         }
     };
+    if (mentions) {
+        content["m.mentions"] = mentions;
+    }
+    return content;
+}
+
+/** Removes the quote of the replied-to message from the plain body of a reply */
+export function stripReplyFallback(body) {
+    const lines = body.split("\n");
+    let i = 0;
+    while (i < lines.length && lines[i].startsWith("> ")) {
+        i += 1;
+    }
+    // the quote is separated from the reply by an empty line
+    if (i > 0 && lines[i] === "") {
+        return lines.slice(i + 1).join("\n");
+    }
+    return body;
 }
 
-export function createReplyContent(entry, msgtype, body) {
+/**
+ * @param {string} body the plain body of the reply
+ * @param {string?} formattedBody the html of the reply, if it has any, otherwise the body is escaped
+ * @param {Object?} mentions the m.mentions of the reply
+ */
+export function createReplyContent(entry, msgtype, body, formattedBody = null, mentions = null) {
     // TODO check for absense of sender / body / msgtype / etc?
-    const nonTextual = fallbackForNonTextualMessage(entry.content.msgtype);
-    const prefix = fallbackPrefix(entry.content.msgtype);
+    const {content} = entry;
+    const nonTextual = fallbackForNonTextualMessage(content.msgtype);
+    const prefix = fallbackPrefix(content.msgtype);
     const sender = entry.sender;
     const name = entry.displayName || sender;
+    // don't quote the fallback of the message we reply to if it is a reply itself
+    let targetBody = typeof content.body === "string" ? content.body : "";
+    if (entry.isReply) {
+        targetBody = stripReplyFallback(targetBody);
+    }
 
-    const formattedBody = nonTextual || entry.content.formatted_body ||
-        (entry.content.body && htmlEscape(entry.content.body)) || "";
+    let targetFormattedBody;
+    if (nonTextual) {
+        targetFormattedBody = nonTextual;
+    } else if (content.format === "org.matrix.custom.html" && typeof content.formatted_body === "string") {
+        targetFormattedBody = entry.isReply ?
+            stripHTMLReplyFallback(content.formatted_body) : content.formatted_body;
+    } else {
+        targetFormattedBody = plainToHTML(targetBody);
+    }
     const formattedFallback = `<mx-reply><blockquote>In reply to ${prefix}` +
-        `<a href="https://matrix.to/#/${sender}">${name}</a><br />` +
-        `${formattedBody}</blockquote></mx-reply>`;
+        `<a href="https://matrix.to/#/${sender}">${htmlEscape(name)}</a><br />` +
+        `${targetFormattedBody}</blockquote></mx-reply>`;
 
-    const plainBody = nonTextual || entry.content.body || "";
-    const bodyLines = plainBody.split("\n");
+    const bodyLines = (nonTextual || targetBody).split("\n");
     bodyLines[0] = `> ${prefix}<${sender}> ${bodyLines[0]}`
     const plainFallback = bodyLines.join("\n> ");
 
     const newBody = plainFallback + '\n\n' + body;
-    const newFormattedBody = formattedFallback + htmlEscape(body);
-    return _createReplyContent(entry.id, msgtype, newBody, newFormattedBody);
+    const newFormattedBody = formattedFallback + (formattedBody ?? plainToHTML(body));
+    return _createReplyContent(entry.id, msgtype, newBody, newFormattedBody, mentions);
+}
+
+export function tests() {
+    return {
+        "reply to a reply only quotes the message without its own fallback": assert => {
+            const entry = {
+                id: "$reply",
+                sender: "@bob:hs.tld",
+                displayName: "Bob <3",
+                isReply: true,
+                content: {
+                    msgtype: "m.text",
+                    body: "> <@alice:hs.tld> hi\n\nhello\nthere",
+                    format: "org.matrix.custom.html",
+                    formatted_body: "<mx-reply><blockquote>hi</blockquote></mx-reply><em>hello</em><br />there",
+                },
+            };
+            const content = createReplyContent(entry, "m.text", "**yes**", "<strong>yes</strong>");
+            assert.equal(content.body, "> <@bob:hs.tld> hello\n> there\n\n**yes**");
+            assert.equal(content.formatted_body, `<mx-reply><blockquote>In reply to ` +
+                `<a href="https://matrix.to/#/@bob:hs.tld">Bob &lt;3</a><br />` +
+                `<em>hello</em><br />there</blockquote></mx-reply><strong>yes</strong>`);
+            assert.equal(content["m.relates_to"]["m.in_reply_to"].event_id, "$reply");
+        },
+        "plain messages keep their newlines in the html fallback": assert => {
+            const entry = {id: "$1", sender: "@bob:hs.tld", content: {msgtype: "m.text", body: "a <b>\nc"}};
+            const content = createReplyContent(entry, "m.text", "d\ne");
+            assert.equal(content.formatted_body, `<mx-reply><blockquote>In reply to ` +
+                `<a href="https://matrix.to/#/@bob:hs.tld">@bob:hs.tld</a><br />` +
+                `a &lt;b&gt;<br />c</blockquote></mx-reply>d<br />e`);
+        },
+    };
 }
@@ -15,6 +15,7 @@ limitations under the License.
 */
 
 import {EventKey} from "../EventKey";
+import {Direction} from "../Direction";
 import {EventEntry} from "../entries/EventEntry.js";
 import {createEventEntry, directionalAppend} from "./common.js";
 import {RoomMember, EVENT_TYPE as MEMBER_EVENT_TYPE} from "../../members/RoomMember.js";
@@ -44,6 +45,21 @@ export class GapWriter {
                     break;
                 }
             }
+        } else {
+            // a detached fragment (see writeContext) or the first live fragment, link it up with the fragment
+            // of the first event we already have, as long as that fragment isn't linked on that side yet.
+            const firstExistingEvent = events.find(e => existingEventKeyMap.has(e.event_id));
+            const eventKey = firstExistingEvent && existingEventKeyMap.get(firstExistingEvent.event_id);
+            if (eventKey && eventKey.fragmentId !== fragmentEntry.fragmentId) {
+                const neighbourFragment = await txn.timelineFragments.get(this._roomId, eventKey.fragmentId);
+                const candidateEntry = fragmentEntry.createNeighbourEntry(neighbourFragment);
+                if (!candidateEntry.hasLinkedFragment) {
+                    log.set("linkedDetachedFragment", eventKey.fragmentId);
+                    fragmentEntry.linkedFragmentId = candidateEntry.fragmentId;
+                    candidateEntry.linkedFragmentId = fragmentEntry.fragmentId;
+                    neighbourFragmentEntry = candidateEntry;
+                }
+            }
         }
         return {nonOverlappingEvents, neighbourFragmentEntry};
     }
@@ -199,6 +215,41 @@ export class GapWriter {
     
         return {entries, updatedEntries, fragments};
     }
+
+    /**
+     * Writes the response of /context for an event we don't have yet into a new fragment,
+     * with gaps on both sides. The fragment is not linked to any other fragment
+     * until filling one of its gaps runs into events we already have.
+     * @return {Promise<{fragment: Fragment, eventKey: EventKey}>} the new fragment and the key of the event
+     */
+    async writeContext(response, txn, log) {
+        const {event, start, end, state} = response;
+        const eventsBefore = response.events_before ?? [];
+        const eventsAfter = response.events_after ?? [];
+        if (!event || !Array.isArray(eventsBefore) || !Array.isArray(eventsAfter)) {
+            throw new Error("Invalid context response");
+        }
+        // a detached fragment without tokens could be mistaken for the live fragment
+        if (typeof start !== "string" || typeof end !== "string") {
+            throw new Error("Invalid start or end token in context response");
+        }
+        const fragment = {
+            roomId: this._roomId,
+            id: await txn.timelineFragments.nextDetachedFragmentId(this._roomId),
+            previousId: null,
+            nextId: null,
+            previousToken: start,
+            nextToken: end,
+        };
+        txn.timelineFragments.add(fragment);
+        log.set("fragment", fragment.id);
+        const eventKey = EventKey.defaultFragmentKey(fragment.id);
+        // events_before is in reverse chronological order like a backwards chunk,
+        // so write the event itself and then the events before it going backwards
+        await this._storeEvents([event].concat(eventsBefore), eventKey.nextKey(), Direction.Backward, state, txn, log);
+        await this._storeEvents(eventsAfter, eventKey, Direction.Forward, state, txn, log);
+        return {fragment, eventKey};
+    }
 }
 
 import {FragmentIdComparer} from "../FragmentIdComparer.js";
@@ -370,6 +421,39 @@ export function tests() {
             const secondFragment = await fetchFragment(mocks, secondFragmentEntry.fragmentId);
             assertFilledLink(assert, firstFragment, secondFragment)
             await mocks.txn.complete();
-        }
+        },
+        "Context is written into a detached fragment with gaps on both sides": async assert => {
+            const mocks = await setup();
+            const {txn, timelineMock, gapWriter} = mocks;
+            timelineMock.append(30);
+            await syncAndWrite(mocks, {limit: 10});
+            const {fragment, eventKey} = await gapWriter.writeContext(timelineMock.context(eventId(12), 4), txn, logger);
+            assert.equal(fragment.previousId, null);
+            assert.equal(fragment.nextId, null);
+            assert.equal(fragment.previousToken, eventId(10));
+            assert.equal(fragment.nextToken, eventId(14));
+            const events = await allFragmentEvents(mocks, fragment.id);
+            assert.deepEqual(events.map(e => e.event_id), eventIds(10, 15));
+            const storedEvent = await txn.timelineEvents.getByEventId(roomId, eventId(12));
+            assert.equal(storedEvent.fragmentId, eventKey.fragmentId);
+            assert.equal(storedEvent.eventIndex, eventKey.eventIndex);
+            const liveFragment = await txn.timelineFragments.liveFragment(roomId);
+            assert.notEqual(liveFragment.id, fragment.id);
+            await txn.complete();
+        },
+        "Filling the gap of a detached fragment links it up with the fragment it runs into": async assert => {
+            const mocks = await setup();
+            const {txn, timelineMock, gapWriter, fragmentIdComparer} = mocks;
+            timelineMock.append(30);
+            const {fragmentEntry: liveFragmentEntry} = await syncAndWrite(mocks, {limit: 10});
+            const {fragment} = await gapWriter.writeContext(timelineMock.context(eventId(12), 4), txn, logger);
+            await backfillAndWrite(mocks, FragmentBoundaryEntry.end(fragment, fragmentIdComparer), 10);
+            const detachedFragment = await fetchFragment(mocks, fragment.id);
+            const liveFragment = await fetchFragment(mocks, liveFragmentEntry.fragmentId);
+            assertFilledLink(assert, detachedFragment, liveFragment);
+            const events = await allFragmentEvents(mocks, fragment.id);
+            assert.deepEqual(events.map(e => e.event_id), eventIds(10, 20));
+            await txn.complete();
+        },
     }
 }
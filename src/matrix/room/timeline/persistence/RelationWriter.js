@@ -16,9 +16,33 @@ limitations under the License.
 
 import {EventEntry} from "../entries/EventEntry.js";
 import {REDACTION_TYPE, isRedacted} from "../../common";
-import {ANNOTATION_RELATION_TYPE, getRelation} from "../relations.js";
+import {ANNOTATION_RELATION_TYPE, REPLACE_RELATION_TYPE, THREAD_RELATION_TYPE, REFERENCE_RELATION_TYPE, getRelation} from "../relations.js";
+import {isPollStartType, isPollResponseType} from "../poll.js";
 import {redactEvent} from "../common.js";
 
+/** @return {string | undefined} why the edit can't replace the target, if it can't */
+function getInvalidEditReason(editEvent, targetEvent) {
+    // only the original sender can edit an event
+    if (editEvent.sender !== targetEvent.sender) {
+        return "sender";
+    }
+    // edits of edits are not allowed
+    if (getRelation(targetEvent)?.rel_type === REPLACE_RELATION_TYPE) {
+        return "target is edit";
+    }
+    // the edit should have the same type and encryption as the original
+    if (editEvent.type !== targetEvent.type) {
+        return "type";
+    }
+    if (editEvent.type !== "m.room.encrypted") {
+        const newContent = editEvent.content?.["m.new_content"];
+        if (typeof newContent !== "object" || newContent === null) {
+            return "no new content";
+        }
+    }
+    return undefined;
+}
+
 export class RelationWriter {
     constructor({roomId, ownUserId, fragmentIdComparer}) {
         this._roomId = roomId;
@@ -110,6 +134,27 @@ export class RelationWriter {
                     if (aggregated) {
                         return [targetStorageEntry];
                     }
+                } else if (relType === REPLACE_RELATION_TYPE) {
+                    const aggregated = log.wrap("edit", log => {
+                        return this._aggregateEdit(sourceEntry.event, targetStorageEntry, log);
+                    });
+                    if (aggregated) {
+                        return [targetStorageEntry];
+                    }
+                } else if (relType === THREAD_RELATION_TYPE) {
+                    const aggregated = await log.wrap("thread", log => {
+                        return this._aggregateThreadReply(sourceEntry.event, targetStorageEntry, txn, log);
+                    });
+                    if (aggregated) {
+                        return [targetStorageEntry];
+                    }
+                } else if (relType === REFERENCE_RELATION_TYPE) {
+                    const aggregated = log.wrap("reference", log => {
+                        return this._aggregateReference(sourceEntry.event, targetStorageEntry, log);
+                    });
+                    if (aggregated) {
+                        return [targetStorageEntry];
+                    }
                 }
             }
         }
@@ -130,6 +175,9 @@ export class RelationWriter {
 
         redactEvent(redactionEvent, redactedEvent);
         delete redactedStorageEntry.annotations;
+        delete redactedStorageEntry.replacingEvent;
+        delete redactedStorageEntry.threadSummary;
+        delete redactedStorageEntry.references;
 
         return true;
     }
@@ -165,6 +213,83 @@ export class RelationWriter {
         return true;
     }
 
+    /**
+     * Keeps the latest valid edit of the target around. Invalid edits are ignored here,
+     * so they don't hide an older valid one. The content of encrypted edits
+     * can only be checked after decryption, see EventEntry.content.
+     */
+    _aggregateEdit(editEvent, targetStorageEntry, log) {
+        const invalidReason = getInvalidEditReason(editEvent, targetStorageEntry.event);
+        if (invalidReason) {
+            log.set("invalid", invalidReason);
+            return false;
+        }
+        const current = targetStorageEntry.replacingEvent;
+        if (current && !isNewerEvent(editEvent, current)) {
+            return false;
+        }
+        log.set("id", editEvent.event_id);
+        targetStorageEntry.replacingEvent = editEvent;
+        return true;
+    }
+
+    /**
+     * Keeps the reply count and latest reply on the thread root.
+     * The root can come with a summary from the server in its bundled aggregations,
+     * which also counts the replies we haven't received.
+     * Replies newer than the latest one we know of haven't been counted yet,
+     * like the ones coming in through sync.
+     */
+    async _aggregateThreadReply(replyEvent, targetStorageEntry, txn, log) {
+        const rootId = targetStorageEntry.event.event_id;
+        // the relation of the reply has already been written
+        const relations = await txn.timelineRelations.getForTargetAndType(this._roomId, rootId, THREAD_RELATION_TYPE);
+        const bundled = getBundledThreadSummary(targetStorageEntry.event);
+        let summary = targetStorageEntry.threadSummary;
+        if (!summary) {
+            summary = {count: bundled?.count ?? 0, latestEvent: bundled?.latest_event};
+        }
+        if (!summary.latestEvent || isNewerEvent(replyEvent, summary.latestEvent)) {
+            summary.count += 1;
+            summary.latestEvent = replyEvent;
+        }
+        summary.count = Math.max(relations.length, summary.count);
+        log.set("count", summary.count);
+        targetStorageEntry.threadSummary = summary;
+        return true;
+    }
+
+    /**
+     * Keeps the events referencing a poll, like the votes, so the poll can be tallied once they are decrypted.
+     * Of the votes we can already see, only the latest one of each member is kept.
+     */
+    _aggregateReference(referenceEvent, targetStorageEntry, log) {
+        const targetType = targetStorageEntry.event.type;
+        // only polls use their references for now, but we can't tell yet if an encrypted event is a poll
+        if (!isPollStartType(targetType) && targetType !== "m.room.encrypted") {
+            return false;
+        }
+        let {references} = targetStorageEntry;
+        if (!references) {
+            targetStorageEntry.references = references = [];
+        }
+        if (references.some(e => e.event_id === referenceEvent.event_id)) {
+            return false;
+        }
+        if (isPollResponseType(referenceEvent.type)) {
+            const idx = references.findIndex(e => e.sender === referenceEvent.sender && isPollResponseType(e.type));
+            if (idx !== -1) {
+                if (!isNewerEvent(referenceEvent, references[idx])) {
+                    return false;
+                }
+                references.splice(idx, 1);
+            }
+        }
+        log.set("id", referenceEvent.event_id);
+        references.push(referenceEvent);
+        return true;
+    }
+
     async _reaggregateRelation(redactedRelationEvent, redactedRelation, txn, log) {
         if (redactedRelation.rel_type === ANNOTATION_RELATION_TYPE) {
             return log.wrap("reaggregate annotations", log => this._reaggregateAnnotation(
@@ -172,10 +297,47 @@ export class RelationWriter {
                 redactedRelation.key,
                 txn, log
             ));
+        } else if (redactedRelation.rel_type === REPLACE_RELATION_TYPE) {
+            return log.wrap("reaggregate edits", log => this._reaggregateEdit(
+                redactedRelation.event_id,
+                txn, log
+            ));
+        } else if (redactedRelation.rel_type === THREAD_RELATION_TYPE) {
+            return log.wrap("reaggregate thread", log => this._reaggregateThread(
+                redactedRelation.event_id,
+                redactedRelationEvent.event_id,
+                txn, log
+            ));
+        } else if (redactedRelation.rel_type === REFERENCE_RELATION_TYPE) {
+            return log.wrap("reaggregate references", log => this._reaggregateReferences(
+                redactedRelation.event_id,
+                txn, log
+            ));
         }
         return null;
     }
 
+    async _reaggregateEdit(targetId, txn, log) {
+        const target = await txn.timelineEvents.getByEventId(this._roomId, targetId);
+        if (!target || !target.replacingEvent) { // unknown or redacted event
+            return null;
+        }
+        log.set("id", targetId);
+        // the redacted edit has already been removed from the relations
+        const relations = await txn.timelineRelations.getForTargetAndType(this._roomId, targetId, REPLACE_RELATION_TYPE);
+        log.set("relations", relations.length);
+        delete target.replacingEvent;
+        for (const relation of relations) {
+            const edit = await txn.timelineEvents.getByEventId(this._roomId, relation.sourceEventId);
+            if (!edit) {
+                log.log({l: "missing edit", id: relation.sourceEventId});
+            } else {
+                this._aggregateEdit(edit.event, target, log);
+            }
+        }
+        return target;
+    }
+
     async _reaggregateAnnotation(targetId, key, txn, log) {
         const target = await txn.timelineEvents.getByEventId(this._roomId, targetId);
         if (!target || !target.annotations) { // unknown or redacted event
@@ -199,6 +361,68 @@ export class RelationWriter {
         }));
         return target;
     }
+
+    async _reaggregateReferences(targetId, txn, log) {
+        const target = await txn.timelineEvents.getByEventId(this._roomId, targetId);
+        if (!target || !target.references) { // unknown or redacted event
+            return null;
+        }
+        log.set("id", targetId);
+        // the redacted reference has already been removed from the relations,
+        // and an earlier vote of the same member can count again
+        const relations = await txn.timelineRelations.getForTargetAndType(this._roomId, targetId, REFERENCE_RELATION_TYPE);
+        log.set("relations", relations.length);
+        delete target.references;
+        for (const relation of relations) {
+            const reference = await txn.timelineEvents.getByEventId(this._roomId, relation.sourceEventId);
+            if (!reference) {
+                log.log({l: "missing reference", id: relation.sourceEventId});
+            } else {
+                this._aggregateReference(reference.event, target, log);
+            }
+        }
+        if (!target.references?.length) {
+            delete target.references;
+        }
+        return target;
+    }
+
+    async _reaggregateThread(rootId, redactedReplyId, txn, log) {
+        const root = await txn.timelineEvents.getByEventId(this._roomId, rootId);
+        if (!root || !root.threadSummary) { // unknown or redacted event
+            return null;
+        }
+        log.set("id", rootId);
+        // the redacted reply has already been removed from the relations
+        const relations = await txn.timelineRelations.getForTargetAndType(this._roomId, rootId, THREAD_RELATION_TYPE);
+        log.set("relations", relations.length);
+        const bundled = getBundledThreadSummary(root.event);
+        let latestEvent = bundled?.latest_event?.event_id !== redactedReplyId ? bundled?.latest_event : undefined;
+        for (const relation of relations) {
+            const reply = await txn.timelineEvents.getByEventId(this._roomId, relation.sourceEventId);
+            if (reply && (!latestEvent || isNewerEvent(reply.event, latestEvent))) {
+                latestEvent = reply.event;
+            }
+        }
+        if (latestEvent) {
+            root.threadSummary = {count: Math.max(relations.length, root.threadSummary.count - 1), latestEvent};
+        } else {
+            delete root.threadSummary;
+        }
+        return root;
+    }
+}
+
+function isNewerEvent(event, otherEvent) {
+    if (event.origin_server_ts !== otherEvent.origin_server_ts) {
+        return event.origin_server_ts > otherEvent.origin_server_ts;
+    }
+    // make the order stable for events with the same timestamp
+    return event.event_id > otherEvent.event_id;
+}
+
+function getBundledThreadSummary(event) {
+    return event.unsigned?.["m.relations"]?.[THREAD_RELATION_TYPE];
 }
 
 function isObjectEmpty(obj) {
@@ -213,7 +437,8 @@ function isObjectEmpty(obj) {
 
 import {createMockStorage} from "../../../../mocks/Storage";
 import {createEvent, withTextBody, withRedacts, withContent} from "../../../../mocks/event.js";
-import {createAnnotation} from "../relations.js";
+import {createAnnotation, createReplacement, createThreadReply} from "../relations.js";
+import {createPollStart, createPollResponse, parsePollStart} from "../poll.js";
 import {FragmentIdComparer} from "../FragmentIdComparer.js";
 import {NullLogItem} from "../../../../logging/NullLogger";
 
@@ -340,6 +565,178 @@ export function tests() {
             await readTxn.complete();
             assert.equal(storedMessage.annotations["🐶"].count, 1);
         },
-        
+        "aggregate latest edit": async assert => {
+            const event = withTextBody("Dogs > Cats", createEvent("m.room.message", "!abc", bob));
+            const edit1 = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats > Dogs"}), createEvent("m.room.message", "!def", bob));
+            edit1.origin_server_ts = 10;
+            const edit2 = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats = Dogs"}), createEvent("m.room.message", "!hij", bob));
+            edit2.origin_server_ts = 5;
+            const aliceEdit = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats < Dogs"}), createEvent("m.room.message", "!klm", alice));
+            aliceEdit.origin_server_ts = 20;
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event, roomId}, new NullLogItem());
+            const updatedEntries = await relationWriter.writeRelation(new EventEntry({event: edit1, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            // older edit and edit from another sender are ignored
+            assert.equal(await relationWriter.writeRelation(new EventEntry({event: edit2, roomId}, fragmentIdComparer), txn, new NullLogItem()), null);
+            assert.equal(await relationWriter.writeRelation(new EventEntry({event: aliceEdit, roomId}, fragmentIdComparer), txn, new NullLogItem()), null);
+            await txn.complete();
+
+            assert.equal(updatedEntries.length, 1);
+            const editedMessage = updatedEntries[0];
+            assert.equal(editedMessage.id, "!abc");
+            assert.equal(editedMessage.isEdited, true);
+            assert.equal(editedMessage.content.body, "Cats > Dogs");
+
+            const readTxn = await storage.readTxn([storage.storeNames.timelineEvents]);
+            const storedMessage = await readTxn.timelineEvents.getByEventId(roomId, "!abc");
+            await readTxn.complete();
+            assert.equal(storedMessage.replacingEvent.event_id, "!def");
+            assert.equal(storedMessage.event.content.body, "Dogs > Cats");
+        },
+        "an invalid newer edit doesn't hide the latest valid one": async assert => {
+            const event = withTextBody("Dogs > Cats", createEvent("m.room.message", "!abc", bob));
+            const validEdit = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats > Dogs"}), createEvent("m.room.message", "!def", bob));
+            validEdit.origin_server_ts = 5;
+            const aliceEdit = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats < Dogs"}), createEvent("m.room.message", "!hij", alice));
+            aliceEdit.origin_server_ts = 10;
+            const typeEdit = withContent(createReplacement(event.event_id, {body: "🐱"}), createEvent("m.sticker", "!klm", bob));
+            typeEdit.origin_server_ts = 15;
+            const noContentEdit = withContent({"m.relates_to": {rel_type: REPLACE_RELATION_TYPE, event_id: event.event_id}}, createEvent("m.room.message", "!nop", bob));
+            noContentEdit.origin_server_ts = 20;
+            const editOfEdit = withContent(createReplacement(validEdit.event_id, {msgtype: "m.text", body: "Cats = Dogs"}), createEvent("m.room.message", "!qrs", bob));
+            editOfEdit.origin_server_ts = 25;
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 3, event: validEdit, roomId}, new NullLogItem());
+            await relationWriter.writeRelation(new EventEntry({event: validEdit, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            let eventIndex = 4;
+            for (const invalidEdit of [aliceEdit, typeEdit, noContentEdit, editOfEdit]) {
+                txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: eventIndex++, event: invalidEdit, roomId}, new NullLogItem());
+                assert.equal(await relationWriter.writeRelation(new EventEntry({event: invalidEdit, roomId}, fragmentIdComparer), txn, new NullLogItem()), null);
+            }
+            // reaggregating after redacting an invalid edit also picks the valid one
+            const redaction = withRedacts(noContentEdit.event_id, "", createEvent("m.room.redaction", "!tuv", bob));
+            const updatedEntries = await relationWriter.writeRelation(new EventEntry({event: redaction, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            await txn.complete();
+
+            assert.equal(updatedEntries[1].id, "!abc");
+            assert.equal(updatedEntries[1].content.body, "Cats > Dogs");
+            const readTxn = await storage.readTxn([storage.storeNames.timelineEvents]);
+            const storedMessage = await readTxn.timelineEvents.getByEventId(roomId, "!abc");
+            await readTxn.complete();
+            assert.equal(storedMessage.replacingEvent.event_id, "!def");
+            assert.equal(new EventEntry(storedMessage, fragmentIdComparer).content.body, "Cats > Dogs");
+        },
+        "redact latest edit": async assert => {
+            const event = withTextBody("Dogs > Cats", createEvent("m.room.message", "!abc", bob));
+            const edit1 = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats > Dogs"}), createEvent("m.room.message", "!def", bob));
+            edit1.origin_server_ts = 5;
+            const edit2 = withContent(createReplacement(event.event_id, {msgtype: "m.text", body: "Cats = Dogs"}), createEvent("m.room.message", "!hij", bob));
+            edit2.origin_server_ts = 10;
+            const redaction = withRedacts(edit2.event_id, "", createEvent("m.room.redaction", "!pol", bob));
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 3, event: edit1, roomId}, new NullLogItem());
+            await relationWriter.writeRelation(new EventEntry({event: edit1, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 4, event: edit2, roomId}, new NullLogItem());
+            await relationWriter.writeRelation(new EventEntry({event: edit2, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            const updatedEntries = await relationWriter.writeRelation(new EventEntry({event: redaction, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            await txn.complete();
+
+            assert.equal(updatedEntries.length, 2);
+            assert.equal(updatedEntries[0].id, "!hij");
+            const reaggregatedMessage = updatedEntries[1];
+            assert.equal(reaggregatedMessage.id, "!abc");
+            assert.equal(reaggregatedMessage.content.body, "Cats > Dogs");
+        },
+        "aggregate and redact thread replies": async assert => {
+            const root = withTextBody("Dogs > Cats", createEvent("m.room.message", "!abc", bob));
+            const reply1 = withContent(createThreadReply(root.event_id, root.event_id, {msgtype: "m.text", body: "No"}), createEvent("m.room.message", "!def", alice));
+            reply1.origin_server_ts = 5;
+            const reply2 = withContent(createThreadReply(root.event_id, reply1.event_id, {msgtype: "m.text", body: "Yes"}), createEvent("m.room.message", "!hij", bob));
+            reply2.origin_server_ts = 10;
+            const redaction = withRedacts(reply2.event_id, "", createEvent("m.room.redaction", "!pol", bob));
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event: root, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 3, event: reply1, roomId}, new NullLogItem());
+            await relationWriter.writeRelation(new EventEntry({event: reply1, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 4, event: reply2, roomId}, new NullLogItem());
+            const [updatedRoot] = await relationWriter.writeRelation(new EventEntry({event: reply2, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            assert.equal(updatedRoot.threadSummary.count, 2);
+            assert.equal(updatedRoot.threadSummary.latestEvent.event_id, "!hij");
+            const updatedEntries = await relationWriter.writeRelation(new EventEntry({event: redaction, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            await txn.complete();
+
+            assert.equal(updatedEntries.length, 2);
+            const reaggregatedRoot = updatedEntries[1];
+            assert.equal(reaggregatedRoot.id, "!abc");
+            assert.equal(reaggregatedRoot.threadSummary.count, 1);
+            assert.equal(reaggregatedRoot.threadSummary.latestEvent.event_id, "!def");
+        },
+        "new thread replies are added to the bundled count": async assert => {
+            const root = withTextBody("Dogs > Cats", createEvent("m.room.message", "!abc", bob));
+            const bundledReply = withContent(createThreadReply(root.event_id, root.event_id, {msgtype: "m.text", body: "No"}), createEvent("m.room.message", "!def", alice));
+            bundledReply.origin_server_ts = 5;
+            root.unsigned = {"m.relations": {[THREAD_RELATION_TYPE]: {count: 4, latest_event: bundledReply}}};
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event: root, roomId}, new NullLogItem());
+            const writeReply = async (eventId, ts, eventIndex) => {
+                const reply = withContent(createThreadReply(root.event_id, root.event_id, {msgtype: "m.text", body: eventId}), createEvent("m.room.message", eventId, bob));
+                reply.origin_server_ts = ts;
+                txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex, event: reply, roomId}, new NullLogItem());
+                const [updatedRoot] = await relationWriter.writeRelation(new EventEntry({event: reply, roomId}, fragmentIdComparer), txn, new NullLogItem());
+                return updatedRoot;
+            };
+            assert.equal((await writeReply("!r1", 10, 3)).threadSummary.count, 5);
+            assert.equal((await writeReply("!r2", 20, 4)).threadSummary.count, 6);
+            // an older reply, e.g. from back pagination, was counted already
+            assert.equal((await writeReply("!r0", 1, 1)).threadSummary.count, 6);
+            await txn.complete();
+        },
+        "aggregate latest poll vote and redact it": async assert => {
+            const {type, content} = createPollStart("Lunch?", ["Pizza", "Pasta"], false);
+            const pollEvent = withContent(content, createEvent(type, "!abc", bob));
+            const poll = parsePollStart(type, content);
+            const createVote = (eventId, answerId, ts) => {
+                const vote = createPollResponse(poll, pollEvent.event_id, [answerId]);
+                const event = withContent(vote.content, createEvent(vote.type, eventId, alice));
+                event.origin_server_ts = ts;
+                return event;
+            };
+            const vote1 = createVote("!def", "answer-0", 5);
+            const vote2 = createVote("!hij", "answer-1", 10);
+            const redaction = withRedacts(vote2.event_id, "", createEvent("m.room.redaction", "!pol", alice));
+            const relationWriter = new RelationWriter({roomId, ownUserId: alice, fragmentIdComparer});
+
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents, storage.storeNames.timelineRelations]);
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 2, event: pollEvent, roomId}, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 3, event: vote1, roomId}, new NullLogItem());
+            await relationWriter.writeRelation(new EventEntry({event: vote1, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            txn.timelineEvents.tryInsert({fragmentId: 1, eventIndex: 4, event: vote2, roomId}, new NullLogItem());
+            const [updatedPoll] = await relationWriter.writeRelation(new EventEntry({event: vote2, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            assert.deepEqual(updatedPoll.referenceEntries.map(e => e.id), ["!hij"]);
+            const updatedEntries = await relationWriter.writeRelation(new EventEntry({event: redaction, roomId}, fragmentIdComparer), txn, new NullLogItem());
+            await txn.complete();
+
+            assert.equal(updatedEntries.length, 2);
+            const reaggregatedPoll = updatedEntries[1];
+            assert.equal(reaggregatedPoll.id, "!abc");
+            assert.deepEqual(reaggregatedPoll.referenceEntries.map(e => e.id), ["!def"]);
+        },
     }
 }
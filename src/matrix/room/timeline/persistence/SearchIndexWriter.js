@@ -0,0 +1,184 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {REDACTION_TYPE} from "../../common";
+import {REPLACE_RELATION_TYPE} from "../relations.js";
+import {stripReplyFallback} from "../entries/reply.js";
+import {tokenize} from "../../../search/tokenize.js";
+
+/**
+ * Adds the decrypted messages of an encrypted room to the search index,
+ * as the homeserver can't search them. As decryption happens after the sync and gap writers
+ * have persisted the events, this is called once the entries they returned have been decrypted.
+ * Edited messages are indexed with the content of their latest edit.
+ */
+export class SearchIndexWriter {
+    constructor({roomId}) {
+        this._roomId = roomId;
+    }
+
+    /**
+     * @param {EventEntry[]} entries decrypted entries that have been written to the timeline
+     * @param {Transaction} txn a transaction with the searchIndex and timelineEvents stores
+     * @return {Promise<number>} the amount of messages that were indexed
+     */
+    async writeEntries(entries, txn, log) {
+        let indexedCount = 0;
+        for (const entry of entries) {
+            if (entry.eventType === REDACTION_TYPE) {
+                if (entry.relatedEventId) {
+                    await txn.searchIndex.removeAllForEvent(this._roomId, entry.relatedEventId);
+                }
+            } else if (entry.relation?.rel_type === REPLACE_RELATION_TYPE) {
+                if (await this._writeEdit(entry, txn)) {
+                    indexedCount += 1;
+                }
+            } else if (await this._writeEntry(entry, txn)) {
+                indexedCount += 1;
+            }
+        }
+        if (log && indexedCount) {
+            log.set("indexed", indexedCount);
+        }
+        return indexedCount;
+    }
+
+    async _writeEntry(entry, txn) {
+        if (!isIndexable(entry)) {
+            return false;
+        }
+        // entry.content is the content of the latest edit, so remove the terms of the previous version
+        if (entry.isEdited) {
+            await txn.searchIndex.removeAllForEvent(this._roomId, entry.id);
+        }
+        let body = entry.content.body;
+        if (entry.isReply) {
+            body = stripReplyFallback(body);
+        }
+        this._writeTerms(body, entry.id, entry.fragmentId, entry.entryIndex, entry.timestamp, txn);
+        return true;
+    }
+
+    /** Indexes the message replaced by the edit again with the new content, if it is the latest edit */
+    async _writeEdit(editEntry, txn) {
+        const newBody = editEntry.content?.["m.new_content"]?.body;
+        if (!isIndexable(editEntry) || typeof newBody !== "string") {
+            return false;
+        }
+        const target = await txn.timelineEvents.getByEventId(this._roomId, editEntry.relation.event_id);
+        // the relation writer only aggregates the latest valid edit on the target
+        if (target?.replacingEvent?.event_id !== editEntry.id) {
+            return false;
+        }
+        const targetId = target.event.event_id;
+        await txn.searchIndex.removeAllForEvent(this._roomId, targetId);
+        this._writeTerms(newBody, targetId, target.fragmentId, target.eventIndex, target.event.origin_server_ts, txn);
+        return true;
+    }
+
+    _writeTerms(body, eventId, fragmentId, eventIndex, timestamp, txn) {
+        for (const [term, count] of tokenize(body)) {
+            txn.searchIndex.set({
+                term,
+                roomId: this._roomId,
+                eventId,
+                fragmentId,
+                eventIndex,
+                timestamp,
+                count,
+            });
+        }
+    }
+}
+
+function isIndexable(entry) {
+    // unencrypted messages can be searched on the server
+    if (!entry.isEncrypted || entry.eventType !== "m.room.message" || entry.isRedacted) {
+        return false;
+    }
+    return typeof entry.content?.body === "string";
+}
+
+import {createMockStorage} from "../../../../mocks/Storage";
+import {createEvent, withTextBody, withContent} from "../../../../mocks/event.js";
+import {EventEntry} from "../entries/EventEntry.js";
+import {DecryptionResult} from "../../../e2ee/DecryptionResult";
+import {Instance as NullLoggerInstance} from "../../../../logging/NullLogger";
+
+export function tests() {
+    const roomId = "!room";
+
+    function createDecryptedEntry(id, body, eventIndex) {
+        const encryptedEvent = withContent({algorithm: "m.megolm.v1.aes-sha2"}, createEvent("m.room.encrypted", id, "@alice:hs.tld"));
+        encryptedEvent.origin_server_ts = eventIndex;
+        const entry = new EventEntry({event: encryptedEvent, fragmentId: 1, eventIndex}, null);
+        const decrypted = withTextBody(body, createEvent("m.room.message", id, "@alice:hs.tld"));
+        entry.setDecryptionResult(new DecryptionResult(decrypted, "senderKey", null));
+        return entry;
+    }
+
+    return {
+        "indexes decrypted messages and removes redacted ones": async assert => {
+            const storage = await createMockStorage();
+            const writer = new SearchIndexWriter({roomId});
+            const txn = await storage.readWriteTxn([storage.storeNames.searchIndex]);
+            const plainEntry = new EventEntry({event: withTextBody("hello plain", createEvent("m.room.message", "$plain", "@alice:hs.tld")), fragmentId: 1, eventIndex: 1}, null);
+            const count = await writer.writeEntries([
+                plainEntry,
+                createDecryptedEntry("$1", "hello world", 2),
+                createDecryptedEntry("$2", "hello again", 3),
+            ], txn);
+            assert.equal(count, 2);
+            const hello = await txn.searchIndex.getForTerm("hello", roomId);
+            assert.deepEqual(hello.map(e => e.eventId), ["$1", "$2"]);
+            assert.equal(hello[0].eventIndex, 2);
+            const redaction = new EventEntry({event: Object.assign(createEvent("m.room.redaction", "$3", "@alice:hs.tld"), {redacts: "$1"}), fragmentId: 1, eventIndex: 4}, null);
+            await writer.writeEntries([redaction], txn);
+            assert.deepEqual((await txn.searchIndex.getForTerm("hello", roomId)).map(e => e.eventId), ["$2"]);
+            assert.equal((await txn.searchIndex.getForTerm("world", roomId)).length, 0);
+        },
+        "edit indexes the original message with the new content": async assert => {
+            const storage = await createMockStorage();
+            const writer = new SearchIndexWriter({roomId});
+            const txn = await storage.readWriteTxn([storage.storeNames.searchIndex, storage.storeNames.timelineEvents]);
+            const original = createDecryptedEntry("$1", "lunch at noon", 1);
+            await txn.timelineEvents.tryInsert({roomId, fragmentId: 1, eventIndex: 1, event: original.event}, NullLoggerInstance.item);
+            await writer.writeEntries([original], txn);
+            const edit = createDecryptedEntry("$2", "* lunch at one", 2);
+            Object.assign(edit.content, {
+                "m.new_content": {msgtype: "m.text", body: "lunch at one"},
+                "m.relates_to": {rel_type: "m.replace", event_id: "$1"},
+            });
+            // the relation writer has aggregated the edit on the original
+            const stored = await txn.timelineEvents.getByEventId(roomId, "$1");
+            stored.replacingEvent = edit.event;
+            txn.timelineEvents.update(stored);
+            assert.equal(await writer.writeEntries([edit], txn), 1);
+            assert.equal((await txn.searchIndex.getForTerm("noon", roomId)).length, 0);
+            const one = await txn.searchIndex.getForTerm("one", roomId);
+            assert.deepEqual(one.map(e => e.eventId), ["$1"]);
+            assert.equal(one[0].eventIndex, 1);
+            // an older edit doesn't replace the content of the latest one
+            const olderEdit = createDecryptedEntry("$0", "* lunch at two", 0);
+            Object.assign(olderEdit.content, {
+                "m.new_content": {msgtype: "m.text", body: "lunch at two"},
+                "m.relates_to": {rel_type: "m.replace", event_id: "$1"},
+            });
+            assert.equal(await writer.writeEntries([olderEdit], txn), 0);
+            assert.equal((await txn.searchIndex.getForTerm("two", roomId)).length, 0);
+        },
+    };
+}
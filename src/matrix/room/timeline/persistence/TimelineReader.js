@@ -16,6 +16,7 @@ limitations under the License.
 
 import {directionalConcat, directionalAppend} from "./common.js";
 import {Direction} from "../Direction";
+import {EventKey} from "../EventKey";
 import {EventEntry} from "../entries/EventEntry.js";
 import {FragmentBoundaryEntry} from "../entries/FragmentBoundaryEntry.js";
 
@@ -132,6 +133,29 @@ export class TimelineReader {
         }, log);
     }
 
+    /**
+     * Reads the given event with up to `amount` entries before and after it,
+     * which are followed by a gap if the edge of the fragment is reached.
+     */
+    readAroundEvent(eventId, amount, existingTxn = null, log) {
+        return new ReaderRequest(async (r, log) => {
+            const txn = existingTxn || await this._storage.readTxn(this.readTxnStores);
+            const storageEntry = await txn.timelineEvents.getByEventId(this._roomId, eventId);
+            if (!storageEntry) {
+                throw new Error(`Unknown event ${eventId}`);
+            }
+            // the fragment might not be connected to the fragments that are loaded already
+            const fragment = await txn.timelineFragments.get(this._roomId, storageEntry.fragmentId);
+            this._fragmentIdComparer.add(fragment);
+            const eventKey = new EventKey(storageEntry.fragmentId, storageEntry.eventIndex);
+            const entriesBefore = await readRawTimelineEntriesWithTxn(this._roomId, eventKey, Direction.Backward, amount, this._fragmentIdComparer, txn);
+            const entriesAfter = await readRawTimelineEntriesWithTxn(this._roomId, eventKey, Direction.Forward, amount, this._fragmentIdComparer, txn);
+            const entries = entriesBefore.concat(new EventEntry(storageEntry, this._fragmentIdComparer), entriesAfter);
+            await this._decrypt(entries, r, txn, log);
+            return entries;
+        }, log);
+    }
+
     async readById(id, log) {
         let stores = [this._storage.storeNames.timelineEvents];
         if (this._decryptEntries) {
@@ -151,6 +175,11 @@ export class TimelineReader {
 
     async _readFrom(eventKey, direction, amount, r, txn, log) {
         const entries = await readRawTimelineEntriesWithTxn(this._roomId, eventKey, direction, amount, this._fragmentIdComparer, txn);
+        await this._decrypt(entries, r, txn, log);
+        return entries;
+    }
+
+    async _decrypt(entries, r, txn, log) {
         if (this._decryptEntries) {
             r.decryptRequest = this._decryptEntries(entries, txn, log);
             try {
@@ -159,6 +188,5 @@ export class TimelineReader {
                 r.decryptRequest = null;
             }
         }
-        return entries;
     }
 }
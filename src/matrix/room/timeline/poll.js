@@ -0,0 +1,314 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {REFERENCE_RELATION_TYPE} from "./relations.js";
+
+// see https://spec.matrix.org/v1.7/client-server-api/#polls
+export const POLL_START_TYPE = "m.poll.start";
+export const POLL_RESPONSE_TYPE = "m.poll.response";
+export const POLL_END_TYPE = "m.poll.end";
+// MSC3381, still sent by most clients
+export const UNSTABLE_POLL_START_TYPE = "org.matrix.msc3381.poll.start";
+export const UNSTABLE_POLL_RESPONSE_TYPE = "org.matrix.msc3381.poll.response";
+export const UNSTABLE_POLL_END_TYPE = "org.matrix.msc3381.poll.end";
+const UNSTABLE_TEXT = "org.matrix.msc1767.text";
+const DISCLOSED_KINDS = ["m.disclosed", "org.matrix.msc3381.poll.disclosed"];
+
+export const MAX_POLL_ANSWERS = 20;
+
+export function isPollStartType(type) {
+    return type === POLL_START_TYPE || type === UNSTABLE_POLL_START_TYPE;
+}
+
+export function isPollResponseType(type) {
+    return type === POLL_RESPONSE_TYPE || type === UNSTABLE_POLL_RESPONSE_TYPE;
+}
+
+export function isPollEndType(type) {
+    return type === POLL_END_TYPE || type === UNSTABLE_POLL_END_TYPE;
+}
+
+function getText(obj) {
+    const text = obj?.["m.text"];
+    if (Array.isArray(text)) {
+        const plain = text.find(t => !t?.mimetype || t.mimetype === "text/plain") ?? text[0];
+        return typeof plain?.body === "string" ? plain.body : undefined;
+    }
+    // older versions of MSC3381 used a plain string
+    if (typeof text === "string") {
+        return text;
+    }
+    const unstableText = obj?.[UNSTABLE_TEXT];
+    if (typeof unstableText === "string") {
+        return unstableText;
+    }
+}
+
+/**
+ * @param {string} eventType
+ * @param {object} content of a poll start event
+ * @return {{question, answers: Array<{id, text}>, isUndisclosed, maxSelections, isUnstable} | null} null if not a valid poll
+ */
+export function parsePollStart(eventType, content) {
+    const isUnstable = eventType === UNSTABLE_POLL_START_TYPE;
+    const poll = isUnstable ? content?.[UNSTABLE_POLL_START_TYPE] : (eventType === POLL_START_TYPE ? content?.["m.poll"] : undefined);
+    if (!poll) {
+        return null;
+    }
+    const question = getText(poll.question);
+    const answers = [];
+    if (Array.isArray(poll.answers)) {
+        for (const answer of poll.answers) {
+            const id = isUnstable ? answer?.id : answer?.["m.id"];
+            const text = getText(answer);
+            if (typeof id === "string" && text && !answers.some(a => a.id === id)) {
+                answers.push({id, text});
+            }
+        }
+    }
+    if (!question || answers.length === 0) {
+        return null;
+    }
+    const maxSelections = Number.isSafeInteger(poll.max_selections) && poll.max_selections > 0 ? poll.max_selections : 1;
+    return {
+        question,
+        answers: answers.slice(0, MAX_POLL_ANSWERS),
+        // unknown kinds are treated as undisclosed
+        isUndisclosed: !DISCLOSED_KINDS.includes(poll.kind),
+        maxSelections,
+        isUnstable,
+    };
+}
+
+/**
+ * @return {Array<string>} the answer ids selected in a poll response, an empty array takes back an earlier vote
+ */
+export function parsePollResponse(eventType, content) {
+    let selections;
+    if (eventType === POLL_RESPONSE_TYPE) {
+        selections = content?.["m.selections"];
+    } else if (eventType === UNSTABLE_POLL_RESPONSE_TYPE) {
+        selections = content?.[UNSTABLE_POLL_RESPONSE_TYPE]?.answers;
+    }
+    return Array.isArray(selections) ? selections.filter(s => typeof s === "string") : [];
+}
+
+/**
+ * Creates a poll with a single choice. As most clients only understand the unstable
+ * MSC3381 events for now, this creates those rather than the stable ones.
+ * @param {string} question
+ * @param {Array<string>} answers
+ * @param {boolean} isUndisclosed whether the results are only shown once the poll has ended
+ * @return {{type, content}}
+ */
+export function createPollStart(question, answers, isUndisclosed) {
+    const fallback = [question, ...answers.map((answer, i) => `${i + 1}. ${answer}`)].join("\n");
+    return {
+        type: UNSTABLE_POLL_START_TYPE,
+        content: {
+            [UNSTABLE_POLL_START_TYPE]: {
+                question: {[UNSTABLE_TEXT]: question},
+                kind: isUndisclosed ? "org.matrix.msc3381.poll.undisclosed" : "org.matrix.msc3381.poll.disclosed",
+                max_selections: 1,
+                answers: answers.map((text, i) => ({id: `answer-${i}`, [UNSTABLE_TEXT]: text})),
+            },
+            [UNSTABLE_TEXT]: fallback,
+        }
+    };
+}
+
+function createReference(pollEventId) {
+    return {"rel_type": REFERENCE_RELATION_TYPE, "event_id": pollEventId};
+}
+
+/**
+ * Creates a vote in the same version of the poll events as the poll
+ * @param {object} poll as returned by parsePollStart
+ * @return {{type, content}}
+ */
+export function createPollResponse(poll, pollEventId, answerIds) {
+    if (poll.isUnstable) {
+        return {
+            type: UNSTABLE_POLL_RESPONSE_TYPE,
+            content: {
+                [UNSTABLE_POLL_RESPONSE_TYPE]: {answers: answerIds},
+                "m.relates_to": createReference(pollEventId),
+            }
+        };
+    }
+    return {
+        type: POLL_RESPONSE_TYPE,
+        content: {
+            "m.selections": answerIds,
+            "m.relates_to": createReference(pollEventId),
+        }
+    };
+}
+
+/**
+ * @param {object} poll as returned by parsePollStart
+ * @param {string} text fallback for clients that don't support polls
+ * @return {{type, content}}
+ */
+export function createPollEnd(poll, pollEventId, text) {
+    if (poll.isUnstable) {
+        return {
+            type: UNSTABLE_POLL_END_TYPE,
+            content: {
+                [UNSTABLE_POLL_END_TYPE]: {},
+                [UNSTABLE_TEXT]: text,
+                "m.relates_to": createReference(pollEventId),
+            }
+        };
+    }
+    return {
+        type: POLL_END_TYPE,
+        content: {
+            "m.text": [{body: text}],
+            "m.relates_to": createReference(pollEventId),
+        }
+    };
+}
+
+/**
+ * Counts the votes on a poll. Only the latest response of each member counts,
+ * and responses sent after the creator of the poll ended it are ignored.
+ * @param {object} poll as returned by parsePollStart
+ * @param {string} pollSender the user id of the creator of the poll
+ * @param {Array<BaseEventEntry>} referenceEntries the (decrypted) entries referencing the poll, pending ones last
+ * @param {string} ownUserId
+ * @return {{votes: Map<string, number>, voterCount: number, ownAnswerIds: Array<string>, endEntry: BaseEventEntry | null}}
+ */
+export function tallyPoll(poll, pollSender, referenceEntries, ownUserId) {
+    const senderOf = entry => entry.isPending ? ownUserId : entry.sender;
+    let endEntry = null;
+    for (const entry of referenceEntries) {
+        if (isPollEndType(entry.eventType) && senderOf(entry) === pollSender && !entry.isRedacted) {
+            if (!endEntry || entry.timestamp < endEntry.timestamp) {
+                endEntry = entry;
+            }
+        }
+    }
+    const latestResponses = new Map();
+    for (const entry of referenceEntries) {
+        if (!isPollResponseType(entry.eventType) || entry.isRedacted) {
+            continue;
+        }
+        if (endEntry && entry.timestamp > endEntry.timestamp) {
+            continue;
+        }
+        const sender = senderOf(entry);
+        const latest = latestResponses.get(sender);
+        if (!latest || entry.timestamp >= latest.timestamp) {
+            latestResponses.set(sender, entry);
+        }
+    }
+    const votes = new Map(poll.answers.map(a => [a.id, 0]));
+    let voterCount = 0;
+    let ownAnswerIds = [];
+    for (const [sender, entry] of latestResponses.entries()) {
+        const selections = parsePollResponse(entry.eventType, entry.content);
+        // unknown answers are ignored, and only the first max_selections answers count
+        const answerIds = Array.from(new Set(selections.filter(id => votes.has(id)))).slice(0, poll.maxSelections);
+        if (sender === ownUserId) {
+            ownAnswerIds = answerIds;
+        }
+        if (answerIds.length) {
+            voterCount += 1;
+            for (const id of answerIds) {
+                votes.set(id, votes.get(id) + 1);
+            }
+        }
+    }
+    return {votes, voterCount, ownAnswerIds, endEntry};
+}
+
+export function tests() {
+    const unstablePoll = {
+        [UNSTABLE_POLL_START_TYPE]: {
+            question: {[UNSTABLE_TEXT]: "Standup at?"},
+            kind: "org.matrix.msc3381.poll.disclosed",
+            max_selections: 1,
+            answers: [{id: "a", [UNSTABLE_TEXT]: "9:00"}, {id: "b", [UNSTABLE_TEXT]: "10:00"}],
+        },
+        [UNSTABLE_TEXT]: "Standup at?\n1. 9:00\n2. 10:00",
+    };
+
+    function response(sender, timestamp, answers, eventType = UNSTABLE_POLL_RESPONSE_TYPE) {
+        const content = eventType === UNSTABLE_POLL_RESPONSE_TYPE ? {[UNSTABLE_POLL_RESPONSE_TYPE]: {answers}} : {"m.selections": answers};
+        return {sender, timestamp, eventType, content};
+    }
+
+    return {
+        "parse stable and unstable polls": assert => {
+            const poll = parsePollStart(UNSTABLE_POLL_START_TYPE, unstablePoll);
+            assert.equal(poll.question, "Standup at?");
+            assert.deepEqual(poll.answers, [{id: "a", text: "9:00"}, {id: "b", text: "10:00"}]);
+            assert.equal(poll.isUndisclosed, false);
+            assert.equal(poll.isUnstable, true);
+            const stablePoll = parsePollStart(POLL_START_TYPE, {
+                "m.poll": {
+                    kind: "m.undisclosed",
+                    max_selections: 2,
+                    question: {"m.text": [{mimetype: "text/html", body: "<b>Lunch?</b>"}, {body: "Lunch?"}]},
+                    answers: [{"m.id": "x", "m.text": [{body: "Pizza"}]}, {"m.id": "x", "m.text": [{body: "Pasta"}]}],
+                }
+            });
+            assert.equal(stablePoll.question, "Lunch?");
+            assert.deepEqual(stablePoll.answers, [{id: "x", text: "Pizza"}]);
+            assert.equal(stablePoll.isUndisclosed, true);
+            assert.equal(stablePoll.maxSelections, 2);
+            assert.equal(parsePollStart(POLL_START_TYPE, {"m.poll": {question: {"m.text": [{body: "?"}]}, answers: []}}), null);
+        },
+        "created poll can be parsed again": assert => {
+            const {type, content} = createPollStart("Lunch?", ["Pizza", "Pasta"], true);
+            const poll = parsePollStart(type, content);
+            assert.equal(poll.question, "Lunch?");
+            assert.deepEqual(poll.answers.map(a => a.text), ["Pizza", "Pasta"]);
+            assert.equal(poll.isUndisclosed, true);
+            const vote = createPollResponse(poll, "$poll", [poll.answers[1].id]);
+            assert.equal(vote.type, UNSTABLE_POLL_RESPONSE_TYPE);
+            assert.deepEqual(parsePollResponse(vote.type, vote.content), [poll.answers[1].id]);
+            assert.equal(vote.content["m.relates_to"].event_id, "$poll");
+        },
+        "only the latest vote of each member counts": assert => {
+            const poll = parsePollStart(UNSTABLE_POLL_START_TYPE, unstablePoll);
+            const {votes, voterCount, ownAnswerIds} = tallyPoll(poll, "@alice:hs.tld", [
+                response("@me:hs.tld", 3, ["a"]),
+                response("@me:hs.tld", 1, ["b"]),
+                response("@bob:hs.tld", 2, ["b"], POLL_RESPONSE_TYPE),
+                // spoiled votes take back an earlier vote
+                response("@charly:hs.tld", 1, ["a"]),
+                response("@charly:hs.tld", 2, ["unknown"]),
+            ], "@me:hs.tld");
+            assert.deepEqual(Array.from(votes.entries()), [["a", 1], ["b", 1]]);
+            assert.equal(voterCount, 2);
+            assert.deepEqual(ownAnswerIds, ["a"]);
+        },
+        "votes after the poll was ended by its creator are ignored": assert => {
+            const poll = parsePollStart(UNSTABLE_POLL_START_TYPE, unstablePoll);
+            const end = sender => ({sender, timestamp: 5, eventType: UNSTABLE_POLL_END_TYPE, content: {}});
+            const {votes, endEntry} = tallyPoll(poll, "@alice:hs.tld", [
+                response("@bob:hs.tld", 4, ["a"]),
+                end("@bob:hs.tld"),
+                end("@alice:hs.tld"),
+                response("@bob:hs.tld", 6, ["b"]),
+            ], "@me:hs.tld");
+            assert.equal(endEntry.sender, "@alice:hs.tld");
+            assert.deepEqual(Array.from(votes.entries()), [["a", 1], ["b", 0]]);
+        },
+    };
+}
@@ -18,6 +18,9 @@ import {REDACTION_TYPE} from "../common";
 
 export const REACTION_TYPE = "m.reaction";
 export const ANNOTATION_RELATION_TYPE = "m.annotation";
+export const REPLACE_RELATION_TYPE = "m.replace";
+export const THREAD_RELATION_TYPE = "m.thread";
+export const REFERENCE_RELATION_TYPE = "m.reference";
 
 export function createAnnotation(targetId, key) {
     return {
@@ -29,6 +32,64 @@ export function createAnnotation(targetId, key) {
     };
 }
 
+/**
+ * Creates the content of an edit of the target event, see https://spec.matrix.org/v1.2/client-server-api/#event-replacements
+ * @param {string} targetId the event id (or txn id when not sent yet) of the event being edited
+ * @param {Object} newContent the content that replaces the content of the target event
+ * @param {Object?} previousContent the current content of the target event,
+ *     so users that were already mentioned aren't notified again
+ */
+export function createReplacement(targetId, newContent, previousContent = null) {
+    // fallback for clients that don't support edits
+    const content = {
+        msgtype: newContent.msgtype,
+        body: `* ${newContent.body}`,
+    };
+    if (newContent.formatted_body) {
+        content.format = newContent.format;
+        content.formatted_body = `* ${newContent.formatted_body}`;
+    }
+    const mentions = newContent["m.mentions"];
+    if (mentions) {
+        const previousMentions = previousContent?.["m.mentions"];
+        const newMentions = {};
+        const userIds = (mentions.user_ids ?? []).filter(id => !previousMentions?.user_ids?.includes(id));
+        if (userIds.length) {
+            newMentions.user_ids = userIds;
+        }
+        if (mentions.room && !previousMentions?.room) {
+            newMentions.room = true;
+        }
+        content["m.mentions"] = newMentions;
+    }
+    content["m.new_content"] = newContent;
+    content["m.relates_to"] = {
+        "event_id": targetId,
+        "rel_type": REPLACE_RELATION_TYPE
+    };
+    return content;
+}
+
+/**
+ * Adds a thread relation to the given content, see https://spec.matrix.org/v1.4/client-server-api/#threading
+ * @param {string} rootId the event id of the thread root
+ * @param {string} latestEventId the latest event in the thread, for clients that don't support threads
+ * @param {Object} content the content of the message to send in the thread
+ */
+export function createThreadReply(rootId, latestEventId, content) {
+    return Object.assign({}, content, {
+        "m.relates_to": {
+            "event_id": rootId,
+            "rel_type": THREAD_RELATION_TYPE,
+            // show as a reply to the latest event in clients that don't support threads
+            "is_falling_back": true,
+            "m.in_reply_to": {
+                "event_id": latestEventId
+            }
+        }
+    });
+}
+
 export function getRelationTarget(relation) {
     return relation.event_id || relation["m.in_reply_to"]?.event_id
 }
@@ -0,0 +1,89 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+export const EVENT_TYPE = "m.typing";
+
+/**
+ * @param {Array<object>} ephemeralEvents the ephemeral events of a room in a sync response
+ * @param {string} ownUserId
+ * @return {Array<string> | undefined} the other users that are typing now,
+ *      or undefined if the typing users didn't change
+ */
+export function getTypingUserIds(ephemeralEvents, ownUserId) {
+    if (!Array.isArray(ephemeralEvents)) {
+        return;
+    }
+    // only the last typing event counts, it has the full list of typing users
+    const typingEvent = ephemeralEvents.slice().reverse().find(e => e?.type === EVENT_TYPE);
+    const userIds = typingEvent?.content?.user_ids;
+    if (Array.isArray(userIds)) {
+        return userIds.filter(userId => typeof userId === "string" && userId !== ownUserId);
+    }
+}
+
+/**
+ * Updates the list of typing members, keeping the order in which they started typing
+ * @param {ObservableArray<RoomMember>} typingMembers
+ * @param {Array<RoomMember>} members the members that are typing now
+ */
+export function updateTypingMembers(typingMembers, members) {
+    for (let i = typingMembers.length - 1; i >= 0; i -= 1) {
+        const userId = typingMembers.at(i).userId;
+        if (!members.some(m => m.userId === userId)) {
+            typingMembers.remove(i);
+        }
+    }
+    for (const member of members) {
+        const idx = typingMembers.array.findIndex(m => m.userId === member.userId);
+        if (idx === -1) {
+            typingMembers.append(member);
+        } else if (!typingMembers.at(idx).equals(member)) {
+            typingMembers.update(idx, member);
+        }
+    }
+}
+
+import {ObservableArray} from "../../observable/list/ObservableArray";
+import {RoomMember} from "./members/RoomMember.js";
+
+export function tests() {
+    const member = userId => RoomMember.fromUserId("!room", userId, "join");
+
+    return {
+        "the last typing event counts and we are left out": assert => {
+            const userIds = getTypingUserIds([
+                {type: EVENT_TYPE, content: {user_ids: ["@alice:hs.tld"]}},
+                {type: "m.receipt", content: {}},
+                {type: EVENT_TYPE, content: {user_ids: ["@bob:hs.tld", "@me:hs.tld"]}},
+            ], "@me:hs.tld");
+            assert.deepEqual(userIds, ["@bob:hs.tld"]);
+            assert.equal(getTypingUserIds([{type: "m.receipt", content: {}}], "@me:hs.tld"), undefined);
+            assert.equal(getTypingUserIds(undefined, "@me:hs.tld"), undefined);
+        },
+        "members that keep typing stay in place": assert => {
+            const typingMembers = new ObservableArray([member("@alice:hs.tld"), member("@bob:hs.tld")]);
+            const emitted = [];
+            typingMembers.subscribe({
+                onAdd: (idx, m) => emitted.push(`add ${m.userId}`),
+                onRemove: (idx, m) => emitted.push(`remove ${m.userId}`),
+                onUpdate: (idx, m) => emitted.push(`update ${m.userId}`),
+            });
+            updateTypingMembers(typingMembers, [member("@bob:hs.tld"), member("@charly:hs.tld")]);
+            assert.deepEqual(typingMembers.array.map(m => m.userId), ["@bob:hs.tld", "@charly:hs.tld"]);
+            assert.deepEqual(emitted, ["remove @alice:hs.tld", "add @charly:hs.tld"]);
+        },
+    };
+}
@@ -0,0 +1,123 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {AbortableOperation} from "../../utils/AbortableOperation";
+import {EventKey} from "../room/timeline/EventKey";
+
+const PROGRESS_KEY = "searchIndexBackfill";
+// amount of stored events to index at once
+const BATCH_SIZE = 100;
+// wait between batches so we don't hog the storage and cpu
+const BATCH_DELAY_MS = 500;
+
+/**
+ * Indexes the messages of encrypted rooms that were stored before the search index existed.
+ * Every stored event is only visited once: new messages are indexed as they are synced or back-paginated,
+ * and messages that couldn't be decrypted yet are indexed once their room key arrives, see BaseRoom.notifyRoomKey.
+ * Progress is kept in the session store, so it continues where it left off after a reload.
+ */
+export class SearchIndexBackfill {
+    constructor({storage, clock, rooms}) {
+        this._storage = storage;
+        this._clock = clock;
+        this._rooms = rooms;
+        this._operation = null;
+        this._isDisposed = false;
+    }
+
+    start(log) {
+        if (this._operation || this._isDisposed) {
+            return;
+        }
+        log.wrapDetached("backfill search index", async log => {
+            this._operation = this._run(log);
+            try {
+                await this._operation.result;
+            } catch (err) {
+                if (err.name !== "AbortError") {
+                    log.catch(err);
+                }
+            }
+            this._operation = null;
+        });
+    }
+
+    _run(log) {
+        return new AbortableOperation(async setAbortable => {
+            const readTxn = await this._storage.readTxn([this._storage.storeNames.session]);
+            const progress = await readTxn.session.get(PROGRESS_KEY) ?? {};
+            let indexedBatches = 0;
+            for (const room of Array.from(this._rooms.values())) {
+                if (!room.isEncrypted || progress[room.id] === true) {
+                    continue;
+                }
+                const lastKey = progress[room.id];
+                let afterKey = lastKey ? new EventKey(lastKey.fragmentId, lastKey.eventIndex) : undefined;
+                do {
+                    const timeout = setAbortable(this._clock.createTimeout(BATCH_DELAY_MS));
+                    await timeout.elapsed();
+                    if (this._isDisposed) {
+                        return;
+                    }
+                    afterKey = await room.indexStoredEvents(afterKey, BATCH_SIZE, log);
+                    progress[room.id] = afterKey ? {fragmentId: afterKey.fragmentId, eventIndex: afterKey.eventIndex} : true;
+                    const txn = await this._storage.readWriteTxn([this._storage.storeNames.session]);
+                    txn.session.set(PROGRESS_KEY, progress);
+                    await txn.complete();
+                    indexedBatches += 1;
+                } while (afterKey);
+            }
+            log.set("batches", indexedBatches);
+        });
+    }
+
+    dispose() {
+        this._isDisposed = true;
+        this._operation?.abort();
+    }
+}
+
+import {createMockStorage} from "../../mocks/Storage";
+import {NullLogItem} from "../../logging/NullLogger";
+
+export function tests() {
+    return {
+        "indexes encrypted rooms in batches and remembers progress": async assert => {
+            const storage = await createMockStorage();
+            // don't wait between batches
+            const clock = {createTimeout: () => ({elapsed: () => Promise.resolve(), abort() {}})};
+            const calls = [];
+            const createRoom = (id, isEncrypted, batchCount) => ({
+                id,
+                isEncrypted,
+                async indexStoredEvents(afterKey) {
+                    calls.push([id, afterKey?.eventIndex]);
+                    const index = (afterKey?.eventIndex ?? -1) + 1;
+                    return index < batchCount ? new EventKey(1, index) : null;
+                }
+            });
+            const rooms = new Map([
+                ["!plain", createRoom("!plain", false, 1)],
+                ["!a", createRoom("!a", true, 2)],
+            ]);
+            const backfill = new SearchIndexBackfill({storage, clock, rooms});
+            await backfill._run(new NullLogItem()).result;
+            assert.deepEqual(calls, [["!a", undefined], ["!a", 0], ["!a", 1]]);
+            const txn = await storage.readTxn([storage.storeNames.session]);
+            assert.deepEqual(await txn.session.get(PROGRESS_KEY), {"!a": true});
+        },
+    };
+}
@@ -0,0 +1,122 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {EventKey} from "../room/timeline/EventKey";
+import {tokenize} from "./tokenize.js";
+
+/**
+ * Searches the local index of the messages in encrypted rooms.
+ * Only messages containing all terms of the query match,
+ * ranked by how often the terms occur, where rare terms weigh more than common ones.
+ * @param {Transaction} txn a transaction with the searchIndex store
+ * @param {string} query
+ * @param {object} [options]
+ * @param {string} [options.roomId] only search in this room
+ * @param {number} [options.limit]
+ * @return {Promise<Array<{roomId: string, eventId: string, eventKey: EventKey, score: number}>>} sorted by relevance, most relevant first
+ */
+export async function searchLocalIndex(txn, query, {roomId, limit = 50} = {}) {
+    const terms = Array.from(tokenize(query).keys());
+    if (!terms.length) {
+        return [];
+    }
+    const postingsPerTerm = await Promise.all(terms.map(term => txn.searchIndex.getForTerm(term, roomId)));
+    const matchedEventIds = new Set();
+    for (const postings of postingsPerTerm) {
+        for (const posting of postings) {
+            matchedEventIds.add(`${posting.roomId}|${posting.eventId}`);
+        }
+    }
+    const results = new Map();
+    for (const postings of postingsPerTerm) {
+        const idf = Math.log(1 + matchedEventIds.size / postings.length);
+        for (const posting of postings) {
+            const key = `${posting.roomId}|${posting.eventId}`;
+            let result = results.get(key);
+            if (!result) {
+                result = {
+                    roomId: posting.roomId,
+                    eventId: posting.eventId,
+                    eventKey: new EventKey(posting.fragmentId, posting.eventIndex),
+                    timestamp: posting.timestamp,
+                    score: 0,
+                    matchedTerms: 0,
+                };
+                results.set(key, result);
+            }
+            // saturate the term count so repeating a word doesn't make a message much more relevant
+            result.score += idf * posting.count / (posting.count + 1);
+            result.matchedTerms += 1;
+        }
+    }
+    return Array.from(results.values())
+        .filter(r => r.matchedTerms === terms.length)
+        .sort((a, b) => (b.score - a.score) || (b.timestamp - a.timestamp))
+        .slice(0, limit)
+        .map(({roomId, eventId, eventKey, score}) => ({roomId, eventId, eventKey, score}));
+}
+
+import {createMockStorage} from "../../mocks/Storage";
+
+export function tests() {
+    async function createIndex(messages) {
+        const storage = await createMockStorage();
+        const txn = await storage.readWriteTxn([storage.storeNames.searchIndex]);
+        messages.forEach(([roomId, eventId, body], i) => {
+            for (const [term, count] of tokenize(body)) {
+                txn.searchIndex.set({term, roomId, eventId, fragmentId: 1, eventIndex: i, timestamp: i, count});
+            }
+        });
+        return txn;
+    }
+
+    return {
+        "all terms have to match": async assert => {
+            const txn = await createIndex([
+                ["!a", "$1", "lunch today?"],
+                ["!a", "$2", "lunch tomorrow"],
+                ["!a", "$3", "what about today"],
+            ]);
+            const results = await searchLocalIndex(txn, "Lunch, today");
+            assert.deepEqual(results.map(r => r.eventId), ["$1"]);
+            assert.equal(results[0].eventKey.eventIndex, 0);
+        },
+        "rare terms and more occurrences rank higher": async assert => {
+            const txn = await createIndex([
+                ["!a", "$1", "the meeting"],
+                ["!a", "$2", "the meeting is about the budget"],
+                ["!a", "$3", "meeting meeting meeting"],
+                ["!b", "$4", "the meeting"],
+            ]);
+            assert.deepEqual((await searchLocalIndex(txn, "meeting budget")).map(r => r.eventId), ["$2"]);
+            const meetings = await searchLocalIndex(txn, "meeting", {roomId: "!a"});
+            // with the same score, newer messages come first
+            assert.deepEqual(meetings.map(r => r.eventId), ["$3", "$2", "$1"]);
+        },
+        "CJK query matches inside a sentence": async assert => {
+            const txn = await createIndex([
+                ["!a", "$1", "明日東京で会いましょう"],
+                ["!a", "$2", "京都に行きます"],
+            ]);
+            assert.deepEqual((await searchLocalIndex(txn, "東京")).map(r => r.eventId), ["$1"]);
+            assert.deepEqual((await searchLocalIndex(txn, "京")).map(r => r.eventId), ["$2", "$1"]);
+        },
+        "empty query has no results": async assert => {
+            const txn = await createIndex([["!a", "$1", "hello"]]);
+            assert.deepEqual(await searchLocalIndex(txn, " ! "), []);
+        },
+    };
+}
@@ -0,0 +1,129 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {NonPersistedEventEntry} from "../room/timeline/entries/NonPersistedEventEntry.js";
+
+// messages before and after a result that are returned as context
+const CONTEXT_LIMIT = 1;
+
+/**
+ * Searches the message bodies in the rooms we are in through the /search api of the homeserver.
+ * The homeserver can't search encrypted rooms.
+ * @param {HomeServerApi} hsApi
+ * @param {string} term
+ * @param {object} [options]
+ * @param {string} [options.roomId] only search in this room
+ * @param {string} [options.nextBatch] the nextBatch of a previous call with the same term, to get the next page
+ * @return {Promise<{count: number, nextBatch: string | undefined, results: Array<{roomId, rank, entry, contextBefore, contextAfter}>}>}
+ */
+export async function searchOnServer(hsApi, term, {roomId, nextBatch} = {}, log = undefined) {
+    const body = {
+        search_categories: {
+            room_events: {
+                search_term: term,
+                keys: ["content.body"],
+                order_by: "recent",
+                filter: roomId ? {rooms: [roomId]} : undefined,
+                event_context: {
+                    before_limit: CONTEXT_LIMIT,
+                    after_limit: CONTEXT_LIMIT,
+                    include_profile: true,
+                },
+            }
+        }
+    };
+    const response = await hsApi.search(body, nextBatch, {log}).response();
+    const roomEvents = response.search_categories?.room_events ?? {};
+    const results = (roomEvents.results ?? []).map(({rank, result, context}) => {
+        const profiles = context?.profile_info ?? {};
+        const createEntry = event => {
+            const profile = profiles[event.sender];
+            return new NonPersistedEventEntry({
+                event,
+                displayName: profile?.displayname,
+                avatarUrl: profile?.avatar_url,
+            }, null);
+        };
+        return {
+            roomId: result.room_id,
+            rank,
+            entry: createEntry(result),
+            // events_before is sorted from newest to oldest
+            contextBefore: (context?.events_before ?? []).slice().reverse().map(createEntry),
+            contextAfter: (context?.events_after ?? []).map(createEntry),
+        };
+    });
+    return {count: roomEvents.count ?? results.length, nextBatch: roomEvents.next_batch, results};
+}
+
+import {createEvent, withTextBody} from "../../mocks/event.js";
+
+export function tests() {
+    function createMessage(id, body, sender = "@alice:hs.tld") {
+        return Object.assign(withTextBody(body, createEvent("m.room.message", id, sender)), {room_id: "!room"});
+    }
+
+    return {
+        "results have context and profiles": async assert => {
+            let request;
+            const hsApi = {
+                search(body, nextBatch) {
+                    request = {body, nextBatch};
+                    return {response: async () => ({
+                        search_categories: {room_events: {
+                            count: 10,
+                            next_batch: "next",
+                            results: [{
+                                rank: 0.5,
+                                result: createMessage("$2", "hello world"),
+                                context: {
+                                    events_before: [createMessage("$1b", "b"), createMessage("$1a", "a")],
+                                    events_after: [createMessage("$3", "c", "@bob:hs.tld")],
+                                    profile_info: {"@alice:hs.tld": {displayname: "Alice"}},
+                                },
+                            }],
+                        }}
+                    })};
+                }
+            };
+            const {count, nextBatch, results} = await searchOnServer(hsApi, "hello", {roomId: "!room", nextBatch: "prev"});
+            assert.equal(request.nextBatch, "prev");
+            assert.deepEqual(request.body.search_categories.room_events.filter, {rooms: ["!room"]});
+            assert.equal(count, 10);
+            assert.equal(nextBatch, "next");
+            assert.equal(results.length, 1);
+            const [result] = results;
+            assert.equal(result.roomId, "!room");
+            assert.equal(result.entry.id, "$2");
+            assert.equal(result.entry.displayName, "Alice");
+            assert.deepEqual(result.contextBefore.map(e => e.id), ["$1a", "$1b"]);
+            assert.equal(result.contextAfter[0].displayName, undefined);
+        },
+        "global search has no room filter": async assert => {
+            let request;
+            const hsApi = {
+                search(body) {
+                    request = body;
+                    return {response: async () => ({search_categories: {room_events: {results: []}}})};
+                }
+            };
+            const {results, nextBatch} = await searchOnServer(hsApi, "hello");
+            assert.equal(request.search_categories.room_events.filter, undefined);
+            assert.equal(results.length, 0);
+            assert.equal(nextBatch, undefined);
+        },
+    };
+}
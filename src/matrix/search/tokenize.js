@@ -0,0 +1,101 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// only index words that are long enough to be searched for, and not whole urls or hashes
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+// scripts that don't separate words with spaces, captured so splitting on it keeps the runs
+const CJK_RUN = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+)/u;
+
+/**
+ * Splits text into lowercase terms of letters and digits, without diacritics,
+ * so "Café" and "cafe" match.
+ * As there are no spaces between CJK words, CJK text is split into its characters
+ * and each pair of adjacent characters instead, so a query matches anywhere in a sentence.
+ * @param {string} text
+ * @return {Map<string, number>} how often each term occurs in the text
+ */
+export function tokenize(text) {
+    const counts = new Map();
+    const words = text.normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+        // recompose hangul syllables
+        .normalize("NFC")
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u);
+    for (const word of words) {
+        word.split(CJK_RUN).forEach((part, i) => {
+            // the odd parts are the captured CJK runs
+            if (i % 2 === 1) {
+                addCJKTerms(counts, part);
+            } else if (part.length >= MIN_TERM_LENGTH && part.length <= MAX_TERM_LENGTH) {
+                addTerm(counts, part);
+            }
+        });
+    }
+    return counts;
+}
+
+function addCJKTerms(counts, text) {
+    const chars = Array.from(text);
+    for (let i = 0; i < chars.length; i += 1) {
+        addTerm(counts, chars[i]);
+        if (i + 1 < chars.length) {
+            addTerm(counts, chars[i] + chars[i + 1]);
+        }
+    }
+}
+
+function addTerm(counts, term) {
+    counts.set(term, (counts.get(term) ?? 0) + 1);
+}
+
+export function tests() {
+    return {
+        "splits on punctuation and counts terms": assert => {
+            const terms = tokenize("Hello, hello world! It's a test-case.");
+            assert.equal(terms.get("hello"), 2);
+            assert.equal(terms.get("world"), 1);
+            assert.equal(terms.get("test"), 1);
+            assert.equal(terms.get("case"), 1);
+            // too short
+            assert.equal(terms.has("a"), false);
+            assert.equal(terms.has("s"), false);
+        },
+        "strips diacritics": assert => {
+            const terms = tokenize("Café ÜBER naïve");
+            assert.deepEqual(Array.from(terms.keys()), ["cafe", "uber", "naive"]);
+        },
+        "keeps non-latin scripts": assert => {
+            const terms = tokenize("привет мир");
+            assert.deepEqual(Array.from(terms.keys()), ["привет", "мир"]);
+            assert.deepEqual(Array.from(tokenize("안녕하세요 세계").keys()), ["안녕하세요", "세계"]);
+        },
+        "splits CJK text into characters and bigrams": assert => {
+            const terms = tokenize("東京に行きました、東京タワー!");
+            assert.equal(terms.get("東京"), 2);
+            assert.equal(terms.get("東"), 2);
+            assert.equal(terms.get("タワ"), 1);
+            assert.equal(terms.get("きま"), 1);
+            const mixed = tokenize("hydrogenの東京");
+            assert.deepEqual(Array.from(mixed.keys()), ["hydrogen", "の", "の東", "東", "東京", "京"]);
+        },
+        "long CJK sentences are still indexed": assert => {
+            const sentence = "今日はとても良い天気ですね".repeat(4);
+            assert.equal(tokenize(sentence).get("天気"), 4);
+        },
+    };
+}
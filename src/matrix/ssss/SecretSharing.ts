@@ -0,0 +1,506 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TrustLevel} from "../e2ee/common.js";
+import {makeTxnId} from "../common.js";
+import {readKey, readSharedSecret, writeSharedSecret} from "./index";
+import {SecretStorage} from "./SecretStorage";
+
+import type {DecryptionResult} from "../e2ee/DecryptionResult";
+import type {Encryption as OlmEncryption} from "../e2ee/olm/Encryption";
+import type {DeviceTracker} from "../e2ee/DeviceTracker.js";
+import type {DeviceIdentity} from "../storage/idb/stores/DeviceIdentityStore";
+import type {Storage} from "../storage/idb/Storage";
+import type {Transaction} from "../storage/idb/Transaction";
+import type {HomeServerApi} from "../net/HomeServerApi";
+import type {Platform} from "../../platform/web/Platform.js";
+import type {ILogItem} from "../../logging/types";
+import type * as OlmNamespace from "@matrix-org/olm";
+type Olm = typeof OlmNamespace;
+
+export const SECRET_REQUEST_TYPE = "m.secret.request";
+export const SECRET_SEND_TYPE = "m.secret.send";
+/** the session store key for the pending requests, so secrets received after a reload are still accepted */
+const SESSION_KEY = "secretRequests";
+
+export enum SecretRequestAction {
+    Request = "request",
+    Cancellation = "request_cancellation",
+}
+
+/** The secrets we ask our other devices for, and share with them */
+export const SHAREABLE_SECRETS = [
+    "m.megolm_backup.v1",
+    "m.cross_signing.master",
+    "m.cross_signing.self_signing",
+    "m.cross_signing.user_signing",
+];
+
+/** the public cross-signing key, as returned by DeviceTracker.getCrossSigningKeys, that each cross-signing secret is the private key of */
+const CROSS_SIGNING_PUBLIC_KEYS = {
+    "m.cross_signing.master": "masterKey",
+    "m.cross_signing.self_signing": "selfSigningKey",
+    "m.cross_signing.user_signing": "userSigningKey",
+};
+
+type SecretRequestEvent = {
+    sender: string,
+    content: {
+        name?: string,
+        action?: SecretRequestAction,
+        request_id?: string,
+        requesting_device_id?: string,
+    }
+};
+
+type PendingRequest = {
+    name: string,
+    /** the devices we sent the request to, and the only ones we accept the secret from */
+    devices: DeviceIdentity[],
+};
+
+export type ReceivedSecret = {
+    name: string,
+    secret: string,
+};
+
+type Options = {
+    olm: Olm;
+    deviceTracker: DeviceTracker;
+    olmEncryption: OlmEncryption;
+    storage: Storage;
+    hsApi: HomeServerApi;
+    platform: Platform;
+    ownUserId: string;
+    ownDeviceId: string;
+};
+
+/**
+ * Secret sharing (https://spec.matrix.org/v1.2/client-server-api/#sharing) lets us ask our other verified devices
+ * for the secrets in secret storage, like the key backup key, so the user doesn't have to enter their recovery key.
+ * We also answer the requests of our other verified devices for the secrets we have.
+ * Secrets we receive are stored locally, next to the secret storage key.
+ */
+export class SecretSharing {
+    /** requests we sent and haven't received the secret for yet, by request id */
+    private readonly pendingRequests: Map<string, PendingRequest> = new Map();
+
+    constructor(private readonly options: Options) {}
+
+    /** Restores the requests we sent before the session was closed and haven't received the secret for yet. */
+    async load(txn: Transaction): Promise<void> {
+        const entries: [string, PendingRequest][] | undefined = await txn.session.get(SESSION_KEY);
+        for (const [requestId, request] of entries ?? []) {
+            this.pendingRequests.set(requestId, request);
+        }
+    }
+
+    /**
+     * Asks our other verified devices for the given secrets, except the ones we have already or requested before,
+     * and the ones that aren't in the secret storage of the account, as other devices won't have them either.
+     * @return the names of the secrets that were requested
+     */
+    async requestSecrets(names: string[], log: ILogItem): Promise<string[]> {
+        const pendingNames = Array.from(this.pendingRequests.values()).map(r => r.name);
+        const missingNames: string[] = [];
+        for (const name of names) {
+            if (!pendingNames.includes(name) && await this._isInSecretStorage(name) && !await this._readSecret(name)) {
+                missingNames.push(name);
+            }
+        }
+        log.set("names", missingNames);
+        if (!missingNames.length) {
+            return [];
+        }
+        const devices = await this._verifiedOwnDevices(log);
+        if (!devices.length) {
+            log.set("noVerifiedDevices", true);
+            return [];
+        }
+        for (const name of missingNames) {
+            const requestId = makeTxnId();
+            // set before sending so we don't send the same request twice in parallel
+            this.pendingRequests.set(requestId, {name, devices});
+            try {
+                await this._sendToOwnDevices(devices, {
+                    name,
+                    action: SecretRequestAction.Request,
+                    request_id: requestId,
+                    requesting_device_id: this.options.ownDeviceId,
+                }, log);
+            } catch (err) {
+                this.pendingRequests.delete(requestId);
+                throw err;
+            }
+            await this._writePendingRequests();
+        }
+        return missingNames;
+    }
+
+    /**
+     * Stores the secrets our other devices sent us in response to our requests,
+     * and lets the other devices we asked know we don't need the secret anymore.
+     * @param results the decrypted m.secret.send to-device messages received during a sync
+     * @return the secrets that were received
+     */
+    async handleSecrets(results: DecryptionResult[], log: ILogItem): Promise<ReceivedSecret[]> {
+        const received: {secret: ReceivedSecret, requestId: string, request: PendingRequest}[] = [];
+        for (const result of results) {
+            const requestId = result.event.content?.request_id;
+            const secret = result.event.content?.secret;
+            const request = this.pendingRequests.get(requestId);
+            // only accept secrets from the verified devices we asked, identified by the key the message was encrypted with
+            if (!request || typeof secret !== "string" ||
+                !request.devices.some(d => d.curve25519Key === result.senderCurve25519Key)
+            ) {
+                log.log({l: "ignoring secret that wasn't requested", requestId}, log.level.Warn);
+                continue;
+            }
+            // keep the request pending, another device might send the right one
+            if (!await this._matchesPublicKey(request.name, secret)) {
+                log.log({l: "ignoring cross-signing secret that doesn't match our public key", name: request.name}, log.level.Warn);
+                continue;
+            }
+            this.pendingRequests.delete(requestId);
+            received.push({secret: {name: request.name, secret}, requestId, request});
+        }
+        log.set("received", received.map(r => r.secret.name));
+        if (!received.length) {
+            return [];
+        }
+        const {storage} = this.options;
+        const txn = await storage.readWriteTxn([storage.storeNames.session]);
+        try {
+            for (const {secret} of received) {
+                await writeSharedSecret(secret.name, secret.secret, txn);
+            }
+            this._setPendingRequests(txn);
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+        for (const {requestId, request} of received) {
+            await log.wrap("cancel request", log => {
+                log.set("name", request.name);
+                return this._sendToOwnDevices(request.devices, {
+                    action: SecretRequestAction.Cancellation,
+                    request_id: requestId,
+                    requesting_device_id: this.options.ownDeviceId,
+                }, log);
+            });
+        }
+        return received.map(r => r.secret);
+    }
+
+    /** Handles the m.secret.request to-device messages received during a sync. */
+    async handleRequests(events: SecretRequestEvent[], log: ILogItem): Promise<void> {
+        const {ownUserId, ownDeviceId} = this.options;
+        // a request could be cancelled already in the same sync
+        const cancelledRequestIds = events
+            .filter(e => e.content?.action === SecretRequestAction.Cancellation)
+            .map(e => e.content.request_id);
+        const requests = events.filter(e => {
+            return e.sender === ownUserId &&
+                e.content?.action === SecretRequestAction.Request &&
+                e.content.requesting_device_id !== ownDeviceId &&
+                !cancelledRequestIds.includes(e.content.request_id);
+        });
+        log.set("ignored", events.length - requests.length);
+        if (!requests.length) {
+            return;
+        }
+        const devices = await this._verifiedOwnDevices(log);
+        for (const event of requests) {
+            await log.wrap("request", log => this._handleRequest(event, devices, log));
+        }
+    }
+
+    private async _handleRequest(event: SecretRequestEvent, verifiedDevices: DeviceIdentity[], log: ILogItem): Promise<void> {
+        const {name, request_id: requestId, requesting_device_id: deviceId} = event.content;
+        log.set("deviceId", deviceId);
+        log.set("name", name);
+        const device = verifiedDevices.find(d => d.deviceId === deviceId);
+        if (!device) {
+            log.set("unverifiedDevice", true);
+            return;
+        }
+        if (typeof name !== "string" || typeof requestId !== "string" || !SHAREABLE_SECRETS.includes(name)) {
+            log.set("invalid", true);
+            return;
+        }
+        const secret = await this._readSecret(name);
+        if (!secret) {
+            log.set("unknownSecret", true);
+            return;
+        }
+        const {olmEncryption, hsApi, ownUserId} = this.options;
+        const messages = await log.wrap("olm encrypt", log => olmEncryption.encrypt(SECRET_SEND_TYPE, {request_id: requestId, secret}, [device], hsApi, log));
+        if (!messages.length) {
+            log.set("noOlmSession", true);
+            return;
+        }
+        const payload = {messages: {[ownUserId]: {[device.deviceId]: messages[0].content}}};
+        await hsApi.sendToDevice("m.room.encrypted", payload, makeTxnId(), {log}).response();
+    }
+
+    /** Checks that a received cross-signing secret is the private key of the cross-signing key we published */
+    private async _matchesPublicKey(name: string, secret: string): Promise<boolean> {
+        const publicKeyName = CROSS_SIGNING_PUBLIC_KEYS[name];
+        if (!publicKeyName) {
+            return true;
+        }
+        const {olm, deviceTracker, platform, ownUserId} = this.options;
+        const publicKey = (await deviceTracker.getCrossSigningKeys(ownUserId))[publicKeyName];
+        if (!publicKey) {
+            return false;
+        }
+        const signing = new olm.PkSigning();
+        try {
+            return signing.init_with_seed(platform.encoding.base64.decode(secret)) === publicKey;
+        } catch (err) {
+            return false;
+        } finally {
+            signing.free();
+        }
+    }
+
+    private async _isInSecretStorage(name: string): Promise<boolean> {
+        const {storage} = this.options;
+        const txn = await storage.readTxn([storage.storeNames.accountData]);
+        return !!await txn.accountData.get(name);
+    }
+
+    /** Reads a secret we received from another device before, or from secret storage if we have its key */
+    private async _readSecret(name: string): Promise<string | undefined> {
+        const {storage, platform} = this.options;
+        const txn = await storage.readTxn([
+            storage.storeNames.session,
+            storage.storeNames.accountData,
+        ]);
+        const sharedSecret = await readSharedSecret(name, txn);
+        if (sharedSecret) {
+            return sharedSecret;
+        }
+        const key = await readKey(txn);
+        if (key) {
+            const secretStorage = new SecretStorage({key, platform});
+            return await secretStorage.readSecret(name, txn);
+        }
+    }
+
+    private async _verifiedOwnDevices(log: ILogItem): Promise<DeviceIdentity[]> {
+        const {deviceTracker, hsApi, ownUserId, ownDeviceId} = this.options;
+        const {devices} = await deviceTracker.getTrustForUser(ownUserId, hsApi, log);
+        return devices
+            .filter(d => d.trustLevel === TrustLevel.Verified && d.device.deviceId !== ownDeviceId)
+            .map(d => d.device);
+    }
+
+    private async _writePendingRequests(): Promise<void> {
+        const {storage} = this.options;
+        const txn = await storage.readWriteTxn([storage.storeNames.session]);
+        try {
+            this._setPendingRequests(txn);
+        } catch (err) {
+            txn.abort();
+            throw err;
+        }
+        await txn.complete();
+    }
+
+    private _setPendingRequests(txn: Transaction): void {
+        txn.session.set(SESSION_KEY, Array.from(this.pendingRequests.entries()));
+    }
+
+    private async _sendToOwnDevices(devices: DeviceIdentity[], content: Record<string, any>, log: ILogItem): Promise<void> {
+        const messages = devices.reduce((messages, device) => {
+            messages[device.deviceId] = content;
+            return messages;
+        }, {});
+        const payload = {messages: {[this.options.ownUserId]: messages}};
+        await this.options.hsApi.sendToDevice(SECRET_REQUEST_TYPE, payload, makeTxnId(), {log}).response();
+    }
+}
+
+import {HomeServer as MockHomeServer} from "../../mocks/HomeServer.js";
+import {createMockStorage} from "../../mocks/Storage";
+import {poll} from "../../mocks/poll";
+import {Instance as NullLoggerInstance} from "../../logging/NullLogger";
+import {Encoding} from "../../platform/web/utils/Encoding.js";
+
+export function tests() {
+    const ownUserId = "@alice:hs.tld";
+    const verifiedDevice = {userId: ownUserId, deviceId: "VERIFIED", curve25519Key: "verifiedCurveKey"};
+    const unverifiedDevice = {userId: ownUserId, deviceId: "UNVERIFIED", curve25519Key: "unverifiedCurveKey"};
+
+    function createSharing({storage, homeServer, olmEncryption = undefined}: {storage: Storage, homeServer: MockHomeServer, olmEncryption?: any}) {
+        const deviceTracker = {
+            async getTrustForUser() {
+                return {trustLevel: TrustLevel.Verified, devices: [
+                    {device: verifiedDevice, trustLevel: TrustLevel.Verified},
+                    {device: unverifiedDevice, trustLevel: TrustLevel.Unknown},
+                ]};
+            },
+            async getCrossSigningKeys() {
+                return {masterKey: "public:master"};
+            },
+        };
+        // derives the public key from the seed
+        const olm = {
+            PkSigning: class {
+                init_with_seed(seed: Uint8Array) { return `public:${new TextDecoder().decode(seed)}`; }
+                free() {}
+            }
+        };
+        return new SecretSharing({
+            olm,
+            deviceTracker,
+            olmEncryption,
+            storage,
+            hsApi: homeServer.api,
+            platform: {encoding: new Encoding()},
+            ownUserId,
+            ownDeviceId: "OWN",
+        } as any);
+    }
+
+    async function createStorageWithSecrets(names: string[]): Promise<Storage> {
+        const storage = await createMockStorage();
+        const txn = await storage.readWriteTxn([storage.storeNames.accountData]);
+        for (const name of names) {
+            txn.accountData.set({type: name, content: {encrypted: {}}});
+        }
+        await txn.complete();
+        return storage;
+    }
+
+    function createSecretSend(requestId: string, senderKey: string, secret = "backupkey") {
+        return {
+            event: {type: SECRET_SEND_TYPE, sender: ownUserId, content: {request_id: requestId, secret}},
+            senderCurve25519Key: senderKey,
+        } as any;
+    }
+
+    return {
+        "secret is requested from verified devices and only accepted from them": async assert => {
+            const storage = await createStorageWithSecrets(["m.megolm_backup.v1"]);
+            const homeServer = new MockHomeServer();
+            const sharing = createSharing({storage, homeServer});
+            const promise = sharing.requestSecrets(["m.megolm_backup.v1"], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            assert.deepEqual(await promise, ["m.megolm_backup.v1"]);
+            const [type, payload] = homeServer.requests.sendToDevice[0].arguments;
+            assert.equal(type, SECRET_REQUEST_TYPE);
+            const messages = payload.messages[ownUserId];
+            assert.deepEqual(Object.keys(messages), ["VERIFIED"]);
+            assert.equal(messages.VERIFIED.name, "m.megolm_backup.v1");
+            const requestId = messages.VERIFIED.request_id;
+            // asking again while the request is pending doesn't send anything
+            assert.deepEqual(await sharing.requestSecrets(["m.megolm_backup.v1"], NullLoggerInstance.item), []);
+
+            const receivedFromUnverified = await sharing.handleSecrets([createSecretSend(requestId, "unverifiedCurveKey")], NullLoggerInstance.item);
+            assert.equal(receivedFromUnverified.length, 0);
+            const receivePromise = sharing.handleSecrets([createSecretSend(requestId, "verifiedCurveKey")], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice[1])).respond({});
+            assert.deepEqual(await receivePromise, [{name: "m.megolm_backup.v1", secret: "backupkey"}]);
+            assert.equal(homeServer.requests.sendToDevice[1].arguments[1].messages[ownUserId].VERIFIED.action, SecretRequestAction.Cancellation);
+            const txn = await storage.readTxn([storage.storeNames.session]);
+            assert.equal(await readSharedSecret("m.megolm_backup.v1", txn), "backupkey");
+        },
+        "pending requests are restored after a reload": async assert => {
+            const storage = await createStorageWithSecrets(["m.megolm_backup.v1"]);
+            const homeServer = new MockHomeServer();
+            const sharing = createSharing({storage, homeServer});
+            const promise = sharing.requestSecrets(["m.megolm_backup.v1"], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            const requestId = homeServer.requests.sendToDevice[0].arguments[1].messages[ownUserId].VERIFIED.request_id;
+            const reload = async () => {
+                const reloaded = createSharing({storage, homeServer});
+                await reloaded.load(await storage.readTxn([storage.storeNames.session]));
+                return reloaded;
+            };
+            const reloaded = await reload();
+            // the secret isn't requested again
+            assert.deepEqual(await reloaded.requestSecrets(["m.megolm_backup.v1"], NullLoggerInstance.item), []);
+            const receivePromise = reloaded.handleSecrets([createSecretSend(requestId, "verifiedCurveKey")], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice[1])).respond({});
+            assert.deepEqual(await receivePromise, [{name: "m.megolm_backup.v1", secret: "backupkey"}]);
+            // the answered request isn't pending anymore after the next reload
+            assert.deepEqual(await (await reload()).handleSecrets([createSecretSend(requestId, "verifiedCurveKey")], NullLoggerInstance.item), []);
+        },
+        "only secrets in secret storage are requested": async assert => {
+            const storage = await createStorageWithSecrets(["m.cross_signing.master"]);
+            const homeServer = new MockHomeServer();
+            const sharing = createSharing({storage, homeServer});
+            const promise = sharing.requestSecrets(SHAREABLE_SECRETS, NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            assert.deepEqual(await promise, ["m.cross_signing.master"]);
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+        },
+        "cross-signing secret is only accepted if it matches our public key": async assert => {
+            const storage = await createStorageWithSecrets(["m.cross_signing.master"]);
+            const homeServer = new MockHomeServer();
+            const sharing = createSharing({storage, homeServer});
+            const promise = sharing.requestSecrets(["m.cross_signing.master"], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            const requestId = homeServer.requests.sendToDevice[0].arguments[1].messages[ownUserId].VERIFIED.request_id;
+            const base64 = new Encoding().base64;
+            const encode = (seed: string) => base64.encode(new TextEncoder().encode(seed));
+            const wrongSecret = createSecretSend(requestId, "verifiedCurveKey", encode("other"));
+            assert.deepEqual(await sharing.handleSecrets([wrongSecret], NullLoggerInstance.item), []);
+            // the request is still pending, so the right secret is accepted
+            const receivePromise = sharing.handleSecrets([createSecretSend(requestId, "verifiedCurveKey", encode("master"))], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice[1])).respond({});
+            assert.deepEqual(await receivePromise, [{name: "m.cross_signing.master", secret: encode("master")}]);
+        },
+        "secret is only shared with verified devices": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.session]);
+            await writeSharedSecret("m.megolm_backup.v1", "backupkey", txn);
+            await txn.complete();
+            const homeServer = new MockHomeServer();
+            const encryptedFor: string[] = [];
+            const olmEncryption = {
+                async encrypt(type, content, devices) {
+                    assert.equal(type, SECRET_SEND_TYPE);
+                    assert.equal(content.secret, "backupkey");
+                    encryptedFor.push(...devices.map(d => d.deviceId));
+                    return devices.map(device => ({device, content: {ciphertext: "encrypted"}}));
+                }
+            };
+            const sharing = createSharing({storage, homeServer, olmEncryption});
+            const request = (deviceId: string, name: string) => ({sender: ownUserId, content: {
+                name,
+                action: SecretRequestAction.Request,
+                requesting_device_id: deviceId,
+                request_id: `${deviceId}-${name}`,
+            }});
+            const promise = sharing.handleRequests([
+                request("UNVERIFIED", "m.megolm_backup.v1"),
+                request("VERIFIED", "m.megolm_backup.v1"),
+                // not a secret we share
+                request("VERIFIED", "m.some.other.secret"),
+            ], NullLoggerInstance.item);
+            (await poll(() => homeServer.requests.sendToDevice?.[0])).respond({});
+            await promise;
+            assert.deepEqual(encryptedFor, ["VERIFIED"]);
+            assert.equal(homeServer.requests.sendToDevice.length, 1);
+        },
+    };
+}
@@ -49,18 +49,46 @@ export class SecretStorage {
         }
     }
 
-    async _decryptAESSecret(type: string, encryptedData: EncryptedData): Promise<string> {
+    /**
+     * Encrypts a secret with the key, to be stored in account data.
+     * @param  {string} name the account data type the secret will be stored under
+     * @return the content of the account data event for the secret
+     */
+    async encryptSecret(name: string, secret: string): Promise<{encrypted: {[keyId: string]: EncryptedData}}> {
+        if (this._key.algorithm !== "m.secret_storage.v1.aes-hmac-sha2") {
+            throw new Error(`Unsupported algorithm for key ${this._key.id}: ${this._key.algorithm}`);
+        }
         const {base64, utf8} = this._platform.encoding;
-        // now derive the aes and mac key from the 4s key
+        const {aesKey, hmacKey} = await this._deriveAESKeys(name);
+        const iv = await this._platform.crypto.aes.generateIV();
+        const ciphertextBytes = await this._platform.crypto.aes.encryptCTR({key: aesKey, iv, data: utf8.encode(secret)});
+        const mac = await this._platform.crypto.hmac.compute(hmacKey, ciphertextBytes, "SHA-256");
+        return {
+            encrypted: {
+                [this._key.id]: {
+                    iv: base64.encode(iv),
+                    ciphertext: base64.encode(ciphertextBytes),
+                    mac: base64.encode(mac),
+                }
+            }
+        };
+    }
+
+    async _deriveAESKeys(type: string): Promise<{aesKey: Uint8Array, hmacKey: Uint8Array}> {
+        // derive the aes and mac key from the 4s key
         const hkdfKey = await this._platform.crypto.derive.hkdf(
             this._key.binaryKey,
             new Uint8Array(8).buffer,   //zero salt
-            utf8.encode(type), // info
+            this._platform.encoding.utf8.encode(type), // info
             "SHA-256",
             512 // 512 bits or 64 bytes
         );
-        const aesKey = hkdfKey.slice(0, 32);
-        const hmacKey = hkdfKey.slice(32);
+        return {aesKey: hkdfKey.slice(0, 32), hmacKey: hkdfKey.slice(32)};
+    }
+
+    async _decryptAESSecret(type: string, encryptedData: EncryptedData): Promise<string> {
+        const {base64, utf8} = this._platform.encoding;
+        const {aesKey, hmacKey} = await this._deriveAESKeys(type);
         const ciphertextBytes = base64.decode(encryptedData.ciphertext);
 
         const isVerified = await this._platform.crypto.hmac.verify(
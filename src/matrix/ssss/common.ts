@@ -18,7 +18,7 @@ import type {Platform} from "../../platform/web/Platform.js";
 
 export type KeyDescriptionData = {
     algorithm: string;
-    passphrase: {
+    passphrase?: {
         algorithm: string;
         iterations: number;
         salt: string;
@@ -45,6 +45,11 @@ export class KeyDescription {
         return this._keyDescription?.passphrase;
     }
 
+    /** the content of the m.secret_storage.key.* account data for this key */
+    get data(): KeyDescriptionData {
+        return this._keyDescription;
+    }
+
     get algorithm(): string {
         return this._keyDescription?.algorithm;
     }
@@ -99,7 +104,7 @@ export class Key {
     }
 }
 
-async function calculateKeyMac(key: BufferSource, ivStr: string, platform: Platform): Promise<string> {
+export async function calculateKeyMac(key: BufferSource, ivStr: string, platform: Platform): Promise<string> {
     const {crypto, encoding} = platform;
     const {utf8, base64} = encoding;
     const {derive, aes, hmac} = crypto;
@@ -14,8 +14,8 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import {KeyDescription, Key} from "./common";
-import {keyFromPassphrase} from "./passphrase";
+import {KeyDescription, Key, calculateKeyMac} from "./common";
+import {keyFromPassphrase, createPassphraseParams} from "./passphrase";
 import {keyFromRecoveryKey} from "./recoveryKey";
 import {SESSION_E2EE_KEY_PREFIX} from "../e2ee/common.js";
 import type {Storage} from "../storage/idb/Storage";
@@ -28,6 +28,8 @@ type Olm = typeof OlmNamespace;
 
 const SSSS_KEY = `${SESSION_E2EE_KEY_PREFIX}ssssKey`;
 const BACKUPVERSION_KEY = `${SESSION_E2EE_KEY_PREFIX}keyBackupVersion`;
+// secrets we received from our other devices through secret sharing, by name
+const SHARED_SECRETS_KEY = `${SESSION_E2EE_KEY_PREFIX}sharedSecrets`;
 
 export enum KeyType {
     "RecoveryKey",
@@ -50,6 +52,11 @@ async function readDefaultKeyDescription(storage: Storage): Promise<KeyDescripti
     return new KeyDescription(id, keyAccountData.content as KeyDescriptionData);
 }
 
+/** Whether the account has a default secret storage key set up, e.g. by another client */
+export async function hasDefaultKey(storage: Storage): Promise<boolean> {
+    return !!await readDefaultKeyDescription(storage);
+}
+
 export async function writeKey(key: Key, keyBackupVersion: number, txn: Transaction): Promise<number | undefined> {
     const existingVersion: number | undefined = await txn.session.get(BACKUPVERSION_KEY);
     txn.session.set(BACKUPVERSION_KEY, keyBackupVersion);
@@ -73,6 +80,22 @@ export async function removeKey(txn: Transaction): Promise<void> {
     txn.session.remove(SSSS_KEY);
 }
 
+/** Reads a secret we received from another device, see SecretSharing */
+export async function readSharedSecret(name: string, txn: Transaction): Promise<string | undefined> {
+    const secrets = await txn.session.get(SHARED_SECRETS_KEY);
+    return secrets?.[name];
+}
+
+export async function writeSharedSecret(name: string, secret: string, txn: Transaction): Promise<void> {
+    const secrets = await txn.session.get(SHARED_SECRETS_KEY) ?? {};
+    secrets[name] = secret;
+    txn.session.set(SHARED_SECRETS_KEY, secrets);
+}
+
+export function removeSharedSecrets(txn: Transaction): void {
+    txn.session.remove(SHARED_SECRETS_KEY);
+}
+
 export async function keyFromCredential(type: KeyType, credential: string, storage: Storage, platform: Platform, olm: Olm): Promise<Key> {
     const keyDescription = await readDefaultKeyDescription(storage);
     if (!keyDescription) {
@@ -93,6 +116,35 @@ export async function keyFromCredentialAndDescription(type: KeyType, credential:
     return key;
 }
 
+/**
+ * Creates a new secret storage key, which is not stored anywhere yet.
+ * @param  {string} passphrase if given, the key is derived from this passphrase, otherwise it's random
+ * @return {Key}
+ */
+export async function createKey(passphrase: string | undefined, platform: Platform): Promise<Key> {
+    const {aes} = platform.crypto;
+    const {base58, base64} = platform.encoding;
+    // a raw aes key is just random bytes
+    const id = base58.encode(new Uint8Array(await aes.generateKey("raw", 128)));
+    let binaryKey: Uint8Array;
+    let passphraseParams: KeyDescriptionData["passphrase"];
+    if (passphrase) {
+        passphraseParams = await createPassphraseParams(platform);
+        const passphraseDescription = new KeyDescription(id, {passphrase: passphraseParams} as KeyDescriptionData);
+        binaryKey = (await keyFromPassphrase(passphraseDescription, passphrase, platform)).binaryKey;
+    } else {
+        binaryKey = new Uint8Array(await aes.generateKey("raw", 256));
+    }
+    const iv = base64.encode(await aes.generateIV());
+    const keyDescription = new KeyDescription(id, {
+        algorithm: "m.secret_storage.v1.aes-hmac-sha2",
+        passphrase: passphraseParams,
+        iv,
+        mac: await calculateKeyMac(binaryKey, iv, platform),
+    });
+    return new Key(keyDescription, binaryKey);
+}
+
 export async function keyFromDehydratedDeviceKey(key: Key, storage: Storage, platform: Platform): Promise<Key | undefined> {
     const keyDescription = await readDefaultKeyDescription(storage);
     if (await keyDescription?.isCompatible(key, platform)) {
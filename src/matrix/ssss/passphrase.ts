@@ -45,3 +45,16 @@ export async function keyFromPassphrase(keyDescription: KeyDescription, passphra
         passphraseParams.bits || DEFAULT_BITSIZE);
     return new Key(keyDescription, keyBits);
 }
+
+/** Creates the parameters to derive a new key from a passphrase with, using a random salt */
+export async function createPassphraseParams(platform: Platform): Promise<NonNullable<KeyDescription["passphraseParams"]>> {
+    // a raw aes key is just random bytes
+    const randomBytes = new Uint8Array(await platform.crypto.aes.generateKey("raw", 256));
+    return {
+        algorithm: "m.pbkdf2",
+        iterations: DEFAULT_ITERATIONS,
+        // the salt is used as a string, so make sure it's printable
+        salt: platform.encoding.base58.encode(randomBytes),
+        bits: DEFAULT_BITSIZE,
+    };
+}
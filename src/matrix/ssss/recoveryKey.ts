@@ -58,3 +58,43 @@ export function keyFromRecoveryKey(keyDescription: KeyDescription, recoveryKey:
 
     return new Key(keyDescription, keyBits);
 }
+
+/**
+ * Encodes the key as a recovery key, the inverse of keyFromRecoveryKey
+ * @param  {Key} key
+ * @return {string} the recovery key, in groups of 4 characters separated by a space
+ */
+export function recoveryKeyFromKey(key: Key, platform: Platform): string {
+    const bytes = new Uint8Array(OLM_RECOVERY_KEY_PREFIX.length + key.binaryKey.length + 1);
+    bytes.set(OLM_RECOVERY_KEY_PREFIX);
+    bytes.set(key.binaryKey, OLM_RECOVERY_KEY_PREFIX.length);
+    let parity = 0;
+    for (let i = 0; i < bytes.length - 1; i += 1) {
+        parity ^= bytes[i];
+    }
+    bytes[bytes.length - 1] = parity;
+    const encoded: string = platform.encoding.base58.encode(bytes);
+    return encoded.match(/.{1,4}/g)!.join(" ");
+}
+
+import {Encoding} from "../../platform/web/utils/Encoding.js";
+
+export function tests() {
+    const platform = {encoding: new Encoding()} as unknown as Platform;
+    const olm = {PRIVATE_KEY_LENGTH: 32} as unknown as Olm;
+    const keyDescription = new KeyDescription("id", {algorithm: "m.secret_storage.v1.aes-hmac-sha2", mac: "", iv: ""});
+    return {
+        "recovery key can be decoded into the same key": assert => {
+            const binaryKey = new Uint8Array(32).map((_, i) => i * 7);
+            const recoveryKey = recoveryKeyFromKey(new Key(keyDescription, binaryKey), platform);
+            assert(recoveryKey.split(" ").every(group => group.length <= 4));
+            const key = keyFromRecoveryKey(keyDescription, recoveryKey, olm, platform);
+            assert.deepEqual(Array.from(key.binaryKey), Array.from(binaryKey));
+        },
+        "recovery key with a typo is rejected": assert => {
+            const recoveryKey = recoveryKeyFromKey(new Key(keyDescription, new Uint8Array(32).fill(1)), platform);
+            const typo = (recoveryKey[0] === "E" ? "F" : "E") + recoveryKey.slice(1);
+            assert.throws(() => keyFromRecoveryKey(keyDescription, typo, olm, platform));
+        },
+    };
+}
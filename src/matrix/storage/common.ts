@@ -33,6 +33,8 @@ export enum StoreNames {
     groupSessionDecryptions = "groupSessionDecryptions",
     operations = "operations",
     accountData = "accountData",
+    searchIndex = "searchIndex",
+    receipts = "receipts",
 }
 
 export const STORE_NAMES: Readonly<StoreNames[]> = Object.values(StoreNames);
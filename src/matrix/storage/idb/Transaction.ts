@@ -36,6 +36,8 @@ import {OutboundGroupSessionStore} from "./stores/OutboundGroupSessionStore";
 import {GroupSessionDecryptionStore} from "./stores/GroupSessionDecryptionStore";
 import {OperationStore} from "./stores/OperationStore";
 import {AccountDataStore} from "./stores/AccountDataStore";
+import {SearchIndexStore} from "./stores/SearchIndexStore";
+import {ReceiptStore} from "./stores/ReceiptStore";
 import type {ILogger, ILogItem} from "../../../logging/types";
 
 export type IDBKey = IDBValidKey | IDBKeyRange;
@@ -168,6 +170,14 @@ export class Transaction {
         return this._store(StoreNames.accountData, idbStore => new AccountDataStore(idbStore));
     }
 
+    get searchIndex(): SearchIndexStore {
+        return this._store(StoreNames.searchIndex, idbStore => new SearchIndexStore(idbStore));
+    }
+
+    get receipts(): ReceiptStore {
+        return this._store(StoreNames.receipts, idbStore => new ReceiptStore(idbStore));
+    }
+
     async complete(log?: ILogItem): Promise<void> {
         try {
             await txnAsPromise(this._txn);
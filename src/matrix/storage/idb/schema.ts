@@ -33,7 +33,9 @@ export const schema: MigrationFunc[] = [
     backupAndRestoreE2EEAccountToLocalStorage,
     clearAllStores,
     addInboundSessionBackupIndex,
-    migrateBackupStatus
+    migrateBackupStatus,
+    createSearchIndexStore,
+    createReceiptStore
 ];
 // TODO: how to deal with git merge conflicts of this array?
 
@@ -269,3 +271,14 @@ async function migrateBackupStatus(db: IDBDatabase, txn: IDBTransaction, localSt
     log.set("countWithoutSession", countWithoutSession);
     log.set("countWithSession", countWithSession);
 }
+
+// v17 add a full-text index of the messages in encrypted rooms, which the server can't search
+function createSearchIndexStore(db: IDBDatabase): void {
+    const searchIndex = db.createObjectStore("searchIndex", {keyPath: "key"});
+    searchIndex.createIndex("byEvent", "eventIdKey", {unique: false});
+}
+
+// v18 add the read receipts of the room members
+function createReceiptStore(db: IDBDatabase): void {
+    db.createObjectStore("receipts", {keyPath: "key"});
+}
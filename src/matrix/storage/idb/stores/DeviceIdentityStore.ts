@@ -24,6 +24,14 @@ export interface DeviceIdentity {
     curve25519Key: string;
     algorithms: string[];
     displayName: string;
+    // set once the device has been verified interactively
+    isVerified?: boolean;
+    // set when the device is signed by the self-signing key of the user
+    isCrossSigned?: boolean;
+    // set when the user chose to never share room keys with this device
+    isBlacklisted?: boolean;
+    // set when the device appeared after we first saw the user, until verified or acknowledged
+    isNew?: boolean;
     key: string;
 }
 
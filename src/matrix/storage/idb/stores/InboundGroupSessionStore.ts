@@ -25,7 +25,9 @@ export enum BackupStatus {
 export enum KeySource {
     DeviceMessage = 1,
     Backup,
-    Outbound
+    Outbound,
+    Forwarded,
+    Imported
 }
 
 export interface InboundGroupSessionEntry {
@@ -35,8 +37,11 @@ export interface InboundGroupSessionEntry {
     session?: string;
     claimedKeys?: { [algorithm : string] : string };
     eventIds?: string[];
+    forwardingCurve25519KeyChain?: string[];
     backup: BackupStatus,
-    source: KeySource
+    source: KeySource,
+    // the key can be shared with users invited to the room later on (MSC3061)
+    sharedHistory?: boolean
 }
 
 type InboundGroupSessionStorageEntry = InboundGroupSessionEntry & { key: string };
@@ -80,6 +85,22 @@ export class InboundGroupSessionStore {
         return this._store.index("byBackup").count(this._store.IDBKeyRange.only(BackupStatus.NotBackedUp));
     }
 
+    /** returns all the sessions we have a key for, as opposed to the ones we're only tracking the missing events for */
+    async getAllWithSession(): Promise<InboundGroupSessionEntry[]> {
+        const entries = await this._store.selectAll();
+        return entries.filter(entry => !!entry.session);
+    }
+
+    /** returns the sessions of a room we have a key for that may be shared with invited users */
+    async getAllSharedHistoryForRoom(roomId: string): Promise<InboundGroupSessionEntry[]> {
+        const range = this._store.IDBKeyRange.bound(
+            encodeKey(roomId, MIN_UNICODE, MIN_UNICODE),
+            encodeKey(roomId, MAX_UNICODE, MAX_UNICODE)
+        );
+        const entries = await this._store.selectAll(range);
+        return entries.filter(entry => !!entry.session && !!entry.sharedHistory);
+    }
+
     getFirstNonBackedUpSessions(amount: number): Promise<InboundGroupSessionEntry[]> {
         return this._store.index("byBackup").selectLimit(this._store.IDBKeyRange.only(BackupStatus.NotBackedUp), amount);
     }
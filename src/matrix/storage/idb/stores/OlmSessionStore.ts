@@ -29,6 +29,8 @@ export type OlmSessionEntry = {
     sessionId: string;
     senderKey: string;
     lastUsed: number;
+    // when we failed to decrypt a message from the sender with this session, and started a new one
+    wedgedAt?: number;
 }
 
 type OlmSessionStoredEntry = OlmSessionEntry & { key: string };
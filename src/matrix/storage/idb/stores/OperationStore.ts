@@ -26,7 +26,9 @@ interface BaseOperation {
     userIds: string[];
 }
 
-type OperationType = { type: "share_room_key"; roomKeyMessage: RoomKeyMessage; }
+type OperationType = { type: "share_room_key"; roomKeyMessage: RoomKeyMessage; } |
+    // forwards the keys of the room history to invited users, see RoomEncryption.shareHistoryWithInvitees
+    { type: "share_history_keys"; }
 
 type Operation = BaseOperation & OperationType
 
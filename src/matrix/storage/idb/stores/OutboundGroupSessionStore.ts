@@ -19,6 +19,10 @@ interface OutboundSession {
     roomId: string;
     session: string;
     createdAt: number;
+    // the device trust policy of the room when the session was created
+    trustPolicy?: string;
+    // whether the history visibility of the room was shared when the session was created (MSC3061)
+    sharedHistory?: boolean;
 }
 
 export class OutboundGroupSessionStore {
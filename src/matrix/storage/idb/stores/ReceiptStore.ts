@@ -0,0 +1,89 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+import {MAX_UNICODE} from "./common";
+import {Store} from "../Store";
+
+function encodeKey(roomId: string, userId: string, type: string): string {
+    return `${roomId}|${userId}|${type}`;
+}
+
+export interface ReceiptData {
+    roomId: string;
+    userId: string;
+    // m.read or m.read.private
+    type: string;
+    eventId: string;
+    ts: number;
+}
+
+type ReceiptStorageEntry = ReceiptData & { key: string };
+
+// only the latest receipt of each type is kept for every user in a room
+export class ReceiptStore {
+    private _receiptStore: Store<ReceiptStorageEntry>;
+
+    constructor(receiptStore: Store<ReceiptStorageEntry>) {
+        this._receiptStore = receiptStore;
+    }
+
+    set(receipt: ReceiptData): void {
+        (receipt as ReceiptStorageEntry).key = encodeKey(receipt.roomId, receipt.userId, receipt.type);
+        this._receiptStore.put(receipt as ReceiptStorageEntry);
+    }
+
+    getAllForRoom(roomId: string): Promise<ReceiptData[]> {
+        const range = this._receiptStore.IDBKeyRange.lowerBound(`${roomId}|`);
+        return this._receiptStore.selectWhile(range, receipt => {
+            return receipt.roomId === roomId;
+        });
+    }
+
+    removeAllForRoom(roomId: string): void {
+        const range = this._receiptStore.IDBKeyRange.bound(roomId, `${roomId}|${MAX_UNICODE}`, true, true);
+        this._receiptStore.delete(range);
+    }
+}
+
+import {createMockStorage} from "../../../../mocks/Storage";
+
+export function tests() {
+    function createReceipt(roomId: string, userId: string, eventId: string, type = "m.read"): ReceiptData {
+        return {roomId, userId, type, eventId, ts: 0};
+    }
+
+    return {
+        "a newer receipt replaces the previous one of the same type": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.receipts]);
+            txn.receipts.set(createReceipt("!a", "@alice:hs.tld", "$1"));
+            txn.receipts.set(createReceipt("!a", "@alice:hs.tld", "$2"));
+            txn.receipts.set(createReceipt("!a", "@alice:hs.tld", "$1", "m.read.private"));
+            txn.receipts.set(createReceipt("!b", "@alice:hs.tld", "$3"));
+            const receipts = await txn.receipts.getAllForRoom("!a");
+            assert.deepEqual(receipts.map(r => [r.type, r.eventId]), [["m.read", "$2"], ["m.read.private", "$1"]]);
+        },
+        "remove all receipts of a room": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.receipts]);
+            txn.receipts.set(createReceipt("!a", "@alice:hs.tld", "$1"));
+            txn.receipts.set(createReceipt("!a", "@bob:hs.tld", "$1"));
+            txn.receipts.set(createReceipt("!b", "@alice:hs.tld", "$2"));
+            txn.receipts.removeAllForRoom("!a");
+            assert.equal((await txn.receipts.getAllForRoom("!a")).length, 0);
+            assert.equal((await txn.receipts.getAllForRoom("!b")).length, 1);
+        },
+    };
+}
@@ -41,6 +41,15 @@ export class RoomStateStore {
         return this._roomStateStore.get(key);
     }
 
+    /** all state events of the given type in the room, whatever their state key */
+    async getAllForType(roomId: string, type: string): Promise<RoomStateEntry[]> {
+        const range = this._roomStateStore.IDBKeyRange.bound(
+            encodeKey(roomId, type, ""),
+            encodeKey(roomId, type, MAX_UNICODE)
+        );
+        return this._roomStateStore.selectAll(range);
+    }
+
     set(roomId: string, event: StateEvent): void {
         const key = encodeKey(roomId, event.type, event.state_key);
         const entry = {roomId, event, key};
@@ -0,0 +1,122 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+import {MIN_UNICODE, MAX_UNICODE} from "./common";
+import {Store} from "../Store";
+
+export interface SearchIndexEntry {
+    term: string;
+    roomId: string;
+    eventId: string;
+    // the key of the event in the timelineEvents store
+    fragmentId: number;
+    eventIndex: number;
+    timestamp: number;
+    // how often the term occurs in the message
+    count: number;
+}
+
+type SearchIndexStorageEntry = SearchIndexEntry & { key: string, eventIdKey: string };
+
+// terms only contain letters and digits, so can't contain the separator
+function encodeKey(term: string, roomId: string, eventId: string): string {
+    return `${term}|${roomId}|${eventId}`;
+}
+
+function encodeEventIdKey(roomId: string, eventId: string): string {
+    return `${roomId}|${eventId}`;
+}
+
+/** An inverted index from the terms in a message to the events they occur in */
+export class SearchIndexStore {
+    private _store: Store<SearchIndexStorageEntry>;
+
+    constructor(store: Store<SearchIndexStorageEntry>) {
+        this._store = store;
+    }
+
+    set(entry: SearchIndexEntry): void {
+        const storageEntry = entry as SearchIndexStorageEntry;
+        storageEntry.key = encodeKey(entry.term, entry.roomId, entry.eventId);
+        storageEntry.eventIdKey = encodeEventIdKey(entry.roomId, entry.eventId);
+        this._store.put(storageEntry);
+    }
+
+    /** @param roomId if given, only return the occurrences in this room */
+    getForTerm(term: string, roomId?: string): Promise<SearchIndexEntry[]> {
+        // exclude both keys as they are theoretical min and max
+        const range = this._store.IDBKeyRange.bound(
+            encodeKey(term, roomId ?? MIN_UNICODE, MIN_UNICODE),
+            encodeKey(term, roomId ?? MAX_UNICODE, MAX_UNICODE),
+            true,
+            true
+        );
+        return this._store.selectAll(range);
+    }
+
+    async removeAllForEvent(roomId: string, eventId: string): Promise<void> {
+        const range = this._store.IDBKeyRange.only(encodeEventIdKey(roomId, eventId));
+        await this._store.index("byEvent").iterateValues(range, (_, __, cur) => {
+            cur.delete();
+            return false;
+        });
+    }
+
+    async removeAllForRoom(roomId: string): Promise<void> {
+        const range = this._store.IDBKeyRange.bound(
+            encodeEventIdKey(roomId, MIN_UNICODE),
+            encodeEventIdKey(roomId, MAX_UNICODE),
+            true,
+            true
+        );
+        await this._store.index("byEvent").iterateValues(range, (_, __, cur) => {
+            cur.delete();
+            return false;
+        });
+    }
+}
+
+import {createMockStorage} from "../../../../mocks/Storage";
+
+export function tests() {
+    function createEntry(term: string, roomId: string, eventId: string): SearchIndexEntry {
+        return {term, roomId, eventId, fragmentId: 0, eventIndex: 0, timestamp: 0, count: 1};
+    }
+
+    return {
+        "get term in room or in all rooms": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.searchIndex]);
+            txn.searchIndex.set(createEntry("hello", "!a", "$1"));
+            txn.searchIndex.set(createEntry("hello", "!b", "$2"));
+            txn.searchIndex.set(createEntry("hellothere", "!a", "$3"));
+            assert.deepEqual((await txn.searchIndex.getForTerm("hello", "!a")).map(e => e.eventId), ["$1"]);
+            assert.deepEqual((await txn.searchIndex.getForTerm("hello")).map(e => e.eventId), ["$1", "$2"]);
+        },
+        "remove all terms of an event or room": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.searchIndex]);
+            txn.searchIndex.set(createEntry("hello", "!a", "$1"));
+            txn.searchIndex.set(createEntry("world", "!a", "$1"));
+            txn.searchIndex.set(createEntry("world", "!a", "$2"));
+            txn.searchIndex.set(createEntry("world", "!b", "$3"));
+            await txn.searchIndex.removeAllForEvent("!a", "$1");
+            assert.equal((await txn.searchIndex.getForTerm("hello")).length, 0);
+            assert.deepEqual((await txn.searchIndex.getForTerm("world")).map(e => e.eventId), ["$2", "$3"]);
+            await txn.searchIndex.removeAllForRoom("!a");
+            assert.deepEqual((await txn.searchIndex.getForTerm("world")).map(e => e.eventId), ["$3"]);
+        },
+    };
+}
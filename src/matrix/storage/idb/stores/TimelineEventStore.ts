@@ -36,6 +36,10 @@ interface TimelineEventEntry {
     displayName?: string;
     avatarUrl?: string;
     annotations?: { [key : string]: Annotation };
+    // the latest m.replace relation of this event, if any
+    replacingEvent?: TimelineEvent;
+    // aggregation of the m.thread relations of this event, if it is a thread root
+    threadSummary?: { count: number, latestEvent: TimelineEvent };
 }
 
 type TimelineEventStorageEntry = TimelineEventEntry & { key: string, eventIdKey: string };
@@ -225,6 +229,23 @@ export class TimelineEventStore {
         return events;
     }
 
+    /** Looks up `amount` entries after `eventKey` for `roomId`, continuing into the next fragment ids.
+     *  This is the order of storage, not of the timeline, as fragments are not stored in timeline order.
+     *  Useful to go over all stored events of a room, e.g. to index them.
+     *  @param roomId
+     *  @param eventKey the key to start after, or undefined to start at the first stored event
+     *  @param amount
+     *  @return a promise resolving to an array with 0 or more entries, in ascending key order.
+     */
+    eventsAfterInStorageOrder(roomId: string, eventKey: EventKey | undefined, amount: number): Promise<TimelineEventEntry[]> {
+        const lowerKey = eventKey ?
+            encodeKey(roomId, eventKey.fragmentId, eventKey.eventIndex) :
+            encodeKey(roomId, KeyLimits.minStorageKey, KeyLimits.minStorageKey);
+        const upperKey = encodeKey(roomId, KeyLimits.maxStorageKey, KeyLimits.maxStorageKey);
+        const idbRange = this._timelineStore.IDBKeyRange.bound(lowerKey, upperKey, !!eventKey, false);
+        return this._timelineStore.selectLimit(idbRange, amount);
+    }
+
     async getEventKeysForIds(roomId: string, eventIds: string[]): Promise<Map<string, EventKey>> {
         const byEventId = this._timelineStore.index("byEventId");
         const keys = eventIds.map(eventId => encodeEventIdKey(roomId, eventId));
@@ -379,6 +400,18 @@ export function tests() {
             const eventKey2 = eventKeyMap.get("$vdLgAnwjHj0cicU3MA4ynLHUBGOIFhvvksY3loqzjF")!;
             assert.equal(eventKey2.fragmentId, 109);
             assert.equal(eventKey2.eventIndex, 0x80000002);
+        },
+        "eventsAfterInStorageOrder continues into the next fragment": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineEvents]);
+            const keys = [EventKey.defaultFragmentKey(1), EventKey.defaultFragmentKey(1).nextKey(), EventKey.defaultFragmentKey(2)];
+            for (let i = 0; i < keys.length; i += 1) {
+                assert(await txn.timelineEvents.tryInsert(createEventEntry(keys[i], roomId, createEventWithId(sortedIds[i])), nullLogger.item));
+            }
+            const first = await txn.timelineEvents.eventsAfterInStorageOrder(roomId, undefined, 2);
+            assert.deepEqual(first.map(e => e.event.event_id), [sortedIds[0], sortedIds[1]]);
+            const rest = await txn.timelineEvents.eventsAfterInStorageOrder(roomId, keys[1], 2);
+            assert.deepEqual(rest.map(e => e.event.event_id), [sortedIds[2]]);
         }
     }
 }
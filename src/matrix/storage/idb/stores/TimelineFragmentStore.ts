@@ -52,6 +52,24 @@ export class TimelineFragmentStore {
         }
     }
 
+    // live fragments get increasing ids from the start of the key range (see SyncWriter),
+    // detached fragments (see nextDetachedFragmentId) decreasing ids from the end.
+    _liveRange(roomId: string): IDBKeyRange {
+        return this._store.IDBKeyRange.bound(
+            encodeKey(roomId, KeyLimits.minStorageKey),
+            encodeKey(roomId, KeyLimits.middleStorageKey),
+            false,
+            true
+        );
+    }
+
+    _detachedRange(roomId: string): IDBKeyRange {
+        return this._store.IDBKeyRange.bound(
+            encodeKey(roomId, KeyLimits.middleStorageKey),
+            encodeKey(roomId, KeyLimits.maxStorageKey)
+        );
+    }
+
     all(roomId: string): Promise<FragmentEntry[]> {
         return this._store.selectAll(this._allRange(roomId));
     }
@@ -66,7 +84,9 @@ export class TimelineFragmentStore {
         // there should really be only one like this
 
         // reverse because assuming live fragment has bigger id than non-live ones
-        return this._store.findReverse(this._allRange(roomId), fragment => {
+        // detached fragments are left out, as their gaps can be filled up to the end of the timeline
+        // without them getting linked to the live fragment
+        return this._store.findReverse(this._liveRange(roomId), fragment => {
             return typeof fragment.nextId !== "number" && typeof fragment.nextToken !== "string";
         });
     }
@@ -79,6 +99,15 @@ export class TimelineFragmentStore {
         this._store.add(fragment as FragmentEntry);
     }
 
+    /**
+     * Returns the id for a new fragment that is not linked to any other fragment when created,
+     * like the one for the events around a permalink.
+     */
+    async nextDetachedFragmentId(roomId: string): Promise<number> {
+        const lowestFragment = await this._store.selectFirst(this._detachedRange(roomId));
+        return lowestFragment ? lowestFragment.id - 1 : KeyLimits.maxStorageKey;
+    }
+
     update(fragment: FragmentEntry): void {
         this._store.put(fragment);
     }
@@ -91,3 +120,33 @@ export class TimelineFragmentStore {
         this._store.delete(this._allRange(roomId));
     }
 }
+
+import {createMockStorage} from "../../../../mocks/Storage";
+
+export function tests() {
+    const roomId = "!abc:hs.tld";
+
+    function createFragment(id: number, nextToken: string | null = null): Fragment {
+        return {roomId, id, previousId: null, nextId: null, previousToken: "prev", nextToken};
+    }
+
+    return {
+        "detached fragment ids count down from the end of the key range": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineFragments]);
+            const firstId = await txn.timelineFragments.nextDetachedFragmentId(roomId);
+            assert.equal(firstId, KeyLimits.maxStorageKey);
+            txn.timelineFragments.add(createFragment(firstId, "next"));
+            assert.equal(await txn.timelineFragments.nextDetachedFragmentId(roomId), firstId - 1);
+        },
+        "liveFragment ignores detached fragments": async assert => {
+            const storage = await createMockStorage();
+            const txn = await storage.readWriteTxn([storage.storeNames.timelineFragments]);
+            txn.timelineFragments.add(createFragment(0));
+            // the end of the timeline was reached while filling the gap, so there is no next token
+            txn.timelineFragments.add(createFragment(await txn.timelineFragments.nextDetachedFragmentId(roomId)));
+            const liveFragment = await txn.timelineFragments.liveFragment(roomId);
+            assert.equal(liveFragment!.id, 0);
+        },
+    };
+}
@@ -15,10 +15,25 @@ limitations under the License.
 */
 import {Store} from "../Store";
 
-interface UserIdentity {
+/** a cross-signing key as returned by /keys/query */
+export interface CrossSigningKey {
+    user_id: string;
+    usage: string[];
+    keys: {[keyId: string]: string};
+    signatures?: {[userId: string]: {[keyId: string]: string}};
+}
+
+export interface UserIdentity {
     userId: string;
     roomIds: string[];
     deviceTrackingStatus: number;
+    masterKey?: CrossSigningKey;
+    selfSigningKey?: CrossSigningKey;
+    // only known for our own user
+    userSigningKey?: CrossSigningKey;
+    isMasterKeyVerified?: boolean;
+    // set when the master key changed since we first saw it, until acknowledged or verified
+    hasMasterKeyChanged?: boolean;
 }
 
 export class UserIdentityStore {
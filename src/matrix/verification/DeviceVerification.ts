@@ -0,0 +1,140 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {ObservableMap} from "../../observable";
+import {makeTxnId} from "../common.js";
+import {SASVerification} from "./SAS/SASVerification";
+import {VerificationEventType, CancelReason, SAS_METHOD, VERIFICATION_TIMEOUT} from "./common";
+
+import type {HomeServerApi} from "../net/HomeServerApi";
+import type {DeviceTracker} from "../e2ee/DeviceTracker.js";
+import type {ILogItem} from "../../logging/types";
+import type * as OlmNamespace from "@matrix-org/olm";
+type Olm = typeof OlmNamespace;
+
+type Options = {
+    olm: Olm;
+    olmUtil: OlmNamespace.Utility;
+    deviceTracker: DeviceTracker;
+    hsApi: HomeServerApi;
+    ownUserId: string;
+    ownDeviceId: string;
+    ownEd25519Key: string;
+    now: () => number;
+};
+
+/**
+ * Keeps track of the interactive device verifications (currently only SAS) that are in progress,
+ * both the ones we requested and the ones requested by other devices.
+ */
+export class DeviceVerification {
+    /** verifications in progress by transaction id */
+    public readonly transactions: ObservableMap<string, SASVerification> = new ObservableMap();
+
+    constructor(private readonly options: Options) {}
+
+    /** Sends a verification request to the given device. */
+    async requestVerification(userId: string, deviceId: string, log: ILogItem): Promise<SASVerification> {
+        log.set("userId", userId);
+        log.set("deviceId", deviceId);
+        const sas = this._createSAS(makeTxnId(), userId, deviceId, false);
+        this._add(sas);
+        await sas.sendRequest(this.options.now(), log);
+        return sas;
+    }
+
+    /** Handles the m.key.verification.* to-device messages received during a sync. */
+    async handleEvents(events: {type: string, sender: string, content: Record<string, any>}[], log: ILogItem): Promise<void> {
+        for (const event of events) {
+            await log.wrap(event.type, log => this._handleEvent(event, log));
+        }
+    }
+
+    private async _handleEvent(event: {type: string, sender: string, content: Record<string, any>}, log: ILogItem): Promise<void> {
+        const {content, sender} = event;
+        const txnId = content?.transaction_id;
+        if (typeof txnId !== "string") {
+            log.set("invalid", true);
+            return;
+        }
+        log.set("txnId", txnId);
+        const existing = this.transactions.get(txnId);
+        if (event.type === VerificationEventType.Request) {
+            if (existing) {
+                log.set("duplicate", true);
+                return;
+            }
+            const {from_device: fromDevice, methods, timestamp} = content;
+            if (typeof fromDevice !== "string" || typeof timestamp !== "number") {
+                log.set("invalid", true);
+                return;
+            }
+            if (Math.abs(this.options.now() - timestamp) > VERIFICATION_TIMEOUT) {
+                log.set("expired", true);
+                return;
+            }
+            const sas = this._createSAS(txnId, sender, fromDevice, true);
+            if (!Array.isArray(methods) || !methods.includes(SAS_METHOD)) {
+                await sas.cancel(CancelReason.UnknownMethod, log);
+                return;
+            }
+            log.set("userId", sender);
+            log.set("deviceId", fromDevice);
+            this._add(sas);
+        } else if (existing) {
+            await existing.handleEvent(event, log);
+        } else if (event.type !== VerificationEventType.Cancel) {
+            log.set("unknown", true);
+        }
+    }
+
+    private _createSAS(txnId: string, otherUserId: string, otherDeviceId: string, isIncoming: boolean): SASVerification {
+        const {olm, olmUtil, deviceTracker, hsApi, ownUserId, ownDeviceId, ownEd25519Key} = this.options;
+        return new SASVerification({
+            txnId,
+            otherUserId,
+            otherDeviceId,
+            isIncoming,
+            ownUserId,
+            ownDeviceId,
+            ownEd25519Key,
+            olm,
+            olmUtil,
+            deviceTracker,
+            hsApi,
+        });
+    }
+
+    private _add(sas: SASVerification): void {
+        this.transactions.add(sas.txnId, sas);
+        const unsubscribe = sas.disposableOn("change", () => {
+            if (sas.isFinished) {
+                unsubscribe();
+                // anyone observing the verification will keep a reference to it,
+                // no need to keep it around here
+                this.transactions.remove(sas.txnId);
+            } else {
+                this.transactions.update(sas.txnId);
+            }
+        });
+    }
+
+    dispose(): void {
+        for (const [, sas] of this.transactions) {
+            sas.dispose();
+        }
+    }
+}
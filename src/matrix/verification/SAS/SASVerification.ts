@@ -0,0 +1,581 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import anotherjson from "another-json";
+import {EventEmitter} from "../../../utils/EventEmitter";
+import {makeTxnId} from "../../common.js";
+import {generateEmojiSas, generateDecimalSas, SAS_BYTES_LENGTH} from "./generator";
+import {
+    VerificationEventType,
+    CancelReason,
+    SAS_METHOD,
+    KEY_AGREEMENT_PROTOCOL,
+    HASH_METHOD,
+    MAC_METHOD,
+    SASMethod,
+} from "../common";
+
+import type {EmojiSas} from "./generator";
+import type {HomeServerApi} from "../../net/HomeServerApi";
+import type {DeviceTracker} from "../../e2ee/DeviceTracker.js";
+import type {ILogItem} from "../../../logging/types";
+import type * as OlmNamespace from "@matrix-org/olm";
+type Olm = typeof OlmNamespace;
+
+export enum SASState {
+    /** a request was sent or received, waiting for it to be accepted */
+    Requested = 1,
+    /** the request was accepted, waiting for the start message */
+    Ready,
+    /** the start message was sent or received, exchanging keys */
+    KeyExchange,
+    /** keys are exchanged, the user needs to compare the short authentication string */
+    ShowSas,
+    /** the user confirmed the short authentication string matches, waiting for the other side to confirm */
+    WaitingForOtherSide,
+    Done,
+    Cancelled,
+}
+
+type Options = {
+    txnId: string;
+    ownUserId: string;
+    ownDeviceId: string;
+    ownEd25519Key: string;
+    otherUserId: string;
+    otherDeviceId: string;
+    /** whether the other side sent the request */
+    isIncoming: boolean;
+    olm: Olm;
+    olmUtil: OlmNamespace.Utility;
+    deviceTracker: DeviceTracker;
+    hsApi: HomeServerApi;
+};
+
+type VerificationEvent = {
+    type: string;
+    sender: string;
+    content: Record<string, any>;
+};
+
+export class SASVerification extends EventEmitter<{change: never}> {
+    public readonly txnId: string;
+    public readonly otherUserId: string;
+    public readonly isIncoming: boolean;
+    private _otherDeviceId: string;
+    private _state: SASState = SASState.Requested;
+    private _sas?: OlmNamespace.SAS;
+    private _startContent?: Record<string, any>;
+    private _weSentStart = false;
+    private _commitment?: string;
+    private _theirKey?: string;
+    private _sasBytes?: Uint8Array;
+    private _sasMethods: string[] = [];
+    private _theirMac?: Record<string, any>;
+    private _cancelCode?: string;
+    private _isCancelledByUs = false;
+
+    constructor(private readonly options: Options) {
+        super();
+        this.txnId = options.txnId;
+        this.otherUserId = options.otherUserId;
+        this.isIncoming = options.isIncoming;
+        this._otherDeviceId = options.otherDeviceId;
+    }
+
+    get otherDeviceId(): string {
+        return this._otherDeviceId;
+    }
+
+    get state(): SASState {
+        return this._state;
+    }
+
+    get isFinished(): boolean {
+        return this._state === SASState.Done || this._state === SASState.Cancelled;
+    }
+
+    get cancelCode(): string | undefined {
+        return this._cancelCode;
+    }
+
+    get isCancelledByUs(): boolean {
+        return this._isCancelledByUs;
+    }
+
+    /** the emoji to compare, if agreed upon by both sides. Only available in the ShowSas state. */
+    get emoji(): EmojiSas[] | undefined {
+        if (this._sasBytes && this._sasMethods.includes(SASMethod.Emoji)) {
+            return generateEmojiSas(this._sasBytes);
+        }
+    }
+
+    /** the decimals to compare. Only available in the ShowSas state. */
+    get decimals(): number[] | undefined {
+        if (this._sasBytes && this._sasMethods.includes(SASMethod.Decimal)) {
+            return generateDecimalSas(this._sasBytes);
+        }
+    }
+
+    /** Sends the request to the other device, only to be called for outgoing verifications */
+    async sendRequest(now: number, log: ILogItem): Promise<void> {
+        await this._send(VerificationEventType.Request, {
+            from_device: this.options.ownDeviceId,
+            methods: [SAS_METHOD],
+            timestamp: now,
+        }, log);
+    }
+
+    /** Accepts an incoming request */
+    async accept(log: ILogItem): Promise<void> {
+        if (!this.isIncoming || this._state !== SASState.Requested) {
+            throw new Error(`Can't accept verification in state ${this._state}`);
+        }
+        await this._send(VerificationEventType.Ready, {
+            from_device: this.options.ownDeviceId,
+            methods: [SAS_METHOD],
+        }, log);
+        this._setState(SASState.Ready);
+    }
+
+    /** To be called once the user confirmed the emoji or decimals match on both devices */
+    async confirm(log: ILogItem): Promise<void> {
+        if (this._state !== SASState.ShowSas) {
+            throw new Error(`Can't confirm verification in state ${this._state}`);
+        }
+        await this._sendMac(log);
+        this._setState(SASState.WaitingForOtherSide);
+        if (this._theirMac) {
+            await this._verifyMac(this._theirMac, log);
+        }
+    }
+
+    async cancel(code: CancelReason, log: ILogItem): Promise<void> {
+        if (this.isFinished) {
+            return;
+        }
+        this._cancelCode = code;
+        this._isCancelledByUs = true;
+        this._setState(SASState.Cancelled);
+        await this._send(VerificationEventType.Cancel, {
+            code,
+            reason: `Cancelled with ${code}`,
+        }, log);
+    }
+
+    async handleEvent(event: VerificationEvent, log: ILogItem): Promise<void> {
+        if (this.isFinished) {
+            log.set("ignored", "finished");
+            return;
+        }
+        if (event.sender !== this.otherUserId) {
+            return this.cancel(CancelReason.UserMismatch, log);
+        }
+        const {content} = event;
+        switch (event.type) {
+            case VerificationEventType.Ready:
+                return this._handleReady(content, log);
+            case VerificationEventType.Start:
+                return this._handleStart(content, log);
+            case VerificationEventType.Accept:
+                return this._handleAccept(content, log);
+            case VerificationEventType.Key:
+                return this._handleKey(content, log);
+            case VerificationEventType.Mac:
+                return this._handleMac(content, log);
+            case VerificationEventType.Done:
+                // we mark the verification done as soon as we verified their mac
+                return;
+            case VerificationEventType.Cancel:
+                this._cancelCode = content.code;
+                this._setState(SASState.Cancelled);
+                return;
+            default:
+                return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+    }
+
+    private async _handleReady(content: Record<string, any>, log: ILogItem): Promise<void> {
+        if (this.isIncoming || this._state !== SASState.Requested) {
+            return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+        if (!content.methods?.includes(SAS_METHOD)) {
+            return this.cancel(CancelReason.UnknownMethod, log);
+        }
+        if (content.from_device !== this._otherDeviceId) {
+            return this.cancel(CancelReason.InvalidMessage, log);
+        }
+        // as the requesting side, we send the start message
+        const startContent = {
+            from_device: this.options.ownDeviceId,
+            method: SAS_METHOD,
+            key_agreement_protocols: [KEY_AGREEMENT_PROTOCOL],
+            hashes: [HASH_METHOD],
+            message_authentication_codes: [MAC_METHOD],
+            short_authentication_string: [SASMethod.Emoji, SASMethod.Decimal],
+        };
+        this._startContent = Object.assign({transaction_id: this.txnId}, startContent);
+        this._weSentStart = true;
+        this._setState(SASState.KeyExchange);
+        await this._send(VerificationEventType.Start, startContent, log);
+    }
+
+    private async _handleStart(content: Record<string, any>, log: ILogItem): Promise<void> {
+        if (this._state === SASState.KeyExchange && this._weSentStart && !this._commitment) {
+            // both sides sent a start message at the same time,
+            // the one from the lexicographically smallest user (and device) wins
+            const ownId = [this.options.ownUserId, this.options.ownDeviceId];
+            const otherId = [this.otherUserId, this._otherDeviceId];
+            const theirStartWins = otherId[0] < ownId[0] || (otherId[0] === ownId[0] && otherId[1] < ownId[1]);
+            log.set("startCollision", true);
+            if (!theirStartWins) {
+                return;
+            }
+            this._weSentStart = false;
+        } else if (this._state !== SASState.Ready) {
+            return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+        if (content.method !== SAS_METHOD ||
+            !content.key_agreement_protocols?.includes(KEY_AGREEMENT_PROTOCOL) ||
+            !content.hashes?.includes(HASH_METHOD) ||
+            !content.message_authentication_codes?.includes(MAC_METHOD)
+        ) {
+            return this.cancel(CancelReason.UnknownMethod, log);
+        }
+        const sasMethods = (content.short_authentication_string ?? [])
+            .filter(m => m === SASMethod.Emoji || m === SASMethod.Decimal);
+        if (sasMethods.length === 0) {
+            return this.cancel(CancelReason.UnknownMethod, log);
+        }
+        this._startContent = content;
+        this._sasMethods = sasMethods;
+        this._setState(SASState.KeyExchange);
+        const commitment = this.options.olmUtil.sha256(this._getSas().get_pubkey() + anotherjson.stringify(content));
+        await this._send(VerificationEventType.Accept, {
+            key_agreement_protocol: KEY_AGREEMENT_PROTOCOL,
+            hash: HASH_METHOD,
+            message_authentication_code: MAC_METHOD,
+            short_authentication_string: sasMethods,
+            commitment,
+        }, log);
+    }
+
+    private async _handleAccept(content: Record<string, any>, log: ILogItem): Promise<void> {
+        if (!this._weSentStart || this._state !== SASState.KeyExchange || this._commitment) {
+            return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+        const sasMethods = content.short_authentication_string;
+        if (content.key_agreement_protocol !== KEY_AGREEMENT_PROTOCOL ||
+            content.hash !== HASH_METHOD ||
+            content.message_authentication_code !== MAC_METHOD ||
+            !Array.isArray(sasMethods) ||
+            !sasMethods.some(m => m === SASMethod.Emoji || m === SASMethod.Decimal)
+        ) {
+            return this.cancel(CancelReason.UnknownMethod, log);
+        }
+        if (typeof content.commitment !== "string") {
+            return this.cancel(CancelReason.InvalidMessage, log);
+        }
+        this._commitment = content.commitment;
+        this._sasMethods = sasMethods;
+        await this._send(VerificationEventType.Key, {key: this._getSas().get_pubkey()}, log);
+    }
+
+    private async _handleKey(content: Record<string, any>, log: ILogItem): Promise<void> {
+        if (this._state !== SASState.KeyExchange || this._theirKey) {
+            return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+        const theirKey = content.key;
+        if (typeof theirKey !== "string") {
+            return this.cancel(CancelReason.InvalidMessage, log);
+        }
+        if (this._weSentStart) {
+            if (!this._commitment) {
+                return this.cancel(CancelReason.UnexpectedMessage, log);
+            }
+            const commitment = this.options.olmUtil.sha256(theirKey + anotherjson.stringify(this._startContent));
+            if (commitment !== this._commitment) {
+                return this.cancel(CancelReason.MismatchedCommitment, log);
+            }
+        }
+        const sas = this._getSas();
+        sas.set_their_key(theirKey);
+        this._theirKey = theirKey;
+        if (!this._weSentStart) {
+            await this._send(VerificationEventType.Key, {key: sas.get_pubkey()}, log);
+        }
+        this._sasBytes = sas.generate_bytes(this._sasInfo(), SAS_BYTES_LENGTH);
+        this._setState(SASState.ShowSas);
+    }
+
+    private async _handleMac(content: Record<string, any>, log: ILogItem): Promise<void> {
+        if (this._state !== SASState.ShowSas && this._state !== SASState.WaitingForOtherSide) {
+            return this.cancel(CancelReason.UnexpectedMessage, log);
+        }
+        if (this._state === SASState.WaitingForOtherSide) {
+            await this._verifyMac(content, log);
+        } else {
+            // wait for the user to confirm before we verify
+            this._theirMac = content;
+        }
+    }
+
+    private async _verifyMac(content: Record<string, any>, log: ILogItem): Promise<void> {
+        const sas = this._getSas();
+        const {mac, keys} = content;
+        if (!mac || typeof mac !== "object" || typeof keys !== "string") {
+            return this.cancel(CancelReason.InvalidMessage, log);
+        }
+        const baseInfo = this._macBaseInfo(this.otherUserId, this._otherDeviceId, this.options.ownUserId, this.options.ownDeviceId);
+        const keyIds = Object.keys(mac).sort();
+        if (sas.calculate_mac(keyIds.join(","), baseInfo + "KEY_IDS") !== keys) {
+            return this.cancel(CancelReason.KeyMismatch, log);
+        }
+        const {deviceTracker} = this.options;
+        const deviceKeyId = `ed25519:${this._otherDeviceId}`;
+        const device = await deviceTracker.deviceForId(this.otherUserId, this._otherDeviceId, this.options.hsApi, log);
+        if (!device || typeof mac[deviceKeyId] !== "string") {
+            return this.cancel(CancelReason.KeyMismatch, log);
+        }
+        if (sas.calculate_mac(device.ed25519Key, baseInfo + deviceKeyId) !== mac[deviceKeyId]) {
+            return this.cancel(CancelReason.KeyMismatch, log);
+        }
+        // the other side can also include their master cross-signing key, ignore any other keys
+        const masterKey = await deviceTracker.getMasterKey(this.otherUserId);
+        const masterKeyId = `ed25519:${masterKey}`;
+        const hasMasterKey = !!masterKey && typeof mac[masterKeyId] === "string";
+        if (hasMasterKey && sas.calculate_mac(masterKey, baseInfo + masterKeyId) !== mac[masterKeyId]) {
+            return this.cancel(CancelReason.KeyMismatch, log);
+        }
+        const isMarked = await deviceTracker.markDeviceVerified(this.otherUserId, this._otherDeviceId, device.ed25519Key, log);
+        if (!isMarked) {
+            return this.cancel(CancelReason.KeyMismatch, log);
+        }
+        if (hasMasterKey) {
+            log.set("masterKeyVerified", await deviceTracker.markMasterKeyVerified(this.otherUserId, masterKey, log));
+        }
+        log.set("verified", true);
+        await this._send(VerificationEventType.Done, {}, log);
+        this._setState(SASState.Done);
+    }
+
+    private async _sendMac(log: ILogItem): Promise<void> {
+        const sas = this._getSas();
+        const {ownUserId, ownDeviceId, ownEd25519Key} = this.options;
+        const baseInfo = this._macBaseInfo(ownUserId, ownDeviceId, this.otherUserId, this._otherDeviceId);
+        const keys: Record<string, string> = {[`ed25519:${ownDeviceId}`]: ownEd25519Key};
+        const ownMasterKey = await this.options.deviceTracker.getMasterKey(ownUserId);
+        if (ownMasterKey) {
+            keys[`ed25519:${ownMasterKey}`] = ownMasterKey;
+        }
+        const mac: Record<string, string> = {};
+        for (const [keyId, key] of Object.entries(keys)) {
+            mac[keyId] = sas.calculate_mac(key, baseInfo + keyId);
+        }
+        await this._send(VerificationEventType.Mac, {
+            mac,
+            keys: sas.calculate_mac(Object.keys(mac).sort().join(","), baseInfo + "KEY_IDS"),
+        }, log);
+    }
+
+    private _sasInfo(): string {
+        const {ownUserId, ownDeviceId} = this.options;
+        const ownKey = this._getSas().get_pubkey();
+        const starter = this._weSentStart ?
+            [ownUserId, ownDeviceId, ownKey] :
+            [this.otherUserId, this._otherDeviceId, this._theirKey];
+        const acceptor = this._weSentStart ?
+            [this.otherUserId, this._otherDeviceId, this._theirKey] :
+            [ownUserId, ownDeviceId, ownKey];
+        return ["MATRIX_KEY_VERIFICATION_SAS", ...starter, ...acceptor, this.txnId].join("|");
+    }
+
+    private _macBaseInfo(senderUserId: string, senderDeviceId: string, receiverUserId: string, receiverDeviceId: string): string {
+        return "MATRIX_KEY_VERIFICATION_MAC" + senderUserId + senderDeviceId + receiverUserId + receiverDeviceId + this.txnId;
+    }
+
+    private _getSas(): OlmNamespace.SAS {
+        if (!this._sas) {
+            this._sas = new this.options.olm.SAS();
+        }
+        return this._sas;
+    }
+
+    private _setState(state: SASState): void {
+        this._state = state;
+        if (this.isFinished) {
+            this.dispose();
+        }
+        this.emit("change");
+    }
+
+    private async _send(type: VerificationEventType, content: Record<string, any>, log: ILogItem): Promise<void> {
+        const payload = {
+            messages: {
+                [this.otherUserId]: {
+                    [this._otherDeviceId]: Object.assign({transaction_id: this.txnId}, content)
+                }
+            }
+        };
+        await this.options.hsApi.sendToDevice(type, payload, makeTxnId(), {log}).response();
+    }
+
+    dispose(): void {
+        this._sas?.free();
+        this._sas = undefined;
+    }
+}
+
+export function tests() {
+    let keyCounter = 0;
+    class MockSAS {
+        private _key = `pubkey${++keyCounter}`;
+        private _theirKey?: string;
+        get_pubkey() { return this._key; }
+        set_their_key(key) { this._theirKey = key; }
+        generate_bytes(info, length) {
+            // both sides should agree on the info
+            return new Uint8Array(length).fill(info.length % 256);
+        }
+        calculate_mac(input, info) { return `mac(${input},${info})`; }
+        free() {}
+    }
+    const olm = {SAS: MockSAS} as unknown as Olm;
+    const olmUtil = {sha256: (str: string) => `sha256(${str})`} as unknown as OlmNamespace.Utility;
+    const logItem = {set() {}, log() {}, level: {}} as unknown as ILogItem;
+
+    function createDeviceTracker(devices, masterKeys = {}) {
+        return {
+            verified: [] as string[],
+            async deviceForId(userId, deviceId) {
+                return devices.find(d => d.userId === userId && d.deviceId === deviceId);
+            },
+            async getMasterKey(userId) {
+                return masterKeys[userId];
+            },
+            async markMasterKeyVerified(userId, masterKey) {
+                if (masterKeys[userId] === masterKey) {
+                    this.verified.push(`${userId}|master`);
+                    return true;
+                }
+                return false;
+            },
+            async markDeviceVerified(userId, deviceId, ed25519Key) {
+                const device = devices.find(d => d.userId === userId && d.deviceId === deviceId);
+                if (device?.ed25519Key === ed25519Key) {
+                    this.verified.push(`${userId}|${deviceId}`);
+                    return true;
+                }
+                return false;
+            }
+        };
+    }
+
+    /** connects two SASVerification instances with each other by having the
+     * to-device messages of one be delivered to the other one */
+    function createPair(aliceDevices = [{userId: "@bob:hs.tld", deviceId: "BOB", ed25519Key: "bobkey"}], masterKeys = {}) {
+        const sent: {to: "alice" | "bob", event: VerificationEvent}[] = [];
+        function createHSApi(from: string, to: "alice" | "bob") {
+            return {
+                sendToDevice(type, payload) {
+                    const [[, byDevice]] = Object.entries(payload.messages);
+                    const [[, content]] = Object.entries(byDevice as object);
+                    sent.push({to, event: {type, sender: from, content}});
+                    return {response: () => Promise.resolve()};
+                }
+            } as unknown as HomeServerApi;
+        }
+        const aliceTracker = createDeviceTracker(aliceDevices, masterKeys);
+        const bobTracker = createDeviceTracker([{userId: "@alice:hs.tld", deviceId: "ALICE", ed25519Key: "alicekey"}], masterKeys);
+        const alice = new SASVerification({
+            txnId: "t1", ownUserId: "@alice:hs.tld", ownDeviceId: "ALICE", ownEd25519Key: "alicekey",
+            otherUserId: "@bob:hs.tld", otherDeviceId: "BOB", isIncoming: false,
+            olm, olmUtil, deviceTracker: aliceTracker as unknown as DeviceTracker, hsApi: createHSApi("@alice:hs.tld", "bob"),
+        });
+        const bob = new SASVerification({
+            txnId: "t1", ownUserId: "@bob:hs.tld", ownDeviceId: "BOB", ownEd25519Key: "bobkey",
+            otherUserId: "@alice:hs.tld", otherDeviceId: "ALICE", isIncoming: true,
+            olm, olmUtil, deviceTracker: bobTracker as unknown as DeviceTracker, hsApi: createHSApi("@bob:hs.tld", "alice"),
+        });
+        async function deliver() {
+            while (sent.length) {
+                const {to, event} = sent.shift()!;
+                if (event.type !== VerificationEventType.Request) {
+                    await (to === "alice" ? alice : bob).handleEvent(event, logItem);
+                }
+            }
+        }
+        return {alice, bob, aliceTracker, bobTracker, deliver};
+    }
+
+    return {
+        "both sides verify each other when the sas matches": async assert => {
+            const {alice, bob, aliceTracker, bobTracker, deliver} = createPair();
+            await alice.sendRequest(0, logItem);
+            await bob.accept(logItem);
+            await deliver();
+            assert.equal(alice.state, SASState.ShowSas);
+            assert.equal(bob.state, SASState.ShowSas);
+            assert.deepEqual(alice.emoji, bob.emoji);
+            assert.deepEqual(alice.decimals, bob.decimals);
+            await alice.confirm(logItem);
+            await deliver();
+            assert.equal(bob.state, SASState.ShowSas);
+            await bob.confirm(logItem);
+            await deliver();
+            assert.equal(alice.state, SASState.Done);
+            assert.equal(bob.state, SASState.Done);
+            assert.deepEqual(aliceTracker.verified, ["@bob:hs.tld|BOB"]);
+            assert.deepEqual(bobTracker.verified, ["@alice:hs.tld|ALICE"]);
+        },
+        "master key of the other side is verified as well": async assert => {
+            const {alice, bob, aliceTracker, bobTracker, deliver} = createPair(undefined, {"@bob:hs.tld": "bobmasterkey"});
+            await bob.accept(logItem);
+            await deliver();
+            await alice.confirm(logItem);
+            await bob.confirm(logItem);
+            await deliver();
+            assert.equal(alice.state, SASState.Done);
+            assert.equal(bob.state, SASState.Done);
+            assert.deepEqual(aliceTracker.verified, ["@bob:hs.tld|BOB", "@bob:hs.tld|master"]);
+            assert.deepEqual(bobTracker.verified, ["@alice:hs.tld|ALICE"]);
+        },
+        "device key that doesn't match the mac cancels the verification": async assert => {
+            const {alice, bob, aliceTracker, deliver} = createPair([{userId: "@bob:hs.tld", deviceId: "BOB", ed25519Key: "otherkey"}]);
+            await bob.accept(logItem);
+            await deliver();
+            await bob.confirm(logItem);
+            await deliver();
+            // the mac of bob is only verified once alice confirms as well
+            assert.equal(alice.state, SASState.ShowSas);
+            await alice.confirm(logItem);
+            assert.equal(alice.state, SASState.Cancelled);
+            assert.equal(alice.cancelCode, CancelReason.KeyMismatch);
+            assert.deepEqual(aliceTracker.verified, []);
+        },
+        "cancelling notifies the other side": async assert => {
+            const {alice, bob, deliver} = createPair();
+            await bob.accept(logItem);
+            await deliver();
+            await bob.cancel(CancelReason.MismatchedSAS, logItem);
+            await deliver();
+            assert.equal(alice.state, SASState.Cancelled);
+            assert.equal(alice.cancelCode, CancelReason.MismatchedSAS);
+            assert.equal(alice.isCancelledByUs, false);
+            assert.equal(bob.isCancelledByUs, true);
+        },
+    };
+}
@@ -0,0 +1,99 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// the emoji table from the spec, indexed by the 6 bit number that represents them
+// see https://spec.matrix.org/v1.3/client-server-api/#sas-method-emoji
+const EMOJI_TABLE: [string, string][] = [
+    ["🐶", "Dog"], ["🐱", "Cat"], ["🦁", "Lion"], ["🐎", "Horse"],
+    ["🦄", "Unicorn"], ["🐷", "Pig"], ["🐘", "Elephant"], ["🐰", "Rabbit"],
+    ["🐼", "Panda"], ["🐓", "Rooster"], ["🐧", "Penguin"], ["🐢", "Turtle"],
+    ["🐟", "Fish"], ["🐙", "Octopus"], ["🦋", "Butterfly"], ["🌷", "Flower"],
+    ["🌳", "Tree"], ["🌵", "Cactus"], ["🍄", "Mushroom"], ["🌏", "Globe"],
+    ["🌙", "Moon"], ["☁️", "Cloud"], ["🔥", "Fire"], ["🍌", "Banana"],
+    ["🍎", "Apple"], ["🍓", "Strawberry"], ["🌽", "Corn"], ["🍕", "Pizza"],
+    ["🎂", "Cake"], ["❤️", "Heart"], ["😀", "Smiley"], ["🤖", "Robot"],
+    ["🎩", "Hat"], ["👓", "Glasses"], ["🔧", "Spanner"], ["🎅", "Santa"],
+    ["👍", "Thumbs Up"], ["☂️", "Umbrella"], ["⌛", "Hourglass"], ["⏰", "Clock"],
+    ["🎁", "Gift"], ["💡", "Light Bulb"], ["📕", "Book"], ["✏️", "Pencil"],
+    ["📎", "Paperclip"], ["✂️", "Scissors"], ["🔒", "Lock"], ["🔑", "Key"],
+    ["🔨", "Hammer"], ["☎️", "Telephone"], ["🏁", "Flag"], ["🚂", "Train"],
+    ["🚲", "Bicycle"], ["✈️", "Aeroplane"], ["🚀", "Rocket"], ["🏆", "Trophy"],
+    ["⚽", "Ball"], ["🎸", "Guitar"], ["🎺", "Trumpet"], ["🔔", "Bell"],
+    ["⚓", "Anchor"], ["🎧", "Headphones"], ["📁", "Folder"], ["📌", "Pin"],
+];
+
+export type EmojiSas = {emoji: string, description: string};
+
+/** the amount of bytes that should be generated by the SAS object to calculate the emoji or decimals from */
+export const SAS_BYTES_LENGTH = 6;
+
+/** Takes the first 42 bits of the given bytes and returns them as 7 emoji */
+export function generateEmojiSas(sasBytes: Uint8Array): EmojiSas[] {
+    const [a, b, c, d, e, f] = sasBytes;
+    const indices = [
+        a >> 2,
+        (a & 0x3) << 4 | b >> 4,
+        (b & 0xF) << 2 | c >> 6,
+        c & 0x3F,
+        d >> 2,
+        (d & 0x3) << 4 | e >> 4,
+        (e & 0xF) << 2 | f >> 6,
+    ];
+    return indices.map(i => {
+        const [emoji, description] = EMOJI_TABLE[i];
+        return {emoji, description};
+    });
+}
+
+/** Takes the first 39 bits of the given bytes and returns them as 3 numbers between 1000 and 9191 */
+export function generateDecimalSas(sasBytes: Uint8Array): number[] {
+    const [a, b, c, d, e] = sasBytes;
+    return [
+        (a << 5 | b >> 3) + 1000,
+        ((b & 0x7) << 10 | c << 2 | d >> 6) + 1000,
+        ((d & 0x3F) << 7 | e >> 1) + 1000,
+    ];
+}
+
+export function tests() {
+    return {
+        "all zero bytes are all dogs": assert => {
+            const emoji = generateEmojiSas(new Uint8Array(6));
+            assert.equal(emoji.length, 7);
+            assert(emoji.every(e => e.description === "Dog"));
+        },
+        "all one bytes are all pins": assert => {
+            const emoji = generateEmojiSas(new Uint8Array(6).fill(0xFF));
+            assert(emoji.every(e => e.description === "Pin"));
+        },
+        "emoji are taken from consecutive 6 bit groups": assert => {
+            // 000001 000010 000011 000100 000101 000110 000111 (+ 6 bits not used)
+            const bytes = new Uint8Array([0x04, 0x20, 0xC4, 0x14, 0x61, 0xC0]);
+            const emoji = generateEmojiSas(bytes);
+            assert.deepEqual(emoji.map(e => e.description), ["Cat", "Lion", "Horse", "Unicorn", "Pig", "Elephant", "Rabbit"]);
+            assert.equal(emoji[0].emoji, "🐱");
+        },
+        "decimals are in range": assert => {
+            assert.deepEqual(generateDecimalSas(new Uint8Array(5)), [1000, 1000, 1000]);
+            assert.deepEqual(generateDecimalSas(new Uint8Array(5).fill(0xFF)), [9191, 9191, 9191]);
+        },
+        "decimals are taken from consecutive 13 bit groups": assert => {
+            // 0000000000001 0000000000010 0000000000011 (+ 1 bit not used)
+            const bytes = new Uint8Array([0x00, 0x08, 0x00, 0x80, 0x06]);
+            assert.deepEqual(generateDecimalSas(bytes), [1001, 1002, 1003]);
+        },
+    };
+}
@@ -0,0 +1,55 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+export enum VerificationEventType {
+    Request = "m.key.verification.request",
+    Ready = "m.key.verification.ready",
+    Start = "m.key.verification.start",
+    Accept = "m.key.verification.accept",
+    Key = "m.key.verification.key",
+    Mac = "m.key.verification.mac",
+    Done = "m.key.verification.done",
+    Cancel = "m.key.verification.cancel",
+}
+
+export enum CancelReason {
+    UserCancelled = "m.user",
+    Timeout = "m.timeout",
+    UnknownTransaction = "m.unknown_transaction",
+    UnknownMethod = "m.unknown_method",
+    UnexpectedMessage = "m.unexpected_message",
+    KeyMismatch = "m.key_mismatch",
+    UserMismatch = "m.user_mismatch",
+    InvalidMessage = "m.invalid_message",
+    MismatchedCommitment = "m.mismatched_commitment",
+    MismatchedSAS = "m.mismatched_sas",
+}
+
+export const VERIFICATION_EVENT_PREFIX = "m.key.verification.";
+export const SAS_METHOD = "m.sas.v1";
+export const KEY_AGREEMENT_PROTOCOL = "curve25519-hkdf-sha256";
+export const HASH_METHOD = "sha256";
+export const MAC_METHOD = "hkdf-hmac-sha256";
+export const SASMethod = Object.freeze({
+    Emoji: "emoji",
+    Decimal: "decimal",
+});
+// requests older than this are ignored
+export const VERIFICATION_TIMEOUT = 10 * 60 * 1000;
+
+export function isVerificationEvent(event: {type?: string}): boolean {
+    return typeof event.type === "string" && event.type.startsWith(VERIFICATION_EVENT_PREFIX);
+}
@@ -34,7 +34,8 @@ import {estimateStorageUsage} from "./dom/StorageEstimate.js";
 import {WorkerPool} from "./dom/WorkerPool.js";
 import {BlobHandle} from "./dom/BlobHandle.js";
 import {hasReadPixelPermission, ImageHandle, VideoHandle} from "./dom/ImageHandle.js";
-import {downloadInIframe} from "./dom/download.js";
+import {canRecordAudio, AudioRecording} from "./dom/AudioRecorder.js";
+import {downloadInIframe, downloadUrlInIframe} from "./dom/download.js";
 import {Disposables} from "../../utils/Disposables";
 import {parseHTML} from "./parsehtml.js";
 import {handleAvatarError} from "./ui/avatar";
@@ -276,6 +277,61 @@ export class Platform {
         }
     }
 
+    /**
+     * Saves a file that is produced in chunks, e.g. while it is being downloaded and decrypted.
+     * Where the browser can write to a file picked by the user, the chunks are written to disk directly,
+     * so large files are never held in memory as a whole.
+     * If `writeChunks` throws, anything written so far is discarded.
+     * @param {string} filename
+     * @param {string} mimetype
+     * @param {(writeChunk: (chunk: Uint8Array) => Promise<void>) => Promise<void>} writeChunks
+     */
+    async saveFileInChunksAs(filename, mimetype, writeChunks) {
+        if (typeof window.showSaveFilePicker === "function") {
+            let fileHandle;
+            try {
+                fileHandle = await window.showSaveFilePicker({suggestedName: filename});
+            } catch (err) {
+                // the user closed the file picker
+                if (err.name === "AbortError") {
+                    return;
+                }
+                throw err;
+            }
+            const writable = await fileHandle.createWritable();
+            try {
+                await writeChunks(chunk => writable.write(chunk));
+            } catch (err) {
+                await writable.abort();
+                throw err;
+            }
+            await writable.close();
+        } else {
+            // like in saveFileAs, don't rely on iOS downloading from an iframe
+            const download = this.isIOS ? null : await this._serviceWorkerHandler?.createDownloadStream(filename, mimetype);
+            if (download) {
+                downloadUrlInIframe(this._container, download.url);
+                try {
+                    await writeChunks(chunk => download.write(chunk));
+                } catch (err) {
+                    download.abort();
+                    throw err;
+                }
+                download.close();
+                return;
+            }
+            // no service worker to stream through, buffer the file in memory
+            const chunks = [];
+            await writeChunks(async chunk => { chunks.push(chunk); });
+            const blobHandle = BlobHandle.fromChunks(chunks, mimetype);
+            try {
+                this.saveFileAs(blobHandle, filename);
+            } finally {
+                blobHandle.dispose();
+            }
+        }
+    }
+
     openFile(mimeType = null) {
         const input = document.createElement("input");
         input.setAttribute("type", "file");
@@ -318,6 +374,18 @@ export class Platform {
         return VideoHandle.fromBlob(blob);
     }
 
+    get canRecordAudio() {
+        return canRecordAudio();
+    }
+
+    /**
+     * Asks for access to the microphone, and starts recording.
+     * @return {Promise<AudioRecording>}
+     */
+    startAudioRecording() {
+        return AudioRecording.start();
+    }
+
     hasReadPixelPermission() {
         return hasReadPixelPermission();
     }
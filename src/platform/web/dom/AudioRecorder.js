@@ -0,0 +1,214 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BlobHandle} from "./BlobHandle.js";
+import {OggOpusWriter} from "./OggOpusWriter.js";
+
+const OGG_OPUS_MIMETYPE = "audio/ogg; codecs=opus";
+const OPUS_BITRATE = 24000;
+// how often the loudness is sampled for the waveform
+const AMPLITUDE_INTERVAL = 100;
+
+function supportsOggMediaRecorder() {
+    return typeof window.MediaRecorder === "function" &&
+        window.MediaRecorder.isTypeSupported(OGG_OPUS_MIMETYPE);
+}
+
+function supportsWebCodecsEncoding() {
+    return typeof window.AudioEncoder === "function" &&
+        typeof window.MediaStreamTrackProcessor === "function";
+}
+
+export function canRecordAudio() {
+    return typeof navigator.mediaDevices?.getUserMedia === "function" &&
+        typeof window.AudioContext === "function" &&
+        (supportsOggMediaRecorder() || supportsWebCodecsEncoding());
+}
+
+/**
+ * Encodes with MediaRecorder, for browsers that can record Ogg Opus themselves (e.g. Firefox)
+ */
+class MediaRecorderEncoder {
+    constructor(stream) {
+        this._chunks = [];
+        this._recorder = new window.MediaRecorder(stream, {mimeType: OGG_OPUS_MIMETYPE, audioBitsPerSecond: OPUS_BITRATE});
+        this._recorder.addEventListener("dataavailable", evt => this._chunks.push(evt.data));
+        this._recorder.start();
+    }
+
+    stop() {
+        return new Promise((resolve, reject) => {
+            this._recorder.addEventListener("stop", () => resolve(new Blob(this._chunks, {type: OGG_OPUS_MIMETYPE})));
+            this._recorder.addEventListener("error", evt => reject(evt.error));
+            this._recorder.stop();
+        });
+    }
+
+    cancel() {
+        if (this._recorder.state !== "inactive") {
+            this._recorder.stop();
+        }
+    }
+}
+
+/**
+ * Encodes with WebCodecs and puts the opus packets in an ogg container ourselves,
+ * for browsers where MediaRecorder can only produce webm (e.g. Chrome)
+ */
+class WebCodecsEncoder {
+    constructor(track) {
+        this._writer = null;
+        this._error = null;
+        this._encoder = new window.AudioEncoder({
+            output: chunk => this._onChunk(chunk),
+            error: err => { this._error = err; },
+        });
+        const processor = new window.MediaStreamTrackProcessor({track});
+        this._reader = processor.readable.getReader();
+        this._readPromise = this._read();
+    }
+
+    async _read() {
+        for (;;) {
+            const {value: audioData, done} = await this._reader.read();
+            if (done) {
+                return;
+            }
+            if (this._encoder.state === "unconfigured") {
+                this._encoder.configure({
+                    codec: "opus",
+                    sampleRate: audioData.sampleRate,
+                    numberOfChannels: audioData.numberOfChannels,
+                    bitrate: OPUS_BITRATE,
+                });
+                this._writer = new OggOpusWriter({
+                    sampleRate: audioData.sampleRate,
+                    channelCount: audioData.numberOfChannels
+                });
+            }
+            if (this._encoder.state === "configured") {
+                this._encoder.encode(audioData);
+            }
+            audioData.close();
+        }
+    }
+
+    _onChunk(chunk) {
+        const packet = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(packet);
+        this._writer.addPacket(packet, chunk.duration);
+    }
+
+    async stop() {
+        await this._reader.cancel();
+        await this._readPromise;
+        if (!this._writer) {
+            throw new Error("No audio was recorded");
+        }
+        await this._encoder.flush();
+        this._encoder.close();
+        if (this._error) {
+            throw this._error;
+        }
+        return new Blob(this._writer.finish(), {type: OGG_OPUS_MIMETYPE});
+    }
+
+    cancel() {
+        this._reader.cancel();
+        if (this._encoder.state !== "closed") {
+            this._encoder.close();
+        }
+    }
+}
+
+/**
+ * A recording from the microphone, encoded as Ogg Opus.
+ * Also samples the loudness while recording, for the waveform of voice messages.
+ */
+export class AudioRecording {
+    constructor(stream) {
+        this._stream = stream;
+        const [track] = stream.getAudioTracks();
+        this._encoder = supportsOggMediaRecorder() ? new MediaRecorderEncoder(stream) : new WebCodecsEncoder(track);
+        this._audioContext = new window.AudioContext();
+        this._analyser = this._audioContext.createAnalyser();
+        this._audioContext.createMediaStreamSource(stream).connect(this._analyser);
+        this._samples = new Float32Array(this._analyser.fftSize);
+        this._amplitudes = [];
+        this._amplitudeInterval = setInterval(() => this._sampleAmplitude(), AMPLITUDE_INTERVAL);
+        this._startTime = performance.now();
+        this._duration = null;
+    }
+
+    static async start() {
+        const stream = await navigator.mediaDevices.getUserMedia({audio: true});
+        try {
+            return new AudioRecording(stream);
+        } catch (err) {
+            stream.getTracks().forEach(t => t.stop());
+            throw err;
+        }
+    }
+
+    /** in milliseconds */
+    get duration() {
+        return this._duration ?? Math.round(performance.now() - this._startTime);
+    }
+
+    /** the loudness of the last sample, between 0 and 1 */
+    get amplitude() {
+        return this._amplitudes[this._amplitudes.length - 1] ?? 0;
+    }
+
+    _sampleAmplitude() {
+        this._analyser.getFloatTimeDomainData(this._samples);
+        let sumOfSquares = 0;
+        for (const sample of this._samples) {
+            sumOfSquares += sample * sample;
+        }
+        const rms = Math.sqrt(sumOfSquares / this._samples.length);
+        // speech rarely gets above an rms of 0.5, so scale it up a bit
+        this._amplitudes.push(Math.min(1, rms * 2));
+    }
+
+    _release() {
+        if (this._duration !== null) {
+            return;
+        }
+        this._duration = this.duration;
+        clearInterval(this._amplitudeInterval);
+        this._stream.getTracks().forEach(t => t.stop());
+        this._audioContext.close();
+    }
+
+    /**
+     * @return {Promise<{blob: BlobHandle, duration: number, waveform: number[]}>}
+     *     the encoded audio, its duration in milliseconds and the loudness between 0 and 1
+     *     for every AMPLITUDE_INTERVAL.
+     */
+    async stop() {
+        // stop the encoder before the tracks end, so it gets to write all the audio
+        const blobPromise = this._encoder.stop();
+        this._release();
+        const blob = await blobPromise;
+        return {blob: BlobHandle.fromBlob(blob), duration: this._duration, waveform: this._amplitudes};
+    }
+
+    cancel() {
+        this._encoder.cancel();
+        this._release();
+    }
+}
@@ -73,6 +73,14 @@ const ALLOWED_BLOB_MIMETYPES = {
 
 const DEFAULT_MIMETYPE = 'application/octet-stream';
 
+function filterMimetype(mimetype) {
+    mimetype = mimetype ? mimetype.split(";")[0].trim() : '';
+    if (!ALLOWED_BLOB_MIMETYPES[mimetype]) {
+        mimetype = DEFAULT_MIMETYPE;
+    }
+    return mimetype;
+}
+
 export class BlobHandle {
     constructor(blob, buffer = null) {
         this._blob = blob;
@@ -81,11 +89,12 @@ export class BlobHandle {
     }
 
     static fromBuffer(buffer, mimetype) {
-        mimetype = mimetype ? mimetype.split(";")[0].trim() : '';
-        if (!ALLOWED_BLOB_MIMETYPES[mimetype]) {
-            mimetype = DEFAULT_MIMETYPE;
-        }
-        return new BlobHandle(new Blob([buffer], {type: mimetype}), buffer);
+        return new BlobHandle(new Blob([buffer], {type: filterMimetype(mimetype)}), buffer);
+    }
+
+    /** Creates a blob from the chunks of a file, without keeping a reference to them */
+    static fromChunks(chunks, mimetype) {
+        return new BlobHandle(new Blob(chunks, {type: filterMimetype(mimetype)}));
     }
 
     static fromBlob(blob) {
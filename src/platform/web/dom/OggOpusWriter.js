@@ -0,0 +1,216 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Ogg granule positions for opus are always counted at 48kHz, see RFC 7845
+const OPUS_GRANULE_RATE = 48000;
+// the lookahead of libopus, to skip at the start when decoding
+const OPUS_PRE_SKIP = 312;
+const MAX_SEGMENTS_PER_PAGE = 255;
+
+const HEADER_TYPE_CONTINUED = 0x01;
+const HEADER_TYPE_BOS = 0x02;
+const HEADER_TYPE_EOS = 0x04;
+
+let crcTable = null;
+
+function getCRCTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i += 1) {
+            let r = i << 24;
+            for (let j = 0; j < 8; j += 1) {
+                r = (r & 0x80000000) ? ((r << 1) ^ 0x04c11db7) : (r << 1);
+            }
+            crcTable[i] = r >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/** the crc32 used by ogg, without reflection, initial value or final xor */
+export function oggCRC(bytes) {
+    const table = getCRCTable();
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = ((crc << 8) ^ table[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+function lacingValues(packetLength) {
+    const values = new Array(Math.floor(packetLength / 255)).fill(255);
+    values.push(packetLength % 255);
+    return values;
+}
+
+/**
+ * Muxes opus packets, e.g. from a WebCodecs AudioEncoder, into an Ogg Opus file (RFC 7845).
+ * Packets are kept together on a page until it is full, packets never span pages.
+ */
+export class OggOpusWriter {
+    constructor({sampleRate, channelCount, serial = Math.floor(Math.random() * 0xffffffff), vendor = "hydrogen"}) {
+        this._sampleRate = sampleRate;
+        this._channelCount = channelCount;
+        this._serial = serial;
+        this._vendor = vendor;
+        this._pageSequence = 0;
+        this._granulePosition = OPUS_PRE_SKIP;
+        this._pendingPackets = [];
+        this._pendingSegmentCount = 0;
+        this._pages = [];
+        this._writeHeaders();
+    }
+
+    /**
+     * @param {Uint8Array} packet
+     * @param {number} duration the duration of the packet in microseconds, as in EncodedAudioChunk.duration
+     */
+    addPacket(packet, duration) {
+        const segmentCount = lacingValues(packet.length).length;
+        if (segmentCount > MAX_SEGMENTS_PER_PAGE) {
+            throw new Error(`opus packet of ${packet.length} bytes is too large`);
+        }
+        if (this._pendingSegmentCount + segmentCount > MAX_SEGMENTS_PER_PAGE) {
+            this._flushPage(0);
+        }
+        this._pendingPackets.push(packet);
+        this._pendingSegmentCount += segmentCount;
+        this._granulePosition += Math.round(duration * OPUS_GRANULE_RATE / 1000000);
+    }
+
+    /** writes the last page and returns the file as a list of pages */
+    finish() {
+        this._flushPage(HEADER_TYPE_EOS);
+        return this._pages;
+    }
+
+    _writeHeaders() {
+        const head = new Uint8Array(19);
+        const headView = new DataView(head.buffer);
+        head.set(encodeASCII("OpusHead"), 0);
+        head[8] = 1; // version
+        head[9] = this._channelCount;
+        headView.setUint16(10, OPUS_PRE_SKIP, true);
+        headView.setUint32(12, this._sampleRate, true);
+        headView.setInt16(16, 0, true); // output gain
+        head[18] = 0; // channel mapping family, mono or stereo
+        this._pendingPackets.push(head);
+        this._flushPage(HEADER_TYPE_BOS, 0);
+
+        const vendor = encodeASCII(this._vendor);
+        const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        const tagsView = new DataView(tags.buffer);
+        tags.set(encodeASCII("OpusTags"), 0);
+        tagsView.setUint32(8, vendor.length, true);
+        tags.set(vendor, 12);
+        tagsView.setUint32(12 + vendor.length, 0, true); // no user comments
+        this._pendingPackets.push(tags);
+        this._flushPage(0, 0);
+    }
+
+    _flushPage(headerType, granulePosition = this._granulePosition) {
+        const packets = this._pendingPackets;
+        const lacing = packets.reduce((values, packet) => values.concat(lacingValues(packet.length)), []);
+        const dataLength = packets.reduce((length, packet) => length + packet.length, 0);
+        const page = new Uint8Array(27 + lacing.length + dataLength);
+        const view = new DataView(page.buffer);
+        page.set(encodeASCII("OggS"), 0);
+        page[4] = 0; // version
+        page[5] = headerType & ~HEADER_TYPE_CONTINUED;
+        view.setUint32(6, granulePosition % 0x100000000, true);
+        view.setUint32(10, Math.floor(granulePosition / 0x100000000), true);
+        view.setUint32(14, this._serial, true);
+        view.setUint32(18, this._pageSequence, true);
+        view.setUint32(22, 0, true); // crc, filled in below
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+        let offset = 27 + lacing.length;
+        for (const packet of packets) {
+            page.set(packet, offset);
+            offset += packet.length;
+        }
+        view.setUint32(22, oggCRC(page), true);
+        this._pages.push(page);
+        this._pageSequence += 1;
+        this._pendingPackets = [];
+        this._pendingSegmentCount = 0;
+    }
+}
+
+function encodeASCII(str) {
+    return Uint8Array.from(str, c => c.charCodeAt(0));
+}
+
+export function tests() {
+    function readPage(page) {
+        const view = new DataView(page.buffer);
+        const segmentCount = page[26];
+        return {
+            capture: String.fromCharCode(...page.subarray(0, 4)),
+            headerType: page[5],
+            granulePosition: view.getUint32(6, true),
+            sequence: view.getUint32(18, true),
+            crc: view.getUint32(22, true),
+            lacing: Array.from(page.subarray(27, 27 + segmentCount)),
+            data: page.subarray(27 + segmentCount),
+        };
+    }
+
+    return {
+        "crc of the ogg capture pattern": assert => {
+            assert.equal(oggCRC(encodeASCII("OggS")), 0x5fb0a94f);
+        },
+        "header pages and packets are written": assert => {
+            const writer = new OggOpusWriter({sampleRate: 44100, channelCount: 1, serial: 1});
+            writer.addPacket(new Uint8Array(300).fill(1), 20000);
+            writer.addPacket(new Uint8Array(10).fill(2), 20000);
+            const pages = writer.finish().map(readPage);
+            assert.equal(pages.length, 3);
+            assert.equal(pages[0].capture, "OggS");
+            assert.equal(pages[0].headerType, HEADER_TYPE_BOS);
+            assert.equal(String.fromCharCode(...pages[0].data.subarray(0, 8)), "OpusHead");
+            assert.equal(new DataView(pages[0].data.buffer, pages[0].data.byteOffset).getUint32(12, true), 44100);
+            assert.equal(String.fromCharCode(...pages[1].data.subarray(0, 8)), "OpusTags");
+            assert.equal(pages[2].headerType, HEADER_TYPE_EOS);
+            assert.equal(pages[2].sequence, 2);
+            // 20ms at 48kHz per packet, after the pre-skip
+            assert.equal(pages[2].granulePosition, OPUS_PRE_SKIP + 2 * 960);
+            assert.deepEqual(pages[2].lacing, [255, 45, 10]);
+            assert.equal(pages[2].data.length, 310);
+        },
+        "crc covers the page with the crc field zeroed": assert => {
+            const writer = new OggOpusWriter({sampleRate: 48000, channelCount: 1, serial: 1});
+            const [page] = writer.finish();
+            const {crc} = readPage(page);
+            const copy = page.slice();
+            new DataView(copy.buffer).setUint32(22, 0, true);
+            assert.equal(oggCRC(copy), crc);
+        },
+        "pages are split when full": assert => {
+            const writer = new OggOpusWriter({sampleRate: 48000, channelCount: 1, serial: 1});
+            for (let i = 0; i < 300; i += 1) {
+                writer.addPacket(new Uint8Array(60), 20000);
+            }
+            const pages = writer.finish().map(readPage);
+            assert.equal(pages.length, 4);
+            assert.equal(pages[2].lacing.length, 255);
+            assert.equal(pages[2].headerType, 0);
+            assert.equal(pages[2].granulePosition, OPUS_PRE_SKIP + 255 * 960);
+            assert.equal(pages[3].lacing.length, 45);
+            assert.equal(pages[3].granulePosition, OPUS_PRE_SKIP + 300 * 960);
+        },
+    };
+}
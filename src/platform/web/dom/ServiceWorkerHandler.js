@@ -157,7 +157,7 @@ export class ServiceWorkerHandler {
         worker.postMessage({type, payload});
     }
 
-    async _sendAndWaitForReply(type, payload, worker = undefined) {
+    async _sendAndWaitForReply(type, payload, worker = undefined, transfer = []) {
         if (this._registrationPromise) {
             await this._registrationPromise;
         }
@@ -169,7 +169,7 @@ export class ServiceWorkerHandler {
         const promise = new Promise(resolve => {
             this._waitingForReply.set(id, resolve);
         });
-        worker.postMessage({type, id, payload});
+        worker.postMessage({type, id, payload}, transfer);
         return await promise;
     }
 
@@ -192,6 +192,25 @@ export class ServiceWorkerHandler {
         return this._sendAndWaitForReply("closeSession", {sessionId});
     }
 
+    /**
+     * Registers a download with the service worker that streams the chunks
+     * written to the returned DownloadStream, so the file doesn't have to
+     * be kept in memory as a whole. Navigating to `url` starts the download.
+     * Returns null if there is no active service worker to serve the download.
+     */
+    async createDownloadStream(filename, mimeType) {
+        if (this._registrationPromise) {
+            await this._registrationPromise;
+        }
+        const worker = this._registration?.active;
+        if (!worker) {
+            return null;
+        }
+        const {port1, port2} = new MessageChannel();
+        const url = await this._sendAndWaitForReply("downloadStream", {filename, mimeType}, worker, [port2]);
+        return new DownloadStream(url, port1);
+    }
+
     async getRegistration() {
         if (this._registrationPromise) {
             await this._registrationPromise;
@@ -199,3 +218,61 @@ export class ServiceWorkerHandler {
         return this._registration;
     }
 }
+
+/** The page side of a download streamed through the service worker.
+ * The service worker asks for every chunk once the browser has read the previous one,
+ * so writing the file goes as fast as the browser saves it. */
+class DownloadStream {
+    constructor(url, port) {
+        this.url = url;
+        this._port = port;
+        this._pullCount = 0;
+        this._waitingForPull = null;
+        this._canceled = false;
+        this._port.onmessage = event => {
+            switch (event.data?.type) {
+                case "pull":
+                    this._pullCount += 1;
+                    break;
+                case "cancel":
+                    this._canceled = true;
+                    this._port.close();
+                    break;
+            }
+            if (this._waitingForPull) {
+                const resolve = this._waitingForPull;
+                this._waitingForPull = null;
+                resolve();
+            }
+        };
+    }
+
+    async write(chunk) {
+        while (this._pullCount === 0 && !this._canceled) {
+            await new Promise(resolve => {
+                this._waitingForPull = resolve;
+            });
+        }
+        if (this._canceled) {
+            const err = new Error("The download was canceled");
+            err.name = "AbortError";
+            throw err;
+        }
+        this._pullCount -= 1;
+        this._port.postMessage({type: "chunk", chunk});
+    }
+
+    close() {
+        if (!this._canceled) {
+            this._port.postMessage({type: "close"});
+            this._port.close();
+        }
+    }
+
+    abort() {
+        if (!this._canceled) {
+            this._port.postMessage({type: "abort"});
+            this._port.close();
+        }
+    }
+}
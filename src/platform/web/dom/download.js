@@ -51,3 +51,13 @@ export async function downloadInIframe(container, iframeSrc, blobHandle, filenam
         }, "*");
     }
 }
+
+export function downloadUrlInIframe(container, url) {
+    let iframe = container.querySelector("iframe.streamedDownload");
+    if (!iframe) {
+        iframe = document.createElement("iframe");
+        iframe.className = "hidden streamedDownload";
+        container.appendChild(iframe);
+    }
+    iframe.setAttribute("src", url);
+}
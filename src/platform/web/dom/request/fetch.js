@@ -114,6 +114,9 @@ export function createFetchRequest(createTimeout, serviceWorkerHandler) {
                     body = await response.json();
                 } else if (format === "buffer") {
                     body = await response.arrayBuffer();
+                } else if (format === "stream") {
+                    // a ReadableStream of Uint8Array chunks, where the browser supports it
+                    body = response.body ?? await response.arrayBuffer();
                 }
                 else if (format === "text") {
                     body = await response.text();
@@ -44,7 +44,8 @@ function createXhr(url, {method, headers, timeout, format, uploadProgress}) {
 
     xhr.open(method, url);
     
-    if (format === "buffer") {
+    // xhr can't stream the response, so "stream" gives the whole buffer as well
+    if (format === "buffer" || format === "stream") {
         // important to call this after calling open
         xhr.responseType = "arraybuffer";
     }
@@ -82,7 +83,7 @@ export function xhrRequest(url, options) {
     const promise = xhrAsPromise(xhr, method, url).then(xhr => {
         const {status} = xhr;
         let body = null;
-        if (format === "buffer") {
+        if (format === "buffer" || format === "stream") {
             body = xhr.response;
         } else if (xhr.getResponseHeader("Content-Type") === "application/json") {
             body = JSON.parse(xhr.responseText);
@@ -75,7 +75,12 @@ self.addEventListener('fetch', (event) => {
     This has to do with xhr not being supported in service workers.
     */
     if (event.request.method === "GET") {
-        event.respondWith(handleRequest(event.request));
+        const downloadResponse = takeDownloadResponse(event.request);
+        if (downloadResponse) {
+            event.respondWith(downloadResponse);
+        } else {
+            event.respondWith(handleRequest(event.request));
+        }
     }
 });
 
@@ -123,6 +128,68 @@ async function handleRequest(request) {
     }
 }
 
+const pendingDownloads = new Map();
+let downloadIdCounter = 0;
+
+/**
+ * Creates a download of which the chunks are posted to the given port by the page,
+ * and returns the url to navigate to in order to start it.
+ * A chunk is only requested from the page once the browser has read the previous one.
+ */
+function createDownloadStream({filename, mimeType}, port) {
+    const stream = new ReadableStream({
+        pull(controller) {
+            return new Promise(resolve => {
+                port.onmessage = event => {
+                    switch (event.data?.type) {
+                        case "chunk":
+                            controller.enqueue(event.data.chunk);
+                            break;
+                        case "close":
+                            controller.close();
+                            port.close();
+                            break;
+                        case "abort":
+                            controller.error(new Error("The download was aborted"));
+                            port.close();
+                            break;
+                    }
+                    resolve();
+                };
+                port.postMessage({type: "pull"});
+            });
+        },
+        cancel() {
+            port.postMessage({type: "cancel"});
+            port.close();
+        }
+    });
+    downloadIdCounter += 1;
+    const id = `${downloadIdCounter}-${Math.floor(Math.random() * Number.MAX_SAFE_INTEGER)}`;
+    pendingDownloads.set(id, {stream, filename, mimeType});
+    return new URL(`download/${id}/${encodeURIComponent(filename)}`, baseURL).href;
+}
+
+function takeDownloadResponse(request) {
+    const url = new URL(request.url);
+    const downloadPath = new URL("download/", baseURL).pathname;
+    if (url.origin !== baseURL.origin || !url.pathname.startsWith(downloadPath)) {
+        return;
+    }
+    const id = url.pathname.substr(downloadPath.length).split("/")[0];
+    const download = pendingDownloads.get(id);
+    if (!download) {
+        return;
+    }
+    pendingDownloads.delete(id);
+    return new Response(download.stream, {
+        headers: {
+            "Content-Type": download.mimeType || "application/octet-stream",
+            "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`
+        }
+    });
+}
+
 /**
  * Stale-while-revalidate caching for certain files
  * see https://developer.chrome.com/docs/workbox/caching-strategies-overview/#stale-while-revalidate
@@ -218,6 +285,9 @@ self.addEventListener('message', (event) => {
             case "haltRequests":
                 event.waitUntil(haltRequests().finally(() => reply()));
                 break;
+            case "downloadStream":
+                reply(createDownloadStream(event.data.payload, event.ports[0]));
+                break;
             case "closeSession":
                 event.waitUntil(
                     closeSession(event.data.payload.sessionId, event.source.id)
@@ -106,7 +106,7 @@ export const TAG_NAMES = {
         "article", "aside", "del", "blockquote", "details", "summary",
         "table", "thead", "tbody", "tr", "th", "td", "hr",
         "pre", "code", "button", "time", "input", "textarea", "select", "option", "optgroup", "label", "form",
-        "progress", "output", "video", "style"],
+        "progress", "output", "video", "audio", "style"],
     [SVG_NS]: ["svg", "g", "path", "circle", "ellipse", "rect", "use"]
 } as const;
 
@@ -28,6 +28,7 @@ export class MemberDetailsView extends TemplateView {
                     vm.i18n`Messages in this room are end-to-end encrypted.` :
                     vm.i18n`Messages in this room are not end-to-end encrypted.`
                 ),
+                t.if(vm => vm.isEncrypted, t => this._createSection(t, vm.i18n`Sessions`, this._createDevices(t, vm))),
                 this._createOptions(t, vm)
             ]);
     }
@@ -40,6 +41,41 @@ export class MemberDetailsView extends TemplateView {
             ]);
     }
 
+    _createDevices(t, vm) {
+        return [
+            t.p({className: {"MemberDetailsView_identity": true, "warning": vm => vm.hasIdentityChanged}}, vm => vm.identityLabel),
+            t.if(vm => vm.hasIdentityChanged, t => t.button({
+                className: "text",
+                onClick: () => vm.acknowledgeIdentityChange()
+            }, vm.i18n`Acknowledge change`)),
+            t.map(vm => vm.devices, (devices, t) => this._createDeviceList(t, vm, devices)),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+        ];
+    }
+
+    _createDeviceList(t, vm, devices) {
+        return t.ul({className: "MemberDetailsView_devices"}, (devices ?? []).map(device => {
+            const children = [t.span({className: "MemberDetailsView_deviceName"}, device.name)];
+            if (device.isBlacklisted) {
+                children.push(
+                    t.span({className: "MemberDetailsView_deviceBlacklisted"}, vm.i18n`Blacklisted`),
+                    t.button({className: "text", onClick: () => vm.setDeviceBlacklisted(device.deviceId, false)}, vm.i18n`Unblacklist`),
+                );
+            } else if (device.isVerified) {
+                children.push(t.span({className: "MemberDetailsView_deviceVerified"}, vm.i18n`Verified`));
+            } else {
+                if (device.isNew) {
+                    children.push(t.span({className: "MemberDetailsView_deviceNew"}, vm.i18n`New`));
+                }
+                children.push(
+                    t.button({className: "text", onClick: () => vm.verifyDevice(device.deviceId)}, vm.i18n`Verify`),
+                    t.button({className: "text", onClick: () => vm.setDeviceBlacklisted(device.deviceId, true)}, vm.i18n`Blacklist`),
+                );
+            }
+            return t.li(children);
+        }));
+    }
+
     _createOptions(t, vm) {
         return t.div({ className: "MemberDetailsView_section" },
             [
@@ -19,8 +19,16 @@ import {RoomDetailsView} from "./RoomDetailsView.js";
 import {MemberListView} from "./MemberListView.js";
 import {LoadingView} from "../../general/LoadingView.js";
 import {MemberDetailsView} from "./MemberDetailsView.js";
+import {ThreadListView} from "./ThreadListView.js";
+import {ThreadView} from "./ThreadView.js";
+import {SearchView} from "./SearchView.js";
 
 export class RightPanelView extends TemplateView {
+    constructor(vm, viewClassForTile) {
+        super(vm);
+        this._viewClassForTile = viewClassForTile;
+    }
+
     render(t) {
         return t.div({ className: "RightPanelView" },
             [
@@ -39,6 +47,12 @@ export class RightPanelView extends TemplateView {
                 return new MemberListView(vm);
             case "member-details":
                 return new MemberDetailsView(vm);
+            case "thread-list":
+                return new ThreadListView(vm);
+            case "thread":
+                return new ThreadView(vm, this._viewClassForTile);
+            case "search":
+                return new SearchView(vm, this._viewClassForTile);
             default:
                 return new LoadingView();
         }
@@ -33,11 +33,21 @@ export class RoomDetailsView extends TemplateView {
                 [
                     this._createRightPanelButtonRow(t, vm.i18n`People`, { MemberCount: true }, vm => vm.memberCount,
                     () => vm.openPanel("members")),
-                    this._createRightPanelRow(t, vm.i18n`Encryption`, {EncryptionStatus: true}, encryptionString)
+                    this._createRightPanelButtonRow(t, vm.i18n`Threads`, { ThreadCount: true }, "",
+                    () => vm.openPanel("threads")),
+                    this._createRightPanelRow(t, vm.i18n`Encryption`, {EncryptionStatus: true}, encryptionString),
+                    t.if(vm => vm.isEncrypted, t => this._createRightPanelRow(t, vm.i18n`Share keys with`, {}, this._createTrustPolicySelect(t, vm))),
                 ])
         ]);
     }
 
+    _createTrustPolicySelect(t, vm) {
+        const options = vm.deviceTrustPolicyOptions.map(({value, label}) => {
+            return t.option({value: value ?? "", selected: value === vm.deviceTrustPolicy}, label);
+        });
+        return t.select({onChange: evt => vm.setDeviceTrustPolicy(evt.target.value || undefined)}, options);
+    }
+
     _createRoomAliasDisplay(vm) {
         return vm.canonicalAlias ? tag.div({className: "RoomDetailsView_id"}, [vm.canonicalAlias]) :
             "";
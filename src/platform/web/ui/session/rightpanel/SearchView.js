@@ -0,0 +1,65 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class SearchView extends TemplateView {
+    constructor(vm, viewClassForTile) {
+        super(vm);
+        this._viewClassForTile = viewClassForTile;
+    }
+
+    render(t, vm) {
+        return t.div({className: "SearchView"}, [
+            t.h3(vm.i18n`Results for “${vm.term}”`),
+            t.label({className: "SearchView_scope"}, [
+                t.input({
+                    type: "checkbox",
+                    checked: vm => vm.isGlobal,
+                    onChange: evt => vm.setGlobal(evt.target.checked),
+                }),
+                vm.i18n`Search all rooms`,
+            ]),
+            t.map(vm => vm.results, (results, t) => {
+                if (!results) {
+                    return t.p(vm.i18n`Searching…`);
+                }
+                if (!results.length && !vm.error) {
+                    return t.p(vm.i18n`No messages found. Encrypted rooms can't be searched on the server.`);
+                }
+                return t.ul({className: "SearchView_results"}, results.map(result => this._renderResult(t, vm, result)));
+            }),
+            t.if(vm => vm.canLoadMore, t => t.button({className: "link", onClick: () => vm.loadMore()}, vm.i18n`Load more`)),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+        ]);
+    }
+
+    _renderResult(t, vm, result) {
+        const tiles = result.tiles.map(tile => {
+            const TileView = this._viewClassForTile(tile);
+            if (!TileView) {
+                return null;
+            }
+            return t.div({className: {SearchView_context: !result.isResult(tile)}},
+                t.view(new TileView(tile, this._viewClassForTile, {interactive: false}, "div")));
+        });
+        return t.li({className: "SearchView_result", onClick: () => result.open()}, [
+            vm.isGlobal ? t.div({className: "SearchView_room"}, result.roomName) : null,
+            ...tiles,
+        ]);
+    }
+}
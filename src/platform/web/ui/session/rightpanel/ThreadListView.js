@@ -0,0 +1,46 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class ThreadListView extends TemplateView {
+    render(t, vm) {
+        return t.div({className: "ThreadListView"}, [
+            t.h3(vm.i18n`Threads`),
+            t.map(vm => vm.threads, (threads, t) => {
+                if (!threads) {
+                    return t.p(vm.i18n`Loading…`);
+                }
+                if (!threads.length && !vm.error) {
+                    return t.p(vm.i18n`There are no threads in this room yet.`);
+                }
+                return t.ul({className: "ThreadListView_list"}, threads.map(thread => this._renderThread(t, vm, thread)));
+            }),
+            t.if(vm => vm.canLoadMore, t => t.button({className: "link", onClick: () => vm.loadMore()}, vm.i18n`Load more`)),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+        ]);
+    }
+
+    _renderThread(t, vm, thread) {
+        const replies = thread.replyCount === 1 ? vm.i18n`1 reply` : vm.i18n`${thread.replyCount} replies`;
+        return t.li({className: "ThreadListView_thread"}, t.a({href: thread.link}, [
+            t.div({className: "ThreadListView_sender"}, thread.sender),
+            t.div({className: "ThreadListView_body"}, thread.body),
+            t.div({className: "ThreadListView_summary"}, thread.latestReply ? `${replies} · ${thread.latestReply}` : replies),
+        ]));
+    }
+}
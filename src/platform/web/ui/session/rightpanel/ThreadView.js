@@ -0,0 +1,43 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+
+import {TemplateView} from "../../general/TemplateView";
+import {TimelineView} from "../room/TimelineView";
+import {TimelineLoadingView} from "../room/TimelineLoadingView.js";
+import {MessageComposer} from "../room/MessageComposer.js";
+
+export class ThreadView extends TemplateView {
+    constructor(vm, viewClassForTile) {
+        super(vm);
+        this._viewClassForTile = viewClassForTile;
+    }
+
+    render(t, vm) {
+        return t.div({className: "ThreadView"}, [
+            t.h3(vm.i18n`Thread`),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+            t.mapView(vm => vm.timelineViewModel, timelineViewModel => {
+                return timelineViewModel ?
+                    new TimelineView(timelineViewModel, this._viewClassForTile) :
+                    new TimelineLoadingView(vm);    // vm is just needed for i18n
+            }),
+            t.mapView(vm => vm.composerViewModel, composerViewModel => {
+                return composerViewModel ? new MessageComposer(composerViewModel, this._viewClassForTile) : null;
+            }),
+        ]);
+    }
+}
@@ -0,0 +1,47 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+import {renderStaticAvatar} from "../../avatar";
+
+export class AutocompleteView extends TemplateView {
+    /**
+     * @param {(index: number) => void} onComplete called when a candidate is clicked
+     */
+    constructor(vm, onComplete) {
+        super(vm);
+        this._onComplete = onComplete;
+    }
+
+    render(t) {
+        return t.div({className: {AutocompleteView: true, hidden: vm => !vm.isOpen}}, [
+            t.map(vm => vm.candidates, candidates => t.ul({role: "listbox"}, candidates.map((candidate, index) => {
+                return t.li({
+                    role: "option",
+                    className: {selected: vm => vm.selectedIndex === index},
+                    "aria-selected": vm => vm.selectedIndex === index ? "true" : "false",
+                    // don't take the focus away from the composer
+                    onMousedown: evt => evt.preventDefault(),
+                    onClick: () => this._onComplete(index),
+                }, [
+                    renderStaticAvatar(candidate, 24),
+                    t.span({className: "AutocompleteView_name"}, candidate.name),
+                    candidate.description ? t.span({className: "AutocompleteView_description"}, candidate.description) : null,
+                ]);
+            }))),
+        ]);
+    }
+}
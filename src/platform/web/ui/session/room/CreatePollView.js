@@ -0,0 +1,87 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class CreatePollView extends TemplateView {
+    render(t, vm) {
+        const question = t.input({
+            type: "text",
+            className: "CreatePollView_question",
+            placeholder: vm.i18n`Question or topic`,
+            value: vm.question,
+            onInput: evt => vm.setQuestion(evt.target.value),
+        });
+        // rerender the inputs when adding or removing an answer, they take their value from the view model
+        const answers = t.map(vm => vm.answers, (answers, t, vm) => {
+            return t.ol({className: "CreatePollView_answers"}, answers.map((answer, idx) => t.li([
+                t.input({
+                    type: "text",
+                    placeholder: vm.i18n`Option ${idx + 1}`,
+                    value: answer,
+                    onInput: evt => vm.setAnswer(idx, evt.target.value),
+                }),
+                vm.canRemoveAnswer ? t.button({
+                    type: "button",
+                    className: "button-utility CreatePollView_removeAnswer",
+                    title: vm.i18n`Remove option`,
+                    onClick: () => vm.removeAnswer(idx),
+                }, "×") : null,
+            ])));
+        });
+        requestAnimationFrame(() => question.focus());
+        return t.div({
+            className: "CreatePollView",
+            onKeydown: evt => {
+                if (evt.key === "Escape") {
+                    vm.cancel();
+                }
+            },
+        }, t.form({
+            className: "CreatePollView_dialog",
+            role: "dialog",
+            "aria-modal": "true",
+            "aria-label": vm.i18n`Create poll`,
+            onSubmit: evt => {
+                evt.preventDefault();
+                vm.create();
+            },
+        }, [
+            t.h2(vm.i18n`Create poll`),
+            question,
+            answers,
+            t.button({
+                type: "button",
+                className: "link",
+                disabled: vm => !vm.canAddAnswer,
+                onClick: () => vm.addAnswer(),
+            }, vm.i18n`Add option`),
+            t.label([
+                t.input({
+                    type: "checkbox",
+                    checked: vm.isUndisclosed,
+                    onChange: evt => vm.setUndisclosed(evt.target.checked),
+                }),
+                vm.i18n`Only show the results when the poll has ended`,
+            ]),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+            t.div({className: "button-row"}, [
+                t.button({type: "button", className: "button-action secondary", onClick: () => vm.cancel()}, vm.i18n`Cancel`),
+                t.button({type: "submit", className: "button-action primary", disabled: vm => !vm.canCreate}, vm.i18n`Create poll`),
+            ]),
+        ]));
+    }
+}
@@ -17,6 +17,9 @@ limitations under the License.
 import {TemplateView} from "../../general/TemplateView";
 import {Popup} from "../../general/Popup.js";
 import {Menu} from "../../general/Menu.js";
+import {CreatePollView} from "./CreatePollView.js";
+import {StickerPickerView} from "./StickerPickerView.js";
+import {AutocompleteView} from "./AutocompleteView.js";
 
 export class MessageComposer extends TemplateView {
     constructor(viewModel, viewClassForTile) {
@@ -25,6 +28,7 @@ export class MessageComposer extends TemplateView {
         this._input = null;
         this._attachmentPopup = null;
         this._focusInput = null;
+        this._setInput = null;
         this._rafResizeHandle = undefined;
     }
 
@@ -33,17 +37,35 @@ export class MessageComposer extends TemplateView {
             onKeydown: e => this._onKeyDown(e),
             onInput: () => {
                 vm.setInput(this._input.value);
+                this._updateAutocomplete();
                 if (this._input.value) {
                     this._adjustHeight();
                 } else {
                     this._clearHeight();
                 }
             },
+            // the cursor moved, so the word being completed might have changed
+            onClick: () => this._updateAutocomplete(),
+            onKeyup: e => {
+                if (["ArrowLeft", "ArrowRight", "Home", "End"].includes(e.key)) {
+                    this._updateAutocomplete();
+                }
+            },
+            onBlur: () => vm.autocompleteViewModel.close(),
             placeholder: vm => vm.isEncrypted ? "Send an encrypted message…" : "Send a message…",
             rows: "1"
         });
         this._focusInput = () => this._input.focus();
         this.value.on("focus", this._focusInput);
+        this._setInput = text => {
+            this._input.value = text;
+            if (text) {
+                this._adjustHeight();
+            } else {
+                this._clearHeight();
+            }
+        };
+        this.value.on("setInput", this._setInput);
         const replyPreview = t.map(vm => vm.replyViewModel, (rvm, t) => {
             const TileView = rvm && this._viewClassForTile(rvm);
             if (!TileView) { return null; }
@@ -58,29 +80,72 @@ export class MessageComposer extends TemplateView {
                 t.view(new TileView(rvm, this._viewClassForTile, { interactive: false }, "div"))
             ]);
         });
+        const editPreview = t.map(vm => vm.editViewModel, (evm, t) => {
+            const TileView = evm && this._viewClassForTile(evm);
+            if (!TileView) { return null; }
+            return t.div({
+                    className: "MessageComposer_replyPreview MessageComposer_editPreview"
+                }, [
+                    t.span({ className: "replying" }, "Editing"),
+                    t.button({
+                        className: "cancel",
+                        onClick: () => this._clearEditing()
+                    }, "Close"),
+                t.view(new TileView(evm, this._viewClassForTile, { interactive: false }, "div"))
+            ]);
+        });
+        const autocomplete = t.view(new AutocompleteView(vm.autocompleteViewModel, index => this._completeMention(index)));
         const input = t.div({className: "MessageComposer_input"}, [
             this._input,
-            t.button({
+            vm.canSendAttachments ? t.button({
                 className: "sendFile",
                 title: vm.i18n`Pick attachment`,
                 onClick: evt => this._toggleAttachmentMenu(evt),
-            }, vm.i18n`Send file`),
+            }, vm.i18n`Send file`) : null,
+            vm.canRecordVoice ? t.button({
+                className: "recordVoice",
+                title: vm.i18n`Record a voice message`,
+                onClick: () => vm.startVoiceRecording(),
+            }, vm.i18n`Record`) : null,
             t.button({
                 className: "send",
                 title: vm.i18n`Send`,
                 onClick: () => this._trySend(),
             }, vm.i18n`Send`),
         ]);
+        const recording = t.if(vm => vm.isRecording, t => t.div({className: "MessageComposer_recording"}, [
+            t.span({
+                className: "MessageComposer_recordingIndicator",
+                style: vm => `transform: scale(${1 + vm.recordingAmplitude})`,
+            }),
+            t.span({className: "MessageComposer_recordingTime"}, vm => vm.recordingDuration),
+            t.button({
+                className: "cancel",
+                title: vm.i18n`Discard voice message`,
+                onClick: () => vm.cancelVoiceRecording(),
+            }, vm.i18n`Discard`),
+            t.button({
+                className: "send",
+                title: vm.i18n`Send voice message`,
+                onClick: () => vm.sendVoiceRecording(),
+            }, vm.i18n`Send`),
+        ]));
+        const createPoll = t.mapView(vm => vm.createPollViewModel, cpvm => cpvm ? new CreatePollView(cpvm) : null);
+        const stickerPicker = t.mapView(vm => vm.stickerPickerViewModel, spvm => spvm ? new StickerPickerView(spvm) : null);
         return t.div({ className: {
             MessageComposer: true,
-            MessageComposer_canSend: vm => vm.canSend
-        } }, [replyPreview, input]);
+            MessageComposer_canSend: vm => vm.canSend,
+            MessageComposer_isRecording: vm => vm.isRecording,
+        } }, [replyPreview, editPreview, autocomplete, input, recording, createPoll, stickerPicker]);
     }
 
     unmount() {
         if (this._focusInput) {
             this.value.off("focus", this._focusInput);
         }
+        if (this._setInput) {
+            this.value.off("setInput", this._setInput);
+        }
         super.unmount();
     }
 
@@ -88,6 +153,10 @@ export class MessageComposer extends TemplateView {
         this.value.clearReplyingTo();
     }
 
+    _clearEditing() {
+        this.value.clearEditing();
+    }
+
     async _trySend() {
         this._input.focus();
         // we clear the composer while enqueuing
@@ -111,7 +180,43 @@ export class MessageComposer extends TemplateView {
         }
     }
 
+    _updateAutocomplete() {
+        this.value.updateAutocomplete(this._input.value, this._input.selectionStart);
+    }
+
+    _completeMention(index) {
+        const completion = this.value.completeMention(this._input.value, index);
+        if (completion) {
+            this._input.value = completion.text;
+            this._input.setSelectionRange(completion.cursor, completion.cursor);
+            this._input.focus();
+            this._adjustHeight();
+        }
+    }
+
     _onKeyDown(event) {
+        const autocomplete = this.value.autocompleteViewModel;
+        if (autocomplete.isOpen) {
+            switch (event.key) {
+                case "ArrowDown":
+                    event.preventDefault();
+                    autocomplete.selectNext();
+                    return;
+                case "ArrowUp":
+                    event.preventDefault();
+                    autocomplete.selectPrevious();
+                    return;
+                case "Enter":
+                case "Tab":
+                    event.preventDefault();
+                    this._completeMention(autocomplete.selectedIndex);
+                    return;
+                case "Escape":
+                    event.preventDefault();
+                    autocomplete.close();
+                    return;
+            }
+        }
         if (event.key === "Enter" && !event.shiftKey) {
             // don't insert newline into composer
             event.preventDefault();
@@ -128,6 +233,8 @@ export class MessageComposer extends TemplateView {
                 Menu.option(vm.i18n`Send video`, () => vm.sendVideo()).setIcon("video"),
                 Menu.option(vm.i18n`Send picture`, () => vm.sendPicture()).setIcon("picture"),
                 Menu.option(vm.i18n`Send file`, () => vm.sendFile()).setIcon("file"),
+                Menu.option(vm.i18n`Send sticker`, () => vm.openStickerPicker()).setIcon("sticker"),
+                Menu.option(vm.i18n`Create poll`, () => vm.openPollCreator()).setIcon("poll"),
             ]));
             this._attachmentPopup.trackInTemplateView(this);
             this._attachmentPopup.showRelativeTo(evt.target, 12);
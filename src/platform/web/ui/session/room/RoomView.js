@@ -39,6 +39,7 @@ export class RoomView extends TemplateView {
                 t.div({className: "room-description"}, [
                     t.h2(vm => vm.name),
                 ]),
+                this._renderSearchField(t, vm),
                 t.button({
                     className: "button-utility room-options",
                     "aria-label":vm.i18n`Room options`,
@@ -58,6 +59,7 @@ export class RoomView extends TemplateView {
                         new TimelineView(timelineViewModel, this._viewClassForTile) :
                         new TimelineLoadingView(vm);    // vm is just needed for i18n
                 }),
+                t.div({className: {RoomView_typing: true, hidden: vm => !vm.typingMessage}}, vm => vm.typingMessage ?? ""),
                 t.mapView(vm => vm.composerViewModel,
                     composerViewModel => {
                         switch (composerViewModel?.kind) {
@@ -71,6 +73,21 @@ export class RoomView extends TemplateView {
         ]);
     }
     
+    _renderSearchField(t, vm) {
+        const input = t.input({
+            type: "search",
+            placeholder: vm.i18n`Search messages`,
+            "aria-label": vm.i18n`Search messages`,
+        });
+        return t.form({
+            className: "FilterField RoomHeader_search",
+            onSubmit: evt => {
+                evt.preventDefault();
+                vm.search(input.value);
+            }
+        }, input);
+    }
+
     _toggleOptionsMenu(evt) {
         if (this._optionsPopup && this._optionsPopup.isOpen) {
             this._optionsPopup.close();
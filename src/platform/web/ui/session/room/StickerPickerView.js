@@ -0,0 +1,75 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class StickerPickerView extends TemplateView {
+    render(t, vm) {
+        // the packs are only loaded once, so no need to rerender for anything else
+        const packs = t.map(vm => vm.isLoading, (isLoading, t, vm) => {
+            if (isLoading) {
+                return t.p({className: "StickerPickerView_empty"}, vm.i18n`Loading stickers…`);
+            }
+            const {packs} = vm;
+            if (packs.length === 0) {
+                return t.p({className: "StickerPickerView_empty"}, vm.i18n`There are no sticker packs in this room or your account.`);
+            }
+            return t.div({className: "StickerPickerView_packs"}, packs.map((pack, packIndex) => t.section([
+                t.h3(pack.name),
+                t.div({className: "StickerPickerView_stickers"}, pack.stickers.map((sticker, stickerIndex) => t.button({
+                    type: "button",
+                    title: sticker.label,
+                    onClick: () => vm.sendSticker(packIndex, stickerIndex),
+                }, t.img({src: sticker.thumbnailUrl, alt: sticker.label, loading: "lazy"})))),
+            ])));
+        });
+        const dialog = t.div({
+            className: "StickerPickerView_dialog",
+            role: "dialog",
+            "aria-modal": "true",
+            "aria-label": vm.i18n`Stickers`,
+            tabindex: "-1",
+        }, [
+            t.div({className: "StickerPickerView_header"}, [
+                t.h2(vm.i18n`Stickers`),
+                t.button({
+                    type: "button",
+                    className: "button-utility close",
+                    title: vm.i18n`Close`,
+                    onClick: () => vm.close(),
+                }, "×"),
+            ]),
+            packs,
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+        ]);
+        // focus the dialog so escape closes it
+        requestAnimationFrame(() => dialog.focus());
+        return t.div({
+            className: "StickerPickerView",
+            onKeydown: evt => {
+                if (evt.key === "Escape") {
+                    vm.close();
+                }
+            },
+            onClick: evt => {
+                // clicking next to the dialog closes it
+                if (evt.target === evt.currentTarget) {
+                    vm.close();
+                }
+            },
+        }, dialog);
+    }
+}
@@ -38,8 +38,14 @@ export type ViewClassForEntryFn = (tile: SimpleTile) => TileViewConstructor;
 //import {TimelineViewModel} from "../../../../../domain/session/room/timeline/TimelineViewModel.js";
 export interface TimelineViewModel extends IObservableValue {
     showJumpDown: boolean;
+    isAnchored: boolean;
+    showJumpToUnread: boolean;
+    highlightedEventId: string | null;
     tiles: ObservableList<SimpleTile>;
     setVisibleTileRange(start?: SimpleTile, end?: SimpleTile);
+    jumpToLatest(): void;
+    jumpToUnread(): void;
+    i18n(parts: TemplateStringsArray, ...expr: any[]): string;
 }
 
 function bottom(node: HTMLElement): number {
@@ -62,6 +68,7 @@ export class TimelineView extends TemplateView<TimelineViewModel> {
     private anchoredNode?: HTMLElement;
     private anchoredBottom: number = 0;
     private stickToBottom: boolean = true;
+    private highlightedNode?: HTMLElement;
     private tilesView?: TilesListView;
     private resizeObserver?: ResizeObserver;
 
@@ -70,11 +77,17 @@ export class TimelineView extends TemplateView<TimelineViewModel> {
     }
 
     render(t: Builder<TimelineViewModel>, vm: TimelineViewModel) {
+        // the timeline is opened at the highlighted event rather than at the bottom
+        this.stickToBottom = !vm.highlightedEventId;
         // assume this view will be mounted in the parent DOM straight away
         requestAnimationFrame(() => {
             // do initial scroll positioning
             this.restoreScrollPosition();
         });
+        t.mapSideEffect(vm => vm.highlightedEventId, eventId => {
+            // wait for the tiles to be mounted
+            requestAnimationFrame(() => this.highlightEvent(eventId));
+        });
         this.tilesView = new TilesListView(vm.tiles, () => this.restoreScrollPosition(), this.viewClassForTile);
         const root = t.div({className: "Timeline"}, [
             t.div({
@@ -88,7 +101,21 @@ export class TimelineView extends TemplateView<TimelineViewModel> {
                 },
                 title: "Jump down",
                 onClick: () => this.jumpDown()
-            })
+            }),
+            t.button({
+                className: {
+                    "Timeline_jumpToLatest": true,
+                    hidden: vm => !vm.isAnchored
+                },
+                onClick: () => vm.jumpToLatest()
+            }, vm.i18n`Jump to latest`),
+            t.button({
+                className: {
+                    "Timeline_jumpToUnread": true,
+                    hidden: vm => !vm.showJumpToUnread
+                },
+                onClick: () => vm.jumpToUnread()
+            }, vm.i18n`Jump to first unread message`)
         ]);
 
         if (typeof ResizeObserver === "function") {
@@ -115,6 +142,28 @@ export class TimelineView extends TemplateView<TimelineViewModel> {
         scrollNode.scrollTop = scrollNode.scrollHeight;
     }
 
+    private highlightEvent(eventId: string | null) {
+        this.highlightedNode?.classList.remove("highlighted");
+        this.highlightedNode = undefined;
+        if (!eventId) {
+            return;
+        }
+        let index = 0;
+        for (const tile of this.value.tiles) {
+            if (tile.eventId === eventId) {
+                const node = this.tilesView!.getChildInstanceByIndex(index)?.root() as HTMLElement | undefined;
+                if (node) {
+                    this.stickToBottom = false;
+                    node.classList.add("highlighted");
+                    node.scrollIntoView({block: "center"});
+                    this.highlightedNode = node;
+                }
+                return;
+            }
+            index += 1;
+        }
+    }
+
     public unmount() {
         super.unmount();
         if (this.resizeObserver) {
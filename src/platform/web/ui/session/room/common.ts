@@ -16,15 +16,19 @@ limitations under the License.
 
 import {TextMessageView} from "./timeline/TextMessageView.js";
 import {ImageView} from "./timeline/ImageView.js";
+import {StickerView} from "./timeline/StickerView.js";
 import {VideoView} from "./timeline/VideoView.js";
+import {AudioView} from "./timeline/AudioView.js";
 import {FileView} from "./timeline/FileView.js";
 import {LocationView} from "./timeline/LocationView.js";
+import {PollView} from "./timeline/PollView.js";
 import {MissingAttachmentView} from "./timeline/MissingAttachmentView.js";
 import {AnnouncementView} from "./timeline/AnnouncementView.js";
 import {RedactedView} from "./timeline/RedactedView.js";
 import {ITile, TileShape} from "../../../../../domain/session/room/timeline/tiles/ITile.js";
 import {GapView} from "./timeline/GapView.js";
 import {DateHeaderView} from "./timeline/DateHeaderView";
+import {ReadMarkerView} from "./timeline/ReadMarkerView";
 import type {TileViewConstructor, ViewClassForEntryFn} from "./TimelineView";
 
 export function viewClassForTile(vm: ITile): TileViewConstructor {
@@ -38,18 +42,26 @@ export function viewClassForTile(vm: ITile): TileViewConstructor {
             return TextMessageView;
         case TileShape.Image:
             return ImageView;
+        case TileShape.Sticker:
+            return StickerView;
         case TileShape.Video:
             return VideoView;
+        case TileShape.Audio:
+            return AudioView;
         case TileShape.File:
             return FileView;
         case TileShape.Location:
             return LocationView;
+        case TileShape.Poll:
+            return PollView;
         case TileShape.MissingAttachment:
             return MissingAttachmentView;
         case TileShape.Redacted:
             return RedactedView;
         case TileShape.DateHeader:
             return DateHeaderView;
+        case TileShape.ReadMarker:
+            return ReadMarkerView;
         default:
             throw new Error(`Tiles of shape "${vm.shape}" are not supported, check the tileClassForEntry function in the view model`);
     }
@@ -0,0 +1,146 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMediaView} from "./BaseMediaView.js";
+import {domEventAsPromise} from "../../../../dom/utils.js";
+
+export class AudioView extends BaseMediaView {
+    constructor(vm, viewClassForTile, renderFlags, tagName) {
+        super(vm, viewClassForTile, renderFlags, tagName);
+        this._audio = null;
+        this._playButton = null;
+        this._timeLabel = null;
+        this._bars = null;
+        this._progressBar = null;
+    }
+
+    renderMessageBody(t, vm) {
+        this._audio = t.audio({
+            src: vm => vm.audioUrl || false,
+            preload: "none",
+            onPlay: () => this._updatePlayback(),
+            onPause: () => this._updatePlayback(),
+            onEnded: () => this._updatePlayback(),
+            onTimeupdate: () => this._updatePlayback(),
+            onLoadedmetadata: () => this._updatePlayback(),
+            onError: evt => this._onError(evt),
+        });
+        this._playButton = t.button({
+            className: "AudioView_play",
+            disabled: vm => vm.isPending,
+            onClick: () => this._togglePlay(),
+        }, vm.i18n`Play`);
+        this._timeLabel = t.span({className: "AudioView_time"}, this._formatTime(0));
+        let progress;
+        const {waveform} = vm;
+        if (waveform) {
+            this._bars = waveform.map(value => t.span({style: `height: ${Math.max(5, Math.round(value * 100))}%`}));
+            progress = t.div({className: "AudioView_waveform", onClick: evt => this._seek(evt)}, this._bars);
+        } else {
+            this._progressBar = t.div();
+            progress = t.div({className: "AudioView_progress", onClick: evt => this._seek(evt)}, this._progressBar);
+        }
+        const children = [
+            t.div({className: "AudioView_player"}, [this._audio, this._playButton, progress, this._timeLabel]),
+            t.p({className: "AudioView_info"}, [vm.isVoice ? null : t.span(vm.label), t.time(vm.time)]),
+            t.div({className: {AudioView_status: true, hidden: vm => !vm.status}}, vm => vm.status),
+        ];
+        if (vm.isPending) {
+            children.push(t.progress({
+                min: 0,
+                max: 100,
+                value: vm => vm.uploadPercentage,
+                className: {hidden: vm => !vm.isUploading}
+            }));
+        }
+        children.push(t.if(vm => vm.error, t => t.p({className: "error"}, vm.error)));
+        return t.div({className: "Timeline_messageBody AudioView"}, children);
+    }
+
+    _formatTime(position) {
+        const vm = this.value;
+        // not all browsers know the duration of ogg files until they are played, so prefer the event
+        const duration = vm.duration ?? (Number.isFinite(this._audio?.duration) ? this._audio.duration * 1000 : null);
+        const isPlaying = this._audio && !this._audio.paused;
+        if (isPlaying || position !== 0) {
+            return vm.formatTime(position);
+        }
+        return duration !== null ? vm.formatTime(duration) : "";
+    }
+
+    _updatePlayback() {
+        const audio = this._audio;
+        const position = audio.currentTime * 1000;
+        const vm = this.value;
+        const duration = vm.duration ?? (Number.isFinite(audio.duration) ? audio.duration * 1000 : 0);
+        const fraction = duration ? Math.min(1, position / duration) : 0;
+        this._playButton.classList.toggle("playing", !audio.paused);
+        this._playButton.textContent = audio.paused ? vm.i18n`Play` : vm.i18n`Pause`;
+        this._timeLabel.textContent = this._formatTime(audio.ended ? 0 : position);
+        if (this._bars) {
+            const playedBars = Math.round(fraction * this._bars.length);
+            this._bars.forEach((bar, i) => bar.classList.toggle("played", i < playedBars));
+        } else {
+            this._progressBar.style.width = `${fraction * 100}%`;
+        }
+    }
+
+    async _togglePlay() {
+        const audio = this._audio;
+        if (!audio.paused) {
+            audio.pause();
+            return;
+        }
+        // download and decrypt the audio if needed
+        if (!this.value.audioUrl) {
+            try {
+                await this.value.loadAudio();
+            } catch (err) {
+                this.value.setViewError(err);
+                return;
+            }
+        }
+        try {
+            if (audio.readyState === 0) {
+                // important to only listen for this after src has changed
+                const loadPromise = domEventAsPromise(audio, "loadeddata");
+                audio.load();
+                await loadPromise;
+            }
+            await audio.play();
+        } catch (err) {/* errors are already caught in error event handler */}
+    }
+
+    _seek(evt) {
+        const audio = this._audio;
+        if (!Number.isFinite(audio.duration)) {
+            return;
+        }
+        const rect = evt.currentTarget.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (evt.clientX - rect.left) / rect.width));
+        audio.currentTime = fraction * audio.duration;
+    }
+
+    _onError(evt) {
+        const vm = this.value;
+        const err = evt.target.error;
+        if (err instanceof window.MediaError && err.code === 4) {
+            vm.setViewError(new Error(`this browser does not support audio of type ${vm.mimeType}.`));
+        } else if (err) {
+            vm.setViewError(err);
+        }
+    }
+}
@@ -65,6 +65,7 @@ export class BaseMediaView extends BaseMessageView {
             switch (vm.shape) {
                 case "image": label = vm.i18n`Download image`; break;
                 case "video": label = vm.i18n`Download video`; break;
+                case "audio": label = vm.i18n`Download audio`; break;
                 default: label = vm.i18n`Download media`; break;
             }
             options.push(Menu.option(label, () => vm.downloadMedia()));
@@ -83,6 +83,62 @@ export class BaseMessageView extends TemplateView {
                 reactionsView = null;
             }
         });
+        // only encrypted messages have a shield, so add it with a side-effect
+        // rather than adding a (comment) node to all messages
+        let shield = null;
+        t.mapSideEffect(vm => vm.shield, level => {
+            if (level && !this._isReplyPreview) {
+                if (!shield) {
+                    shield = tag.div({className: "Timeline_messageShield"});
+                    li.appendChild(shield);
+                }
+                shield.className = `Timeline_messageShield ${level}`;
+                shield.title = vm.shieldLabel;
+            } else if (shield) {
+                li.removeChild(shield);
+                shield = null;
+            }
+        });
+        // only thread roots have a summary, so also add it with a side-effect
+        let threadSummary = null;
+        t.mapSideEffect(vm => vm.threadSummary, summary => {
+            if (summary && this._interactive) {
+                if (!threadSummary) {
+                    threadSummary = tag.a({className: "Timeline_messageThreadSummary", href: vm.threadLink});
+                    li.appendChild(threadSummary);
+                }
+                threadSummary.textContent = summary;
+            } else if (threadSummary) {
+                li.removeChild(threadSummary);
+                threadSummary = null;
+            }
+        });
+        // most tiles don't have read receipts, so also add them with a side-effect
+        let readReceipts = null;
+        t.mapSideEffect(vm => vm.readReceipts, receipts => {
+            if (readReceipts) {
+                li.removeChild(readReceipts);
+                readReceipts = null;
+            }
+            if (receipts?.length && this._interactive) {
+                readReceipts = renderReadReceipts(receipts, vm);
+                li.appendChild(readReceipts);
+            }
+        });
+        // a pending event can't have reactions yet, so the warning can take their place
+        let newDevicesWarning = null;
+        t.mapSideEffect(vm => vm.isBlockedByNewDevices, isBlocked => {
+            if (isBlocked && this._interactive && !newDevicesWarning) {
+                newDevicesWarning = tag.p({className: "Timeline_messageNewDevicesWarning"}, [
+                    vm.i18n`Not sent because there are new unverified sessions in this room. `,
+                    tag.button({className: "link Timeline_messageSendAnyway"}, vm.i18n`Send anyway`),
+                ]);
+                li.appendChild(newDevicesWarning);
+            } else if (!isBlocked && newDevicesWarning) {
+                li.removeChild(newDevicesWarning);
+                newDevicesWarning = null;
+            }
+        });
         return li;
     }
 
@@ -90,9 +146,28 @@ export class BaseMessageView extends TemplateView {
     onClick(evt) {
         if (evt.target.className === "Timeline_messageOptions") {
             this._toggleMenu(evt.target);
+        } else if (evt.target.classList.contains("Timeline_messageSendAnyway")) {
+            this.value.sendAnyway();
+        } else if (this._onReplyPreviewClick(evt)) {
+            evt.preventDefault();
+        } else {
+            const link = evt.target.closest("a");
+            if (link && this.value.openLink?.(link.href)) {
+                evt.preventDefault();
+            }
         }
     }
 
+    _onReplyPreviewClick(evt) {
+        const replyTile = this.value.replyTile;
+        // the link to the profile of the sender of the reply opens as usual
+        if (!replyTile || !evt.target.closest(".ReplyPreviewView") || evt.target.closest(".pill")) {
+            return false;
+        }
+        replyTile.jumpTo();
+        return true;
+    }
+
     _toggleMenu(button) {
         if (this._menuPopup && this._menuPopup.isOpen) {
             this._menuPopup.close();
@@ -114,6 +189,15 @@ export class BaseMessageView extends TemplateView {
         if (vm.canReact && vm.shape !== "redacted" && !vm.isPending) {
             options.push(new QuickReactionsMenuOption(vm));
             options.push(Menu.option(vm.i18n`Reply`, () => vm.startReply()));
+            if (vm.canReplyInThread) {
+                options.push(Menu.option(vm.i18n`Reply in thread`, () => vm.openThread()));
+            }
+        }
+        if (vm.canEdit) {
+            options.push(Menu.option(vm.i18n`Edit`, () => vm.startEdit()));
+        }
+        if (vm.isBlockedByNewDevices) {
+            options.push(Menu.option(vm.i18n`Send anyway`, () => vm.sendAnyway()));
         }
         if (vm.canAbortSending) {
             options.push(Menu.option(vm.i18n`Cancel`, () => vm.abortSending()));
@@ -126,6 +210,17 @@ export class BaseMessageView extends TemplateView {
     renderMessageBody() {}
 }
 
+const MAX_READ_RECEIPT_AVATARS = 4;
+
+function renderReadReceipts(receipts, vm) {
+    const avatars = receipts.slice(0, MAX_READ_RECEIPT_AVATARS).map(receipt => renderStaticAvatar(receipt, 12));
+    if (receipts.length > MAX_READ_RECEIPT_AVATARS) {
+        avatars.push(tag.span(`+${receipts.length - MAX_READ_RECEIPT_AVATARS}`));
+    }
+    const names = receipts.map(receipt => receipt.name).join(", ");
+    return tag.div({className: "Timeline_messageReadReceipts", title: vm.i18n`Read by ${names}`}, avatars);
+}
+
 class QuickReactionsMenuOption {
     constructor(vm) {
         this._vm = vm;
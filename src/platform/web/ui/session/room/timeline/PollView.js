@@ -0,0 +1,66 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMessageView} from "./BaseMessageView.js";
+
+export class PollView extends BaseMessageView {
+    renderMessageBody(t, vm) {
+        return t.div({className: "Timeline_messageBody PollView"}, [
+            t.p({className: "PollView_question"}, vm.question),
+            t.ul({className: "PollView_answers"}, vm.answers.map(answer => this._renderAnswer(t, vm, answer))),
+            t.p({className: "PollView_status"}, [
+                t.span(vm => vm.status),
+                t.if(vm => vm.canEnd && this._interactive, t => t.button({className: "link PollView_end"}, vm.i18n`End poll`)),
+                t.time(vm.time),
+            ]),
+        ]);
+    }
+
+    _renderAnswer(t, vm, {id, text}) {
+        return t.li({
+            className: {
+                PollView_answer: true,
+                selected: vm => vm.isSelected(id),
+                winner: vm => vm.isWinner(id),
+            }
+        }, [
+            t.button({
+                className: "PollView_answerButton",
+                "data-answer-id": id,
+                disabled: vm => !this._interactive || !vm.canVote,
+            }, [
+                t.span({className: "PollView_answerText"}, text),
+                t.span({className: "PollView_answerCount"}, vm => vm.showResults ? vm.voteLabel(id) : ""),
+            ]),
+            t.div({className: "PollView_answerBar"}, t.div({
+                style: vm => `width: ${vm.showResults ? vm.votePercentage(id) : 0}%`
+            })),
+        ]);
+    }
+
+    onClick(evt) {
+        const answerButton = evt.target.closest(".PollView_answerButton");
+        if (answerButton) {
+            this.value.vote(answerButton.dataset.answerId);
+        } else if (evt.target.classList.contains("PollView_end")) {
+            if (confirm(this.value.i18n`End the poll "${this.value.question}"? No one will be able to vote anymore.`)) {
+                this.value.endPoll();
+            }
+        } else {
+            super.onClick(evt);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {BaseMessageView} from "./BaseMessageView.js";
+
+export class StickerView extends BaseMessageView {
+    renderMessageBody(t, vm) {
+        return t.div({className: "Timeline_messageBody StickerView"}, [
+            t.img({
+                src: vm => vm.thumbnailUrl,
+                alt: vm => vm.label,
+                title: vm => vm.label,
+                width: vm.width,
+                height: vm.height,
+            }),
+            t.time(vm.time),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm.error)),
+        ]);
+    }
+}
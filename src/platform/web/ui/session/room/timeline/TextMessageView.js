@@ -21,6 +21,7 @@ import {ReplyPreviewError, ReplyPreviewView} from "./ReplyPreviewView.js";
 export class TextMessageView extends BaseMessageView {
     renderMessageBody(t, vm) {
         const time = t.time({className: {hidden: !vm.time}}, vm.time);
+        const edited = t.span({className: {Timeline_messageEdited: true, hidden: vm => !vm.isEdited}}, vm.i18n`(edited)`);
         const container = t.div({
             className: {
                 "Timeline_messageBody": true,
@@ -52,6 +53,7 @@ export class TextMessageView extends BaseMessageView {
             for (const part of body.parts) {
                 container.appendChild(renderPart(part));
             }
+            container.appendChild(edited);
             container.appendChild(time);
         });
 
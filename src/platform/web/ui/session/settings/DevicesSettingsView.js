@@ -0,0 +1,80 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class DevicesSettingsView extends TemplateView {
+    render(t, vm) {
+        return t.div({className: "DevicesSettings"}, [
+            t.map(vm => vm.devices, (devices, t) => {
+                if (!devices) {
+                    return t.p(vm.i18n`Loading…`);
+                }
+                return t.ul({className: "DevicesSettings_list"}, devices.map(device => this._renderDevice(t, vm, device)));
+            }),
+            t.if(vm => vm.selectedCount > 0 && !vm.needsPassword, t => t.p(t.button({
+                disabled: vm => vm.isBusy,
+                onClick: () => vm.signOutSelected(),
+            }, vm => vm.i18n`Sign out ${vm.selectedCount} session(s)`))),
+            t.if(vm => vm.needsPassword, t => {
+                const password = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Password`});
+                return t.div([
+                    t.p(vm.i18n`Confirm your password to sign out these sessions.`),
+                    t.p([
+                        password,
+                        t.button({disabled: vm => vm.isBusy, onClick: () => vm.submitPassword(password.value)}, vm.i18n`Sign out`),
+                        t.button({className: "link", onClick: () => vm.cancelSignOut()}, vm.i18n`Cancel`),
+                    ]),
+                ]);
+            }),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+        ]);
+    }
+
+    _renderDevice(t, vm, device) {
+        let name;
+        if (device.isRenaming) {
+            const input = t.input({type: "text", value: device.name, disabled: vm => vm.isBusy});
+            name = t.span([
+                input,
+                t.button({disabled: vm => vm.isBusy, onClick: () => vm.renameDevice(device.deviceId, input.value)}, vm.i18n`Save`),
+                t.button({className: "link", onClick: () => vm.cancelRenaming()}, vm.i18n`Cancel`),
+            ]);
+        } else {
+            name = t.span([
+                t.strong(device.name),
+                " ",
+                t.button({className: "link", onClick: () => vm.startRenaming(device.deviceId)}, vm.i18n`Rename`),
+            ]);
+        }
+        const lastSeen = device.lastSeen ?
+            vm.i18n`Last seen ${device.lastSeen} from ${device.lastSeenIp ?? vm.i18n`unknown IP`}` :
+            vm.i18n`Never seen`;
+        return t.li({className: {DevicesSettings_device: true, current: device.isCurrent}}, [
+            t.input({
+                type: "checkbox",
+                checked: device.isSelected,
+                disabled: device.isCurrent,
+                title: device.isCurrent ? vm.i18n`Use log out to sign out this session` : "",
+                onChange: () => vm.toggleSelected(device.deviceId),
+            }),
+            t.div([
+                t.p([name, device.isCurrent ? t.span({className: "DevicesSettings_current"}, vm.i18n` (this session)`) : ""]),
+                t.p({className: "DevicesSettings_details"}, [t.code(device.deviceId), ` · ${lastSeen}`]),
+            ]),
+        ]);
+    }
+}
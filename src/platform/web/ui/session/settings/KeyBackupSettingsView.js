@@ -25,6 +25,7 @@ export class KeyBackupSettingsView extends TemplateView {
                     case "NewVersionAvailable": return renderNewVersionAvailable(t, vm);
                     case "SetupKey": return renderEnableFromKey(t, vm);
                     case "SetupPhrase": return renderEnableFromPhrase(t, vm);
+                    case "Create": return renderCreate(t, vm);
                     case "Pending": return t.p(vm.i18n`Waiting to go online…`);
                 }
             }),
@@ -62,6 +63,12 @@ function renderEnabled(t, vm) {
     const items = [
         t.p([vm.i18n`Key backup is enabled, using backup version ${vm.backupVersion}. `, t.button({onClick: () => vm.disable()}, vm.i18n`Disable`)])
     ];
+    if (vm.createdRecoveryKey) {
+        items.push(
+            t.p(vm.i18n`Your security key is shown below. Store it somewhere safe, like a password manager, you will need it to read your message history in other sessions. It won't be shown again.`),
+            t.p({className: "code"}, vm.createdRecoveryKey)
+        );
+    }
     if (vm.dehydratedDeviceId) {
         items.push(t.p(vm.i18n`A dehydrated device id was set up with id ${vm.dehydratedDeviceId} which you can use during your next login with your secret storage key.`));
     }
@@ -82,6 +89,8 @@ function renderEnableFromKey(t, vm) {
         renderError(t),
         renderEnableFieldRow(t, vm, vm.i18n`Security key`, (key, setupDehydratedDevice) => vm.enterSecurityKey(key, setupDehydratedDevice)),
         t.p([vm.i18n`Alternatively, you can `, useASecurityPhrase, vm.i18n` if you have one.`]),
+        renderRequestFromOtherSessions(t, vm),
+        renderCreateInstead(t, vm),
     ]);
 }
 
@@ -92,6 +101,79 @@ function renderEnableFromPhrase(t, vm) {
         renderError(t),
         renderEnableFieldRow(t, vm, vm.i18n`Security phrase`, (phrase, setupDehydratedDevice) => vm.enterSecurityPhrase(phrase, setupDehydratedDevice)),
         t.p([vm.i18n`You can also `, useASecurityKey, vm.i18n`.`]),
+        renderRequestFromOtherSessions(t, vm),
+        renderCreateInstead(t, vm),
+    ]);
+}
+
+function renderRequestFromOtherSessions(t, vm) {
+    const askOtherSessions = t.button({className: "link", disabled: vm => vm.isBusy, onClick: () => vm.requestFromOtherSessions()}, vm.i18n`ask your other sessions`);
+    return t.div([
+        t.p([vm.i18n`If you're logged in on another device that has verified this session, you can `, askOtherSessions, vm.i18n` to send the key instead.`]),
+        t.if(vm => vm.secretRequestFeedback, t => t.p(vm => vm.secretRequestFeedback)),
+    ]);
+}
+
+function renderCreateInstead(t, vm) {
+    const createNew = t.button({className: "link", onClick: () => vm.showCreateSetup()}, vm.i18n`set up a new key backup`);
+    return t.p([vm.i18n`If you lost your security key and phrase, you can `, createNew, vm.i18n` instead. You won't be able to read messages that were only in the old backup, and if you replace your secret storage, you will lose the cross-signing keys stored in it and need to verify your sessions again.`]);
+}
+
+function renderCreate(t, vm) {
+    const useASecurityKey = t.button({className: "link", onClick: () => vm.showKeySetup()}, vm.i18n`enter your security key`);
+    return t.div([
+        t.p(vm.i18n`Set up key backup to store the keys of your encrypted messages on your homeserver, encrypted with a security key only you have. This will enable you to decrypt messages received before you logged into a new session.`),
+        t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.i18n`Could not set up key backup: ${vm.error}.`)),
+        t.map(vm => vm.hasSecretStorage, (hasSecretStorage, t, vm) => {
+            return hasSecretStorage ? renderCreateInSecretStorage(t, vm) : renderCreateSecretStorage(t, vm, false);
+        }),
+        t.p([vm.i18n`If you already set up key backup in another client, `, useASecurityKey, vm.i18n` instead.`]),
+    ]);
+}
+
+function renderCreateInSecretStorage(t, vm) {
+    const createRow = (label, callback) => {
+        const input = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: label});
+        return t.div({className: "row"}, [
+            t.div({className: "label"}, label),
+            t.div({className: "content"}, t.p([
+                input,
+                t.button({disabled: vm => vm.isBusy, onClick: () => callback(input.value)}, vm.i18n`Set up`),
+            ])),
+        ]);
+    };
+    return t.div([
+        t.p(vm.i18n`Your account already has secret storage, which also holds your cross-signing keys. Enter its security key or phrase to add a new key backup to it.`),
+        createRow(vm.i18n`Security key`, key => vm.createKeyBackupWithSecurityKey(key)),
+        createRow(vm.i18n`Security phrase`, phrase => vm.createKeyBackupWithSecurityPhrase(phrase)),
+        t.p(vm.i18n`If you lost both, you can replace your secret storage with a new one instead. The cross-signing keys in it will become unreadable, so you will need to reset cross-signing and verify your other sessions and contacts again.`),
+        renderCreateSecretStorage(t, vm, true),
+    ]);
+}
+
+function renderCreateSecretStorage(t, vm, replaceExisting) {
+    const passphrase = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Security phrase (optional)`});
+    const confirmation = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Confirm security phrase`});
+    const replaceCheck = replaceExisting ? t.input({type: "checkbox", id: "replace-secret-storage"}) : null;
+    return t.div([
+        t.p(vm.i18n`A security key will be created for you. You can also choose a security phrase to derive the key from, which is easier to remember.`),
+        t.div({className: "row"}, [
+            t.div({className: "label"}, vm.i18n`Security phrase`),
+            t.div({className: "content"}, [
+                t.p([
+                    passphrase,
+                    confirmation,
+                    t.button({
+                        disabled: vm => vm.isBusy,
+                        onClick: () => vm.createSecretStorage(passphrase.value, confirmation.value, replaceCheck?.checked || false),
+                    }, replaceExisting ? vm.i18n`Replace` : vm.i18n`Set up`),
+                ]),
+                replaceCheck ? t.p([
+                    replaceCheck,
+                    t.label({for: replaceCheck.id}, vm.i18n`I understand that my cross-signing keys will be lost`),
+                ]) : null,
+            ]),
+        ]),
     ]);
 }
 
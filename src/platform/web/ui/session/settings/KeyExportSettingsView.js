@@ -0,0 +1,52 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+
+export class KeyExportSettingsView extends TemplateView {
+    render(t, vm) {
+        const exportPassphrase = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Passphrase`});
+        const exportConfirmation = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Confirm passphrase`});
+        const importPassphrase = t.input({type: "password", disabled: vm => vm.isBusy, placeholder: vm.i18n`Passphrase`});
+        return t.div([
+            t.p(vm.i18n`Export the keys of your encrypted messages to a file protected with a passphrase, so you can import them in another client and read your message history there without key backup.`),
+            t.div({className: "row"}, [
+                t.div({className: "label"}, vm.i18n`Export E2E room keys`),
+                t.div({className: "content"}, t.p([
+                    exportPassphrase,
+                    exportConfirmation,
+                    t.button({
+                        disabled: vm => vm.isBusy,
+                        onClick: () => vm.exportKeys(exportPassphrase.value, exportConfirmation.value),
+                    }, vm.i18n`Export`),
+                ])),
+            ]),
+            t.div({className: "row"}, [
+                t.div({className: "label"}, vm.i18n`Import E2E room keys`),
+                t.div({className: "content"}, t.p([
+                    importPassphrase,
+                    t.button({
+                        disabled: vm => vm.isBusy,
+                        onClick: () => vm.importKeys(importPassphrase.value),
+                    }, vm.i18n`Choose file…`),
+                ])),
+            ]),
+            t.if(vm => vm.isBusy, t => t.p(vm.i18n`This can take a while…`)),
+            t.if(vm => vm.error, t => t.p({className: "error"}, vm => vm.error)),
+            t.if(vm => vm.feedbackMessage, t => t.p(vm => vm.feedbackMessage)),
+        ]);
+    }
+}
@@ -17,6 +17,8 @@ limitations under the License.
 import {TemplateView} from "../../general/TemplateView";
 import {disableTargetCallback} from "../../general/utils";
 import {KeyBackupSettingsView} from "./KeyBackupSettingsView.js"
+import {KeyExportSettingsView} from "./KeyExportSettingsView.js"
+import {DevicesSettingsView} from "./DevicesSettingsView.js"
 
 export class SettingsView extends TemplateView {
     render(t, vm) {
@@ -42,15 +44,25 @@ export class SettingsView extends TemplateView {
             row(t, vm.i18n`User ID`, vm.userId),
             row(t, vm.i18n`Session ID`, vm.deviceId, "code"),
             row(t, vm.i18n`Session key`, vm.fingerprintKey, "code"),
+            row(t, vm.i18n`Other sessions`, this._ownDevices(t, vm)),
+            row(t, vm.i18n`Share keys with`, this._deviceTrustPolicyOptions(t, vm)),
             row(t, "", t.button({
                 onClick: () => vm.logout(),
                 disabled: vm => vm.isLoggingOut
             }, vm.i18n`Log out`)),
         );
+        settingNodes.push(
+            t.h3("Devices"),
+            t.view(new DevicesSettingsView(vm.devicesViewModel))
+        );
         settingNodes.push(
             t.h3("Key backup"),
             t.view(new KeyBackupSettingsView(vm.keyBackupViewModel))
         );
+        settingNodes.push(
+            t.h3("Export and import keys"),
+            t.view(new KeyExportSettingsView(vm.keyExportViewModel))
+        );
 
         settingNodes.push(
             t.h3("Notifications"),
@@ -98,6 +110,11 @@ export class SettingsView extends TemplateView {
         settingNodes.push(
             t.h3("Preferences"),
             row(t, vm.i18n`Scale down images when sending`, this._imageCompressionRange(t, vm)),
+            row(t, vm.i18n`Don't let others know what I read`, t.input({
+                type: "checkbox",
+                checked: vm => vm.sendPrivateReadReceipts,
+                onChange: evt => vm.setSendPrivateReadReceipts(evt.target.checked),
+            })),
             t.if(vm => !import.meta.env.DEV && vm.activeTheme, (t, vm) => {
                 return row(t, vm.i18n`Use the following theme`, this._themeOptions(t, vm));
             }),
@@ -126,6 +143,34 @@ export class SettingsView extends TemplateView {
         ]);
     }
 
+    _deviceTrustPolicyOptions(t, vm) {
+        const options = vm.deviceTrustPolicyOptions.map(({value, label}) => {
+            return t.option({value, selected: value === vm.deviceTrustPolicy}, label);
+        });
+        return t.select({onChange: evt => vm.setDeviceTrustPolicy(evt.target.value)}, options);
+    }
+
+    _ownDevices(t, vm) {
+        return t.div([
+            t.map(vm => vm.ownDevices, (devices, t) => {
+                if (!devices) {
+                    return t.if(vm => !vm.ownDevicesError, t => t.p(vm.i18n`Loading…`));
+                } else if (devices.length === 0) {
+                    return t.p(vm.i18n`You don't have any other sessions.`);
+                }
+                return t.div(devices.map(device => {
+                    return t.p([
+                        `${device.name} `,
+                        device.isVerified ?
+                            t.span(vm.i18n`(verified)`) :
+                            t.button({className: "link", onClick: () => vm.verifyOwnDevice(device.deviceId)}, vm.i18n`Verify`),
+                    ]);
+                }));
+            }),
+            t.if(vm => vm.ownDevicesError, t => t.p({className: "error"}, vm => vm.ownDevicesError)),
+        ]);
+    }
+
     _imageCompressionRange(t, vm) {
         const step = 32;
         const min = Math.ceil(vm.minSentImageSizeLimit / step) * step;
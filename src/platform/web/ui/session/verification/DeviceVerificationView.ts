@@ -0,0 +1,70 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {TemplateView} from "../../general/TemplateView";
+import {spinner} from "../../common.js";
+import type {DeviceVerificationViewModel} from "../../../../../domain/session/verification/DeviceVerificationViewModel";
+
+export class DeviceVerificationView extends TemplateView<DeviceVerificationViewModel> {
+    render(t, vm) {
+        return t.main({className: "middle"}, [
+            t.div({className: "middle-header"}, [
+                t.a({className: "button-utility close-middle", href: vm.closeUrl, title: vm.i18n`Close`}),
+                t.h2(vm.i18n`Verify session`),
+            ]),
+            t.div({className: "DeviceVerificationView centered-column"}, [
+                t.p(vm => vm.statusLabel),
+                t.map(vm => vm.emoji, (emoji, t) => {
+                    if (emoji) {
+                        return t.ul({className: "DeviceVerificationView_emoji"}, emoji.map(e => t.li([
+                            t.div({className: "DeviceVerificationView_emojiSymbol"}, e.emoji),
+                            t.div({className: "DeviceVerificationView_emojiDescription"}, e.description),
+                        ])));
+                    }
+                }),
+                t.map(vm => vm.decimals, (decimals, t) => {
+                    if (decimals) {
+                        return t.p({className: "DeviceVerificationView_decimals"}, decimals.join(" "));
+                    }
+                }),
+                t.if(vm => !!vm.error, t => t.p({className: "error"}, vm => vm.error)),
+                t.div({className: "button-row"}, [
+                    spinner(t, {hidden: vm => !vm.isBusy}),
+                    t.if(vm => vm.canAccept, t => t.button({
+                        className: "button-action primary",
+                        onClick: () => vm.accept(),
+                        disabled: vm => vm.isBusy,
+                    }, vm.i18n`Accept`)),
+                    t.if(vm => vm.canCompare, t => t.button({
+                        className: "button-action primary",
+                        onClick: () => vm.confirm(),
+                        disabled: vm => vm.isBusy,
+                    }, vm.i18n`They match`)),
+                    t.if(vm => vm.canCompare, t => t.button({
+                        className: "button-action secondary",
+                        onClick: () => vm.reject(),
+                        disabled: vm => vm.isBusy,
+                    }, vm.i18n`They don't match`)),
+                    t.if(vm => vm.canCancel && !vm.canCompare, t => t.button({
+                        className: "button-action secondary",
+                        onClick: () => vm.cancel(),
+                        disabled: vm => vm.isBusy,
+                    }, vm.i18n`Cancel`)),
+                ]),
+            ]),
+        ]);
+    }
+}
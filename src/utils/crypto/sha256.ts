@@ -0,0 +1,164 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// SHA-256 as specified in FIPS 180-4.
+// Subtle crypto can only digest a buffer as a whole,
+// this can hash data as it comes in, e.g. while downloading a file.
+
+const BLOCK_SIZE = 64;
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function rotr(x: number, n: number): number {
+    return (x >>> n) | (x << (32 - n));
+}
+
+export class Sha256 {
+    private readonly _state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    private readonly _block = new Uint8Array(BLOCK_SIZE);
+    private readonly _words = new Uint32Array(64);
+    private _blockLength = 0;
+    private _totalLength = 0;
+    private _isFinished = false;
+
+    update(data: Uint8Array): void {
+        if (this._isFinished) {
+            throw new Error("Can't update a digest that has been finished");
+        }
+        let offset = 0;
+        while (offset < data.length) {
+            const length = Math.min(BLOCK_SIZE - this._blockLength, data.length - offset);
+            this._block.set(data.subarray(offset, offset + length), this._blockLength);
+            this._blockLength += length;
+            offset += length;
+            if (this._blockLength === BLOCK_SIZE) {
+                this._processBlock();
+                this._blockLength = 0;
+            }
+        }
+        this._totalLength += data.length;
+    }
+
+    /** Finishes the digest, after which update can't be called anymore */
+    digest(): Uint8Array {
+        this._isFinished = true;
+        const block = this._block;
+        block[this._blockLength++] = 0x80;
+        // the length takes the last 8 bytes, so add a block if it doesn't fit in this one
+        if (this._blockLength > BLOCK_SIZE - 8) {
+            block.fill(0, this._blockLength);
+            this._processBlock();
+            this._blockLength = 0;
+        }
+        block.fill(0, this._blockLength);
+        const bitLength = this._totalLength * 8;
+        const blockView = new DataView(block.buffer);
+        blockView.setUint32(BLOCK_SIZE - 8, Math.floor(bitLength / 0x100000000));
+        blockView.setUint32(BLOCK_SIZE - 4, bitLength >>> 0);
+        this._processBlock();
+        const result = new Uint8Array(32);
+        const resultView = new DataView(result.buffer);
+        this._state.forEach((value, i) => resultView.setUint32(i * 4, value));
+        return result;
+    }
+
+    private _processBlock(): void {
+        const w = this._words;
+        const blockView = new DataView(this._block.buffer);
+        for (let i = 0; i < 16; i += 1) {
+            w[i] = blockView.getUint32(i * 4);
+        }
+        for (let i = 16; i < 64; i += 1) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+        const state = this._state;
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i += 1) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + s1 + ch + K[i] + w[i]) | 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
+
+export function tests() {
+    function hex(bytes: Uint8Array): string {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, "0")).join("");
+    }
+    function ascii(str: string): Uint8Array {
+        return new Uint8Array(Array.from(str).map(c => c.charCodeAt(0)));
+    }
+
+    return {
+        "digest of test vectors": assert => {
+            const vectors = [
+                ["", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"],
+                ["abc", "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"],
+                ["abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq", "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"],
+            ];
+            for (const [input, expected] of vectors) {
+                const sha256 = new Sha256();
+                sha256.update(ascii(input));
+                assert.equal(hex(sha256.digest()), expected);
+            }
+        },
+        "digest is the same however the data is split up": assert => {
+            const data = new Uint8Array(1000).map((_, i) => i % 251);
+            const whole = new Sha256();
+            whole.update(data);
+            const expected = hex(whole.digest());
+            for (const chunkSize of [1, 63, 64, 65, 333]) {
+                const chunked = new Sha256();
+                for (let i = 0; i < data.length; i += chunkSize) {
+                    chunked.update(data.subarray(i, i + chunkSize));
+                }
+                assert.equal(hex(chunked.digest()), expected);
+            }
+        },
+    };
+}
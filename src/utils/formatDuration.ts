@@ -0,0 +1,38 @@
+/*
+Copyright 2022 The Matrix.org Foundation C.I.C.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+/** formats a duration in milliseconds as m:ss, or h:mm:ss when longer than an hour */
+export function formatDuration(milliseconds: number): string {
+    const totalSeconds = Math.floor(Math.max(0, milliseconds) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    if (hours) {
+        return `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+}
+
+export function tests() {
+    return {
+        "format durations": assert => {
+            assert.equal(formatDuration(0), "0:00");
+            assert.equal(formatDuration(9999), "0:09");
+            assert.equal(formatDuration(754000), "12:34");
+            assert.equal(formatDuration(3723000), "1:02:03");
+        },
+    };
+}